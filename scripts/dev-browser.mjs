@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Browser dev server - runs the frontend without the Tauri shell
+ *
+ * Serves src/ as static files and injects src/mock/tauri-mock.js ahead of
+ * main.js, so every `invoke()` hits the in-memory mock backend.
+ *
+ * Usage:
+ *   npm run dev:browser
+ *   PORT=5173 node scripts/dev-browser.mjs
+ *
+ * Then open http://localhost:1420/?scenario=half-protected
+ * Scenarios: default, running, no-install, single-version, protected, half-protected,
+ *            degraded, crash-on-launch, corrupt-download
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('../src', import.meta.url)));
+const PORT = Number(process.env.PORT || 1420);
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+const MOCK_TAG = '<script src="mock/tauri-mock.js" type="module"></script>';
+
+async function serve(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  const file = normalize(join(ROOT, pathname));
+
+  // Never serve anything outside src/
+  if (file !== ROOT && !file.startsWith(ROOT + sep)) {
+    res.writeHead(403).end('Forbidden');
+    return;
+  }
+
+  try {
+    let body = await readFile(file);
+
+    if (pathname === '/index.html') {
+      // Module scripts run in document order, so the mock is installed before main.js
+      body = body.toString().replace(
+        '<script src="main.js" type="module"></script>',
+        `${MOCK_TAG}\n  <script src="main.js" type="module"></script>`
+      );
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME[extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+    res.end(body);
+  } catch {
+    res.writeHead(404).end('Not found');
+  }
+}
+
+createServer(serve).listen(PORT, () => {
+  console.log(`CC Version Guard (mock backend) → http://localhost:${PORT}/`);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Download stand-in - local replacement for the CapCut CDN
+ *
+ * Serves installer requests with Range support so the in-app downloader can be
+ * tested without hitting the official servers. Files found in DIR are served
+ * as-is; any other *.exe gets deterministic filler bytes of SIZE_MB.
+ *
+ * Usage:
+ *   npm run standin:downloads
+ *   DIR=./installers SIZE_MB=64 RATE_KBPS=2048 node scripts/download-standin.mjs
+ *
+ * Then start the app with CCVG_DOWNLOAD_ORIGIN=http://127.0.0.1:8787
+ *
+ * Options (environment):
+ *   PORT       - Listen port (default 8787)
+ *   DIR        - Folder with real installers to serve by file name
+ *   SIZE_MB    - Size of generated installers (default 32)
+ *   RATE_KBPS  - Throttle each response, to test pause/resume (default: unthrottled)
+ *   DROP_AFTER - Cut every connection after this many bytes, to test resuming
+ *   NO_RANGE=1 - Ignore Range headers like a server without resume support
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+
+const PORT = Number(process.env.PORT || 8787);
+const DIR = process.env.DIR || null;
+const SIZE = Math.round(Number(process.env.SIZE_MB || 32) * 1024 * 1024);
+const RATE = Number(process.env.RATE_KBPS || 0) * 1024;
+const DROP_AFTER = Number(process.env.DROP_AFTER || 0);
+const NO_RANGE = process.env.NO_RANGE === '1';
+
+const cache = new Map();
+
+/** Installer bytes for a file name: the real file from DIR, or filler derived from the name */
+async function installer(name) {
+  if (cache.has(name)) return cache.get(name);
+
+  let body = null;
+  if (DIR) {
+    body = await readFile(join(DIR, name)).catch(() => null);
+  }
+  if (!body) {
+    body = Buffer.alloc(SIZE);
+    const seed = createHash('sha256').update(name).digest();
+    for (let i = 0; i < SIZE; i++) body[i] = seed[i % seed.length] ^ (i & 0xff);
+  }
+
+  const sha256 = createHash('sha256').update(body).digest('hex');
+  const entry = { body, sha256 };
+  cache.set(name, entry);
+  console.log(`${name}: ${body.length} bytes, sha256 ${sha256}`);
+  return entry;
+}
+
+/** Parse "bytes=start-end" against the file size; null when absent or unsatisfiable */
+function parseRange(header, size) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(header || '');
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  return start <= end ? { start, end } : { unsatisfiable: true };
+}
+
+/** Write a slice, optionally throttled and cut short */
+async function send(res, slice) {
+  const limit = DROP_AFTER ? Math.min(DROP_AFTER, slice.length) : slice.length;
+  const step = RATE ? Math.max(1024, Math.round(RATE / 10)) : limit;
+
+  for (let offset = 0; offset < limit; offset += step) {
+    if (res.destroyed) return;
+    // Wait until the bytes are flushed so a drop really happens mid-body
+    await new Promise(r => res.write(slice.subarray(offset, Math.min(offset + step, limit)), r));
+    if (RATE) await new Promise(r => setTimeout(r, 100));
+  }
+
+  if (limit < slice.length) {
+    console.log(`  dropped connection after ${limit} bytes`);
+    res.destroy();
+  } else {
+    res.end();
+  }
+}
+
+async function serve(req, res) {
+  const name = basename(new URL(req.url, 'http://localhost').pathname);
+  if (!name.toLowerCase().endsWith('.exe')) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+
+  const { body } = await installer(name);
+  const range = NO_RANGE ? null : parseRange(req.headers.range, body.length);
+  console.log(`${req.method} ${name} range=${req.headers.range || '-'}`);
+
+  if (range?.unsatisfiable) {
+    res.writeHead(416, { 'Content-Range': `bytes */${body.length}` }).end();
+    return;
+  }
+
+  if (range) {
+    res.writeHead(206, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': range.end - range.start + 1,
+      'Content-Range': `bytes ${range.start}-${range.end}/${body.length}`,
+      'Accept-Ranges': 'bytes',
+    });
+    await send(res, body.subarray(range.start, range.end + 1));
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': body.length,
+  });
+  await send(res, body);
+}
+
+createServer((req, res) => {
+  serve(req, res).catch((e) => {
+    console.error(e);
+    if (!res.headersSent) res.writeHead(500);
+    res.end();
+  });
+}).listen(PORT, '127.0.0.1', () => {
+  console.log(`Download stand-in → http://127.0.0.1:${PORT}/ (set CCVG_DOWNLOAD_ORIGIN to this)`);
+});
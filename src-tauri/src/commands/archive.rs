@@ -0,0 +1,608 @@
+//! Portable backup archives
+//! A backup exported as one .tar.gz so a known-good version can move to another
+//! machine. The archive starts with the metadata and the manifest, then holds every
+//! file the manifest lists; import checks each file against it before the backup
+//! shows up in the Backups view
+
+use flate2::read::GzDecoder;
+use flate2::write::GzEncoder;
+use flate2::Compression;
+use serde::de::DeserializeOwned;
+use serde::Serialize;
+use sha2::{Digest, Sha256};
+use std::collections::HashSet;
+use std::fs::{self, File};
+use std::io::{BufReader, BufWriter, Read, Write};
+use std::path::{Component, Path, PathBuf};
+use std::time::{SystemTime, UNIX_EPOCH};
+use tauri::AppHandle;
+
+use super::backup::{self, BackupMetadata, METADATA_FILE};
+use super::i18n;
+use super::journal;
+use super::manifest::{self, Manifest, MANIFEST_FILE};
+use super::paths;
+use super::progress::ProgressReporter;
+
+/// Event streamed while a backup is exported or imported
+pub const ARCHIVE_PROGRESS_EVENT: &str = "backup-archive-progress";
+
+/// Largest metadata or manifest entry accepted from an archive
+const MAX_JSON_BYTES: u64 = 64 * 1024 * 1024;
+
+/// Result of an export
+#[derive(Serialize)]
+pub struct ExportSummary {
+    pub path: String,
+    pub files: usize,
+    /// Size of the archive on disk
+    pub archive_bytes: u64,
+}
+
+fn append_json<W: Write>(
+    builder: &mut tar::Builder<W>,
+    name: &str,
+    value: &impl Serialize,
+) -> Result<(), String> {
+    let json = serde_json::to_vec_pretty(value).map_err(|e| e.to_string())?;
+    let mut header = tar::Header::new_gnu();
+    header.set_size(json.len() as u64);
+    header.set_mode(0o644);
+    header.set_mtime(
+        SystemTime::now()
+            .duration_since(UNIX_EPOCH)
+            .unwrap_or_default()
+            .as_secs(),
+    );
+    header.set_cksum();
+    builder
+        .append_data(&mut header, name, json.as_slice())
+        .map_err(|e| e.to_string())
+}
+
+fn read_metadata(backup_path: &Path) -> Result<BackupMetadata, String> {
+    let content = fs::read_to_string(backup_path.join(METADATA_FILE))
+        .map_err(|e| i18n::t("common.metadata_unreadable", &[("error", &e)]))?;
+    serde_json::from_str(&content).map_err(|e| i18n::t("common.invalid_metadata", &[("error", &e)]))
+}
+
+/// Write a backup to `dest`
+fn export(
+    backup_id: &str,
+    dest: &Path,
+    reporter: &mut ProgressReporter,
+) -> Result<ExportSummary, String> {
+    let src = manifest::backup_path(backup_id)?;
+    if !src.is_dir() {
+        return Err(i18n::t("common.backup_not_found", &[("id", &backup_id)]));
+    }
+    let metadata = read_metadata(&src)?;
+
+    // Backups made before manifests get one now, so the archive can still be checked on import
+    let manifest = match Manifest::load(&src)? {
+        Some(m) => m,
+        None => {
+            reporter.log(i18n::t("archive.hashing", &[]));
+            Manifest::build(&src)?
+        }
+    };
+    reporter.set_total(manifest.total_bytes());
+
+    // Written next to the destination and renamed once complete
+    let partial = PathBuf::from(format!("{}.part", dest.display()));
+    let file = File::create(&partial).map_err(|e| {
+        i18n::t(
+            "common.create_failed",
+            &[("path", &partial.display()), ("error", &e)],
+        )
+    })?;
+
+    let written = (|| {
+        let encoder = GzEncoder::new(BufWriter::new(file), Compression::default());
+        let mut builder = tar::Builder::new(encoder);
+        append_json(&mut builder, METADATA_FILE, &metadata)?;
+        append_json(&mut builder, MANIFEST_FILE, &manifest)?;
+
+        for (key, expected) in &manifest.files {
+            let path = src.join(key);
+            // A changed size means the archive would fail its own check on import
+            let size = fs::metadata(&path)
+                .map_err(|_| i18n::t("archive.file_missing", &[("key", &key)]))?
+                .len();
+            if size != expected.size {
+                return Err(i18n::t("archive.file_changed", &[("key", &key)]));
+            }
+            builder
+                .append_path_with_name(&path, key)
+                .map_err(|e| format!("{}: {}", key, e))?;
+            reporter.advance(size);
+        }
+
+        let mut out = builder
+            .into_inner()
+            .and_then(|gz| gz.finish())
+            .map_err(|e| e.to_string())?;
+        out.flush().map_err(|e| e.to_string())
+    })();
+
+    if let Err(e) = written.and_then(|_| fs::rename(&partial, dest).map_err(|e| e.to_string())) {
+        let _ = fs::remove_file(&partial);
+        return Err(e);
+    }
+
+    Ok(ExportSummary {
+        path: dest.to_string_lossy().to_string(),
+        files: manifest.files.len(),
+        archive_bytes: fs::metadata(dest).map(|m| m.len()).unwrap_or(0),
+    })
+}
+
+/// Manifest key of an archive entry; only plain relative paths are accepted
+fn entry_key(path: &Path) -> Result<String, String> {
+    let parts: Vec<String> = path
+        .components()
+        .map(|c| match c {
+            Component::Normal(part) => Ok(part.to_string_lossy().to_string()),
+            Component::CurDir => Ok(String::new()),
+            _ => Err(i18n::t("archive.unsafe_path", &[("path", &path.display())])),
+        })
+        .collect::<Result<_, _>>()?;
+    let key = parts
+        .into_iter()
+        .filter(|p| !p.is_empty())
+        .collect::<Vec<_>>()
+        .join("/");
+    if key.is_empty() {
+        return Err(i18n::t("archive.empty_path", &[]));
+    }
+    Ok(key)
+}
+
+/// Read the next entry as JSON; it must be the file named `name`
+fn next_json<R: Read, T: DeserializeOwned>(
+    entries: &mut tar::Entries<R>,
+    name: &str,
+) -> Result<T, String> {
+    let not_backup = || i18n::t("archive.not_backup", &[]);
+    let mut entry = entries
+        .next()
+        .ok_or_else(not_backup)?
+        .map_err(|_| not_backup())?;
+    let path = entry.path().map_err(|e| e.to_string())?.into_owned();
+    if entry_key(&path)? != name || entry.size() > MAX_JSON_BYTES {
+        return Err(not_backup());
+    }
+
+    let mut content = String::new();
+    entry
+        .read_to_string(&mut content)
+        .map_err(|e| i18n::t("common.read_failed", &[("path", &name), ("error", &e)]))?;
+    serde_json::from_str(&content)
+        .map_err(|e| i18n::t("archive.invalid_file", &[("name", &name), ("error", &e)]))
+}
+
+/// Copy an entry to `target`, returning the SHA-256 of what was written
+fn extract_hashing(entry: &mut impl Read, target: &Path) -> Result<String, String> {
+    if let Some(parent) = target.parent() {
+        fs::create_dir_all(parent).map_err(|e| e.to_string())?;
+    }
+    let mut out = BufWriter::new(File::create(target).map_err(|e| e.to_string())?);
+    let mut hasher = Sha256::new();
+    let mut buf = vec![0u8; 64 * 1024];
+    loop {
+        let n = entry.read(&mut buf).map_err(|e| e.to_string())?;
+        if n == 0 {
+            break;
+        }
+        hasher.update(&buf[..n]);
+        out.write_all(&buf[..n]).map_err(|e| e.to_string())?;
+    }
+    out.flush().map_err(|e| e.to_string())?;
+    Ok(hasher
+        .finalize()
+        .iter()
+        .map(|b| format!("{:02x}", b))
+        .collect())
+}
+
+/// Unpack and check every file of an archive into `staging`
+fn unpack(
+    archive: &Path,
+    staging: &Path,
+    reporter: &mut ProgressReporter,
+) -> Result<(BackupMetadata, Manifest), String> {
+    let file = File::open(archive).map_err(|e| i18n::t("archive.open_failed", &[("error", &e)]))?;
+    let mut tar = tar::Archive::new(GzDecoder::new(BufReader::new(file)));
+    let mut entries = tar
+        .entries()
+        .map_err(|_| i18n::t("archive.not_backup", &[]))?;
+
+    let metadata: BackupMetadata = next_json(&mut entries, METADATA_FILE)?;
+    let manifest: Manifest = next_json(&mut entries, MANIFEST_FILE)?;
+    reporter.set_total(manifest.total_bytes());
+
+    let name = &metadata.version_name;
+    // The name becomes the backup's folder and the folder it restores to
+    if !backup::is_plain_name(name) {
+        return Err(i18n::t("archive.invalid_version", &[("name", &name)]));
+    }
+
+    let mut seen = HashSet::new();
+    for entry in entries {
+        let mut entry = entry.map_err(|e| i18n::t("archive.damaged", &[("error", &e)]))?;
+        let key = entry_key(&entry.path().map_err(|e| e.to_string())?)?;
+        match entry.header().entry_type() {
+            tar::EntryType::Directory => continue,
+            tar::EntryType::Regular => {}
+            _ => return Err(i18n::t("archive.unsupported_entry", &[("key", &key)])),
+        }
+
+        // Only files the manifest lists, at the size it lists, are unpacked
+        let expected = manifest
+            .files
+            .get(&key)
+            .ok_or_else(|| i18n::t("archive.unexpected_file", &[("key", &key)]))?;
+        if entry.size() != expected.size || !seen.insert(key.clone()) {
+            return Err(i18n::t("archive.size_mismatch", &[("key", &key)]));
+        }
+
+        let sha256 = extract_hashing(&mut entry, &staging.join(&key))
+            .map_err(|e| i18n::t("archive.unpack_failed", &[("key", &key), ("error", &e)]))?;
+        if sha256 != expected.sha256 {
+            return Err(i18n::t("archive.checksum_mismatch", &[("key", &key)]));
+        }
+        reporter.advance(expected.size);
+    }
+
+    let missing = manifest.files.len() - seen.len();
+    if missing > 0 {
+        return Err(i18n::t("archive.incomplete", &[("count", &missing)]));
+    }
+    Ok((metadata, manifest))
+}
+
+/// Import an archive as a new backup
+fn import(archive: &Path, reporter: &mut ProgressReporter) -> Result<BackupMetadata, String> {
+    let backup_dir =
+        backup::get_backup_dir().ok_or_else(|| i18n::t("common.no_backup_dir", &[]))?;
+    let staging = backup_dir
+        .parent()
+        .map(|p| p.join("Imports"))
+        .ok_or_else(|| i18n::t("common.no_backup_dir", &[]))?
+        .join(format!(
+            "{}",
+            SystemTime::now()
+                .duration_since(UNIX_EPOCH)
+                .unwrap_or_default()
+                .as_millis()
+        ));
+    fs::create_dir_all(&staging).map_err(|e| e.to_string())?;
+
+    let result = (|| {
+        // Restores go to this machine's CapCut folder, never to the path stored in the
+        // archive; without a CapCut install there is nowhere safe to restore to
+        let apps = paths::get_capcut_apps_path().ok_or_else(|| i18n::t("archive.no_apps", &[]))?;
+        let (mut metadata, manifest) = unpack(archive, &staging, reporter)?;
+        let target = manifest::backup_path(&metadata.id())?;
+        if target.exists() {
+            return Err(i18n::t(
+                "archive.already_imported",
+                &[("id", &metadata.id())],
+            ));
+        }
+
+        metadata.original_path = apps
+            .join(&metadata.version_name)
+            .to_string_lossy()
+            .to_string();
+
+        let json = serde_json::to_string_pretty(&metadata).map_err(|e| e.to_string())?;
+        fs::write(staging.join(METADATA_FILE), json).map_err(|e| e.to_string())?;
+        manifest.save(&staging)?;
+
+        fs::create_dir_all(&backup_dir).map_err(|e| e.to_string())?;
+        fs::rename(&staging, &target)
+            .map_err(|e| i18n::t("archive.add_failed", &[("error", &e)]))?;
+        Ok(metadata)
+    })();
+
+    if result.is_err() {
+        let _ = fs::remove_dir_all(&staging);
+    }
+    result
+}
+
+/// Export a backup (files, metadata and manifest) to a .tar.gz archive
+#[tauri::command]
+pub async fn export_backup(
+    app: AppHandle,
+    backup_id: String,
+    path: String,
+) -> Result<ExportSummary, String> {
+    let params = serde_json::json!({ "backup_id": backup_id, "path": path });
+    let (result, logs) = tauri::async_runtime::spawn_blocking(move || {
+        let mut reporter = ProgressReporter::new(app, ARCHIVE_PROGRESS_EVENT, 0);
+        reporter.step("export");
+        let result = export(&backup_id, Path::new(&path), &mut reporter);
+        if let Ok(summary) = &result {
+            reporter.log(i18n::ok(
+                "archive.exported",
+                &[("count", &summary.files), ("path", &summary.path)],
+            ));
+        }
+        (result, reporter.into_logs())
+    })
+    .await
+    .map_err(|e| e.to_string())?;
+
+    journal::record(
+        "export_backup",
+        params,
+        result.is_ok(),
+        result.as_ref().err().cloned(),
+        &logs,
+    );
+    result
+}
+
+/// Import a backup archive after checking every file against its manifest
+#[tauri::command]
+pub async fn import_backup(app: AppHandle, path: String) -> Result<BackupMetadata, String> {
+    let params = serde_json::json!({ "path": path });
+    let (result, logs) = tauri::async_runtime::spawn_blocking(move || {
+        let mut reporter = ProgressReporter::new(app, ARCHIVE_PROGRESS_EVENT, 0);
+        reporter.step("import");
+        let result = import(Path::new(&path), &mut reporter);
+        if let Ok(metadata) = &result {
+            reporter.log(i18n::ok("archive.imported", &[("id", &metadata.id())]));
+            reporter.log(i18n::ok(
+                "archive.restores_to",
+                &[("path", &metadata.original_path)],
+            ));
+        }
+        (result, reporter.into_logs())
+    })
+    .await
+    .map_err(|e| e.to_string())?;
+
+    journal::record(
+        "import_backup",
+        params,
+        result.is_ok(),
+        result.as_ref().err().cloned(),
+        &logs,
+    );
+    result
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use crate::commands::manifest::ManifestFile;
+    use crate::commands::testing;
+    use tar::EntryType;
+
+    fn sha256(data: &[u8]) -> String {
+        Sha256::digest(data)
+            .iter()
+            .map(|b| format!("{:02x}", b))
+            .collect()
+    }
+
+    fn manifest_of(files: &[(&str, &[u8])]) -> Manifest {
+        let mut manifest = Manifest::default();
+        for (key, data) in files {
+            let file = ManifestFile {
+                size: data.len() as u64,
+                sha256: sha256(data),
+            };
+            manifest.files.insert(key.to_string(), file);
+        }
+        manifest
+    }
+
+    /// An archive of a 5.2.0.1950 backup holding `entries` after the metadata and `manifest`
+    fn write_archive(path: &Path, manifest: &Manifest, entries: &[(&str, EntryType, &[u8])]) {
+        let metadata = BackupMetadata {
+            version_name: "5.2.0.1950".to_string(),
+            original_path: "C:\\CapCut\\Apps\\5.2.0.1950".to_string(),
+            created_at: 1700000000,
+            size_bytes: manifest.total_bytes(),
+            reason: "Manual backup".to_string(),
+            label: None,
+            notes: None,
+        };
+        let encoder = GzEncoder::new(File::create(path).unwrap(), Compression::fast());
+        let mut builder = tar::Builder::new(encoder);
+        append_json(&mut builder, METADATA_FILE, &metadata).unwrap();
+        append_json(&mut builder, MANIFEST_FILE, manifest).unwrap();
+        for (name, kind, data) in entries {
+            let mut header = tar::Header::new_gnu();
+            // Written as-is: set_path refuses the unsafe names these archives need
+            header.as_old_mut().name[..name.len()].copy_from_slice(name.as_bytes());
+            header.set_entry_type(*kind);
+            header.set_size(data.len() as u64);
+            header.set_mode(0o644);
+            header.set_cksum();
+            builder.append(&header, *data).unwrap();
+        }
+        builder.into_inner().unwrap().finish().unwrap();
+    }
+
+    /// Unpack an archive of `entries` checked against `manifest` into a fresh staging
+    /// folder; returns how many entries ended up at its top
+    fn unpack_entries(
+        name: &str,
+        manifest: &Manifest,
+        entries: &[(&str, EntryType, &[u8])],
+    ) -> Result<usize, String> {
+        let dir =
+            std::env::temp_dir().join(format!("ccvg-archive-{}-{}", name, std::process::id()));
+        let _ = fs::remove_dir_all(&dir);
+        let staging = dir.join("staging");
+        fs::create_dir_all(&staging).unwrap();
+        let archive = dir.join("backup.tar.gz");
+        write_archive(&archive, manifest, entries);
+        let result = unpack(&archive, &staging, &mut ProgressReporter::silent());
+        // Nothing may land next to the staging folder, whatever the entries say
+        let outside: Vec<_> = fs::read_dir(&dir)
+            .unwrap()
+            .map(|e| e.unwrap().file_name())
+            .collect();
+        let staged = fs::read_dir(&staging).unwrap().count();
+        fs::remove_dir_all(&dir).unwrap();
+        assert_eq!(outside.len(), 2, "{:?}", outside);
+        result.map(|_| staged)
+    }
+
+    #[test]
+    fn unpacks_files_that_match_the_manifest() {
+        let manifest = manifest_of(&[("CapCut.exe", b"exe"), ("Resources/app.dat", b"data")]);
+        let entries: &[(&str, EntryType, &[u8])] = &[
+            ("Resources", EntryType::Directory, b""),
+            ("CapCut.exe", EntryType::Regular, b"exe"),
+            ("./Resources/app.dat", EntryType::Regular, b"data"),
+        ];
+        assert_eq!(unpack_entries("valid", &manifest, entries), Ok(2));
+    }
+
+    #[test]
+    fn rejects_entries_outside_the_backup() {
+        let manifest = manifest_of(&[("CapCut.exe", b"exe")]);
+        for (i, name) in [
+            "../CapCut.exe",
+            "Resources/../../CapCut.exe",
+            "/tmp/CapCut.exe",
+        ]
+        .iter()
+        .enumerate()
+        {
+            let entries: &[(&str, EntryType, &[u8])] = &[(name, EntryType::Regular, b"exe")];
+            assert_eq!(
+                unpack_entries(&format!("unsafe-{}", i), &manifest, entries),
+                Err(i18n::t(
+                    "archive.unsafe_path",
+                    &[("path", &Path::new(name).display())]
+                )),
+                "{}",
+                name
+            );
+        }
+    }
+
+    #[cfg(windows)]
+    #[test]
+    fn rejects_entries_with_a_drive_prefix() {
+        let manifest = manifest_of(&[("CapCut.exe", b"exe")]);
+        let name = "C:CapCut.exe";
+        let entries: &[(&str, EntryType, &[u8])] = &[(name, EntryType::Regular, b"exe")];
+        assert_eq!(
+            unpack_entries("prefix", &manifest, entries),
+            Err(i18n::t(
+                "archive.unsafe_path",
+                &[("path", &Path::new(name).display())]
+            ))
+        );
+    }
+
+    #[test]
+    fn rejects_entries_the_manifest_does_not_list() {
+        let manifest = manifest_of(&[("CapCut.exe", b"exe")]);
+        let entries: &[(&str, EntryType, &[u8])] = &[
+            ("CapCut.exe", EntryType::Regular, b"exe"),
+            ("payload.dll", EntryType::Regular, b"dll"),
+        ];
+        assert_eq!(
+            unpack_entries("unlisted", &manifest, entries),
+            Err(i18n::t(
+                "archive.unexpected_file",
+                &[("key", &"payload.dll")]
+            ))
+        );
+    }
+
+    #[test]
+    fn rejects_entries_that_are_not_regular_files() {
+        let manifest = manifest_of(&[("CapCut.exe", b"")]);
+        for (i, kind) in [EntryType::Symlink, EntryType::Link, EntryType::Fifo]
+            .into_iter()
+            .enumerate()
+        {
+            let entries: &[(&str, EntryType, &[u8])] = &[("CapCut.exe", kind, b"")];
+            assert_eq!(
+                unpack_entries(&format!("kind-{}", i), &manifest, entries),
+                Err(i18n::t(
+                    "archive.unsupported_entry",
+                    &[("key", &"CapCut.exe")]
+                )),
+                "{:?}",
+                kind
+            );
+        }
+    }
+
+    #[test]
+    fn rejects_files_that_differ_from_the_manifest() {
+        let manifest = manifest_of(&[("CapCut.exe", b"exe")]);
+        let cases: [(&str, &[(&str, EntryType, &[u8])], &str); 3] = [
+            (
+                "size",
+                &[("CapCut.exe", EntryType::Regular, b"longer")],
+                "archive.size_mismatch",
+            ),
+            (
+                "sha",
+                &[("CapCut.exe", EntryType::Regular, b"EXE")],
+                "archive.checksum_mismatch",
+            ),
+            (
+                "twice",
+                &[
+                    ("CapCut.exe", EntryType::Regular, b"exe"),
+                    ("./CapCut.exe", EntryType::Regular, b"exe"),
+                ],
+                "archive.size_mismatch",
+            ),
+        ];
+        for (name, entries, key) in cases {
+            assert_eq!(
+                unpack_entries(name, &manifest, entries),
+                Err(i18n::t(key, &[("key", &"CapCut.exe")])),
+                "{}",
+                name
+            );
+        }
+    }
+
+    #[test]
+    fn rejects_archives_missing_files() {
+        let manifest = manifest_of(&[("CapCut.exe", b"exe"), ("app.dat", b"data")]);
+        let entries: &[(&str, EntryType, &[u8])] = &[("CapCut.exe", EntryType::Regular, b"exe")];
+        assert_eq!(
+            unpack_entries("partial", &manifest, entries),
+            Err(i18n::t("archive.incomplete", &[("count", &1)]))
+        );
+    }
+
+    #[test]
+    fn failed_import_leaves_no_staging_folder() {
+        let app_data = testing::app_data("archive-import");
+        fs::create_dir_all(app_data.path.join("CapCut").join("Apps")).unwrap();
+        let archive = app_data.path.join("backup.tar.gz");
+        let manifest = manifest_of(&[("CapCut.exe", b"exe"), ("app.dat", b"data")]);
+        write_archive(
+            &archive,
+            &manifest,
+            &[("CapCut.exe", EntryType::Regular, b"exe")],
+        );
+
+        let result = import(&archive, &mut ProgressReporter::silent());
+        assert_eq!(
+            result.map(|m| m.id()),
+            Err(i18n::t("archive.incomplete", &[("count", &1)]))
+        );
+        let imports = app_data.path.join("CCVersionGuard").join("Imports");
+        assert_eq!(fs::read_dir(imports).unwrap().count(), 0);
+        assert!(!backup::get_backup_dir().unwrap().exists());
+    }
+}
@@ -5,6 +5,8 @@ use std::env;
 use winreg::enums::*;
 use winreg::RegKey;
 
+use super::i18n;
+
 const STARTUP_KEY: &str = r"SOFTWARE\Microsoft\Windows\CurrentVersion\Run";
 const APP_NAME: &str = "CCVersionGuard";
 
@@ -28,21 +30,21 @@ pub fn set_autostart_enabled(enabled: bool) -> Result<(), String> {
 
     if enabled {
         // Get current executable path
-        let exe_path =
-            env::current_exe().map_err(|e| format!("Failed to get executable path: {}", e))?;
+        let exe_path = env::current_exe()
+            .map_err(|e| i18n::t("autostart.exe_path_failed", &[("error", &e)]))?;
 
         let exe_str = exe_path.to_string_lossy().to_string();
 
         let key = hkcu
             .open_subkey_with_flags(STARTUP_KEY, winreg::enums::KEY_WRITE)
-            .map_err(|e| format!("Failed to open registry key: {}", e))?;
+            .map_err(|e| i18n::t("autostart.open_key_failed", &[("error", &e)]))?;
 
         key.set_value(APP_NAME, &exe_str)
-            .map_err(|e| format!("Failed to set registry value: {}", e))?;
+            .map_err(|e| i18n::t("autostart.set_value_failed", &[("error", &e)]))?;
     } else {
         let key = hkcu
             .open_subkey_with_flags(STARTUP_KEY, winreg::enums::KEY_WRITE)
-            .map_err(|e| format!("Failed to open registry key: {}", e))?;
+            .map_err(|e| i18n::t("autostart.open_key_failed", &[("error", &e)]))?;
 
         // Ignore error if key doesn't exist
         let _ = key.delete_value(APP_NAME);
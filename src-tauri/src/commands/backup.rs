@@ -3,9 +3,15 @@
 
 use serde::{Deserialize, Serialize};
 use std::fs;
-use std::path::{Path, PathBuf};
+use std::path::{Component, Path, PathBuf};
 use walkdir::WalkDir;
 
+use super::i18n;
+use super::journal;
+use super::manifest::{self, Manifest};
+use super::paths;
+use super::retention;
+
 /// Backup metadata stored alongside each backup
 #[derive(Debug, Clone, Serialize, Deserialize)]
 pub struct BackupMetadata {
@@ -19,8 +25,27 @@ pub struct BackupMetadata {
     pub size_bytes: u64,
     /// Reason for backup
     pub reason: String,
+    /// User-given name shown instead of the version
+    #[serde(default)]
+    pub label: Option<String>,
+    /// Free-form user notes
+    #[serde(default)]
+    pub notes: Option<String>,
+}
+
+impl BackupMetadata {
+    /// Backup id (also the backup's folder name)
+    pub fn id(&self) -> String {
+        format!("{}_{}", self.version_name, self.created_at)
+    }
 }
 
+/// Metadata file inside each backup folder
+pub const METADATA_FILE: &str = "_backup_metadata.json";
+
+/// Reason recorded for backups made with "Back up now"
+const MANUAL_REASON: &str = "Manual backup";
+
 /// Result of a backup operation
 #[derive(Debug, Clone, Serialize, Deserialize)]
 pub struct BackupResult {
@@ -38,7 +63,7 @@ pub struct RestoreResult {
 }
 
 /// Get the backup directory path
-fn get_backup_dir() -> Option<PathBuf> {
+pub fn get_backup_dir() -> Option<PathBuf> {
     std::env::var("LOCALAPPDATA")
         .ok()
         .map(|p| PathBuf::from(p).join("CCVersionGuard").join("Backups"))
@@ -57,13 +82,22 @@ fn calc_dir_size(path: &Path) -> u64 {
 
 /// Create a backup of a version directory before deletion
 pub fn create_backup(version_path: &Path, reason: &str) -> BackupResult {
+    create_backup_reporting(version_path, reason, &mut |_| {})
+}
+
+/// Create a backup, calling `on_copied` with the size of each copied file
+pub fn create_backup_reporting(
+    version_path: &Path,
+    reason: &str,
+    on_copied: &mut dyn FnMut(u64),
+) -> BackupResult {
     let backup_dir = match get_backup_dir() {
         Some(d) => d,
         None => {
             return BackupResult {
                 success: false,
                 backup_id: None,
-                error: Some("Could not determine backup directory".to_string()),
+                error: Some(i18n::t("common.no_backup_dir", &[])),
             }
         }
     };
@@ -73,7 +107,7 @@ pub fn create_backup(version_path: &Path, reason: &str) -> BackupResult {
         return BackupResult {
             success: false,
             backup_id: None,
-            error: Some(format!("Failed to create backup directory: {}", e)),
+            error: Some(i18n::t("backup.dir_failed", &[("error", &e)])),
         };
     }
 
@@ -90,16 +124,28 @@ pub fn create_backup(version_path: &Path, reason: &str) -> BackupResult {
         .to_string();
 
     let backup_id = format!("{}_{}", version_name, timestamp);
-    let backup_path = backup_dir.join(&backup_id);
+    let backup_path = match manifest::backup_path(&backup_id) {
+        Ok(p) => p,
+        Err(e) => {
+            return BackupResult {
+                success: false,
+                backup_id: None,
+                error: Some(e),
+            }
+        }
+    };
 
     // Copy the version directory to backup location
-    if let Err(e) = copy_dir_recursive(version_path, &backup_path) {
-        return BackupResult {
-            success: false,
-            backup_id: None,
-            error: Some(format!("Failed to copy directory: {}", e)),
-        };
-    }
+    let manifest = match copy_dir_recursive(version_path, &backup_path, on_copied) {
+        Ok(m) => m,
+        Err(e) => {
+            return BackupResult {
+                success: false,
+                backup_id: None,
+                error: Some(i18n::t("backup.copy_failed", &[("error", &e)])),
+            }
+        }
+    };
 
     // Calculate size and create metadata
     let size_bytes = calc_dir_size(&backup_path);
@@ -109,10 +155,12 @@ pub fn create_backup(version_path: &Path, reason: &str) -> BackupResult {
         created_at: timestamp,
         size_bytes,
         reason: reason.to_string(),
+        label: None,
+        notes: None,
     };
 
     // Save metadata
-    let metadata_path = backup_path.join("_backup_metadata.json");
+    let metadata_path = backup_path.join(METADATA_FILE);
     if let Err(e) = fs::write(
         &metadata_path,
         serde_json::to_string_pretty(&metadata).unwrap_or_default(),
@@ -120,6 +168,10 @@ pub fn create_backup(version_path: &Path, reason: &str) -> BackupResult {
         // Non-fatal error, backup still exists
         eprintln!("Warning: Could not save metadata: {}", e);
     }
+    if let Err(e) = manifest.save(&backup_path) {
+        // Non-fatal as well; the backup just can't be verified
+        eprintln!("Warning: Could not save manifest: {}", e);
+    }
 
     BackupResult {
         success: true,
@@ -128,13 +180,18 @@ pub fn create_backup(version_path: &Path, reason: &str) -> BackupResult {
     }
 }
 
-/// Copy directory recursively
-fn copy_dir_recursive(src: &Path, dst: &Path) -> Result<(), String> {
+/// Copy directory recursively, hashing each source file into a manifest
+fn copy_dir_recursive(
+    src: &Path,
+    dst: &Path,
+    on_copied: &mut dyn FnMut(u64),
+) -> Result<Manifest, String> {
     if !src.is_dir() {
-        return Err("Source is not a directory".to_string());
+        return Err(i18n::t("backup.not_directory", &[]));
     }
 
     fs::create_dir_all(dst).map_err(|e| e.to_string())?;
+    let mut manifest = Manifest::default();
 
     for entry in WalkDir::new(src).into_iter().filter_map(|e| e.ok()) {
         let entry_path = entry.path();
@@ -147,37 +204,71 @@ fn copy_dir_recursive(src: &Path, dst: &Path) -> Result<(), String> {
             if let Some(parent) = target.parent() {
                 fs::create_dir_all(parent).map_err(|e| e.to_string())?;
             }
-            fs::copy(entry_path, &target).map_err(|e| e.to_string())?;
+            let copied = fs::copy(entry_path, &target).map_err(|e| e.to_string())?;
+            manifest.add(manifest::relative_key(src, entry_path)?, entry_path)?;
+            on_copied(copied);
         }
     }
 
+    Ok(manifest)
+}
+
+/// Whether a version name can be used as a folder name as-is (no separators,
+/// no "." or ".."), so joining it to a folder can't point anywhere else
+pub fn is_plain_name(name: &str) -> bool {
+    !name.is_empty()
+        && !name.starts_with('.')
+        && name
+            .chars()
+            .all(|c| c.is_ascii_alphanumeric() || matches!(c, '.' | '_' | '-' | ' '))
+}
+
+/// Check that a restore target is a version folder directly inside this
+/// machine's Apps folder; restoring replaces the whole folder
+fn check_restore_target(target: &Path) -> Result<(), String> {
+    let apps = paths::get_capcut_apps_path().ok_or_else(|| i18n::t("backup.no_apps", &[]))?;
+    let plain = match target.components().next_back() {
+        Some(Component::Normal(name)) => is_plain_name(&name.to_string_lossy()),
+        _ => false,
+    };
+    let inside = match (
+        target.parent().map(fs::canonicalize),
+        fs::canonicalize(&apps),
+    ) {
+        (Some(Ok(parent)), Ok(apps)) => parent == apps,
+        _ => false,
+    };
+    if !plain || !inside {
+        return Err(i18n::t(
+            "backup.outside_apps",
+            &[("path", &target.display()), ("apps", &apps.display())],
+        ));
+    }
     Ok(())
 }
 
 /// Restore a backup to the original location
 pub fn restore_backup(backup_id: &str) -> RestoreResult {
-    let backup_dir = match get_backup_dir() {
-        Some(d) => d,
-        None => {
+    let backup_path = match manifest::backup_path(backup_id) {
+        Ok(p) => p,
+        Err(e) => {
             return RestoreResult {
                 success: false,
                 restored_path: None,
-                error: Some("Could not determine backup directory".to_string()),
+                error: Some(e),
             }
         }
     };
-
-    let backup_path = backup_dir.join(backup_id);
     if !backup_path.exists() {
         return RestoreResult {
             success: false,
             restored_path: None,
-            error: Some(format!("Backup not found: {}", backup_id)),
+            error: Some(i18n::t("common.backup_not_found", &[("id", &backup_id)])),
         };
     }
 
     // Read metadata to get original path
-    let metadata_path = backup_path.join("_backup_metadata.json");
+    let metadata_path = backup_path.join(METADATA_FILE);
     let metadata: BackupMetadata = match fs::read_to_string(&metadata_path) {
         Ok(content) => match serde_json::from_str(&content) {
             Ok(m) => m,
@@ -185,7 +276,7 @@ pub fn restore_backup(backup_id: &str) -> RestoreResult {
                 return RestoreResult {
                     success: false,
                     restored_path: None,
-                    error: Some(format!("Invalid metadata: {}", e)),
+                    error: Some(i18n::t("common.invalid_metadata", &[("error", &e)])),
                 }
             }
         },
@@ -193,22 +284,20 @@ pub fn restore_backup(backup_id: &str) -> RestoreResult {
             return RestoreResult {
                 success: false,
                 restored_path: None,
-                error: Some(format!("Could not read metadata: {}", e)),
+                error: Some(i18n::t("common.metadata_unreadable", &[("error", &e)])),
             }
         }
     };
 
     let original_path = PathBuf::from(&metadata.original_path);
 
-    // Ensure parent directory exists
-    if let Some(parent) = original_path.parent() {
-        if let Err(e) = fs::create_dir_all(parent) {
-            return RestoreResult {
-                success: false,
-                restored_path: None,
-                error: Some(format!("Could not create parent directory: {}", e)),
-            };
-        }
+    // Never delete or overwrite anything outside the Apps folder, whatever the metadata says
+    if let Err(e) = check_restore_target(&original_path) {
+        return RestoreResult {
+            success: false,
+            restored_path: None,
+            error: Some(e),
+        };
     }
 
     // Remove existing directory at original path if it exists
@@ -217,19 +306,21 @@ pub fn restore_backup(backup_id: &str) -> RestoreResult {
             return RestoreResult {
                 success: false,
                 restored_path: None,
-                error: Some(format!("Could not remove existing directory: {}", e)),
+                error: Some(i18n::t("backup.remove_existing_failed", &[("error", &e)])),
             };
         }
     }
 
-    // Copy backup to original location (excluding metadata file)
-    if let Err(e) =
-        copy_dir_recursive_filtered(&backup_path, &original_path, "_backup_metadata.json")
-    {
+    // Copy backup to original location (excluding metadata and manifest)
+    if let Err(e) = copy_dir_recursive_filtered(
+        &backup_path,
+        &original_path,
+        &[METADATA_FILE, manifest::MANIFEST_FILE],
+    ) {
         return RestoreResult {
             success: false,
             restored_path: None,
-            error: Some(format!("Failed to restore: {}", e)),
+            error: Some(i18n::t("backup.restore_failed", &[("error", &e)])),
         };
     }
 
@@ -240,10 +331,14 @@ pub fn restore_backup(backup_id: &str) -> RestoreResult {
     }
 }
 
-/// Copy directory recursively, excluding a specific file
-fn copy_dir_recursive_filtered(src: &Path, dst: &Path, exclude_file: &str) -> Result<(), String> {
+/// Copy directory recursively, excluding files with the given names
+fn copy_dir_recursive_filtered(
+    src: &Path,
+    dst: &Path,
+    exclude_files: &[&str],
+) -> Result<(), String> {
     if !src.is_dir() {
-        return Err("Source is not a directory".to_string());
+        return Err(i18n::t("backup.not_directory", &[]));
     }
 
     fs::create_dir_all(dst).map_err(|e| e.to_string())?;
@@ -251,10 +346,10 @@ fn copy_dir_recursive_filtered(src: &Path, dst: &Path, exclude_file: &str) -> Re
     for entry in WalkDir::new(src).into_iter().filter_map(|e| e.ok()) {
         let entry_path = entry.path();
 
-        // Skip the excluded file
+        // Skip the excluded files
         if entry_path
             .file_name()
-            .map(|n| n == exclude_file)
+            .map(|n| exclude_files.iter().any(|f| n == *f))
             .unwrap_or(false)
         {
             continue;
@@ -291,7 +386,7 @@ pub fn list_backups() -> Vec<BackupMetadata> {
         .filter_map(|e| e.ok())
         .filter(|e| e.path().is_dir())
         .filter_map(|e| {
-            let metadata_path = e.path().join("_backup_metadata.json");
+            let metadata_path = e.path().join(METADATA_FILE);
             fs::read_to_string(&metadata_path)
                 .ok()
                 .and_then(|c| serde_json::from_str(&c).ok())
@@ -306,29 +401,53 @@ pub fn list_backups() -> Vec<BackupMetadata> {
 /// Restore a specific backup
 #[tauri::command]
 pub fn restore_version_backup(backup_id: String) -> RestoreResult {
-    restore_backup(&backup_id)
+    let result = restore_backup(&backup_id);
+    let logs: Vec<String> = result
+        .restored_path
+        .iter()
+        .map(|p| i18n::ok("backup.restored_to", &[("path", p)]))
+        .collect();
+    journal::record(
+        "restore_backup",
+        serde_json::json!({ "backup_id": backup_id }),
+        result.success,
+        result.error.clone(),
+        &logs,
+    );
+    result
 }
 
 /// Delete a specific backup
 #[tauri::command]
 pub fn delete_backup(backup_id: String) -> BackupResult {
-    let backup_dir = match get_backup_dir() {
-        Some(d) => d,
-        None => {
+    let result = remove_backup(&backup_id);
+    journal::record(
+        "delete_backup",
+        serde_json::json!({ "backup_id": backup_id }),
+        result.success,
+        result.error.clone(),
+        &[],
+    );
+    result
+}
+
+/// Delete one backup folder (without journaling)
+pub fn remove_backup(backup_id: &str) -> BackupResult {
+    let backup_path = match manifest::backup_path(backup_id) {
+        Ok(p) => p,
+        Err(e) => {
             return BackupResult {
                 success: false,
                 backup_id: None,
-                error: Some("Could not determine backup directory".to_string()),
+                error: Some(e),
             }
         }
     };
-
-    let backup_path = backup_dir.join(&backup_id);
     if !backup_path.exists() {
         return BackupResult {
             success: false,
             backup_id: None,
-            error: Some(format!("Backup not found: {}", backup_id)),
+            error: Some(i18n::t("common.backup_not_found", &[("id", &backup_id)])),
         };
     }
 
@@ -336,13 +455,13 @@ pub fn delete_backup(backup_id: String) -> BackupResult {
         return BackupResult {
             success: false,
             backup_id: None,
-            error: Some(format!("Failed to delete backup: {}", e)),
+            error: Some(i18n::t("backup.delete_failed", &[("error", &e)])),
         };
     }
 
     BackupResult {
         success: true,
-        backup_id: Some(backup_id),
+        backup_id: Some(backup_id.to_string()),
         error: None,
     }
 }
@@ -361,13 +480,25 @@ pub fn get_backup_size() -> u64 {
 /// Clear all backups
 #[tauri::command]
 pub fn clear_all_backups() -> BackupResult {
+    let result = remove_all_backups();
+    journal::record(
+        "clear_backups",
+        serde_json::json!({}),
+        result.success,
+        result.error.clone(),
+        &[],
+    );
+    result
+}
+
+fn remove_all_backups() -> BackupResult {
     let backup_dir = match get_backup_dir() {
         Some(d) => d,
         None => {
             return BackupResult {
                 success: false,
                 backup_id: None,
-                error: Some("Could not determine backup directory".to_string()),
+                error: Some(i18n::t("common.no_backup_dir", &[])),
             }
         }
     };
@@ -384,7 +515,7 @@ pub fn clear_all_backups() -> BackupResult {
         return BackupResult {
             success: false,
             backup_id: None,
-            error: Some(format!("Failed to clear backups: {}", e)),
+            error: Some(i18n::t("backup.clear_failed", &[("error", &e)])),
         };
     }
 
@@ -394,3 +525,119 @@ pub fn clear_all_backups() -> BackupResult {
         error: None,
     }
 }
+
+/// Trim user text; blank means none
+fn non_empty(text: Option<String>) -> Option<String> {
+    text.map(|t| t.trim().to_string()).filter(|t| !t.is_empty())
+}
+
+/// Set the label and notes of a backup
+fn write_note(
+    backup_id: &str,
+    label: Option<String>,
+    notes: Option<String>,
+) -> Result<BackupMetadata, String> {
+    let metadata_path = manifest::backup_path(backup_id)?.join(METADATA_FILE);
+
+    let content = fs::read_to_string(&metadata_path)
+        .map_err(|_| i18n::t("common.backup_not_found", &[("id", &backup_id)]))?;
+    let mut metadata: BackupMetadata = serde_json::from_str(&content)
+        .map_err(|e| i18n::t("common.invalid_metadata", &[("error", &e)]))?;
+    metadata.label = non_empty(label);
+    metadata.notes = non_empty(notes);
+
+    let json = serde_json::to_string_pretty(&metadata).map_err(|e| e.to_string())?;
+    fs::write(&metadata_path, json)
+        .map_err(|e| i18n::t("backup.metadata_save_failed", &[("error", &e)]))?;
+    Ok(metadata)
+}
+
+/// Change the label and notes of a backup
+#[tauri::command]
+pub fn update_backup_note(
+    backup_id: String,
+    label: Option<String>,
+    notes: Option<String>,
+) -> Result<BackupMetadata, String> {
+    write_note(&backup_id, label, notes)
+}
+
+/// Result of "Back up now"
+#[derive(Serialize)]
+pub struct ManualBackupResult {
+    #[serde(flatten)]
+    pub result: BackupResult,
+    /// Ids of older backups the retention policy removed afterwards
+    pub pruned: Vec<String>,
+}
+
+/// Back up an installed version on demand, then apply the retention policy
+#[tauri::command]
+pub async fn backup_version_now(
+    version_path: String,
+    label: Option<String>,
+    notes: Option<String>,
+) -> ManualBackupResult {
+    let params = serde_json::json!({ "version_path": version_path, "label": label });
+    let (result, pruned, logs) = tauri::async_runtime::spawn_blocking(move || {
+        let path = PathBuf::from(&version_path);
+        if !path.is_dir() {
+            let result = BackupResult {
+                success: false,
+                backup_id: None,
+                error: Some(i18n::t(
+                    "backup.version_not_found",
+                    &[("path", &version_path)],
+                )),
+            };
+            return (result, vec![], vec![]);
+        }
+
+        let result = create_backup(&path, MANUAL_REASON);
+        let backup_id = match &result.backup_id {
+            Some(id) if result.success => id.clone(),
+            _ => return (result, vec![], vec![]),
+        };
+
+        let mut logs = vec![i18n::ok("backup.created", &[("id", &backup_id)])];
+        if let Err(e) = write_note(&backup_id, label, notes) {
+            logs.push(i18n::warn("backup.label_failed", &[("error", &e)]));
+        }
+        let (pruned, prune_logs) = retention::prune();
+        logs.extend(prune_logs);
+        (result, pruned, logs)
+    })
+    .await
+    .unwrap_or_else(|e| {
+        let result = BackupResult {
+            success: false,
+            backup_id: None,
+            error: Some(i18n::t("backup.task_failed", &[("error", &e)])),
+        };
+        (result, vec![], vec![])
+    });
+
+    journal::record(
+        "create_backup",
+        params,
+        result.success,
+        result.error.clone(),
+        &logs,
+    );
+    ManualBackupResult { result, pruned }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn rejects_ids_outside_the_backup_folder() {
+        for id in ["../../x", "..", "a/b", "a\\b", ".hidden", ""] {
+            let invalid = manifest::backup_path(id).unwrap_err();
+            assert_eq!(write_note(id, None, None).unwrap_err(), invalid);
+            assert_eq!(restore_backup(id).error, Some(invalid.clone()));
+            assert_eq!(remove_backup(id).error, Some(invalid));
+        }
+    }
+}
@@ -5,58 +5,151 @@ use std::fs;
 use std::path::{Path, PathBuf};
 use walkdir::WalkDir;
 
-/// Get cache directories for CapCut
-fn get_cache_dirs(capcut_root: &Path) -> Vec<PathBuf> {
-    let user_data = capcut_root.join("User Data");
-    vec![
-        user_data.join("Cache"),
-        user_data.join("Shadow_Cache"),
-        user_data.join("Smart_Crop"),
-    ]
+use super::i18n;
+use super::journal;
+use super::paths;
+use super::process;
+use super::progress::{self, ProgressReporter};
+
+/// A group of CapCut folders cleaned together
+struct CacheCategory {
+    /// Also names its label message, `cleaner.category.<id>`
+    id: &'static str,
+    /// Folders relative to the CapCut root
+    dirs: &'static [&'static str],
+    /// Cleaned by the lock wizard and counted by `calculate_cache_size`
+    default: bool,
+}
+
+const CATEGORIES: &[CacheCategory] = &[
+    CacheCategory {
+        id: "effects",
+        dirs: &["User Data/Cache", "User Data/Shadow_Cache"],
+        default: true,
+    },
+    CacheCategory {
+        id: "thumbnails",
+        dirs: &["User Data/Smart_Crop"],
+        default: true,
+    },
+    CacheCategory {
+        id: "logs",
+        dirs: &["User Data/Log"],
+        default: false,
+    },
+    CacheCategory {
+        id: "updates",
+        dirs: &["User Data/Download"],
+        default: false,
+    },
+];
+
+/// Files the cleaner never deletes (update.exe may be the protection blocker)
+const KEEP_FILES: &[&str] = &["update.exe"];
+
+/// Get the folders of a category under the CapCut root
+fn category_dirs(capcut_root: &Path, category: &CacheCategory) -> Vec<PathBuf> {
+    category
+        .dirs
+        .iter()
+        .map(|rel| {
+            rel.split('/')
+                .fold(capcut_root.to_path_buf(), |p, part| p.join(part))
+        })
+        .collect()
 }
 
-/// Calculate directory size
+/// Categories matching `ids`; None selects the default categories
+fn selected_categories(ids: Option<&[String]>) -> Vec<&'static CacheCategory> {
+    CATEGORIES
+        .iter()
+        .filter(|c| match ids {
+            Some(ids) => ids.iter().any(|id| id == c.id),
+            None => c.default,
+        })
+        .collect()
+}
+
+fn is_kept(path: &Path) -> bool {
+    path.file_name()
+        .map(|n| KEEP_FILES.iter().any(|k| n.eq_ignore_ascii_case(k)))
+        .unwrap_or(false)
+}
+
+/// Calculate directory size, excluding kept files at its top level
 fn calculate_dir_size(path: &Path) -> u64 {
     WalkDir::new(path)
         .into_iter()
         .filter_map(|e| e.ok())
         .filter(|e| e.file_type().is_file())
+        .filter(|e| !(e.depth() == 1 && is_kept(e.path())))
         .filter_map(|e| e.metadata().ok())
         .map(|m| m.len())
         .sum()
 }
 
-/// Unset readonly attribute recursively
-fn unset_readonly_recursive(path: &Path) -> Result<(), String> {
-    for entry in WalkDir::new(path).into_iter().filter_map(|e| e.ok()) {
-        let p = entry.path();
-        if let Ok(meta) = fs::metadata(p) {
-            let mut perms = meta.permissions();
-            if perms.readonly() {
-                perms.set_readonly(false);
-                fs::set_permissions(p, perms).ok();
-            }
-        }
-    }
-    Ok(())
+/// Existing folders of the given categories with their sizes in bytes
+fn dir_sizes(capcut_root: &Path, categories: &[&CacheCategory]) -> Vec<(PathBuf, u64)> {
+    categories
+        .iter()
+        .flat_map(|c| category_dirs(capcut_root, c))
+        .filter(|d| d.exists())
+        .map(|d| {
+            let size = calculate_dir_size(&d);
+            (d, size)
+        })
+        .collect()
 }
 
-/// Calculate total cache size in MB
+/// Calculate total cache size in MB (default categories)
 #[tauri::command]
 pub fn calculate_cache_size() -> f64 {
-    let capcut_root = match std::env::var("LOCALAPPDATA") {
-        Ok(p) => PathBuf::from(p).join("CapCut"),
-        Err(_) => return 0.0,
+    cache_size_bytes() as f64 / (1024.0 * 1024.0)
+}
+
+/// Size of one cleanup category
+#[derive(serde::Serialize)]
+pub struct CacheCategoryInfo {
+    pub id: String,
+    pub label: String,
+    pub size_bytes: u64,
+    pub paths: Vec<String>,
+    /// Part of the lock wizard's "Clean Temporary Files"
+    pub default: bool,
+}
+
+/// Break the cache size down by category
+#[tauri::command]
+pub fn get_cache_breakdown() -> Vec<CacheCategoryInfo> {
+    let capcut_root = match paths::get_capcut_root_path() {
+        Some(p) => p,
+        None => return vec![],
     };
 
-    let dirs = get_cache_dirs(&capcut_root);
-    let total_bytes: u64 = dirs
+    CATEGORIES
         .iter()
-        .filter(|d| d.exists())
-        .map(|d| calculate_dir_size(d))
-        .sum();
+        .map(|c| {
+            let sizes = dir_sizes(&capcut_root, &[c]);
+            CacheCategoryInfo {
+                id: c.id.to_string(),
+                label: i18n::t(&format!("cleaner.category.{}", c.id), &[]),
+                size_bytes: sizes.iter().map(|(_, size)| size).sum(),
+                paths: category_dirs(&capcut_root, c)
+                    .iter()
+                    .map(|d| d.to_string_lossy().to_string())
+                    .collect(),
+                default: c.default,
+            }
+        })
+        .collect()
+}
 
-    total_bytes as f64 / (1024.0 * 1024.0)
+/// Cleaning outcome of one category
+#[derive(serde::Serialize)]
+pub struct CategoryCleanResult {
+    pub id: String,
+    pub estimated_bytes: u64,
+    pub freed_bytes: u64,
 }
 
 /// Cache cleaning result
@@ -64,55 +157,145 @@ pub fn calculate_cache_size() -> f64 {
 pub struct CacheCleanResult {
     pub success: bool,
     pub cleaned_mb: f64,
+    pub estimated_bytes: u64,
+    pub freed_bytes: u64,
+    pub categories: Vec<CategoryCleanResult>,
     pub logs: Vec<String>,
 }
 
+/// Existing default cache directories with their sizes in bytes (empty if CapCut is not found)
+pub fn cache_dir_sizes() -> Vec<(PathBuf, u64)> {
+    match paths::get_capcut_root_path() {
+        Some(root) => dir_sizes(&root, &selected_categories(None)),
+        None => vec![],
+    }
+}
+
+/// Total default cache size in bytes (0 if CapCut is not found)
+pub fn cache_size_bytes() -> u64 {
+    cache_dir_sizes().iter().map(|(_, size)| size).sum()
+}
+
 /// Clean cache directories
+/// `categories` lists category ids; omitted means the lock wizard's defaults
 #[tauri::command]
-pub fn clean_cache() -> CacheCleanResult {
-    let capcut_root = match std::env::var("LOCALAPPDATA") {
-        Ok(p) => PathBuf::from(p).join("CapCut"),
-        Err(_) => {
-            return CacheCleanResult {
-                success: false,
-                cleaned_mb: 0.0,
-                logs: vec!["Failed to get LOCALAPPDATA".to_string()],
-            }
+pub fn clean_cache(categories: Option<Vec<String>>) -> CacheCleanResult {
+    let params = serde_json::json!({ "categories": categories });
+    let result = clean_selected(categories);
+    journal::record("clean_cache", params, result.success, None, &result.logs);
+    result
+}
+
+fn clean_selected(categories: Option<Vec<String>>) -> CacheCleanResult {
+    let mut reporter = ProgressReporter::silent();
+
+    if process::is_capcut_running() {
+        reporter.log(i18n::warn("cleaner.running", &[]));
+        return CacheCleanResult {
+            success: false,
+            cleaned_mb: 0.0,
+            estimated_bytes: 0,
+            freed_bytes: 0,
+            categories: vec![],
+            logs: reporter.into_logs(),
+        };
+    }
+
+    let results = clean_categories_reporting(categories.as_deref(), &mut reporter);
+    let success = results.is_some();
+    let results = results.unwrap_or_default();
+    let freed_bytes = results.iter().map(|r| r.freed_bytes).sum::<u64>();
+
+    CacheCleanResult {
+        success,
+        cleaned_mb: freed_bytes as f64 / (1024.0 * 1024.0),
+        estimated_bytes: results.iter().map(|r| r.estimated_bytes).sum(),
+        freed_bytes,
+        categories: results,
+        logs: reporter.into_logs(),
+    }
+}
+
+/// Clean the default cache directories, reporting each deleted file to `reporter`
+/// Returns (success, cleaned MB)
+pub fn clean_cache_reporting(reporter: &mut ProgressReporter) -> (bool, f64) {
+    match clean_categories_reporting(None, reporter) {
+        Some(results) => {
+            let freed: u64 = results.iter().map(|r| r.freed_bytes).sum();
+            (true, freed as f64 / (1024.0 * 1024.0))
+        }
+        None => (false, 0.0),
+    }
+}
+
+/// Clean the selected categories; None if CapCut could not be found
+fn clean_categories_reporting(
+    ids: Option<&[String]>,
+    reporter: &mut ProgressReporter,
+) -> Option<Vec<CategoryCleanResult>> {
+    let capcut_root = match paths::get_capcut_root_path() {
+        Some(p) => p,
+        None => {
+            reporter.log(i18n::t("cleaner.no_install", &[]));
+            return None;
         }
     };
 
-    let dirs = get_cache_dirs(&capcut_root);
-    let mut total_cleaned: u64 = 0;
-    let mut logs: Vec<String> = Vec::new();
-
-    for dir in dirs {
-        if dir.exists() {
-            let name = dir.file_name().unwrap_or_default().to_string_lossy();
-            let size = calculate_dir_size(&dir);
-            logs.push(format!(
-                "Cleaning: {} ({:.1} MB)",
-                name,
-                size as f64 / (1024.0 * 1024.0)
-            ));
+    let mut results = Vec::new();
 
-            if let Err(e) = unset_readonly_recursive(&dir) {
-                logs.push(format!("[!] Warning: {}", e));
-            }
+    for category in selected_categories(ids) {
+        let freed_before = reporter.bytes_freed();
+        let mut estimated_bytes = 0;
 
-            if let Err(e) = fs::remove_dir_all(&dir) {
-                logs.push(format!("[!] Failed to clean {}: {}", name, e));
-            } else {
-                total_cleaned += size;
+        for (dir, size) in dir_sizes(&capcut_root, &[category]) {
+            let name = dir
+                .file_name()
+                .unwrap_or_default()
+                .to_string_lossy()
+                .to_string();
+            estimated_bytes += size;
+            let mb = i18n::megabytes(size);
+            reporter.log(i18n::t(
+                "cleaner.cleaning",
+                &[("name", &name), ("size", &mb)],
+            ));
+
+            if let Err(e) = clean_dir(&dir, reporter) {
+                reporter.log(i18n::warn(
+                    "cleaner.failed",
+                    &[("name", &name), ("error", &e)],
+                ));
             }
         }
+
+        results.push(CategoryCleanResult {
+            id: category.id.to_string(),
+            estimated_bytes,
+            freed_bytes: reporter.bytes_freed() - freed_before,
+        });
     }
 
-    let cleaned_mb = total_cleaned as f64 / (1024.0 * 1024.0);
-    logs.push(format!("[OK] Cleaned {:.1} MB of cache", cleaned_mb));
+    let freed: u64 = results.iter().map(|r| r.freed_bytes).sum();
+    let freed = i18n::megabytes(freed);
+    reporter.log(i18n::ok("cleaner.cleaned", &[("size", &freed)]));
 
-    CacheCleanResult {
-        success: true,
-        cleaned_mb,
-        logs,
+    Some(results)
+}
+
+/// Delete a cache folder, keeping `KEEP_FILES` at its top level
+fn clean_dir(dir: &Path, reporter: &mut ProgressReporter) -> Result<(), String> {
+    if !KEEP_FILES.iter().any(|f| dir.join(f).exists()) {
+        return progress::remove_dir_reporting(dir, reporter).map(|_| ());
     }
+
+    let entries = fs::read_dir(dir).map_err(|e| e.to_string())?;
+    for entry in entries.filter_map(|e| e.ok()) {
+        let path = entry.path();
+        if path.is_dir() {
+            progress::remove_dir_reporting(&path, reporter)?;
+        } else if !is_kept(&path) {
+            progress::remove_file_reporting(&path, reporter)?;
+        }
+    }
+    Ok(())
 }
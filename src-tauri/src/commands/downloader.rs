@@ -0,0 +1,465 @@
+//! In-app downloads of legacy CapCut installers
+//! Each command call moves one chunk, so the frontend owns the queue and can pause between chunks.
+//! Partial downloads live next to the target as `<name>.part` and resume with HTTP Range requests.
+
+use sha2::{Digest, Sha256};
+use std::fs::{self, File};
+use std::io::Read;
+use std::path::{Path, PathBuf};
+use std::process::Command;
+use std::time::{Duration, Instant};
+use tauri::{AppHandle, Emitter};
+use tokio::io::AsyncWriteExt;
+
+use super::i18n;
+use super::journal;
+use super::scanner;
+use super::settings;
+
+/// Official CDN host; installers are only ever fetched from here (BR-001)
+const OFFICIAL_HOST: &str = "lf16-capcut.faceulv.com";
+
+/// Serve official CDN paths from another origin instead, e.g. `http://127.0.0.1:8787`
+/// (used with scripts/download-standin.mjs to test without hitting the CDN)
+const ORIGIN_OVERRIDE_ENV: &str = "CCVG_DOWNLOAD_ORIGIN";
+
+/// Bytes requested per `download_chunk` call; pausing takes effect between chunks
+const CHUNK_SIZE: u64 = 4 * 1024 * 1024;
+
+/// Minimum time between progress events while a chunk streams
+const EMIT_INTERVAL: Duration = Duration::from_millis(200);
+
+/// Give up when the server can't be reached in this time
+const CONNECT_TIMEOUT: Duration = Duration::from_secs(15);
+
+/// Give up when no data arrives for this long. There is no limit on the whole
+/// request: a server that ignores Range sends the entire installer in one response.
+const READ_TIMEOUT: Duration = Duration::from_secs(60);
+
+pub const DOWNLOAD_PROGRESS_EVENT: &str = "download-progress";
+
+/// Payload of a download progress event
+#[derive(Clone, serde::Serialize)]
+pub struct DownloadProgress {
+    /// Queue id chosen by the frontend
+    pub id: String,
+    pub done_bytes: u64,
+    pub total_bytes: Option<u64>,
+}
+
+// ============================================
+// Download Folder
+// ============================================
+
+/// Default download folder: Downloads\CC Version Guard
+fn default_download_dir() -> Option<PathBuf> {
+    std::env::var("USERPROFILE")
+        .ok()
+        .map(|p| PathBuf::from(p).join("Downloads").join("CC Version Guard"))
+}
+
+fn load_custom_download_dir() -> Option<String> {
+    settings::load().download_dir
+}
+
+/// Folder installers are downloaded to
+pub fn resolve_download_dir() -> Option<PathBuf> {
+    load_custom_download_dir()
+        .map(PathBuf::from)
+        .or_else(default_download_dir)
+}
+
+/// Download folder as shown in the Downloads view
+#[derive(serde::Serialize)]
+pub struct DownloadFolder {
+    pub path: Option<String>,
+    /// Chosen by the user (false = default folder)
+    pub custom: bool,
+}
+
+#[tauri::command]
+pub fn get_download_folder() -> DownloadFolder {
+    DownloadFolder {
+        path: resolve_download_dir().map(|p| p.to_string_lossy().to_string()),
+        custom: load_custom_download_dir().is_some(),
+    }
+}
+
+/// Save (Some) or forget (None) the download folder
+#[tauri::command]
+pub fn set_download_folder(path: Option<String>) -> Result<DownloadFolder, String> {
+    let path = path.map(|p| p.trim().to_string());
+    if let Some(path) = &path {
+        if !Path::new(path).is_dir() {
+            return Err(i18n::t("downloader.folder_not_found", &[("path", &path)]));
+        }
+    }
+
+    settings::update(|settings| {
+        settings.download_dir = path;
+        Ok(())
+    })?;
+    Ok(get_download_folder())
+}
+
+// ============================================
+// Sources and Targets
+// ============================================
+
+/// Check the URL points at the official CDN and apply the test origin override
+fn resolve_source_url(url: &str) -> Result<String, String> {
+    let parsed = reqwest::Url::parse(url)
+        .map_err(|e| i18n::t("downloader.invalid_url", &[("error", &e)]))?;
+    if parsed.scheme() != "https" || parsed.host_str() != Some(OFFICIAL_HOST) {
+        return Err(i18n::t(
+            "downloader.official_only",
+            &[("host", &OFFICIAL_HOST)],
+        ));
+    }
+
+    match std::env::var(ORIGIN_OVERRIDE_ENV) {
+        Ok(origin) if !origin.trim().is_empty() => Ok(format!(
+            "{}{}",
+            origin.trim().trim_end_matches('/'),
+            parsed.path()
+        )),
+        _ => Ok(url.to_string()),
+    }
+}
+
+/// Installer file name taken from the URL (e.g. CapCut_3_9_0_1459_capcutpc_0.exe)
+fn installer_file_name(url: &str) -> Result<String, String> {
+    let name = url
+        .split(['?', '#'])
+        .next()
+        .and_then(|u| u.rsplit('/').next())
+        .unwrap_or_default();
+
+    let safe = !name.is_empty()
+        && name
+            .chars()
+            .all(|c| c.is_ascii_alphanumeric() || matches!(c, '_' | '-' | '.'))
+        && !name.starts_with('.');
+    if !safe || !name.to_ascii_lowercase().ends_with(".exe") {
+        return Err(i18n::t("downloader.not_installer_url", &[("url", &url)]));
+    }
+    Ok(name.to_string())
+}
+
+/// Final and partial file paths for a download URL
+fn target_paths(url: &str) -> Result<(PathBuf, PathBuf), String> {
+    let name = installer_file_name(url)?;
+    let dir = resolve_download_dir().ok_or_else(|| i18n::t("downloader.no_dir", &[]))?;
+    Ok((dir.join(&name), dir.join(format!("{}.part", name))))
+}
+
+/// Parse `Content-Range: bytes start-end/total` into (start, total)
+fn parse_content_range(value: &str) -> Option<(u64, Option<u64>)> {
+    let range = value.trim().strip_prefix("bytes ")?;
+    let (span, total) = range.split_once('/')?;
+    let start = span.split_once('-')?.0.parse().ok()?;
+    Some((start, total.parse().ok()))
+}
+
+/// Make sure `path` is a file inside the download folder
+fn check_in_download_dir(path: &str) -> Result<PathBuf, String> {
+    let dir = resolve_download_dir().ok_or_else(|| i18n::t("downloader.no_dir", &[]))?;
+    let path = PathBuf::from(path);
+    let inside = match (fs::canonicalize(&dir), fs::canonicalize(&path)) {
+        (Ok(dir), Ok(file)) => file.starts_with(dir),
+        _ => false,
+    };
+    if !inside || !path.is_file() {
+        return Err(i18n::t(
+            "downloader.not_downloaded",
+            &[("path", &path.display())],
+        ));
+    }
+    Ok(path)
+}
+
+// ============================================
+// Commands
+// ============================================
+
+/// Outcome of one `download_chunk` call
+#[derive(serde::Serialize)]
+pub struct DownloadChunk {
+    pub done_bytes: u64,
+    /// None when the server does not report a size
+    pub total_bytes: Option<u64>,
+    pub complete: bool,
+    /// Installer path once complete
+    pub path: Option<String>,
+}
+
+/// Download the next chunk of an installer, resuming any partial file.
+/// Call repeatedly until `complete`; stop calling to pause.
+#[tauri::command]
+pub async fn download_chunk(
+    app: AppHandle,
+    id: String,
+    url: String,
+) -> Result<DownloadChunk, String> {
+    let source = resolve_source_url(&url)?;
+    let (target, part) = target_paths(&url)?;
+
+    // An installer the catalog can't verify would never be run, so it isn't fetched either
+    let name = installer_file_name(&url)?;
+    if scanner::catalog_sha256(&name).is_none() {
+        return Err(i18n::t("downloader.no_checksum", &[("name", &name)]));
+    }
+
+    // File work goes through tokio::fs so a slow disk doesn't hold up the async runtime
+    if let Ok(metadata) = tokio::fs::metadata(&target).await {
+        if metadata.is_file() {
+            return Ok(DownloadChunk {
+                done_bytes: metadata.len(),
+                total_bytes: Some(metadata.len()),
+                complete: true,
+                path: Some(target.to_string_lossy().to_string()),
+            });
+        }
+    }
+
+    if let Some(dir) = target.parent() {
+        tokio::fs::create_dir_all(dir)
+            .await
+            .map_err(|e| i18n::t("downloader.dir_failed", &[("error", &e)]))?;
+    }
+
+    let offset = tokio::fs::metadata(&part)
+        .await
+        .map(|m| m.len())
+        .unwrap_or(0);
+    let client = reqwest::Client::builder()
+        .connect_timeout(CONNECT_TIMEOUT)
+        .read_timeout(READ_TIMEOUT)
+        .build()
+        .map_err(|e| e.to_string())?;
+
+    let mut response = client
+        .get(&source)
+        .header(
+            reqwest::header::RANGE,
+            format!("bytes={}-{}", offset, offset + CHUNK_SIZE - 1),
+        )
+        .send()
+        .await
+        .map_err(|e| i18n::t("downloader.failed", &[("error", &e)]))?;
+
+    let content_range = response
+        .headers()
+        .get(reqwest::header::CONTENT_RANGE)
+        .and_then(|v| v.to_str().ok())
+        .map(str::to_string);
+
+    let (start, total) = match response.status() {
+        reqwest::StatusCode::PARTIAL_CONTENT => content_range
+            .as_deref()
+            .and_then(parse_content_range)
+            .ok_or_else(|| i18n::t("downloader.no_content_range", &[]))?,
+        // Server ignores Range: the whole file comes back in this call
+        reqwest::StatusCode::OK => (0, response.content_length()),
+        reqwest::StatusCode::RANGE_NOT_SATISFIABLE => {
+            // The partial file is at (or past) the end; start over if it is not complete
+            let total = content_range
+                .as_deref()
+                .and_then(|v| v.trim().strip_prefix("bytes */"))
+                .and_then(|t| t.parse::<u64>().ok());
+            if total == Some(offset) && offset > 0 {
+                tokio::fs::rename(&part, &target)
+                    .await
+                    .map_err(|e| e.to_string())?;
+                return Ok(DownloadChunk {
+                    done_bytes: offset,
+                    total_bytes: total,
+                    complete: true,
+                    path: Some(target.to_string_lossy().to_string()),
+                });
+            }
+            tokio::fs::remove_file(&part).await.ok();
+            return Err(i18n::t("downloader.partial_mismatch", &[]));
+        }
+        status => return Err(i18n::t("downloader.server_status", &[("status", &status)])),
+    };
+
+    if start != 0 && start != offset {
+        return Err(i18n::t(
+            "downloader.resume_mismatch",
+            &[("start", &start), ("offset", &offset)],
+        ));
+    }
+
+    let mut file = if start == 0 {
+        tokio::fs::File::create(&part).await
+    } else {
+        tokio::fs::OpenOptions::new().append(true).open(&part).await
+    }
+    .map_err(|e| {
+        i18n::t(
+            "common.write_failed",
+            &[("path", &part.display()), ("error", &e)],
+        )
+    })?;
+
+    let mut done = start;
+    let mut last_emit = Instant::now();
+
+    while let Some(bytes) = response
+        .chunk()
+        .await
+        .map_err(|e| i18n::t("downloader.interrupted", &[("error", &e)]))?
+    {
+        file.write_all(&bytes).await.map_err(|e| {
+            i18n::t(
+                "common.write_failed",
+                &[("path", &part.display()), ("error", &e)],
+            )
+        })?;
+        done += bytes.len() as u64;
+
+        if last_emit.elapsed() >= EMIT_INTERVAL {
+            last_emit = Instant::now();
+            let _ = app.emit(
+                DOWNLOAD_PROGRESS_EVENT,
+                DownloadProgress {
+                    id: id.clone(),
+                    done_bytes: done,
+                    total_bytes: total,
+                },
+            );
+        }
+    }
+    file.flush().await.map_err(|e| e.to_string())?;
+    drop(file);
+
+    let complete = match total {
+        Some(total) => done >= total,
+        // Unknown size only happens on a full (non-range) response, which we read to the end
+        None => start == 0,
+    };
+
+    if complete {
+        tokio::fs::rename(&part, &target)
+            .await
+            .map_err(|e| e.to_string())?;
+    }
+
+    Ok(DownloadChunk {
+        done_bytes: done,
+        total_bytes: total,
+        complete,
+        path: complete.then(|| target.to_string_lossy().to_string()),
+    })
+}
+
+/// Delete a download's partial and finished files
+#[tauri::command]
+pub fn discard_download(url: String) -> Result<(), String> {
+    let (target, part) = target_paths(&url)?;
+    for path in [part, target] {
+        if path.exists() {
+            fs::remove_file(&path).map_err(|e| format!("{}: {}", path.display(), e))?;
+        }
+    }
+    Ok(())
+}
+
+/// Checksum comparison for a finished installer
+#[derive(serde::Serialize)]
+pub struct DownloadVerification {
+    pub path: String,
+    pub sha256: String,
+    pub expected: String,
+    pub verified: bool,
+}
+
+/// Hash a downloaded installer and compare it with its catalog checksum.
+/// Fails when the catalog has none: an installer that can't be verified is never run.
+fn verify_installer(file: &Path) -> Result<DownloadVerification, String> {
+    let name = file
+        .file_name()
+        .map(|n| n.to_string_lossy().to_string())
+        .unwrap_or_default();
+    let expected = scanner::catalog_sha256(&name)
+        .ok_or_else(|| i18n::t("downloader.no_checksum", &[("name", &name)]))?;
+    let sha256 = sha256_file(file)?;
+
+    Ok(DownloadVerification {
+        verified: sha256 == expected,
+        path: file.to_string_lossy().to_string(),
+        sha256,
+        expected,
+    })
+}
+
+/// Hash a finished installer and compare it with the catalog checksum
+#[tauri::command]
+pub async fn verify_download(path: String) -> Result<DownloadVerification, String> {
+    tauri::async_runtime::spawn_blocking(move || verify_installer(&check_in_download_dir(&path)?))
+        .await
+        .map_err(|e| e.to_string())?
+}
+
+/// Hex SHA-256 of a file, read in chunks
+pub fn sha256_file(path: &Path) -> Result<String, String> {
+    let mut file = File::open(path).map_err(|e| format!("{}: {}", path.display(), e))?;
+    let mut hasher = Sha256::new();
+    let mut buf = vec![0u8; 64 * 1024];
+    loop {
+        let n = file.read(&mut buf).map_err(|e| e.to_string())?;
+        if n == 0 {
+            break;
+        }
+        hasher.update(&buf[..n]);
+    }
+    Ok(hasher
+        .finalize()
+        .iter()
+        .map(|b| format!("{:02x}", b))
+        .collect())
+}
+
+/// Run a downloaded installer and wait for it to exit
+/// Returns the installer's exit code (None if it was terminated)
+#[tauri::command]
+pub async fn run_installer(path: String) -> Result<Option<i32>, String> {
+    let params = serde_json::json!({ "path": path });
+    let result = tauri::async_runtime::spawn_blocking(move || {
+        let file = check_in_download_dir(&path)?;
+        let is_exe = file
+            .extension()
+            .map(|e| e.eq_ignore_ascii_case("exe"))
+            .unwrap_or(false);
+        if !is_exe {
+            return Err(i18n::t("downloader.not_installer", &[("path", &path)]));
+        }
+        // Checked again here, so nothing but a verified installer ever runs
+        if !verify_installer(&file)?.verified {
+            return Err(i18n::t("downloader.checksum_mismatch", &[]));
+        }
+
+        let status = Command::new(&file)
+            .status()
+            .map_err(|e| i18n::t("downloader.start_failed", &[("error", &e)]))?;
+        Ok(status.code())
+    })
+    .await
+    .map_err(|e| e.to_string())
+    .and_then(|r| r);
+
+    let logs = match &result {
+        Ok(Some(code)) => vec![i18n::t("downloader.exit_code", &[("code", code)])],
+        Ok(None) => vec![i18n::warn("downloader.terminated", &[])],
+        Err(_) => vec![],
+    };
+    journal::record(
+        "run_installer",
+        params,
+        result.is_ok(),
+        result.as_ref().err().cloned(),
+        &logs,
+    );
+    result
+}
@@ -0,0 +1,208 @@
+//! Localized backend messages
+//! Operation logs are shown live and kept in the history, so they follow the
+//! UI language. Catalogs (src-tauri/locales) use the same message syntax as
+//! the frontend's: "{name}" inserts a value and
+//! "{count, plural, =0 {…} one {# file} other {# files}}" picks a plural form.
+//! Keys a catalog lacks fall back to English.
+
+use serde_json::Value;
+use std::collections::HashMap;
+use std::fmt::Display;
+use std::sync::{OnceLock, RwLock};
+
+/// Supported languages: code, decimal separator and embedded catalog
+const LANGUAGES: [(&str, char, &str); 3] = [
+    ("en", '.', include_str!("../../locales/en.json")),
+    ("de", ',', include_str!("../../locales/de.json")),
+    ("es", ',', include_str!("../../locales/es.json")),
+];
+
+const FALLBACK: &str = "en";
+
+/// Language of new messages; the frontend sets it at startup and on every change
+static LOCALE: RwLock<&'static str> = RwLock::new(FALLBACK);
+
+static CATALOGS: OnceLock<HashMap<&'static str, HashMap<String, String>>> = OnceLock::new();
+
+/// A message argument: name and value
+pub type Arg<'a> = (&'a str, &'a dyn Display);
+
+fn catalogs() -> &'static HashMap<&'static str, HashMap<String, String>> {
+    CATALOGS.get_or_init(|| {
+        LANGUAGES
+            .iter()
+            .map(|(code, _, json)| {
+                let messages = match serde_json::from_str::<Value>(json) {
+                    Ok(Value::Object(map)) => map
+                        .into_iter()
+                        .filter_map(|(k, v)| v.as_str().map(|v| (k, v.to_string())))
+                        .collect(),
+                    _ => HashMap::new(),
+                };
+                (*code, messages)
+            })
+            .collect()
+    })
+}
+
+/// Supported language code matching `language`, if any
+pub fn supported(language: &str) -> Option<&'static str> {
+    LANGUAGES
+        .iter()
+        .map(|(code, _, _)| *code)
+        .find(|code| *code == language)
+}
+
+fn locale() -> &'static str {
+    *LOCALE.read().unwrap_or_else(|e| e.into_inner())
+}
+
+// ============================================
+// Messages
+// ============================================
+
+/// Translate a message
+pub fn t(key: &str, args: &[Arg]) -> String {
+    let catalogs = catalogs();
+    let message = catalogs
+        .get(locale())
+        .and_then(|c| c.get(key))
+        .or_else(|| catalogs.get(FALLBACK).and_then(|c| c.get(key)));
+    match message {
+        Some(message) => render(message, args, None),
+        None => key.to_string(),
+    }
+}
+
+/// Success log line ("[OK] …")
+pub fn ok(key: &str, args: &[Arg]) -> String {
+    format!("[OK] {}", t(key, args))
+}
+
+/// Warning log line ("[!] …")
+pub fn warn(key: &str, args: &[Arg]) -> String {
+    format!("[!] {}", t(key, args))
+}
+
+/// Size in MB with one decimal in the current language ("12.5 MB", "12,5 MB")
+pub fn megabytes(bytes: u64) -> String {
+    let separator = LANGUAGES
+        .iter()
+        .find(|(code, _, _)| *code == locale())
+        .map_or('.', |(_, separator, _)| *separator);
+    let mb = format!("{:.1}", bytes as f64 / (1024.0 * 1024.0));
+    format!("{} MB", mb.replace('.', &separator.to_string()))
+}
+
+/// Plural category of a count; "one" is exactly 1 in every supported language
+fn plural_category(count: i64) -> &'static str {
+    if count == 1 {
+        "one"
+    } else {
+        "other"
+    }
+}
+
+/// Index of the brace closing the one at `open`
+fn matching_brace(chars: &[char], open: usize) -> Option<usize> {
+    let mut depth = 0;
+    for (i, ch) in chars.iter().enumerate().skip(open) {
+        match ch {
+            '{' => depth += 1,
+            '}' => {
+                depth -= 1;
+                if depth == 0 {
+                    return Some(i);
+                }
+            }
+            _ => {}
+        }
+    }
+    None
+}
+
+/// Fill a message; `#` inside a plural branch is the count
+fn render(message: &str, args: &[Arg], count: Option<i64>) -> String {
+    let chars: Vec<char> = message.chars().collect();
+    let mut out = String::new();
+    let mut i = 0;
+
+    while i < chars.len() {
+        match chars[i] {
+            '{' => {
+                let Some(end) = matching_brace(&chars, i) else {
+                    out.extend(&chars[i..]);
+                    break;
+                };
+                let body: String = chars[i + 1..end].iter().collect();
+                out.push_str(&render_argument(&body, args));
+                i = end + 1;
+            }
+            '#' if count.is_some() => {
+                out.push_str(&count.unwrap_or_default().to_string());
+                i += 1;
+            }
+            ch => {
+                out.push(ch);
+                i += 1;
+            }
+        }
+    }
+    out
+}
+
+/// "name" or "count, plural, one {…} other {…}"
+fn render_argument(body: &str, args: &[Arg]) -> String {
+    let mut parts = body.splitn(3, ',');
+    let name = parts.next().unwrap_or_default().trim();
+    let value = args
+        .iter()
+        .find(|(n, _)| *n == name)
+        .map(|(_, v)| v.to_string());
+
+    let (Some("plural"), Some(options)) = (parts.next().map(str::trim), parts.next()) else {
+        return value.unwrap_or_else(|| format!("{{{}}}", body));
+    };
+
+    let count = value.and_then(|v| v.parse::<i64>().ok()).unwrap_or(0);
+    let branches = plural_branches(options);
+    let exact = format!("={}", count);
+    let branch = branches
+        .iter()
+        .find(|(selector, _)| *selector == exact)
+        .or_else(|| branches.iter().find(|(s, _)| s == plural_category(count)))
+        .or_else(|| branches.iter().find(|(s, _)| s == "other"));
+    branch
+        .map(|(_, text)| render(text, args, Some(count)))
+        .unwrap_or_default()
+}
+
+/// "=0 {…} one {…} other {…}" -> [(selector, text)]
+fn plural_branches(options: &str) -> Vec<(String, String)> {
+    let chars: Vec<char> = options.chars().collect();
+    let mut branches = Vec::new();
+    let mut i = 0;
+    while let Some(open) = chars[i..].iter().position(|c| *c == '{').map(|p| p + i) {
+        let Some(end) = matching_brace(&chars, open) else {
+            break;
+        };
+        let selector: String = chars[i..open].iter().collect();
+        let text: String = chars[open + 1..end].iter().collect();
+        branches.push((selector.trim().to_string(), text));
+        i = end + 1;
+    }
+    branches
+}
+
+// ============================================
+// Commands
+// ============================================
+
+/// Use a language for later log messages
+#[tauri::command]
+pub fn set_locale(locale: String) -> Result<(), String> {
+    let language = supported(&locale)
+        .ok_or_else(|| t("common.unsupported_language", &[("language", &locale)]))?;
+    *LOCALE.write().unwrap_or_else(|e| e.into_inner()) = language;
+    Ok(())
+}
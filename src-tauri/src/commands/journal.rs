@@ -0,0 +1,261 @@
+//! Operation journal
+//! Every state-changing command appends one entry to history.jsonl, so results
+//! and logs survive after the view that showed them is gone
+
+use serde::{Deserialize, Serialize};
+use std::fs::{self, OpenOptions};
+use std::io::Write;
+use std::path::{Path, PathBuf};
+use std::sync::atomic::{AtomicU32, Ordering};
+use std::sync::Mutex;
+use std::time::{SystemTime, UNIX_EPOCH};
+
+use super::i18n;
+
+/// Entries kept when the journal is compacted
+const MAX_ENTRIES: usize = 500;
+
+/// File size that triggers compaction down to `MAX_ENTRIES`
+const COMPACT_BYTES: u64 = 4 * 1024 * 1024;
+
+/// Serializes appends and compaction (commands run on several threads)
+static JOURNAL_LOCK: Mutex<()> = Mutex::new(());
+
+/// Disambiguates entries recorded in the same millisecond
+static SEQUENCE: AtomicU32 = AtomicU32::new(0);
+
+/// One recorded operation
+#[derive(Clone, Serialize, Deserialize)]
+pub struct JournalEntry {
+    pub id: String,
+    /// Unix time in milliseconds
+    pub timestamp: u64,
+    /// Operation key (e.g. "lock", "switch", "delete_backup")
+    pub action: String,
+    /// Arguments the command was called with
+    pub params: serde_json::Value,
+    pub success: bool,
+    pub error: Option<String>,
+    /// Backend log lines of the operation
+    pub logs: Vec<String>,
+    /// Protection run the operation created or undid (see transaction.rs)
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub transaction_id: Option<String>,
+}
+
+/// File holding the journal (one JSON entry per line)
+fn journal_file() -> Option<PathBuf> {
+    std::env::var("LOCALAPPDATA").ok().map(|p| {
+        PathBuf::from(p)
+            .join("CCVersionGuard")
+            .join("history.jsonl")
+    })
+}
+
+fn now_millis() -> u64 {
+    SystemTime::now()
+        .duration_since(UNIX_EPOCH)
+        .unwrap_or_default()
+        .as_millis() as u64
+}
+
+/// Append an operation to the journal and return its id
+///
+/// Best-effort: a journal that can't be written must never fail the
+/// operation itself, so errors are only reported on stderr.
+pub fn record(
+    action: &str,
+    params: serde_json::Value,
+    success: bool,
+    error: Option<String>,
+    logs: &[String],
+) -> String {
+    record_entry(action, params, success, error, logs, None)
+}
+
+/// Like `record`, linking the entry to a protection transaction
+pub fn record_transaction(
+    transaction_id: &str,
+    action: &str,
+    params: serde_json::Value,
+    success: bool,
+    error: Option<String>,
+    logs: &[String],
+) -> String {
+    let transaction_id = Some(transaction_id.to_string());
+    record_entry(action, params, success, error, logs, transaction_id)
+}
+
+fn record_entry(
+    action: &str,
+    params: serde_json::Value,
+    success: bool,
+    error: Option<String>,
+    logs: &[String],
+    transaction_id: Option<String>,
+) -> String {
+    let timestamp = now_millis();
+    let seq = SEQUENCE.fetch_add(1, Ordering::Relaxed) % 1000;
+    let entry = JournalEntry {
+        id: format!("{}-{:03}", timestamp, seq),
+        timestamp,
+        action: action.to_string(),
+        params,
+        success,
+        error,
+        logs: logs.to_vec(),
+        transaction_id,
+    };
+
+    if let Err(e) = append(&entry) {
+        eprintln!("Warning: Could not write operation journal: {}", e);
+    }
+    entry.id
+}
+
+fn append(entry: &JournalEntry) -> Result<(), String> {
+    let file = journal_file().ok_or_else(|| i18n::t("common.no_settings_dir", &[]))?;
+    let _guard = JOURNAL_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+
+    if let Some(dir) = file.parent() {
+        fs::create_dir_all(dir).map_err(|e| e.to_string())?;
+    }
+
+    let line = serde_json::to_string(entry).map_err(|e| e.to_string())?;
+    let mut handle = OpenOptions::new()
+        .create(true)
+        .append(true)
+        .open(&file)
+        .map_err(|e| e.to_string())?;
+    writeln!(handle, "{}", line).map_err(|e| e.to_string())?;
+    drop(handle);
+
+    if fs::metadata(&file).map(|m| m.len()).unwrap_or(0) > COMPACT_BYTES {
+        compact(&file)?;
+    }
+    Ok(())
+}
+
+/// Keep only the newest `MAX_ENTRIES` entries
+fn compact(file: &Path) -> Result<(), String> {
+    let content = fs::read_to_string(file).map_err(|e| e.to_string())?;
+    let lines: Vec<&str> = content.lines().filter(|l| !l.trim().is_empty()).collect();
+    let keep = &lines[lines.len().saturating_sub(MAX_ENTRIES)..];
+    fs::write(file, keep.join("\n") + "\n").map_err(|e| e.to_string())
+}
+
+/// All entries, oldest first; unreadable lines are skipped
+fn read_entries() -> Vec<JournalEntry> {
+    let content = match journal_file().and_then(|f| fs::read_to_string(f).ok()) {
+        Some(c) => c,
+        None => return vec![],
+    };
+
+    content
+        .lines()
+        .filter_map(|line| serde_json::from_str(line).ok())
+        .collect()
+}
+
+/// Get the operation history, newest first
+#[tauri::command]
+pub fn get_history() -> Vec<JournalEntry> {
+    let mut entries = read_entries();
+    entries.reverse();
+    entries
+}
+
+/// Delete the whole operation history
+#[tauri::command]
+pub fn clear_history() -> Result<(), String> {
+    let file = journal_file().ok_or_else(|| i18n::t("common.no_settings_dir", &[]))?;
+    let _guard = JOURNAL_LOCK.lock().unwrap_or_else(|e| e.into_inner());
+
+    match fs::remove_file(&file) {
+        Ok(()) => Ok(()),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(()),
+        Err(e) => Err(i18n::t("journal.clear_failed", &[("error", &e)])),
+    }
+}
+
+/// Export history entries to `path` as "json" or "csv"
+/// `ids` limits the export to those entries (the filtered view); None exports everything.
+/// Returns the number of entries written.
+#[tauri::command]
+pub fn export_history(
+    path: String,
+    format: String,
+    ids: Option<Vec<String>>,
+) -> Result<usize, String> {
+    let entries: Vec<JournalEntry> = get_history()
+        .into_iter()
+        .filter(|e| ids.as_ref().map_or(true, |ids| ids.contains(&e.id)))
+        .collect();
+
+    let content = match format.as_str() {
+        "json" => serde_json::to_string_pretty(&entries).map_err(|e| e.to_string())?,
+        "csv" => to_csv(&entries),
+        other => return Err(i18n::t("journal.unsupported_format", &[("format", &other)])),
+    };
+
+    fs::write(&path, content)
+        .map_err(|e| i18n::t("common.write_failed", &[("path", &path), ("error", &e)]))?;
+    Ok(entries.len())
+}
+
+/// CSV with one row per entry; logs are joined by newlines inside one field
+fn to_csv(entries: &[JournalEntry]) -> String {
+    let mut out = String::from("id,time,action,success,error,params,logs,transaction\r\n");
+    for e in entries {
+        let fields = [
+            e.id.clone(),
+            iso_time(e.timestamp),
+            e.action.clone(),
+            e.success.to_string(),
+            e.error.clone().unwrap_or_default(),
+            e.params.to_string(),
+            e.logs.join("\n"),
+            e.transaction_id.clone().unwrap_or_default(),
+        ];
+        let row: Vec<String> = fields.iter().map(|f| csv_field(f)).collect();
+        out.push_str(&row.join(","));
+        out.push_str("\r\n");
+    }
+    out
+}
+
+/// Quote a CSV field when it contains a delimiter, quote or line break
+fn csv_field(value: &str) -> String {
+    if value.contains([',', '"', '\n', '\r']) {
+        format!("\"{}\"", value.replace('"', "\"\""))
+    } else {
+        value.to_string()
+    }
+}
+
+/// Unix milliseconds as UTC "YYYY-MM-DDTHH:MM:SSZ"
+fn iso_time(millis: u64) -> String {
+    let secs = millis / 1000;
+    let (days, rem) = ((secs / 86_400) as i64, secs % 86_400);
+
+    // Civil date from days since 1970-01-01 (Howard Hinnant's algorithm)
+    let z = days + 719_468;
+    let era = z.div_euclid(146_097);
+    let doe = z - era * 146_097;
+    let yoe = (doe - doe / 1460 + doe / 36_524 - doe / 146_096) / 365;
+    let doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+    let mp = (5 * doy + 2) / 153;
+    let day = doy - (153 * mp + 2) / 5 + 1;
+    let month = if mp < 10 { mp + 3 } else { mp - 9 };
+    let year = yoe + era * 400 + (month <= 2) as i64;
+
+    format!(
+        "{:04}-{:02}-{:02}T{:02}:{:02}:{:02}Z",
+        year,
+        month,
+        day,
+        rem / 3600,
+        rem % 3600 / 60,
+        rem % 60
+    )
+}
@@ -0,0 +1,280 @@
+//! Backup integrity manifests
+//! Every backup stores the size and SHA-256 of each file it copied, so a backup
+//! that was partially copied or changed later is caught before it is restored
+
+use serde::{Deserialize, Serialize};
+use std::collections::BTreeMap;
+use std::fs;
+use std::path::{Path, PathBuf};
+use tauri::AppHandle;
+use walkdir::WalkDir;
+
+use super::backup;
+use super::downloader::sha256_file;
+use super::i18n;
+use super::progress::ProgressReporter;
+
+/// Manifest file inside each backup folder
+pub const MANIFEST_FILE: &str = "_backup_manifest.json";
+
+/// Bookkeeping files at the top of a backup folder that aren't part of the version
+const BOOKKEEPING: [&str; 2] = [backup::METADATA_FILE, MANIFEST_FILE];
+
+/// Event streamed while `verify_all_backups` runs
+pub const VERIFY_PROGRESS_EVENT: &str = "backup-verify-progress";
+
+/// One copied file
+#[derive(Clone, Debug, PartialEq, Serialize, Deserialize)]
+pub struct ManifestFile {
+    pub size: u64,
+    pub sha256: String,
+}
+
+/// Fingerprint of a backup's content
+#[derive(Clone, Debug, Default, Serialize, Deserialize)]
+pub struct Manifest {
+    /// Path relative to the backup folder ("/" separated) -> file
+    pub files: BTreeMap<String, ManifestFile>,
+}
+
+/// Outcome of checking one backup against its manifest
+#[derive(Clone, Debug, Serialize)]
+pub struct BackupVerification {
+    pub backup_id: String,
+    /// False for backups made before manifests were written; nothing can be checked
+    pub has_manifest: bool,
+    /// Files listed in the manifest
+    pub checked: usize,
+    pub missing: Vec<String>,
+    pub extra: Vec<String>,
+    pub modified: Vec<String>,
+    /// Set when the backup couldn't be read at all
+    pub error: Option<String>,
+}
+
+impl BackupVerification {
+    fn new(backup_id: &str) -> Self {
+        BackupVerification {
+            backup_id: backup_id.to_string(),
+            has_manifest: false,
+            checked: 0,
+            missing: vec![],
+            extra: vec![],
+            modified: vec![],
+            error: None,
+        }
+    }
+
+    /// Everything in the manifest is present and unchanged, and nothing was added
+    pub fn intact(&self) -> bool {
+        self.has_manifest
+            && self.error.is_none()
+            && self.missing.is_empty()
+            && self.extra.is_empty()
+            && self.modified.is_empty()
+    }
+
+    /// One log line summarizing the result
+    fn log_line(&self) -> String {
+        let id = &self.backup_id;
+        if let Some(e) = &self.error {
+            return i18n::warn("manifest.problem", &[("id", id), ("problem", e)]);
+        }
+        if !self.has_manifest {
+            return i18n::warn("manifest.no_manifest", &[("id", id)]);
+        }
+        if self.intact() {
+            return i18n::ok("manifest.intact", &[("id", id), ("count", &self.checked)]);
+        }
+        let counts: Vec<String> = [
+            (self.missing.len(), "manifest.count.missing"),
+            (self.extra.len(), "manifest.count.extra"),
+            (self.modified.len(), "manifest.count.modified"),
+        ]
+        .iter()
+        .filter(|(n, _)| *n > 0)
+        .map(|(n, key)| i18n::t(key, &[("count", n)]))
+        .collect();
+        let problem = counts.join(", ");
+        i18n::warn("manifest.problem", &[("id", id), ("problem", &problem)])
+    }
+}
+
+/// Manifest key of a file: its path below `root`, "/" separated
+pub fn relative_key(root: &Path, path: &Path) -> Result<String, String> {
+    let relative = path.strip_prefix(root).map_err(|e| e.to_string())?;
+    Ok(relative
+        .components()
+        .map(|c| c.as_os_str().to_string_lossy())
+        .collect::<Vec<_>>()
+        .join("/"))
+}
+
+impl Manifest {
+    /// Hash a file and add it under `key`
+    pub fn add(&mut self, key: String, path: &Path) -> Result<(), String> {
+        let size = fs::metadata(path)
+            .map_err(|e| format!("{}: {}", path.display(), e))?
+            .len();
+        let sha256 = sha256_file(path)?;
+        self.files.insert(key, ManifestFile { size, sha256 });
+        Ok(())
+    }
+
+    /// Manifest of a backup folder's current content (for backups made without one)
+    pub fn build(backup_path: &Path) -> Result<Self, String> {
+        let mut manifest = Manifest::default();
+        for (key, path) in backup_files(backup_path)? {
+            manifest.add(key, &path)?;
+        }
+        Ok(manifest)
+    }
+
+    /// Total size of the listed files
+    pub fn total_bytes(&self) -> u64 {
+        self.files.values().map(|f| f.size).sum()
+    }
+
+    pub fn save(&self, backup_path: &Path) -> Result<(), String> {
+        let json = serde_json::to_string_pretty(self).map_err(|e| e.to_string())?;
+        fs::write(backup_path.join(MANIFEST_FILE), json).map_err(|e| e.to_string())
+    }
+
+    /// Manifest of a backup; None when it has none
+    pub fn load(backup_path: &Path) -> Result<Option<Self>, String> {
+        let file = backup_path.join(MANIFEST_FILE);
+        if !file.exists() {
+            return Ok(None);
+        }
+        let content = fs::read_to_string(&file).map_err(|e| e.to_string())?;
+        serde_json::from_str(&content)
+            .map(Some)
+            .map_err(|e| i18n::t("manifest.invalid", &[("error", &e)]))
+    }
+}
+
+/// Files of a backup folder by manifest key, without the bookkeeping files
+fn backup_files(backup_path: &Path) -> Result<BTreeMap<String, PathBuf>, String> {
+    let mut files = BTreeMap::new();
+    for entry in WalkDir::new(backup_path) {
+        let entry = entry.map_err(|e| e.to_string())?;
+        if !entry.file_type().is_file() {
+            continue;
+        }
+        let key = relative_key(backup_path, entry.path())?;
+        if BOOKKEEPING.contains(&key.as_str()) {
+            continue;
+        }
+        files.insert(key, entry.into_path());
+    }
+    Ok(files)
+}
+
+/// Compare a backup folder with its manifest
+fn verify_path(
+    backup_id: &str,
+    backup_path: &Path,
+    reporter: &mut ProgressReporter,
+) -> BackupVerification {
+    let mut result = BackupVerification::new(backup_id);
+    if !backup_path.is_dir() {
+        result.error = Some(i18n::t("common.backup_not_found", &[("id", &backup_id)]));
+        return result;
+    }
+
+    let manifest = match Manifest::load(backup_path) {
+        Ok(Some(m)) => m,
+        Ok(None) => return result,
+        Err(e) => {
+            result.error = Some(e);
+            return result;
+        }
+    };
+    result.has_manifest = true;
+    result.checked = manifest.files.len();
+
+    let mut on_disk = match backup_files(backup_path) {
+        Ok(files) => files,
+        Err(e) => {
+            result.error = Some(e);
+            return result;
+        }
+    };
+
+    for (key, expected) in &manifest.files {
+        let path = match on_disk.remove(key) {
+            Some(p) => p,
+            None => {
+                result.missing.push(key.clone());
+                reporter.advance(expected.size);
+                continue;
+            }
+        };
+
+        // A size change is enough; only same-size files need hashing
+        let size = fs::metadata(&path).map(|m| m.len()).ok();
+        let unchanged = size == Some(expected.size)
+            && sha256_file(&path).map_or(false, |h| h == expected.sha256);
+        if !unchanged {
+            result.modified.push(key.clone());
+        }
+        reporter.advance(expected.size);
+    }
+
+    result.extra = on_disk.into_keys().collect();
+    result
+}
+
+/// Folder of a backup, rejecting ids that would point outside the backup folder
+pub fn backup_path(backup_id: &str) -> Result<PathBuf, String> {
+    if backup_id.is_empty() || backup_id.contains(['/', '\\']) || backup_id.starts_with('.') {
+        return Err(i18n::t("manifest.invalid_id", &[("id", &backup_id)]));
+    }
+    backup::get_backup_dir()
+        .map(|d| d.join(backup_id))
+        .ok_or_else(|| i18n::t("common.no_backup_dir", &[]))
+}
+
+/// Check one backup for missing, extra and modified files
+#[tauri::command]
+pub async fn verify_backup(backup_id: String) -> Result<BackupVerification, String> {
+    tauri::async_runtime::spawn_blocking(move || {
+        let path = backup_path(&backup_id)?;
+        Ok(verify_path(
+            &backup_id,
+            &path,
+            &mut ProgressReporter::silent(),
+        ))
+    })
+    .await
+    .map_err(|e| e.to_string())?
+}
+
+/// Check every backup, streaming `backup-verify-progress` events
+#[tauri::command]
+pub async fn verify_all_backups(app: AppHandle) -> Result<Vec<BackupVerification>, String> {
+    tauri::async_runtime::spawn_blocking(move || {
+        let backups = backup::list_backups();
+        let total: u64 = backups.iter().map(|b| b.size_bytes).sum();
+        let mut reporter = ProgressReporter::new(app, VERIFY_PROGRESS_EVENT, total);
+        reporter.step("verify");
+
+        let mut results = Vec::new();
+        for b in &backups {
+            let id = b.id();
+            reporter.log(i18n::t("manifest.verifying", &[("id", &id)]));
+            let result = match backup_path(&id) {
+                Ok(path) => verify_path(&id, &path, &mut reporter),
+                Err(e) => BackupVerification {
+                    error: Some(e),
+                    ..BackupVerification::new(&id)
+                },
+            };
+            reporter.log(result.log_line());
+            results.push(result);
+        }
+        Ok(results)
+    })
+    .await
+    .map_err(|e| e.to_string())?
+}
@@ -1,8 +1,22 @@
+pub mod archive;
 pub mod autostart;
 pub mod backup;
 pub mod cleaner;
+pub mod downloader;
+pub mod i18n;
+pub mod journal;
+pub mod manifest;
 pub mod paths;
+pub mod presets;
 pub mod process;
+pub mod progress;
 pub mod protector;
+pub mod retention;
 pub mod scanner;
+pub mod settings;
 pub mod switcher;
+pub mod transaction;
+pub mod version;
+
+#[cfg(test)]
+mod testing;
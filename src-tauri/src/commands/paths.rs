@@ -5,6 +5,9 @@ use std::path::PathBuf;
 use winreg::enums::*;
 use winreg::RegKey;
 
+use super::i18n;
+use super::settings;
+
 /// CapCut installation paths
 #[derive(Debug, Clone, serde::Serialize)]
 pub struct CapCutPaths {
@@ -81,11 +84,31 @@ fn get_default_path() -> Option<PathBuf> {
         .map(|p| PathBuf::from(p).join("CapCut"))
 }
 
+/// Custom CapCut path saved from Settings, if any (may no longer be valid)
+pub fn load_custom_path() -> Option<String> {
+    settings::load().capcut_path
+}
+
+/// Save (Some) or forget (None) the custom CapCut path
+fn save_custom_path(path: Option<&str>) -> Result<(), String> {
+    settings::update(|settings| {
+        settings.capcut_path = path.map(str::to_string);
+        Ok(())
+    })
+    .map(|_| ())
+}
+
 /// Resolve CapCut installation paths with fallback logic
-/// 1. Check Windows Registry for custom install paths
-/// 2. Fall back to default LOCALAPPDATA location
-/// 3. Return None if not found
+/// 1. Use the custom path saved in Settings, if it is still valid
+/// 2. Check Windows Registry for custom install paths
+/// 3. Fall back to default LOCALAPPDATA location
+/// 4. Return None if not found
 pub fn resolve_capcut_paths() -> Option<CapCutPaths> {
+    // A saved path wins; if its drive is gone, fall back to detection
+    if let Some(custom) = load_custom_path().and_then(|p| validate_custom_path(&p)) {
+        return Some(custom);
+    }
+
     // Try registry first
     if let Some(root) = find_from_registry() {
         let apps = if root.join("Apps").exists() {
@@ -169,3 +192,49 @@ pub fn get_path_info() -> Option<CapCutPaths> {
 pub fn validate_custom_capcut_path(path: String) -> Option<CapCutPaths> {
     validate_custom_path(&path)
 }
+
+/// Install location as shown in Settings
+#[derive(serde::Serialize)]
+pub struct InstallLocation {
+    /// Paths every operation currently uses
+    pub active: Option<CapCutPaths>,
+    /// Custom path saved in Settings (None = automatic detection)
+    pub custom_path: Option<String>,
+    /// Saved custom path no longer points at a CapCut install
+    pub custom_path_invalid: bool,
+}
+
+/// Get the active install location and any saved custom path
+#[tauri::command]
+pub fn get_install_location() -> InstallLocation {
+    let custom_path = load_custom_path();
+    let custom_path_invalid = custom_path
+        .as_deref()
+        .map(|p| validate_custom_path(p).is_none())
+        .unwrap_or(false);
+
+    InstallLocation {
+        active: resolve_capcut_paths(),
+        custom_path,
+        custom_path_invalid,
+    }
+}
+
+/// Validate and persist a custom CapCut path; every later scan, lock and switch uses it
+#[tauri::command]
+pub fn set_custom_capcut_path(path: String) -> Result<InstallLocation, String> {
+    let path = path.trim();
+    if validate_custom_path(path).is_none() {
+        return Err(i18n::t("paths.no_install_in", &[("path", &path)]));
+    }
+
+    save_custom_path(Some(path))?;
+    Ok(get_install_location())
+}
+
+/// Forget the custom path and go back to automatic detection
+#[tauri::command]
+pub fn clear_custom_capcut_path() -> Result<InstallLocation, String> {
+    save_custom_path(None)?;
+    Ok(get_install_location())
+}
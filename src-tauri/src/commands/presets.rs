@@ -0,0 +1,214 @@
+//! Protection presets
+//! Named sets of wizard options (cache cleaning, config lock, blockers and
+//! optionally the version to keep), one of which the wizard starts from
+
+use serde::{Deserialize, Serialize};
+
+use super::i18n;
+use super::settings;
+use super::version::Version;
+
+/// Longest preset name accepted
+const MAX_NAME_LEN: usize = 40;
+
+/// Ids of the built-in presets; the UI names them as `presets.builtin.<id>`
+const BUILT_IN: [&str; 2] = ["full_protection", "lock_only"];
+
+/// Options of one protection run
+#[derive(Clone, Debug, PartialEq, Serialize, Deserialize)]
+pub struct ProtectionPreset {
+    pub name: String,
+    pub clean_cache: bool,
+    pub lock_config: bool,
+    pub create_blockers: bool,
+    /// Version to keep ("5.2.0.1950", or "5.2.0" for its newest installed build);
+    /// None leaves the choice to the wizard
+    #[serde(default)]
+    pub keep_version: Option<String>,
+    /// Id of a built-in preset, named in the current language wherever it's shown;
+    /// None for presets the user named
+    #[serde(default)]
+    pub builtin: Option<String>,
+}
+
+/// All presets and the one the wizard preloads
+#[derive(Clone, Debug, Serialize, Deserialize)]
+pub struct PresetStore {
+    pub presets: Vec<ProtectionPreset>,
+    /// Name of the default preset; None starts from every option on
+    pub default: Option<String>,
+}
+
+/// The built-in presets keep a fixed name to be found by and carry the id the UI names them by
+impl Default for PresetStore {
+    fn default() -> Self {
+        let preset = |id: &str, name: &str, clean_cache: bool| ProtectionPreset {
+            name: name.to_string(),
+            clean_cache,
+            lock_config: true,
+            create_blockers: true,
+            keep_version: None,
+            builtin: Some(id.to_string()),
+        };
+        PresetStore {
+            presets: vec![
+                preset(BUILT_IN[0], "Full protection", true),
+                preset(BUILT_IN[1], "Lock only", false),
+            ],
+            default: Some("Full protection".to_string()),
+        }
+    }
+}
+
+impl PresetStore {
+    fn position(&self, name: &str) -> Option<usize> {
+        self.presets
+            .iter()
+            .position(|p| p.name.eq_ignore_ascii_case(name))
+    }
+
+    /// Check every preset, that names are unique and that the default exists
+    pub fn validate(self) -> Result<Self, String> {
+        let mut checked = PresetStore {
+            presets: Vec::with_capacity(self.presets.len()),
+            default: None,
+        };
+        for preset in self.presets {
+            let preset = normalize(preset)?;
+            if checked.position(&preset.name).is_some() {
+                return Err(i18n::t("presets.duplicate", &[("name", &preset.name)]));
+            }
+            checked.presets.push(preset);
+        }
+        if let Some(name) = self.default {
+            let i = checked
+                .position(&name)
+                .ok_or_else(|| i18n::t("presets.default_missing", &[("name", &name)]))?;
+            checked.default = Some(checked.presets[i].name.clone());
+        }
+        Ok(checked)
+    }
+}
+
+/// Trim a preset and check its name and version; an id this build doesn't know
+/// (from a newer one) leaves the preset under its saved name
+fn normalize(mut preset: ProtectionPreset) -> Result<ProtectionPreset, String> {
+    preset.builtin = preset.builtin.filter(|id| BUILT_IN.contains(&id.as_str()));
+    preset.name = preset.name.trim().to_string();
+    if preset.name.is_empty() {
+        return Err(i18n::t("presets.no_name", &[]));
+    }
+    if preset.name.chars().count() > MAX_NAME_LEN {
+        return Err(i18n::t(
+            "presets.name_too_long",
+            &[("count", &MAX_NAME_LEN)],
+        ));
+    }
+
+    preset.keep_version = preset
+        .keep_version
+        .map(|v| v.trim().to_string())
+        .filter(|v| !v.is_empty());
+    if let Some(v) = &preset.keep_version {
+        if Version::parse(v).is_none() {
+            return Err(i18n::t("presets.not_version", &[("version", &v)]));
+        }
+    }
+    Ok(preset)
+}
+
+/// All presets and the default
+#[tauri::command]
+pub fn get_presets() -> PresetStore {
+    settings::load().presets
+}
+
+/// Add a preset, or replace the one with the same name (case-insensitive)
+#[tauri::command]
+pub fn save_preset(preset: ProtectionPreset, make_default: bool) -> Result<PresetStore, String> {
+    let preset = normalize(preset)?;
+    let settings = settings::update(|settings| {
+        let store = &mut settings.presets;
+        if make_default {
+            store.default = Some(preset.name.clone());
+        }
+        match store.position(&preset.name) {
+            Some(i) => {
+                // Renaming by case keeps the default pointing at it
+                if store
+                    .default
+                    .as_deref()
+                    .map_or(false, |d| d.eq_ignore_ascii_case(&preset.name))
+                {
+                    store.default = Some(preset.name.clone());
+                }
+                store.presets[i] = preset;
+            }
+            None => store.presets.push(preset),
+        }
+        Ok(())
+    })?;
+    Ok(settings.presets)
+}
+
+/// Delete a preset; deleting the default leaves no default
+#[tauri::command]
+pub fn delete_preset(name: String) -> Result<PresetStore, String> {
+    let settings = settings::update(|settings| {
+        let store = &mut settings.presets;
+        let i = store
+            .position(&name)
+            .ok_or_else(|| i18n::t("presets.not_found", &[("name", &name)]))?;
+        store.presets.remove(i);
+        if store
+            .default
+            .as_deref()
+            .map_or(false, |d| d.eq_ignore_ascii_case(&name))
+        {
+            store.default = None;
+        }
+        Ok(())
+    })?;
+    Ok(settings.presets)
+}
+
+/// Choose the preset the wizard preloads (None for every option on)
+#[tauri::command]
+pub fn set_default_preset(name: Option<String>) -> Result<PresetStore, String> {
+    let settings = settings::update(|settings| {
+        let store = &mut settings.presets;
+        store.default = match name {
+            Some(name) => {
+                let i = store
+                    .position(&name)
+                    .ok_or_else(|| i18n::t("presets.not_found", &[("name", &name)]))?;
+                Some(store.presets[i].name.clone())
+            }
+            None => None,
+        };
+        Ok(())
+    })?;
+    Ok(settings.presets)
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn built_in_presets_keep_their_ids() {
+        let store = PresetStore::default().validate().unwrap();
+        let ids: Vec<_> = store.presets.iter().map(|p| p.builtin.as_deref()).collect();
+        assert_eq!(ids, [Some("full_protection"), Some("lock_only")]);
+        assert_eq!(store.default.as_deref(), Some("Full protection"));
+    }
+
+    #[test]
+    fn unknown_built_in_ids_are_dropped() {
+        let mut preset = PresetStore::default().presets.remove(0);
+        preset.builtin = Some("from_a_newer_build".to_string());
+        let preset = normalize(preset).unwrap();
+        assert_eq!(preset.builtin, None);
+        assert_eq!(preset.name, "Full protection");
+    }
+}
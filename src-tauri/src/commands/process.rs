@@ -1,10 +1,13 @@
 //! Process detection functionality
 //! Migrated from original eframe/egui main.rs
 
+use std::path::Path;
 use std::process::Command;
 use sysinfo::System;
 
+use super::i18n;
 use super::paths;
+use super::version;
 
 /// Check if CapCut is currently running
 #[tauri::command]
@@ -30,9 +33,7 @@ pub struct PreCheckResult {
 /// Perform system pre-check
 #[tauri::command]
 pub fn perform_precheck() -> PreCheckResult {
-    let apps_path = std::env::var("LOCALAPPDATA")
-        .ok()
-        .map(|p| std::path::PathBuf::from(p).join("CapCut").join("Apps"));
+    let apps_path = paths::get_capcut_apps_path();
 
     let capcut_found = apps_path.as_ref().map(|p| p.exists()).unwrap_or(false);
     let capcut_running = is_capcut_running();
@@ -51,16 +52,42 @@ pub struct LaunchResult {
     pub error: Option<String>,
 }
 
+/// Start a CapCut.exe without waiting for it
+fn spawn_capcut(exe_path: &Path) -> LaunchResult {
+    match Command::new(exe_path).spawn() {
+        Ok(_) => LaunchResult {
+            success: true,
+            error: None,
+        },
+        Err(e) => LaunchResult {
+            success: false,
+            error: Some(i18n::t("process.launch_failed", &[("error", &e)])),
+        },
+    }
+}
+
 /// Launch CapCut application
+/// `version_path` picks a specific version folder; otherwise the latest one is started
 #[tauri::command]
-pub fn launch_capcut() -> LaunchResult {
+pub fn launch_capcut(version_path: Option<String>) -> LaunchResult {
+    if let Some(version_path) = version_path {
+        let exe_path = Path::new(&version_path).join("CapCut.exe");
+        if !exe_path.exists() {
+            return LaunchResult {
+                success: false,
+                error: Some(i18n::t("process.exe_missing", &[("path", &version_path)])),
+            };
+        }
+        return spawn_capcut(&exe_path);
+    }
+
     // Find CapCut executable
     let apps_path = match paths::get_capcut_apps_path() {
         Some(p) if p.exists() => p,
         _ => {
             return LaunchResult {
                 success: false,
-                error: Some("CapCut installation not found".to_string()),
+                error: Some(i18n::t("process.no_install", &[])),
             }
         }
     };
@@ -76,30 +103,22 @@ pub fn launch_capcut() -> LaunchResult {
 
     // Sort to get the latest version
     let mut version_paths: Vec<_> = versions.iter().map(|e| e.path()).collect();
-    version_paths.sort_by(|a, b| b.file_name().cmp(&a.file_name()));
+    version_paths.sort_by(|a, b| {
+        version::compare_names(
+            &b.file_name().unwrap_or_default().to_string_lossy(),
+            &a.file_name().unwrap_or_default().to_string_lossy(),
+        )
+    });
 
     for version_path in version_paths {
         let exe_path = version_path.join("CapCut.exe");
         if exe_path.exists() {
-            match Command::new(&exe_path).spawn() {
-                Ok(_) => {
-                    return LaunchResult {
-                        success: true,
-                        error: None,
-                    }
-                }
-                Err(e) => {
-                    return LaunchResult {
-                        success: false,
-                        error: Some(format!("Failed to launch: {}", e)),
-                    }
-                }
-            }
+            return spawn_capcut(&exe_path);
         }
     }
 
     LaunchResult {
         success: false,
-        error: Some("CapCut.exe not found in any version".to_string()),
+        error: Some(i18n::t("process.no_exe", &[])),
     }
 }
@@ -0,0 +1,193 @@
+//! Progress reporting for long-running operations
+//! Collects log lines and streams step-level progress events to the frontend
+
+use std::fs;
+use std::path::Path;
+use std::time::{Duration, Instant};
+use tauri::{AppHandle, Emitter};
+use walkdir::WalkDir;
+
+/// Minimum time between byte-progress events (log lines are always sent)
+const EMIT_INTERVAL: Duration = Duration::from_millis(100);
+
+/// Work units charged for steps that don't move bytes (config lock, blockers)
+pub const STEP_WEIGHT: u64 = 1024 * 1024;
+
+/// Payload of a progress event
+#[derive(Clone, serde::Serialize)]
+pub struct ProgressEvent {
+    /// Step id (e.g. "backup", "delete", "clean_cache", "lock_config", "create_blockers")
+    pub step: String,
+    /// New log line, if this event carries one
+    pub message: Option<String>,
+    pub done_bytes: u64,
+    pub total_bytes: u64,
+    pub bytes_freed: u64,
+    pub percent: f64,
+    /// Estimated seconds remaining, once enough work is done to tell
+    pub eta_secs: Option<f64>,
+}
+
+/// Tracks progress of one operation and emits it on `event`
+pub struct ProgressReporter {
+    app: Option<AppHandle>,
+    event: &'static str,
+    step: String,
+    logs: Vec<String>,
+    done_bytes: u64,
+    total_bytes: u64,
+    bytes_freed: u64,
+    started: Instant,
+    last_emit: Instant,
+}
+
+impl ProgressReporter {
+    /// Reporter that emits `event` to the frontend
+    pub fn new(app: AppHandle, event: &'static str, total_bytes: u64) -> Self {
+        let mut reporter = Self::silent();
+        reporter.app = Some(app);
+        reporter.event = event;
+        reporter.total_bytes = total_bytes;
+        reporter
+    }
+
+    /// Reporter that only collects logs (for callers without an AppHandle)
+    pub fn silent() -> Self {
+        let now = Instant::now();
+        ProgressReporter {
+            app: None,
+            event: "",
+            step: String::new(),
+            logs: Vec::new(),
+            done_bytes: 0,
+            total_bytes: 0,
+            bytes_freed: 0,
+            started: now,
+            last_emit: now,
+        }
+    }
+
+    /// Change the total once it is known (e.g. after reading an archive's manifest)
+    pub fn set_total(&mut self, total_bytes: u64) {
+        self.total_bytes = total_bytes;
+    }
+
+    /// Start a new step
+    pub fn step(&mut self, step: &str) {
+        self.step = step.to_string();
+    }
+
+    /// Record a log line and send it immediately
+    pub fn log(&mut self, line: impl Into<String>) {
+        let line = line.into();
+        self.logs.push(line.clone());
+        self.emit(Some(line));
+    }
+
+    /// Mark bytes of work as done (throttled)
+    pub fn advance(&mut self, bytes: u64) {
+        self.done_bytes += bytes;
+        if self.last_emit.elapsed() >= EMIT_INTERVAL {
+            self.emit(None);
+        }
+    }
+
+    /// Record bytes removed from disk
+    pub fn freed(&mut self, bytes: u64) {
+        self.bytes_freed += bytes;
+    }
+
+    pub fn bytes_freed(&self) -> u64 {
+        self.bytes_freed
+    }
+
+    pub fn into_logs(self) -> Vec<String> {
+        self.logs
+    }
+
+    fn percent(&self) -> f64 {
+        if self.total_bytes == 0 {
+            return 0.0;
+        }
+        (self.done_bytes as f64 / self.total_bytes as f64 * 100.0).min(100.0)
+    }
+
+    fn eta_secs(&self) -> Option<f64> {
+        let elapsed = self.started.elapsed().as_secs_f64();
+        // Too early for a meaningful rate
+        if self.done_bytes == 0 || elapsed < 0.5 {
+            return None;
+        }
+        let rate = self.done_bytes as f64 / elapsed;
+        Some(self.total_bytes.saturating_sub(self.done_bytes) as f64 / rate)
+    }
+
+    fn emit(&mut self, message: Option<String>) {
+        self.last_emit = Instant::now();
+        let app = match &self.app {
+            Some(app) => app,
+            None => return,
+        };
+
+        let payload = ProgressEvent {
+            step: self.step.clone(),
+            message,
+            done_bytes: self.done_bytes,
+            total_bytes: self.total_bytes,
+            bytes_freed: self.bytes_freed,
+            percent: self.percent(),
+            eta_secs: self.eta_secs(),
+        };
+        // Progress is best-effort; a closed window must not fail the operation
+        let _ = app.emit(self.event, payload);
+    }
+}
+
+/// Total size of all files under a directory (used to size the work up front)
+pub fn dir_size(path: &Path) -> u64 {
+    WalkDir::new(path)
+        .into_iter()
+        .filter_map(|e| e.ok())
+        .filter(|e| e.file_type().is_file())
+        .filter_map(|e| e.metadata().ok())
+        .map(|m| m.len())
+        .sum()
+}
+
+/// Clear the readonly attribute so the entry can be deleted
+fn make_writable(path: &Path, meta: &fs::Metadata) {
+    let mut perms = meta.permissions();
+    if perms.readonly() {
+        perms.set_readonly(false);
+        fs::set_permissions(path, perms).ok();
+    }
+}
+
+/// Delete one file, reporting its size as freed
+pub fn remove_file_reporting(path: &Path, reporter: &mut ProgressReporter) -> Result<u64, String> {
+    let meta = fs::metadata(path).map_err(|e| format!("{}: {}", path.display(), e))?;
+    make_writable(path, &meta);
+    fs::remove_file(path).map_err(|e| format!("{}: {}", path.display(), e))?;
+
+    reporter.freed(meta.len());
+    reporter.advance(meta.len());
+    Ok(meta.len())
+}
+
+/// Delete a directory file by file, reporting bytes as they are removed
+pub fn remove_dir_reporting(path: &Path, reporter: &mut ProgressReporter) -> Result<u64, String> {
+    let mut removed: u64 = 0;
+
+    for entry in WalkDir::new(path).into_iter().filter_map(|e| e.ok()) {
+        let p = entry.path();
+        if entry.file_type().is_file() {
+            removed += remove_file_reporting(p, reporter)?;
+        } else if let Ok(meta) = fs::metadata(p) {
+            make_writable(p, &meta);
+        }
+    }
+
+    // Only empty folders are left
+    fs::remove_dir_all(path).map_err(|e| e.to_string())?;
+    Ok(removed)
+}
@@ -4,9 +4,16 @@
 use std::fs;
 use std::path::{Path, PathBuf};
 use std::process::Command;
+use tauri::AppHandle;
 use walkdir::WalkDir;
 
+use super::i18n;
+use super::journal;
+use super::manifest;
 use super::paths;
+use super::progress::{self, ProgressReporter, STEP_WEIGHT};
+use super::retention;
+use super::transaction::{newer_lock_pending, DeletedVersion, ProtectionTransaction};
 
 /// Unset readonly attribute recursively
 fn unset_readonly_recursive(path: &Path) -> Result<(), String> {
@@ -71,17 +78,37 @@ fn lock_configuration(apps_path: &Path) -> Result<(), String> {
     Ok(())
 }
 
-/// Create dummy lock files
-fn create_dummy_files(capcut_path: &Path, apps_path: &Path) -> Result<(), String> {
-    let pinfo = apps_path.join("ProductInfo.xml");
-    create_readonly(&pinfo)?;
+/// Path of the ProductInfo.xml blocker
+fn product_info_path(apps_path: &Path) -> PathBuf {
+    apps_path.join("ProductInfo.xml")
+}
+
+/// Path of the update.exe blocker
+fn update_blocker_path(capcut_path: &Path) -> PathBuf {
+    capcut_path
+        .join("User Data")
+        .join("Download")
+        .join("update.exe")
+}
 
-    let download_dir = capcut_path.join("User Data").join("Download");
-    fs::create_dir_all(&download_dir).map_err(|e| e.to_string())?;
+/// Replace ProductInfo.xml with an empty readonly file
+fn create_product_info_blocker(apps_path: &Path) -> Result<(), String> {
+    create_readonly(&product_info_path(apps_path))
+}
 
-    let update_exe = download_dir.join("update.exe");
-    create_readonly(&update_exe)?;
+/// Replace update.exe with an empty readonly file
+fn create_update_blocker(capcut_path: &Path) -> Result<(), String> {
+    let update_exe = update_blocker_path(capcut_path);
+    if let Some(download_dir) = update_exe.parent() {
+        fs::create_dir_all(download_dir).map_err(|e| e.to_string())?;
+    }
+    create_readonly(&update_exe)
+}
 
+/// Create dummy lock files
+fn create_dummy_files(capcut_path: &Path, apps_path: &Path) -> Result<(), String> {
+    create_product_info_blocker(apps_path)?;
+    create_update_blocker(capcut_path)?;
     Ok(())
 }
 
@@ -93,72 +120,114 @@ pub struct ProtectionResult {
     pub logs: Vec<String>,
 }
 
+impl ProtectionResult {
+    /// Record this result in the operation journal
+    fn journaled(self, action: &str, params: serde_json::Value) -> Self {
+        self.journaled_in(None, action, params)
+    }
+
+    /// Record this result in the journal, linked to a protection transaction
+    fn journaled_in(
+        self,
+        transaction_id: Option<&str>,
+        action: &str,
+        params: serde_json::Value,
+    ) -> Self {
+        let (success, error) = (self.success, self.error.clone());
+        match transaction_id {
+            Some(id) => journal::record_transaction(id, action, params, success, error, &self.logs),
+            None => journal::record(action, params, success, error, &self.logs),
+        };
+        self
+    }
+}
+
 /// Delete specified version directories (with automatic backup)
 #[tauri::command]
 pub fn delete_versions(paths: Vec<String>) -> ProtectionResult {
-    use super::backup;
+    let mut reporter = ProgressReporter::silent();
+    let result = delete_versions_reporting(&paths, &mut reporter, &mut Vec::new());
 
-    let mut logs: Vec<String> = Vec::new();
+    ProtectionResult {
+        success: result.is_ok(),
+        error: result.err(),
+        logs: reporter.into_logs(),
+    }
+    .journaled("delete_versions", serde_json::json!({ "paths": paths }))
+}
+
+/// Back up and delete version directories, reporting copied and deleted bytes
+/// Each version is added to `deleted` before its folder is touched.
+fn delete_versions_reporting(
+    paths: &[String],
+    reporter: &mut ProgressReporter,
+    deleted: &mut Vec<DeletedVersion>,
+) -> Result<(), String> {
+    use super::backup;
 
-    for path_str in &paths {
+    for path_str in paths {
         let path = PathBuf::from(path_str);
         let name = path.file_name().unwrap_or_default().to_string_lossy();
 
         // Create backup before deletion
-        logs.push(format!("Backing up: {}", name));
-        let backup_result = backup::create_backup(&path, "Version deleted during protection");
+        reporter.step("backup");
+        reporter.log(i18n::t("protector.backing_up", &[("name", &name)]));
+        let backup_result = backup::create_backup_reporting(
+            &path,
+            "Version deleted during protection",
+            &mut |bytes| reporter.advance(bytes),
+        );
 
         if backup_result.success {
             if let Some(backup_id) = &backup_result.backup_id {
-                logs.push(format!("[OK] Backup created: {}", backup_id));
+                reporter.log(i18n::ok("backup.created", &[("id", backup_id)]));
             }
         } else {
             // Backup failed - warn but continue (user confirmed deletion)
-            logs.push(format!(
-                "[!] Backup failed: {}",
-                backup_result.error.unwrap_or_default()
-            ));
-            logs.push("[!] Proceeding with deletion (backup unavailable)".to_string());
+            let error = backup_result.error.clone().unwrap_or_default();
+            reporter.log(i18n::warn("protector.backup_failed", &[("error", &error)]));
+            reporter.log(i18n::warn("protector.proceeding", &[]));
         }
+        deleted.push(DeletedVersion {
+            name: name.to_string(),
+            original_path: path_str.clone(),
+            backup_id: backup_result.backup_id,
+        });
 
-        logs.push(format!("Deleting: {}", name));
-
-        if let Err(e) = unset_readonly_recursive(&path) {
-            logs.push(format!("[!] Warning: {}", e));
-        }
+        reporter.step("delete");
+        reporter.log(i18n::t("protector.deleting", &[("name", &name)]));
 
-        if let Err(e) = fs::remove_dir_all(&path) {
-            return ProtectionResult {
-                success: false,
-                error: Some(format!("Failed to delete {}: {}", name, e)),
-                logs,
-            };
+        if let Err(e) = progress::remove_dir_reporting(&path, reporter) {
+            return Err(i18n::t(
+                "protector.delete_failed",
+                &[("name", &name), ("error", &e.to_string())],
+            ));
         }
     }
 
     if paths.is_empty() {
-        logs.push("[OK] No versions to delete".to_string());
+        reporter.log(i18n::ok("protector.no_versions", &[]));
     } else {
-        logs.push(format!("[OK] Deleted {} version(s)", paths.len()));
-        logs.push("[OK] Backups available for recovery".to_string());
+        reporter.log(i18n::ok("protector.deleted", &[("count", &paths.len())]));
+        reporter.log(i18n::ok("protector.backups_available", &[]));
     }
 
-    ProtectionResult {
-        success: true,
-        error: None,
-        logs,
-    }
+    Ok(())
 }
 
 /// Apply protection (lock config + create locks)
 #[tauri::command]
 pub fn apply_protection() -> ProtectionResult {
+    apply_all_protection().journaled("apply_protection", serde_json::json!({}))
+}
+
+fn apply_all_protection() -> ProtectionResult {
     let capcut_paths = match paths::resolve_capcut_paths() {
         Some(p) => p,
         None => {
             return ProtectionResult {
                 success: false,
-                error: Some("Could not find CapCut installation".to_string()),
+                error: Some(i18n::t("protector.no_install", &[])),
                 logs: vec![],
             }
         }
@@ -169,7 +238,7 @@ pub fn apply_protection() -> ProtectionResult {
     let mut logs: Vec<String> = Vec::new();
 
     // Lock configuration
-    logs.push("Modifying config...".to_string());
+    logs.push(i18n::t("protector.modifying_config", &[]));
     if let Err(e) = lock_configuration(&apps_path) {
         return ProtectionResult {
             success: false,
@@ -177,10 +246,10 @@ pub fn apply_protection() -> ProtectionResult {
             logs,
         };
     }
-    logs.push("[OK] Configuration locked".to_string());
+    logs.push(i18n::ok("protector.config_locked", &[]));
 
     // Create locks
-    logs.push("Creating locks...".to_string());
+    logs.push(i18n::t("protector.creating_locks", &[]));
     if let Err(e) = create_dummy_files(&capcut_root, &apps_path) {
         return ProtectionResult {
             success: false,
@@ -188,7 +257,7 @@ pub fn apply_protection() -> ProtectionResult {
             logs,
         };
     }
-    logs.push("[OK] Version lock active".to_string());
+    logs.push(i18n::ok("protector.lock_active", &[]));
 
     ProtectionResult {
         success: true,
@@ -198,61 +267,44 @@ pub fn apply_protection() -> ProtectionResult {
 }
 
 /// Apply protection with specific options
-pub fn apply_protection_with_options(lock_config: bool, create_blockers: bool) -> ProtectionResult {
-    let capcut_paths = match paths::resolve_capcut_paths() {
-        Some(p) => p,
-        None => {
-            return ProtectionResult {
-                success: false,
-                error: Some("Could not find CapCut installation".to_string()),
-                logs: vec![],
-            }
-        }
-    };
+fn apply_protection_with_options(
+    lock_config: bool,
+    create_blockers: bool,
+    reporter: &mut ProgressReporter,
+) -> Result<(), String> {
+    let capcut_paths =
+        paths::resolve_capcut_paths().ok_or_else(|| i18n::t("protector.no_install", &[]))?;
 
     let apps_path = capcut_paths.apps;
     let capcut_root = capcut_paths.root;
-    let mut logs: Vec<String> = Vec::new();
 
     // Lock configuration if enabled
+    reporter.step("lock_config");
     if lock_config {
-        logs.push("Modifying config...".to_string());
-        if let Err(e) = lock_configuration(&apps_path) {
-            return ProtectionResult {
-                success: false,
-                error: Some(e),
-                logs,
-            };
-        }
-        logs.push("[OK] Configuration locked".to_string());
+        reporter.log(i18n::t("protector.modifying_config", &[]));
+        lock_configuration(&apps_path)?;
+        reporter.advance(STEP_WEIGHT);
+        reporter.log(i18n::ok("protector.config_locked", &[]));
     } else {
-        logs.push("Skipping config lock (disabled)".to_string());
+        reporter.log(i18n::t("protector.skip_config", &[]));
     }
 
     // Create locks if enabled
+    reporter.step("create_blockers");
     if create_blockers {
-        logs.push("Creating locks...".to_string());
-        if let Err(e) = create_dummy_files(&capcut_root, &apps_path) {
-            return ProtectionResult {
-                success: false,
-                error: Some(e),
-                logs,
-            };
-        }
-        logs.push("[OK] Version lock active".to_string());
+        reporter.log(i18n::t("protector.creating_locks", &[]));
+        create_dummy_files(&capcut_root, &apps_path)?;
+        reporter.advance(STEP_WEIGHT);
+        reporter.log(i18n::ok("protector.lock_active", &[]));
     } else {
-        logs.push("Skipping lock creation (disabled)".to_string());
+        reporter.log(i18n::t("protector.skip_locks", &[]));
     }
 
-    ProtectionResult {
-        success: true,
-        error: None,
-        logs,
-    }
+    Ok(())
 }
 
 /// Full protection sequence
-#[derive(serde::Deserialize)]
+#[derive(serde::Serialize, serde::Deserialize)]
 pub struct ProtectionParams {
     pub versions_to_delete: Vec<String>,
     pub clean_cache: bool,
@@ -260,64 +312,349 @@ pub struct ProtectionParams {
     pub create_blockers: bool,
 }
 
+/// Event carrying `ProgressEvent`s for `run_full_protection` and `undo_protection`
+pub const PROTECTION_PROGRESS_EVENT: &str = "protection-progress";
+
+/// Result of a full protection run
+#[derive(serde::Serialize)]
+pub struct LockResult {
+    #[serde(flatten)]
+    pub result: ProtectionResult,
+    /// Pass to `undo_protection`; None when the run changed nothing
+    pub transaction_id: Option<String>,
+}
+
+/// Runs on a worker thread so progress events reach the UI while it works
 #[tauri::command]
-pub fn run_full_protection(params: ProtectionParams) -> ProtectionResult {
+pub async fn run_full_protection(app: AppHandle, params: ProtectionParams) -> LockResult {
+    let journal_params = serde_json::to_value(&params).unwrap_or_default();
+    let (mut result, transaction) = tauri::async_runtime::spawn_blocking(move || {
+        let mut transaction = None;
+        let result = run_full_protection_blocking(app, params, &mut transaction);
+        (result, transaction)
+    })
+    .await
+    .unwrap_or_else(|e| {
+        let result = ProtectionResult {
+            success: false,
+            error: Some(i18n::t(
+                "protector.task_failed",
+                &[("error", &e.to_string())],
+            )),
+            logs: vec![],
+        };
+        (result, None)
+    });
+
+    // Saved even when the run failed halfway, so the part that happened can be undone
+    let transaction_id = transaction.and_then(|t| match t.finish() {
+        Ok(id) => id,
+        Err(e) => {
+            result
+                .logs
+                .push(i18n::warn("protector.undo_save_failed", &[("error", &e)]));
+            None
+        }
+    });
+
+    // New backups may push older ones past the retention limits; this run's are kept for undo
+    if transaction_id.is_some() {
+        result.logs.extend(retention::prune().1);
+    }
+
+    LockResult {
+        result: result.journaled_in(transaction_id.as_deref(), "lock", journal_params),
+        transaction_id,
+    }
+}
+
+/// Start a transaction holding copies of the files this run will change
+fn begin_transaction(params: &ProtectionParams) -> Result<ProtectionTransaction, String> {
+    let mut transaction = ProtectionTransaction::begin()?;
+    let capcut_paths = match paths::resolve_capcut_paths() {
+        Some(p) => p,
+        None => return Ok(transaction),
+    };
+
+    let mut files = Vec::new();
+    if params.lock_config {
+        files.push(capcut_paths.apps.join("configure.ini"));
+    }
+    if params.create_blockers {
+        files.push(product_info_path(&capcut_paths.apps));
+        files.push(update_blocker_path(&capcut_paths.root));
+    }
+
+    for file in files {
+        if let Err(e) = transaction.snapshot(&file) {
+            transaction.discard();
+            return Err(e);
+        }
+    }
+    Ok(transaction)
+}
+
+fn run_full_protection_blocking(
+    app: AppHandle,
+    params: ProtectionParams,
+    transaction: &mut Option<ProtectionTransaction>,
+) -> ProtectionResult {
     use crate::commands::cleaner;
     use crate::commands::process;
 
-    let mut all_logs: Vec<String> = Vec::new();
+    // Each version is copied once (backup) and deleted once
+    let version_bytes: u64 = params
+        .versions_to_delete
+        .iter()
+        .map(|p| progress::dir_size(Path::new(p)))
+        .sum();
+    let cache_bytes = if params.clean_cache {
+        cleaner::cache_size_bytes()
+    } else {
+        0
+    };
+    let lock_steps = params.lock_config as u64 + params.create_blockers as u64;
+    let total = version_bytes * 2 + cache_bytes + lock_steps * STEP_WEIGHT;
+
+    let mut reporter = ProgressReporter::new(app, PROTECTION_PROGRESS_EVENT, total);
 
     // Check if CapCut is running
-    all_logs.push("Checking system state...".to_string());
+    reporter.step("check");
+    reporter.log(i18n::t("protector.checking", &[]));
     if process::is_capcut_running() {
         return ProtectionResult {
             success: false,
-            error: Some("CapCut is still running. Please close it.".to_string()),
-            logs: all_logs,
+            error: Some(i18n::t("protector.still_running", &[])),
+            logs: reporter.into_logs(),
         };
     }
-    all_logs.push("[OK] No running instances".to_string());
+    reporter.log(i18n::ok("protector.no_running", &[]));
+
+    // Record the undo point before anything changes
+    let transaction = match begin_transaction(&params) {
+        Ok(t) => transaction.insert(t),
+        Err(e) => {
+            return ProtectionResult {
+                success: false,
+                error: Some(i18n::t(
+                    "protector.undo_record_failed",
+                    &[("error", &e.to_string())],
+                )),
+                logs: reporter.into_logs(),
+            }
+        }
+    };
 
     // Delete versions
-    let delete_result = delete_versions(params.versions_to_delete);
-    all_logs.extend(delete_result.logs);
-    if !delete_result.success {
+    if let Err(e) = delete_versions_reporting(
+        &params.versions_to_delete,
+        &mut reporter,
+        &mut transaction.deleted_versions,
+    ) {
         return ProtectionResult {
             success: false,
-            error: delete_result.error,
-            logs: all_logs,
+            error: Some(e),
+            logs: reporter.into_logs(),
         };
     }
 
     // Clean cache if enabled
+    reporter.step("clean_cache");
     if params.clean_cache {
-        all_logs.push("Cleaning cache directories...".to_string());
-        let cache_result = cleaner::clean_cache();
-        all_logs.extend(cache_result.logs);
+        reporter.log(i18n::t("protector.cleaning_cache", &[]));
+        cleaner::clean_cache_reporting(&mut reporter);
+        transaction.cache_cleaned = true;
     } else {
-        all_logs.push("Skipping cache cleaning (disabled)".to_string());
+        reporter.log(i18n::t("protector.skip_cache", &[]));
     }
 
     // Apply protection (conditionally based on flags)
     if params.lock_config || params.create_blockers {
-        let protect_result =
-            apply_protection_with_options(params.lock_config, params.create_blockers);
-        all_logs.extend(protect_result.logs);
-        if !protect_result.success {
+        if let Err(e) =
+            apply_protection_with_options(params.lock_config, params.create_blockers, &mut reporter)
+        {
             return ProtectionResult {
                 success: false,
-                error: protect_result.error,
-                logs: all_logs,
+                error: Some(e),
+                logs: reporter.into_logs(),
             };
         }
     } else {
-        all_logs.push("Skipping protection (all options disabled)".to_string());
+        reporter.log(i18n::t("protector.skip_protection", &[]));
     }
 
+    reporter.step("done");
+    let freed = i18n::megabytes(reporter.bytes_freed());
+    reporter.log(i18n::ok("protector.freed", &[("size", &freed)]));
+
     ProtectionResult {
         success: true,
         error: None,
-        logs: all_logs,
+        logs: reporter.into_logs(),
+    }
+}
+
+/// A version folder the plan would delete
+#[derive(serde::Serialize)]
+pub struct PlannedDeletion {
+    pub name: String,
+    pub path: String,
+    pub size_bytes: u64,
+    /// Where the backup would be written (`<version>_<timestamp>` inside this folder)
+    pub backup_dir: Option<String>,
+}
+
+/// A file the plan would lock or replace
+#[derive(serde::Serialize)]
+pub struct PlannedFileChange {
+    /// Mechanism key, as in `ProtectionStatus`
+    pub mechanism: String,
+    pub path: String,
+    pub action: String,
+    /// Already in the target state; running the lock changes nothing here
+    pub already_applied: bool,
+}
+
+/// A cache folder the plan would clear
+#[derive(serde::Serialize)]
+pub struct PlannedCacheDir {
+    pub path: String,
+    pub size_bytes: u64,
+}
+
+/// Everything `run_full_protection` would do for the same params
+#[derive(serde::Serialize)]
+pub struct ProtectionPlan {
+    pub deletions: Vec<PlannedDeletion>,
+    pub file_changes: Vec<PlannedFileChange>,
+    pub cache_dirs: Vec<PlannedCacheDir>,
+    pub delete_bytes: u64,
+    pub cache_bytes: u64,
+    /// Problems that would make the run fail or lose data
+    pub warnings: Vec<String>,
+    pub error: Option<String>,
+}
+
+/// Dry run of `run_full_protection`: reports the plan without touching disk
+#[tauri::command]
+pub fn plan_protection(params: ProtectionParams) -> ProtectionPlan {
+    use crate::commands::{backup, cleaner, process};
+
+    let mut plan = ProtectionPlan {
+        deletions: vec![],
+        file_changes: vec![],
+        cache_dirs: vec![],
+        delete_bytes: 0,
+        cache_bytes: 0,
+        warnings: vec![],
+        error: None,
+    };
+
+    let capcut_paths = match paths::resolve_capcut_paths() {
+        Some(p) => p,
+        None => {
+            plan.error = Some(i18n::t("protector.no_install", &[]));
+            return plan;
+        }
+    };
+
+    if process::is_capcut_running() {
+        plan.warnings.push(i18n::t("protector.plan_running", &[]));
+    }
+
+    let backup_dir = backup::get_backup_dir().map(|d| d.to_string_lossy().to_string());
+    if backup_dir.is_none() && !params.versions_to_delete.is_empty() {
+        plan.warnings.push(i18n::t("protector.plan_no_backup", &[]));
+    }
+
+    for path_str in &params.versions_to_delete {
+        let path = Path::new(path_str);
+        if !path.is_dir() {
+            plan.warnings.push(i18n::t(
+                "protector.plan_version_missing",
+                &[("path", &path_str)],
+            ));
+            continue;
+        }
+
+        let size_bytes = progress::dir_size(path);
+        plan.delete_bytes += size_bytes;
+        plan.deletions.push(PlannedDeletion {
+            name: path
+                .file_name()
+                .unwrap_or_default()
+                .to_string_lossy()
+                .to_string(),
+            path: path_str.clone(),
+            size_bytes,
+            backup_dir: backup_dir.clone(),
+        });
+    }
+
+    if params.clean_cache {
+        for (dir, size_bytes) in cleaner::cache_dir_sizes() {
+            plan.cache_bytes += size_bytes;
+            plan.cache_dirs.push(PlannedCacheDir {
+                path: dir.to_string_lossy().to_string(),
+                size_bytes,
+            });
+        }
+    }
+
+    let apps = &capcut_paths.apps;
+    if params.lock_config {
+        plan.file_changes.push(PlannedFileChange {
+            mechanism: "config_lock".to_string(),
+            path: apps.join("configure.ini").to_string_lossy().to_string(),
+            action: i18n::t("protector.action_pin", &[]),
+            already_applied: config_lock_status(apps).is_active(),
+        });
+    }
+
+    if params.create_blockers {
+        let blockers = [
+            ("product_info_blocker", product_info_path(apps)),
+            ("update_blocker", update_blocker_path(&capcut_paths.root)),
+        ];
+        for (mechanism, path) in blockers {
+            plan.file_changes.push(PlannedFileChange {
+                mechanism: mechanism.to_string(),
+                path: path.to_string_lossy().to_string(),
+                action: i18n::t("protector.action_blocker", &[]),
+                already_applied: blocker_status(&path).is_active(),
+            });
+        }
+    }
+
+    plan
+}
+
+/// State of a single protection mechanism
+#[derive(serde::Serialize, Clone, Copy, PartialEq, Eq)]
+#[serde(rename_all = "lowercase")]
+pub enum MechanismState {
+    /// Applied and intact
+    Active,
+    /// Never applied or removed
+    Missing,
+    /// Present but no longer effective (e.g. overwritten by CapCut or a switch)
+    Degraded,
+}
+
+/// Status of one protection mechanism with a human-readable reason
+#[derive(serde::Serialize)]
+pub struct MechanismStatus {
+    pub state: MechanismState,
+    pub detail: String,
+}
+
+impl MechanismStatus {
+    fn new(state: MechanismState, detail: String) -> Self {
+        MechanismStatus { state, detail }
+    }
+
+    fn is_active(&self) -> bool {
+        self.state == MechanismState::Active
     }
 }
 
@@ -327,6 +664,99 @@ pub struct ProtectionStatus {
     pub is_protected: bool,
     pub config_locked: bool,
     pub blockers_exist: bool,
+    /// configure.ini `last_version=1.0.0.0` lock
+    pub config_lock: MechanismStatus,
+    /// Empty readonly Apps\ProductInfo.xml
+    pub product_info_blocker: MechanismStatus,
+    /// Empty readonly User Data\Download\update.exe
+    pub update_blocker: MechanismStatus,
+}
+
+/// Inspect a blocker file (empty + readonly when intact)
+fn blocker_status(path: &Path) -> MechanismStatus {
+    if !path.exists() {
+        return MechanismStatus::new(
+            MechanismState::Missing,
+            i18n::t("protector.status.blocker_absent", &[]),
+        );
+    }
+
+    match fs::metadata(path) {
+        Ok(meta) if meta.is_dir() => MechanismStatus::new(
+            MechanismState::Degraded,
+            i18n::t("protector.status.blocker_folder", &[]),
+        ),
+        // A regular file with content is CapCut's own file, i.e. no blocker
+        Ok(meta) if meta.len() > 0 => MechanismStatus::new(
+            MechanismState::Missing,
+            i18n::t("protector.status.original_file", &[]),
+        ),
+        Ok(meta) if !meta.permissions().readonly() => MechanismStatus::new(
+            MechanismState::Degraded,
+            i18n::t("protector.status.blocker_writable", &[]),
+        ),
+        Ok(_) => MechanismStatus::new(
+            MechanismState::Active,
+            i18n::t("protector.status.blocker_active", &[]),
+        ),
+        Err(e) => MechanismStatus::new(
+            MechanismState::Degraded,
+            i18n::t("protector.status.unreadable", &[("error", &e.to_string())]),
+        ),
+    }
+}
+
+/// Inspect the configure.ini version lock
+fn config_lock_status(apps_path: &Path) -> MechanismStatus {
+    let config_path = apps_path.join("configure.ini");
+    if !config_path.exists() {
+        return MechanismStatus::new(
+            MechanismState::Missing,
+            i18n::t("protector.status.config_absent", &[]),
+        );
+    }
+
+    let content = match fs::read_to_string(&config_path) {
+        Ok(c) => c,
+        Err(e) => {
+            return MechanismStatus::new(
+                MechanismState::Degraded,
+                i18n::t("protector.status.unreadable", &[("error", &e.to_string())]),
+            )
+        }
+    };
+
+    let entries: Vec<&str> = content
+        .lines()
+        .map(|l| l.trim())
+        .filter(|l| l.starts_with("last_version"))
+        .collect();
+    let pinned = entries
+        .iter()
+        .filter(|l| **l == "last_version=1.0.0.0")
+        .count();
+
+    if entries.is_empty() {
+        MechanismStatus::new(
+            MechanismState::Missing,
+            i18n::t("protector.status.no_entry", &[]),
+        )
+    } else if pinned == entries.len() {
+        MechanismStatus::new(
+            MechanismState::Active,
+            i18n::t("protector.status.pinned", &[]),
+        )
+    } else if pinned > 0 {
+        MechanismStatus::new(
+            MechanismState::Degraded,
+            i18n::t("protector.status.conflicting", &[]),
+        )
+    } else {
+        MechanismStatus::new(
+            MechanismState::Missing,
+            i18n::t("protector.status.not_pinned", &[("entry", &entries[0])]),
+        )
+    }
 }
 
 /// Check if protection is currently applied
@@ -335,72 +765,147 @@ pub fn check_protection_status() -> ProtectionStatus {
     let capcut_paths = match paths::resolve_capcut_paths() {
         Some(p) => p,
         None => {
+            let missing = || {
+                MechanismStatus::new(
+                    MechanismState::Missing,
+                    i18n::t("protector.status.no_install", &[]),
+                )
+            };
             return ProtectionStatus {
                 is_protected: false,
                 config_locked: false,
                 blockers_exist: false,
-            }
+                config_lock: missing(),
+                product_info_blocker: missing(),
+                update_blocker: missing(),
+            };
         }
     };
 
-    let apps_path = capcut_paths.apps;
-    let capcut_root = capcut_paths.root;
+    let config_lock = config_lock_status(&capcut_paths.apps);
+    let product_info_blocker = blocker_status(&product_info_path(&capcut_paths.apps));
+    let update_blocker = blocker_status(&update_blocker_path(&capcut_paths.root));
 
-    // Check if ProductInfo.xml is a readonly empty file (lock)
-    let product_info = apps_path.join("ProductInfo.xml");
-    let blockers_exist = if product_info.exists() {
-        if let Ok(meta) = fs::metadata(&product_info) {
-            meta.len() == 0 && meta.permissions().readonly()
-        } else {
-            false
-        }
-    } else {
-        false
-    };
+    let config_locked = config_lock.is_active();
+    let blockers_exist = product_info_blocker.is_active() || update_blocker.is_active();
 
-    // Check if update.exe lock exists
-    let update_blocker = capcut_root
-        .join("User Data")
-        .join("Download")
-        .join("update.exe");
-    let update_blocked = if update_blocker.exists() {
-        if let Ok(meta) = fs::metadata(&update_blocker) {
-            meta.len() == 0 && meta.permissions().readonly()
-        } else {
-            false
-        }
-    } else {
-        false
-    };
+    ProtectionStatus {
+        is_protected: config_locked || blockers_exist,
+        config_locked,
+        blockers_exist,
+        config_lock,
+        product_info_blocker,
+        update_blocker,
+    }
+}
 
-    // Check if configure.ini has last_version=1.0.0.0
-    let config_path = apps_path.join("configure.ini");
-    let config_locked = if config_path.exists() {
-        if let Ok(content) = fs::read_to_string(&config_path) {
-            content.contains("last_version=1.0.0.0")
-        } else {
-            false
+/// Re-apply one mechanism unless it is already active
+fn repair_step(
+    logs: &mut Vec<String>,
+    name: &str,
+    mechanism: &MechanismStatus,
+    apply: impl FnOnce() -> Result<(), String>,
+) -> Result<(), String> {
+    if mechanism.is_active() {
+        logs.push(i18n::ok("protector.intact", &[("name", &name)]));
+        return Ok(());
+    }
+
+    logs.push(i18n::t(
+        "protector.repairing",
+        &[("name", &name), ("detail", &mechanism.detail)],
+    ));
+    apply().map_err(|e| i18n::t("protector.repair_failed", &[("name", &name), ("error", &e)]))?;
+    logs.push(i18n::ok("protector.file_restored", &[("name", &name)]));
+    Ok(())
+}
+
+/// Walk all mechanisms in protection order, stopping at the first failure
+fn repair_missing(
+    status: &ProtectionStatus,
+    capcut_paths: &paths::CapCutPaths,
+    logs: &mut Vec<String>,
+) -> Result<(), String> {
+    repair_step(
+        logs,
+        &i18n::t("protector.config_lock", &[]),
+        &status.config_lock,
+        || lock_configuration(&capcut_paths.apps),
+    )?;
+    repair_step(
+        logs,
+        &i18n::t("protector.blocker", &[("file", &"ProductInfo.xml")]),
+        &status.product_info_blocker,
+        || create_product_info_blocker(&capcut_paths.apps),
+    )?;
+    repair_step(
+        logs,
+        &i18n::t("protector.blocker", &[("file", &"update.exe")]),
+        &status.update_blocker,
+        || create_update_blocker(&capcut_paths.root),
+    )?;
+    Ok(())
+}
+
+/// Re-apply only the protection mechanisms that are missing or degraded
+#[tauri::command]
+pub fn repair_protection() -> ProtectionResult {
+    repair_missing_protection().journaled("repair", serde_json::json!({}))
+}
+
+fn repair_missing_protection() -> ProtectionResult {
+    use crate::commands::process;
+
+    let capcut_paths = match paths::resolve_capcut_paths() {
+        Some(p) => p,
+        None => {
+            return ProtectionResult {
+                success: false,
+                error: Some(i18n::t("protector.no_install", &[])),
+                logs: vec![],
+            }
         }
-    } else {
-        false
     };
 
-    ProtectionStatus {
-        is_protected: blockers_exist || update_blocked || config_locked,
-        config_locked,
-        blockers_exist: blockers_exist || update_blocked,
+    let mut logs: Vec<String> = Vec::new();
+
+    if process::is_capcut_running() {
+        return ProtectionResult {
+            success: false,
+            error: Some(i18n::t("protector.still_running", &[])),
+            logs,
+        };
+    }
+
+    let status = check_protection_status();
+    if let Err(e) = repair_missing(&status, &capcut_paths, &mut logs) {
+        return ProtectionResult {
+            success: false,
+            error: Some(e),
+            logs,
+        };
+    }
+
+    ProtectionResult {
+        success: true,
+        error: None,
+        logs,
     }
 }
 
 /// Remove all protection measures
 #[tauri::command]
 pub fn remove_protection() -> ProtectionResult {
+    remove_all_protection().journaled("unlock", serde_json::json!({}))
+}
+
+fn remove_all_protection() -> ProtectionResult {
     let capcut_paths = match paths::resolve_capcut_paths() {
         Some(p) => p,
         None => {
             return ProtectionResult {
                 success: false,
-                error: Some("Could not find CapCut installation".to_string()),
+                error: Some(i18n::t("protector.no_install", &[])),
                 logs: vec![],
             }
         }
@@ -411,40 +916,46 @@ pub fn remove_protection() -> ProtectionResult {
     let mut logs: Vec<String> = Vec::new();
 
     // Remove ProductInfo.xml lock
-    let product_info = apps_path.join("ProductInfo.xml");
+    let product_info = product_info_path(&apps_path);
     if product_info.exists() {
-        logs.push("Removing ProductInfo.xml lock...".to_string());
+        let file = "ProductInfo.xml";
+        logs.push(i18n::t("protector.removing_lock", &[("file", &file)]));
         if let Err(e) = unset_readonly_recursive(&product_info) {
-            logs.push(format!("[!] Warning: {}", e));
+            logs.push(i18n::warn("protector.warning", &[("error", &e)]));
         }
         if let Err(e) = fs::remove_file(&product_info) {
-            logs.push(format!("[!] Could not remove ProductInfo.xml: {}", e));
+            logs.push(i18n::warn(
+                "protector.remove_failed",
+                &[("file", &file), ("error", &e)],
+            ));
         } else {
-            logs.push("[OK] ProductInfo.xml lock removed".to_string());
+            logs.push(i18n::ok("protector.lock_removed", &[("file", &file)]));
         }
     }
 
     // Remove update.exe lock
-    let update_blocker = capcut_root
-        .join("User Data")
-        .join("Download")
-        .join("update.exe");
+    let update_blocker = update_blocker_path(&capcut_root);
     if update_blocker.exists() {
-        logs.push("Removing update.exe lock...".to_string());
+        let file = "update.exe";
+        logs.push(i18n::t("protector.removing_lock", &[("file", &file)]));
         if let Err(e) = unset_readonly_recursive(&update_blocker) {
-            logs.push(format!("[!] Warning: {}", e));
+            logs.push(i18n::warn("protector.warning", &[("error", &e)]));
         }
         if let Err(e) = fs::remove_file(&update_blocker) {
-            logs.push(format!("[!] Could not remove update.exe: {}", e));
+            logs.push(i18n::warn(
+                "protector.remove_failed",
+                &[("file", &file), ("error", &e)],
+            ));
         } else {
-            logs.push("[OK] update.exe lock removed".to_string());
+            logs.push(i18n::ok("protector.lock_removed", &[("file", &file)]));
         }
     }
 
     // Reset configure.ini (remove last_version lock)
     let config_path = apps_path.join("configure.ini");
     if config_path.exists() {
-        logs.push("Resetting configure.ini...".to_string());
+        let file = "configure.ini";
+        logs.push(i18n::t("protector.resetting", &[("file", &file)]));
         if let Ok(content) = fs::read_to_string(&config_path) {
             let new_content: String = content
                 .lines()
@@ -452,14 +963,17 @@ pub fn remove_protection() -> ProtectionResult {
                 .collect::<Vec<_>>()
                 .join("\n");
             if let Err(e) = fs::write(&config_path, new_content) {
-                logs.push(format!("[!] Could not reset configure.ini: {}", e));
+                logs.push(i18n::warn(
+                    "protector.reset_failed",
+                    &[("file", &file), ("error", &e)],
+                ));
             } else {
-                logs.push("[OK] configure.ini reset".to_string());
+                logs.push(i18n::ok("protector.reset", &[("file", &file)]));
             }
         }
     }
 
-    logs.push("[OK] Protection removed - CapCut allows updates".to_string());
+    logs.push(i18n::ok("protector.protection_removed", &[]));
 
     ProtectionResult {
         success: true,
@@ -467,3 +981,184 @@ pub fn remove_protection() -> ProtectionResult {
         logs,
     }
 }
+
+/// Undo a protection run: restore the versions it deleted, put configure.ini and
+/// the blocker files back the way they were, then verify the result
+#[tauri::command]
+pub async fn undo_protection(app: AppHandle, transaction_id: String) -> ProtectionResult {
+    let params = serde_json::json!({ "transaction_id": transaction_id });
+    let id = transaction_id.clone();
+    tauri::async_runtime::spawn_blocking(move || undo_transaction(app, &id))
+        .await
+        .unwrap_or_else(|e| ProtectionResult {
+            success: false,
+            error: Some(i18n::t(
+                "protector.undo_task_failed",
+                &[("error", &e.to_string())],
+            )),
+            logs: vec![],
+        })
+        .journaled_in(Some(&transaction_id), "undo_lock", params)
+}
+
+fn undo_transaction(app: AppHandle, transaction_id: &str) -> ProtectionResult {
+    use crate::commands::backup;
+    use crate::commands::process;
+
+    let mut transaction = match ProtectionTransaction::load(transaction_id) {
+        Ok(t) => t,
+        Err(e) => {
+            return ProtectionResult {
+                success: false,
+                error: Some(e),
+                logs: vec![],
+            }
+        }
+    };
+    if transaction.undone_at.is_some() {
+        return ProtectionResult {
+            success: false,
+            error: Some(i18n::t("protector.already_undone", &[])),
+            logs: vec![],
+        };
+    }
+    if newer_lock_pending(&transaction) {
+        return ProtectionResult {
+            success: false,
+            error: Some(i18n::t("protector.undo_newer_first", &[])),
+            logs: vec![],
+        };
+    }
+
+    // Restoring copies each backup once
+    let backup_sizes: Vec<u64> = transaction
+        .deleted_versions
+        .iter()
+        .map(
+            |v| match v.backup_id.as_deref().map(manifest::backup_path) {
+                Some(Ok(path)) => progress::dir_size(&path),
+                _ => 0,
+            },
+        )
+        .collect();
+    let total = backup_sizes.iter().sum::<u64>() + transaction.files.len() as u64 * STEP_WEIGHT;
+    let mut reporter = ProgressReporter::new(app, PROTECTION_PROGRESS_EVENT, total);
+
+    reporter.step("check");
+    reporter.log(i18n::t("protector.checking", &[]));
+    if process::is_capcut_running() {
+        return ProtectionResult {
+            success: false,
+            error: Some(i18n::t("protector.still_running", &[])),
+            logs: reporter.into_logs(),
+        };
+    }
+    reporter.log(i18n::ok("protector.no_running", &[]));
+
+    // Restore and revert log their failures; verification decides the outcome
+    for (version, bytes) in transaction.deleted_versions.iter().zip(backup_sizes) {
+        reporter.step("restore");
+        match &version.backup_id {
+            Some(backup_id) => {
+                reporter.log(i18n::t("protector.restoring", &[("name", &version.name)]));
+                let result = backup::restore_backup(backup_id);
+                if result.success {
+                    reporter.log(i18n::ok("protector.restored", &[("name", &version.name)]));
+                } else {
+                    let error = result.error.unwrap_or_default();
+                    reporter.log(i18n::warn(
+                        "protector.restore_failed",
+                        &[("name", &version.name), ("error", &error)],
+                    ));
+                }
+            }
+            None => reporter.log(i18n::warn(
+                "protector.no_backup",
+                &[("name", &version.name)],
+            )),
+        }
+        reporter.advance(bytes);
+    }
+
+    reporter.step("revert");
+    for file in transaction.files.iter().rev() {
+        let name = file_label(&file.path);
+        reporter.log(i18n::t("protector.reverting", &[("name", &name)]));
+        match transaction.revert_file(file) {
+            Ok(()) if file.existed => {
+                reporter.log(i18n::ok("protector.file_restored", &[("name", &name)]))
+            }
+            Ok(()) => reporter.log(i18n::ok("protector.file_removed", &[("name", &name)])),
+            Err(e) => reporter.log(i18n::warn(
+                "protector.revert_failed",
+                &[("name", &name), ("error", &e)],
+            )),
+        }
+        reporter.advance(STEP_WEIGHT);
+    }
+    if transaction.cache_cleaned {
+        reporter.log(i18n::t("protector.cache_not_restored", &[]));
+    }
+
+    reporter.step("verify");
+    reporter.log(i18n::t("protector.verifying", &[]));
+    let mut problems: Vec<String> = Vec::new();
+    for version in &transaction.deleted_versions {
+        if Path::new(&version.original_path).is_dir() {
+            reporter.log(i18n::ok(
+                "protector.version_installed",
+                &[("name", &version.name)],
+            ));
+        } else {
+            reporter.log(i18n::warn(
+                "protector.version_missing",
+                &[("name", &version.name)],
+            ));
+            problems.push(version.name.clone());
+        }
+    }
+    for file in &transaction.files {
+        let name = file_label(&file.path);
+        match transaction.verify_file(file) {
+            Ok(()) => reporter.log(i18n::ok("protector.file_matches", &[("name", &name)])),
+            Err(e) => {
+                reporter.log(i18n::warn(
+                    "protector.file_failed",
+                    &[("name", &name), ("error", &e)],
+                ));
+                problems.push(name);
+            }
+        }
+    }
+
+    reporter.step("done");
+    if !problems.is_empty() {
+        return ProtectionResult {
+            success: false,
+            error: Some(i18n::t(
+                "protector.undo_incomplete",
+                &[("files", &problems.join(", "))],
+            )),
+            logs: reporter.into_logs(),
+        };
+    }
+
+    if let Err(e) = transaction.mark_undone() {
+        reporter.log(i18n::warn("protector.mark_undone_failed", &[("error", &e)]));
+    }
+    reporter.log(i18n::ok("protector.lock_undone", &[]));
+
+    ProtectionResult {
+        success: true,
+        error: None,
+        logs: reporter.into_logs(),
+    }
+}
+
+/// File name of a snapshot path for log lines
+fn file_label(path: &str) -> String {
+    Path::new(path)
+        .file_name()
+        .map(|n| n.to_string_lossy().to_string())
+        .unwrap_or_else(|| path.to_string())
+}
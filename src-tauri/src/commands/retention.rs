@@ -0,0 +1,352 @@
+//! Backup retention policy
+//! Keeps the newest N backups of each version and caps the total size; older
+//! backups beyond either limit are pruned after every new backup
+
+use serde::{Deserialize, Serialize};
+use std::collections::{HashMap, HashSet};
+use std::path::PathBuf;
+
+use super::backup::{self, BackupMetadata};
+use super::i18n;
+use super::journal;
+use super::progress;
+use super::settings;
+use super::transaction;
+
+const GB: f64 = 1024.0 * 1024.0 * 1024.0;
+
+/// Limits applied to the backup folder; None disables a limit
+#[derive(Clone, Debug, Default, PartialEq, Serialize, Deserialize)]
+pub struct RetentionPolicy {
+    /// Backups kept per version, newest first
+    pub keep_per_version: Option<u32>,
+    /// Total size of all backups in GB
+    pub max_total_gb: Option<f64>,
+}
+
+/// What a policy would remove
+#[derive(Serialize)]
+pub struct RetentionPlan {
+    /// Backups to remove, oldest first
+    pub remove: Vec<BackupMetadata>,
+    pub remove_bytes: u64,
+    /// Size of the backups that stay (including a pending one)
+    pub keep_bytes: u64,
+    /// Backups over a limit that are kept because an active lock needs them for undo
+    pub pinned: usize,
+}
+
+/// Saved policy; no limits by default
+pub fn load_policy() -> RetentionPolicy {
+    settings::load().retention
+}
+
+pub fn validate(policy: &RetentionPolicy) -> Result<(), String> {
+    if policy.keep_per_version == Some(0) {
+        return Err(i18n::t("retention.keep_min", &[]));
+    }
+    if let Some(gb) = policy.max_total_gb {
+        if !(gb > 0.0 && gb.is_finite()) {
+            return Err(i18n::t("retention.size_min", &[]));
+        }
+    }
+    Ok(())
+}
+
+/// Backups that a lock which hasn't been undone would restore
+fn undo_backups() -> HashSet<String> {
+    transaction::list_transactions()
+        .into_iter()
+        .filter(|t| t.undone_at.is_none())
+        .flat_map(|t| t.deleted_versions)
+        .filter_map(|v| v.backup_id)
+        .collect()
+}
+
+/// Decide which backups `policy` removes
+///
+/// `backups` must be newest first. The newest backup of each version is always
+/// kept, even when it alone exceeds the size limit, and `pinned` ids are never removed.
+fn plan(
+    backups: &[BackupMetadata],
+    policy: &RetentionPolicy,
+    pinned: &HashSet<String>,
+) -> RetentionPlan {
+    let mut remove: HashSet<String> = HashSet::new();
+    let mut held: HashSet<String> = HashSet::new();
+    let mut per_version: HashMap<&str, u32> = HashMap::new();
+    let mut newest: HashSet<String> = HashSet::new();
+
+    for b in backups {
+        let count = per_version.entry(&b.version_name).or_insert(0);
+        *count += 1;
+        if *count == 1 {
+            newest.insert(b.id());
+        }
+        // A limit of 0 (refused by validate) still leaves the newest
+        if policy.keep_per_version.map_or(false, |n| *count > n.max(1)) {
+            if pinned.contains(&b.id()) {
+                held.insert(b.id());
+            } else {
+                remove.insert(b.id());
+            }
+        }
+    }
+
+    if let Some(gb) = policy.max_total_gb {
+        let cap = (gb * GB) as u64;
+        let mut total: u64 = backups
+            .iter()
+            .filter(|b| !remove.contains(&b.id()))
+            .map(|b| b.size_bytes)
+            .sum();
+
+        // Oldest first until the rest fits
+        for b in backups.iter().rev() {
+            if total <= cap {
+                break;
+            }
+            let id = b.id();
+            if remove.contains(&id) || newest.contains(&id) {
+                continue;
+            }
+            if pinned.contains(&id) {
+                held.insert(id);
+                continue;
+            }
+            total -= b.size_bytes;
+            remove.insert(id);
+        }
+    }
+
+    let (removed, kept): (Vec<&BackupMetadata>, Vec<&BackupMetadata>) =
+        backups.iter().partition(|b| remove.contains(&b.id()));
+    RetentionPlan {
+        remove_bytes: removed.iter().map(|b| b.size_bytes).sum(),
+        keep_bytes: kept.iter().map(|b| b.size_bytes).sum(),
+        remove: removed.into_iter().rev().cloned().collect(),
+        pinned: held.len(),
+    }
+}
+
+/// Remove the backups the saved policy no longer allows
+/// Returns the removed ids and log lines; the run is journaled when it removes anything.
+pub fn prune() -> (Vec<String>, Vec<String>) {
+    let policy = load_policy();
+    let planned = plan(&backup::list_backups(), &policy, &undo_backups());
+    if planned.remove.is_empty() {
+        return (vec![], vec![]);
+    }
+
+    let mut removed = Vec::new();
+    let mut logs = Vec::new();
+    let mut errors = Vec::new();
+    for b in &planned.remove {
+        let result = backup::remove_backup(&b.id());
+        if result.success {
+            logs.push(i18n::ok("retention.pruned", &[("id", &b.id())]));
+            removed.push(b.id());
+        } else {
+            let error = result.error.unwrap_or_default();
+            logs.push(i18n::warn(
+                "retention.prune_failed",
+                &[("id", &b.id()), ("error", &error)],
+            ));
+            errors.push(error);
+        }
+    }
+
+    journal::record(
+        "prune_backups",
+        serde_json::to_value(&policy).unwrap_or_default(),
+        errors.is_empty(),
+        errors.first().cloned(),
+        &logs,
+    );
+    (removed, logs)
+}
+
+/// The saved retention policy
+#[tauri::command]
+pub fn get_retention_policy() -> RetentionPolicy {
+    load_policy()
+}
+
+/// Preview what `policy` would remove, optionally after backing up `incoming_path` first
+#[tauri::command]
+pub fn preview_retention(
+    policy: RetentionPolicy,
+    incoming_path: Option<String>,
+) -> Result<RetentionPlan, String> {
+    validate(&policy)?;
+    let mut backups = backup::list_backups();
+
+    // The pending backup is the newest of its version, so it is always kept
+    if let Some(path) = incoming_path {
+        let path = PathBuf::from(path);
+        backups.insert(
+            0,
+            BackupMetadata {
+                version_name: path
+                    .file_name()
+                    .unwrap_or_default()
+                    .to_string_lossy()
+                    .to_string(),
+                original_path: path.to_string_lossy().to_string(),
+                created_at: u64::MAX,
+                size_bytes: progress::dir_size(&path),
+                reason: String::new(),
+                label: None,
+                notes: None,
+            },
+        );
+    }
+
+    Ok(plan(&backups, &policy, &undo_backups()))
+}
+
+/// Save a retention policy and prune right away
+/// Returns the ids of the removed backups.
+#[tauri::command]
+pub fn set_retention_policy(policy: RetentionPolicy) -> Result<Vec<String>, String> {
+    validate(&policy)?;
+    settings::update(|settings| {
+        settings.retention = policy;
+        Ok(())
+    })?;
+    Ok(prune().0)
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn policy(keep_per_version: Option<u32>, max_total_gb: Option<f64>) -> RetentionPolicy {
+        RetentionPolicy {
+            keep_per_version,
+            max_total_gb,
+        }
+    }
+
+    fn backup(version: &str, created_at: u64, gb: u64) -> BackupMetadata {
+        BackupMetadata {
+            version_name: version.to_string(),
+            original_path: String::new(),
+            created_at,
+            size_bytes: gb * GB as u64,
+            reason: String::new(),
+            label: None,
+            notes: None,
+        }
+    }
+
+    #[test]
+    fn plans_which_backups_go() {
+        // Newest first, 1 GB each
+        let backups = [
+            backup("5.2.0", 400, 1),
+            backup("4.0.0", 300, 1),
+            backup("5.2.0", 200, 1),
+            backup("5.2.0", 100, 1),
+            backup("4.0.0", 50, 1),
+        ];
+        // (case, policy, pinned ids, removed ids oldest first, pinned count)
+        let cases: [(&str, RetentionPolicy, &[&str], &[&str], usize); 12] = [
+            ("no limits", policy(None, None), &[], &[], 0),
+            (
+                "keep 1",
+                policy(Some(1), None),
+                &[],
+                &["4.0.0_50", "5.2.0_100", "5.2.0_200"],
+                0,
+            ),
+            ("keep 2", policy(Some(2), None), &[], &["5.2.0_100"], 0),
+            ("keep 3", policy(Some(3), None), &[], &[], 0),
+            (
+                "keep 0 keeps the newest",
+                policy(Some(0), None),
+                &[],
+                &["4.0.0_50", "5.2.0_100", "5.2.0_200"],
+                0,
+            ),
+            (
+                "keep 1, pinned by undo",
+                policy(Some(1), None),
+                &["5.2.0_100"],
+                &["4.0.0_50", "5.2.0_200"],
+                1,
+            ),
+            (
+                "3 GB, oldest first",
+                policy(None, Some(3.0)),
+                &[],
+                &["4.0.0_50", "5.2.0_100"],
+                0,
+            ),
+            (
+                "1 GB keeps the newest of each version",
+                policy(None, Some(1.0)),
+                &[],
+                &["4.0.0_50", "5.2.0_100", "5.2.0_200"],
+                0,
+            ),
+            (
+                "0 GB keeps the newest of each version",
+                policy(None, Some(0.0)),
+                &[],
+                &["4.0.0_50", "5.2.0_100", "5.2.0_200"],
+                0,
+            ),
+            (
+                "3 GB, oldest pinned by undo",
+                policy(None, Some(3.0)),
+                &["4.0.0_50"],
+                &["5.2.0_100", "5.2.0_200"],
+                1,
+            ),
+            (
+                "pinned newest changes nothing",
+                policy(Some(1), None),
+                &["5.2.0_400"],
+                &["4.0.0_50", "5.2.0_100", "5.2.0_200"],
+                0,
+            ),
+            (
+                "keep 2 and 2 GB",
+                policy(Some(2), Some(2.0)),
+                &[],
+                &["4.0.0_50", "5.2.0_100", "5.2.0_200"],
+                0,
+            ),
+        ];
+
+        for (case, policy, pinned, removed, held) in cases {
+            let pinned = pinned.iter().map(|id| id.to_string()).collect();
+            let planned = plan(&backups, &policy, &pinned);
+            let ids: Vec<String> = planned.remove.iter().map(BackupMetadata::id).collect();
+            assert_eq!(ids, removed, "{}", case);
+            assert_eq!(planned.pinned, held, "{}", case);
+            let gb = removed.len() as u64 * GB as u64;
+            assert_eq!(planned.remove_bytes, gb, "{}", case);
+            assert_eq!(planned.keep_bytes, 5 * GB as u64 - gb, "{}", case);
+        }
+    }
+
+    #[test]
+    fn refuses_limits_below_one() {
+        assert!(validate(&policy(Some(1), Some(0.5))).is_ok());
+        assert!(validate(&policy(None, None)).is_ok());
+        assert_eq!(
+            validate(&policy(Some(0), None)),
+            Err(i18n::t("retention.keep_min", &[]))
+        );
+        for gb in [0.0, -1.0, f64::NAN, f64::INFINITY] {
+            assert_eq!(
+                validate(&policy(None, Some(gb))),
+                Err(i18n::t("retention.size_min", &[])),
+                "{}",
+                gb
+            );
+        }
+    }
+}
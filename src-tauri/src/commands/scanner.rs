@@ -9,8 +9,10 @@ use walkdir::WalkDir;
 // Re-export path functions from paths module for backwards compatibility
 pub use super::paths::{get_capcut_apps_path, get_capcut_root_path};
 
+use super::version;
+
 /// Complete list of all CapCut versions up to 5.4.0 Beta 6
-/// Format: "Label|BaseVersion|URL"
+/// Format: "Label|BaseVersion|URL" with an optional "|SHA256" of the installer
 const ALL_VERSIONS_DATA: &str = r#"
 5.4.0 (Beta6)|5.4.0|https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_5_4_0_1991_beta6_capcutpc_beta_creatortool.exe
 5.4.0 (Beta5)|5.4.0|https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_5_4_0_1988_beta5_capcutpc_beta_creatortool.exe
@@ -99,7 +101,6 @@ const ALL_VERSIONS_DATA: &str = r#"
 1.0.0 (Latest)|1.0.0|https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_1_0_0_44_capcutpc_0.exe
 "#;
 
-
 /// Information about an installed CapCut version
 #[derive(Clone, Debug, Serialize, Deserialize)]
 pub struct VersionInfo {
@@ -117,6 +118,8 @@ pub struct ArchiveVersion {
     pub features: Vec<String>,
     pub download_url: String,
     pub risk_level: String,
+    /// SHA-256 of the installer, when it has been confirmed against the official file
+    pub sha256: Option<String>,
 }
 
 /// Get curated archive versions
@@ -130,6 +133,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
             features: vec!["Clean UI".to_string(), "Offline Only".to_string(), "No Nags".to_string()],
             download_url: "https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_1_5_0_230_capcutpc_0.exe".to_string(),
             risk_level: "Low".to_string(),
+            sha256: None,
         },
         ArchiveVersion {
             persona: "Audio Engineer".to_string(),
@@ -138,6 +142,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
             features: vec!["Multi-Track".to_string(), "Audio Mixer".to_string(), "Keyframes".to_string()],
             download_url: "https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_2_5_4_810_capcutpc_0_creatortool.exe".to_string(),
             risk_level: "Low".to_string(),
+            sha256: None,
         },
         ArchiveVersion {
             persona: "Classic Pro".to_string(),
@@ -146,6 +151,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
             features: vec!["Max Free Features".to_string(), "Stable".to_string(), "Legacy UI".to_string()],
             download_url: "https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_2_9_0_966_capcutpc_0_creatortool.exe".to_string(),
             risk_level: "Medium".to_string(),
+            sha256: None,
         },
         ArchiveVersion {
             persona: "Modern Stable".to_string(),
@@ -154,6 +160,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
             features: vec!["Modern UI".to_string(), "Smooth".to_string(), "Balanced".to_string()],
             download_url: "https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_3_2_0_1106_capcutpc_0_creatortool.exe".to_string(),
             risk_level: "Medium".to_string(),
+            sha256: None,
         },
         ArchiveVersion {
             persona: "Creator".to_string(),
@@ -162,6 +169,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
             features: vec!["Auto-Captions".to_string(), "AI Features".to_string(), "Effects".to_string()],
             download_url: "https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_3_9_0_1459_capcutpc_0_creatortool.exe".to_string(),
             risk_level: "High".to_string(),
+            sha256: None,
         },
         ArchiveVersion {
             persona: "Power User".to_string(),
@@ -170,6 +178,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
             features: vec!["Track Zoom".to_string(), "Markers".to_string(), "Adv Features".to_string()],
             download_url: "https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages/CapCut_4_0_0_1539_capcutpc_0_creatortool.exe".to_string(),
             risk_level: "Medium".to_string(),
+            sha256: None,
         },
     ]
 }
@@ -179,7 +188,7 @@ pub fn get_archive_versions() -> Vec<ArchiveVersion> {
 #[tauri::command]
 pub fn get_all_archive_versions() -> Vec<ArchiveVersion> {
     // Parse version data from compact format
-    // Format: "Label|BaseVersion|URL"
+    // Format: "Label|BaseVersion|URL[|SHA256]"
     ALL_VERSIONS_DATA
         .lines()
         .filter(|line| !line.trim().is_empty())
@@ -192,6 +201,10 @@ pub fn get_all_archive_versions() -> Vec<ArchiveVersion> {
             let label = parts[0].trim();
             let version = parts[1].trim();
             let url = parts[2].trim();
+            let sha256 = parts
+                .get(3)
+                .map(|h| h.trim().to_ascii_lowercase())
+                .filter(|h| !h.is_empty());
 
             // Determine risk level based on version
             let risk_level = if version.starts_with('5') || version.starts_with('4') {
@@ -220,11 +233,28 @@ pub fn get_all_archive_versions() -> Vec<ArchiveVersion> {
                 features: vec![],
                 download_url: url.to_string(),
                 risk_level: risk_level.to_string(),
+                sha256,
             })
         })
         .collect()
 }
 
+/// Catalog checksum of an installer, looked up by its file name
+/// (e.g. CapCut_3_9_0_1459_capcutpc_0_creatortool.exe). None when no catalog
+/// entry for the file carries one.
+pub fn catalog_sha256(file_name: &str) -> Option<String> {
+    get_archive_versions()
+        .into_iter()
+        .chain(get_all_archive_versions())
+        .filter(|v| {
+            v.download_url
+                .rsplit('/')
+                .next()
+                .is_some_and(|name| name.eq_ignore_ascii_case(file_name))
+        })
+        .find_map(|v| v.sha256)
+}
+
 /// Calculate directory size recursively
 fn calculate_dir_size(path: &Path) -> u64 {
     WalkDir::new(path)
@@ -267,8 +297,8 @@ pub async fn scan_versions() -> Vec<VersionInfo> {
             })
             .collect();
 
-        // Sort by version name (oldest first) using simple string comparison
-        versions.sort_by(|a, b| a.name.cmp(&b.name));
+        // Oldest first, numerically ("5.9.0" before "5.10.0")
+        versions.sort_by(|a, b| version::compare_names(&a.name, &b.name));
         versions
     })
     .await;
@@ -0,0 +1,520 @@
+//! Persistent settings
+//! Every preference (install folder, download folder, backup retention,
+//! protection presets, language and appearance) lives in one typed, versioned
+//! settings.json. Older layouts are migrated when it is read, and every change
+//! is broadcast as a `settings-changed` event so open views can follow it.
+
+use serde::{Deserialize, Serialize};
+use serde_json::{Map, Value};
+use std::fs;
+use std::path::{Path, PathBuf};
+use std::sync::{Mutex, OnceLock};
+use tauri::{AppHandle, Emitter};
+
+use super::i18n;
+use super::journal;
+use super::presets::PresetStore;
+use super::retention::{self, RetentionPolicy};
+
+/// Schema written by this build; bump it and append to `MIGRATIONS` when the layout changes
+pub const SCHEMA_VERSION: u32 = 1;
+
+/// Event carrying the new settings after every change
+pub const SETTINGS_CHANGED_EVENT: &str = "settings-changed";
+
+/// Per-feature files settings were kept in before schema 1
+const LEGACY_FILES: [&str; 4] = [
+    "capcut_path.txt",
+    "download_dir.txt",
+    "backup_retention.json",
+    "protection_presets.json",
+];
+
+/// Upgrades between schema versions: `MIGRATIONS[n]` turns version n into n + 1.
+/// Each returns false when it had to leave something behind it couldn't read.
+const MIGRATIONS: [fn(&mut Map<String, Value>) -> bool; SCHEMA_VERSION as usize] =
+    [migrate_legacy_files];
+
+/// Appearance choices offered by the frontend (theme.js); the first is the default
+const THEMES: [&str; 3] = ["system", "light", "dark"];
+const ACCENTS: [&str; 6] = ["blue", "purple", "pink", "orange", "green", "teal"];
+
+/// Serializes read-modify-write cycles (commands run on several threads)
+static SETTINGS_LOCK: Mutex<()> = Mutex::new(());
+
+/// Handle used to broadcast changes; set once the app is running
+static APP: OnceLock<AppHandle> = OnceLock::new();
+
+/// All user preferences
+#[derive(Clone, Debug, Serialize, Deserialize)]
+#[serde(default)]
+pub struct Settings {
+    pub schema_version: u32,
+    /// CapCut folder chosen in Settings (None = automatic detection); may no longer exist
+    pub capcut_path: Option<String>,
+    /// Folder installers are downloaded to (None = Downloads\CC Version Guard)
+    pub download_dir: Option<String>,
+    pub retention: RetentionPolicy,
+    pub presets: PresetStore,
+    /// UI and log language (None = follow the system)
+    pub language: Option<String>,
+    /// "system", "light" or "dark"
+    pub theme: String,
+    /// Accent color name (see ACCENTS)
+    pub accent: String,
+}
+
+impl Default for Settings {
+    fn default() -> Self {
+        Settings {
+            schema_version: SCHEMA_VERSION,
+            capcut_path: None,
+            download_dir: None,
+            retention: RetentionPolicy::default(),
+            presets: PresetStore::default(),
+            language: None,
+            theme: THEMES[0].to_string(),
+            accent: ACCENTS[0].to_string(),
+        }
+    }
+}
+
+/// Trim a saved folder; blank means none
+fn clean_path(path: Option<String>) -> Option<String> {
+    path.map(|p| p.trim().to_string()).filter(|p| !p.is_empty())
+}
+
+/// One of `options`, case-insensitively; blank means the first (the default)
+fn clean_choice(value: &str, options: &[&str], key: &str) -> Result<String, String> {
+    let value = value.trim().to_lowercase();
+    if value.is_empty() {
+        return Ok(options[0].to_string());
+    }
+    options
+        .iter()
+        .find(|o| **o == value)
+        .map(|o| o.to_string())
+        .ok_or_else(|| i18n::t(key, &[("value", &value)]))
+}
+
+impl Settings {
+    /// Normalize every field and reject values the app couldn't use
+    fn validate(mut self) -> Result<Self, String> {
+        self.schema_version = SCHEMA_VERSION;
+        self.capcut_path = clean_path(self.capcut_path);
+        self.download_dir = clean_path(self.download_dir);
+        retention::validate(&self.retention)?;
+        self.presets = self.presets.validate()?;
+        let language = self.language.map(|l| l.trim().to_lowercase());
+        self.language = match language.filter(|l| !l.is_empty()) {
+            Some(l) => Some(
+                i18n::supported(&l)
+                    .ok_or_else(|| i18n::t("common.unsupported_language", &[("language", &l)]))?
+                    .to_string(),
+            ),
+            None => None,
+        };
+        self.theme = clean_choice(&self.theme, &THEMES, "settings.unsupported_theme")?;
+        self.accent = clean_choice(&self.accent, &ACCENTS, "settings.unsupported_accent")?;
+        Ok(self)
+    }
+}
+
+/// Folder holding settings.json (and the legacy files)
+fn settings_dir() -> Option<PathBuf> {
+    std::env::var("LOCALAPPDATA")
+        .ok()
+        .map(|p| PathBuf::from(p).join("CCVersionGuard"))
+}
+
+fn settings_file() -> Option<PathBuf> {
+    settings_dir().map(|d| d.join("settings.json"))
+}
+
+// ============================================
+// Migrations
+// ============================================
+
+/// 0 -> 1: pull the per-feature files into settings.json
+fn migrate_legacy_files(settings: &mut Map<String, Value>) -> bool {
+    let Some(dir) = settings_dir() else {
+        return true;
+    };
+    let mut clean = true;
+    let mut text = |name: &str| match fs::read_to_string(dir.join(name)) {
+        Ok(c) => Some(c.trim().to_string()).filter(|c| !c.is_empty()),
+        Err(e) => {
+            clean &= e.kind() == std::io::ErrorKind::NotFound;
+            None
+        }
+    };
+    let capcut_path = text(LEGACY_FILES[0]).map(Value::String);
+    let download_dir = text(LEGACY_FILES[1]).map(Value::String);
+    let retention = text(LEGACY_FILES[2]);
+    let presets = text(LEGACY_FILES[3]);
+
+    let mut json = |content: Option<String>| {
+        let value = content.map(|c| serde_json::from_str::<Value>(&c));
+        clean &= !matches!(value, Some(Err(_)));
+        value.and_then(Result::ok)
+    };
+    let legacy = [
+        ("capcut_path", capcut_path),
+        ("download_dir", download_dir),
+        ("retention", json(retention)),
+        ("presets", json(presets)),
+    ];
+    for (key, value) in legacy {
+        if let Some(value) = value {
+            settings.entry(key).or_insert(value);
+        }
+    }
+    clean
+}
+
+/// Schema version of raw settings; files without one predate settings.json
+fn schema_of(settings: &Map<String, Value>) -> u32 {
+    settings
+        .get("schema_version")
+        .and_then(Value::as_u64)
+        .unwrap_or(0) as u32
+}
+
+/// Run the migrations from the settings' schema up to `SCHEMA_VERSION`;
+/// false when one of them left something behind
+fn migrate(settings: &mut Map<String, Value>) -> bool {
+    let mut clean = true;
+    for migration in MIGRATIONS.iter().skip(schema_of(settings) as usize) {
+        clean &= migration(settings);
+    }
+    settings.insert("schema_version".to_string(), SCHEMA_VERSION.into());
+    clean
+}
+
+// ============================================
+// Storage
+// ============================================
+
+/// Settings from raw JSON one field at a time: a field that doesn't parse or
+/// validate falls back to its default without taking the others with it.
+/// Returns the settings and whether every known field was kept.
+fn from_raw(raw: Map<String, Value>) -> (Settings, bool) {
+    let mut settings = Settings::default();
+    let mut complete = true;
+    for (key, value) in raw {
+        let Ok(Value::Object(mut fields)) = serde_json::to_value(&settings) else {
+            break;
+        };
+        // Unknown keys (from a newer build) are ignored, as serde would
+        if key == "schema_version" || !fields.contains_key(&key) {
+            continue;
+        }
+        fields.insert(key, value);
+        match serde_json::from_value::<Settings>(Value::Object(fields)) {
+            Ok(candidate) => match candidate.validate() {
+                Ok(valid) => settings = valid,
+                Err(_) => complete = false,
+            },
+            Err(_) => complete = false,
+        }
+    }
+    (settings, complete)
+}
+
+/// Move a settings file that can't be read out of the way as `settings.json.bak`,
+/// so saving defaults doesn't destroy what the user might still recover.
+/// An older .bak goes first: renaming onto an existing file fails on Windows.
+fn set_aside(file: &Path) -> bool {
+    let backup = file.with_extension("json.bak");
+    let _ = fs::remove_file(&backup);
+    fs::rename(file, backup).is_ok()
+}
+
+/// Saved settings, migrated to the current schema; defaults when there are none.
+/// A migration is written back right away; an unreadable file is kept as
+/// settings.json.bak first and never overwritten.
+fn read() -> Settings {
+    let Some(file) = settings_file() else {
+        return Settings::default();
+    };
+    let mut raw = match fs::read_to_string(&file) {
+        Ok(content) => match serde_json::from_str::<Map<String, Value>>(&content) {
+            Ok(raw) => raw,
+            Err(_) if set_aside(&file) => Map::new(),
+            Err(_) => return Settings::default(),
+        },
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Map::new(),
+        Err(_) if set_aside(&file) => Map::new(),
+        Err(_) => return Settings::default(),
+    };
+
+    // Settings from a newer build are read as far as they're understood
+    let from = schema_of(&raw);
+    if from >= SCHEMA_VERSION {
+        return from_raw(raw).0;
+    }
+
+    let migrated = migrate(&mut raw);
+    let (settings, complete) = from_raw(raw);
+    // The legacy files go only once everything in them made it into settings.json
+    if save(&settings).is_ok() && from == 0 && migrated && complete {
+        remove_legacy_files();
+    }
+    settings
+}
+
+fn save(settings: &Settings) -> Result<(), String> {
+    let file = settings_file().ok_or_else(|| i18n::t("common.no_settings_dir", &[]))?;
+    if let Some(dir) = file.parent() {
+        fs::create_dir_all(dir).map_err(|e| e.to_string())?;
+    }
+    let json = serde_json::to_string_pretty(settings).map_err(|e| e.to_string())?;
+    fs::write(&file, json).map_err(|e| e.to_string())
+}
+
+/// Best-effort: a leftover file is ignored once settings.json exists
+fn remove_legacy_files() {
+    if let Some(dir) = settings_dir() {
+        for name in LEGACY_FILES {
+            let _ = fs::remove_file(dir.join(name));
+        }
+    }
+}
+
+/// Tell the frontend about new settings
+fn notify(settings: &Settings) {
+    if let Some(app) = APP.get() {
+        let _ = app.emit(SETTINGS_CHANGED_EVENT, settings.clone());
+    }
+}
+
+fn lock() -> std::sync::MutexGuard<'static, ()> {
+    SETTINGS_LOCK.lock().unwrap_or_else(|e| e.into_inner())
+}
+
+/// Start broadcasting changes (called once from setup)
+pub fn init(app: AppHandle) {
+    let _ = APP.set(app);
+}
+
+/// Current settings
+pub fn load() -> Settings {
+    let _guard = lock();
+    read()
+}
+
+/// Change settings, validate the result, save it and broadcast it
+/// Nothing is saved when `change` or validation fails.
+pub fn update(
+    change: impl FnOnce(&mut Settings) -> Result<(), String>,
+) -> Result<Settings, String> {
+    let _guard = lock();
+    let mut settings = read();
+    change(&mut settings)?;
+    let settings = settings.validate()?;
+    save(&settings)?;
+    notify(&settings);
+    Ok(settings)
+}
+
+/// Replace every setting, e.g. with defaults or an imported file
+fn replace(settings: Settings) -> Result<Settings, String> {
+    update(|current| {
+        *current = settings;
+        Ok(())
+    })
+}
+
+// ============================================
+// Commands
+// ============================================
+
+/// All settings
+#[tauri::command]
+pub fn get_settings() -> Settings {
+    load()
+}
+
+/// Change some settings by key, e.g. `{ "download_dir": null }`
+#[tauri::command]
+pub fn update_settings(changes: Map<String, Value>) -> Result<Settings, String> {
+    update(|settings| {
+        let mut raw = match serde_json::to_value(&*settings) {
+            Ok(Value::Object(raw)) => raw,
+            _ => return Err(i18n::t("settings.unreadable", &[])),
+        };
+        for (key, value) in changes {
+            if key == "schema_version" || !raw.contains_key(&key) {
+                return Err(i18n::t("settings.unknown", &[("key", &key)]));
+            }
+            raw.insert(key, value);
+        }
+        *settings = serde_json::from_value(Value::Object(raw))
+            .map_err(|e| i18n::t("settings.invalid", &[("error", &e)]))?;
+        Ok(())
+    })
+}
+
+/// Put every setting back to its default
+#[tauri::command]
+pub fn reset_settings() -> Result<Settings, String> {
+    let result = replace(Settings::default());
+    journal::record(
+        "reset_settings",
+        serde_json::json!({}),
+        result.is_ok(),
+        result.as_ref().err().cloned(),
+        &[],
+    );
+    result
+}
+
+/// Write the settings to a JSON file
+#[tauri::command]
+pub fn export_settings(path: String) -> Result<(), String> {
+    let json = serde_json::to_string_pretty(&load()).map_err(|e| e.to_string())?;
+    fs::write(&path, json)
+        .map_err(|e| i18n::t("common.write_failed", &[("path", &path), ("error", &e)]))
+}
+
+/// Replace the settings with an exported file, migrating it if it's older
+#[tauri::command]
+pub fn import_settings(path: String) -> Result<Settings, String> {
+    let result = read_export(&path).and_then(replace);
+    let logs = match &result {
+        Ok(_) => vec![i18n::ok("settings.imported", &[("path", &path)])],
+        Err(e) => vec![format!("[!] {}", e)],
+    };
+    journal::record(
+        "import_settings",
+        serde_json::json!({ "path": path }),
+        result.is_ok(),
+        result.as_ref().err().cloned(),
+        &logs,
+    );
+    result
+}
+
+/// Parse and check an exported settings file
+fn read_export(path: &str) -> Result<Settings, String> {
+    let content = fs::read_to_string(path)
+        .map_err(|e| i18n::t("common.read_failed", &[("path", &path), ("error", &e)]))?;
+    let mut raw = match serde_json::from_str::<Value>(&content) {
+        Ok(Value::Object(raw)) if raw.contains_key("schema_version") => raw,
+        _ => return Err(i18n::t("settings.not_settings", &[("path", &path)])),
+    };
+
+    let schema = schema_of(&raw);
+    if schema > SCHEMA_VERSION {
+        return Err(i18n::t("settings.newer", &[]));
+    }
+    // Exports start at schema 1, so the legacy-file migration never runs on them
+    if schema < SCHEMA_VERSION {
+        migrate(&mut raw);
+    }
+
+    let settings: Settings = serde_json::from_value(Value::Object(raw))
+        .map_err(|e| i18n::t("settings.invalid", &[("error", &e)]))?;
+    settings.validate()
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use crate::commands::testing;
+    use serde_json::json;
+
+    fn raw(value: Value) -> Map<String, Value> {
+        match value {
+            Value::Object(map) => map,
+            _ => unreachable!(),
+        }
+    }
+
+    #[test]
+    fn keeps_the_fields_that_are_valid() {
+        let (settings, complete) = from_raw(raw(json!({
+            "schema_version": 1,
+            "download_dir": "  D:\\Installers  ",
+            "retention": { "keep_per_version": 0, "max_total_gb": null },
+            "language": "DE",
+            "theme": "neon",
+            "accent": 7,
+            "from_a_newer_build": true
+        })));
+        assert!(!complete);
+        assert_eq!(settings.download_dir.as_deref(), Some("D:\\Installers"));
+        assert_eq!(settings.language.as_deref(), Some("de"));
+        assert_eq!(settings.retention.keep_per_version, None);
+        assert_eq!(settings.theme, THEMES[0]);
+        assert_eq!(settings.accent, ACCENTS[0]);
+    }
+
+    #[test]
+    fn unknown_fields_do_not_make_settings_incomplete() {
+        let (settings, complete) = from_raw(raw(
+            json!({ "schema_version": 2, "theme": "dark", "sync": {} }),
+        ));
+        assert!(complete);
+        assert_eq!(settings.theme, "dark");
+    }
+
+    #[test]
+    fn migrates_the_legacy_files() {
+        let _app_data = testing::app_data("settings-legacy");
+        let dir = settings_dir().unwrap();
+        fs::create_dir_all(&dir).unwrap();
+        fs::write(dir.join(LEGACY_FILES[0]), "C:\\CapCut\n").unwrap();
+        fs::write(dir.join(LEGACY_FILES[1]), "").unwrap();
+        fs::write(dir.join(LEGACY_FILES[2]), r#"{"keep_per_version":2}"#).unwrap();
+        fs::write(
+            dir.join(LEGACY_FILES[3]),
+            r#"{"presets":[{"name":"Mine","clean_cache":false,"lock_config":true,"create_blockers":false}],"default":"mine"}"#,
+        )
+        .unwrap();
+
+        let settings = read();
+        assert_eq!(settings.capcut_path.as_deref(), Some("C:\\CapCut"));
+        assert_eq!(settings.download_dir, None);
+        assert_eq!(settings.retention.keep_per_version, Some(2));
+        assert_eq!(settings.presets.default.as_deref(), Some("Mine"));
+        for name in LEGACY_FILES {
+            assert!(!dir.join(name).exists(), "{} left behind", name);
+        }
+        let saved: Map<String, Value> =
+            serde_json::from_str(&fs::read_to_string(settings_file().unwrap()).unwrap()).unwrap();
+        assert_eq!(schema_of(&saved), SCHEMA_VERSION);
+    }
+
+    #[test]
+    fn keeps_legacy_files_it_could_not_read() {
+        let _app_data = testing::app_data("settings-legacy-broken");
+        let dir = settings_dir().unwrap();
+        fs::create_dir_all(&dir).unwrap();
+        fs::write(dir.join(LEGACY_FILES[0]), "C:\\CapCut").unwrap();
+        fs::write(dir.join(LEGACY_FILES[2]), "{ not json").unwrap();
+
+        let settings = read();
+        assert_eq!(settings.capcut_path.as_deref(), Some("C:\\CapCut"));
+        assert!(settings_file().unwrap().exists());
+        assert!(dir.join(LEGACY_FILES[0]).exists());
+        assert!(dir.join(LEGACY_FILES[2]).exists());
+    }
+
+    #[test]
+    fn sets_an_unreadable_file_aside_over_an_older_one() {
+        let _app_data = testing::app_data("settings-aside");
+        let file = settings_file().unwrap();
+        let backup = file.with_extension("json.bak");
+        fs::create_dir_all(file.parent().unwrap()).unwrap();
+        fs::write(&backup, "older").unwrap();
+        fs::write(&file, "{ broken").unwrap();
+
+        let settings = read();
+        assert_eq!(settings.theme, THEMES[0]);
+        assert_eq!(fs::read_to_string(&backup).unwrap(), "{ broken");
+        let saved: Map<String, Value> =
+            serde_json::from_str(&fs::read_to_string(&file).unwrap()).unwrap();
+        assert_eq!(schema_of(&saved), SCHEMA_VERSION);
+    }
+}
@@ -1,7 +1,13 @@
+use crate::commands::i18n;
+use crate::commands::journal;
 use crate::commands::scanner::{get_capcut_apps_path, get_capcut_root_path};
+use crate::commands::version;
 use serde::Serialize;
 use std::fs;
-use std::path::PathBuf;
+use std::path::{Path, PathBuf};
+
+/// Version pinned by configure.ini when protection is on (not a real version)
+const LOCKED_LAST_VERSION: &str = "1.0.0.0";
 
 #[derive(Serialize)]
 pub struct SwitchResult {
@@ -12,16 +18,31 @@ pub struct SwitchResult {
 
 #[tauri::command]
 pub fn switch_version(target_path: String) -> SwitchResult {
+    let result = switch_to(&target_path);
+    journal::record(
+        "switch",
+        serde_json::json!({ "target_path": target_path }),
+        result.success,
+        (!result.success).then(|| result.message.clone()),
+        &result.logs,
+    );
+    result
+}
+
+fn switch_to(target_path: &str) -> SwitchResult {
     let mut logs = Vec::new();
-    let target_dir = PathBuf::from(&target_path);
+    let target_dir = PathBuf::from(target_path);
 
-    logs.push(format!("Initiating switch to version at: {:?}", target_dir));
+    logs.push(i18n::t(
+        "switcher.starting",
+        &[("path", &target_dir.display())],
+    ));
 
     if !target_dir.exists() {
-        logs.push("[!] Target directory does not exist".to_string());
+        logs.push(i18n::warn("switcher.missing_target", &[]));
         return SwitchResult {
             success: false,
-            message: "Target version not found".to_string(),
+            message: i18n::t("switcher.not_found", &[]),
             logs,
         };
     }
@@ -32,13 +53,19 @@ pub fn switch_version(target_path: String) -> SwitchResult {
         .and_then(|n| n.to_str())
         .unwrap_or("unknown");
 
-    logs.push(format!("Detected version: {}", version_name));
+    logs.push(i18n::t("switcher.detected", &[("version", &version_name)]));
 
     // 1. Update ProductInfo.xml to point to this version
     // This is how CapCut launcher knows which EXE to run
     if let Some(root_path) = get_capcut_root_path() {
         let product_info_path = root_path.join("Apps").join("ProductInfo.xml");
-        logs.push(format!("Updating ProductInfo at: {:?}", product_info_path));
+        logs.push(i18n::t(
+            "switcher.updating",
+            &[
+                ("file", &"ProductInfo.xml"),
+                ("path", &product_info_path.display()),
+            ],
+        ));
 
         let target_exe = target_dir.join("CapCut.exe");
 
@@ -59,20 +86,32 @@ pub fn switch_version(target_path: String) -> SwitchResult {
             if perms.readonly() {
                 perms.set_readonly(false);
                 let _ = fs::set_permissions(&product_info_path, perms);
-                logs.push("Removed Read-Only attribute from ProductInfo.xml".to_string());
+                logs.push(i18n::t(
+                    "switcher.readonly_removed",
+                    &[("file", &"ProductInfo.xml")],
+                ));
             }
         }
 
         match fs::write(&product_info_path, new_content) {
-            Ok(_) => logs.push("[OK] Updated ProductInfo.xml".to_string()),
-            Err(e) => logs.push(format!("[!] Failed to write ProductInfo.xml: {}", e)),
+            Ok(_) => logs.push(i18n::ok(
+                "switcher.updated",
+                &[("file", &"ProductInfo.xml")],
+            )),
+            Err(e) => logs.push(i18n::warn(
+                "switcher.write_failed",
+                &[("file", &"ProductInfo.xml"), ("error", &e)],
+            )),
         }
     }
 
     // 2. Update configure.ini (last_version)
     if let Some(apps_path) = get_capcut_apps_path() {
         let config_path = apps_path.join("configure.ini");
-        logs.push(format!("Updating configure.ini at: {:?}", config_path));
+        logs.push(i18n::t(
+            "switcher.updating",
+            &[("file", &"configure.ini"), ("path", &config_path.display())],
+        ));
 
         let config_content = format!("[Configure]\r\nlast_version={}\r\n", version_name);
 
@@ -86,8 +125,11 @@ pub fn switch_version(target_path: String) -> SwitchResult {
         }
 
         match fs::write(&config_path, config_content) {
-            Ok(_) => logs.push("[OK] Updated configure.ini".to_string()),
-            Err(e) => logs.push(format!("[!] Failed to write configure.ini: {}", e)),
+            Ok(_) => logs.push(i18n::ok("switcher.updated", &[("file", &"configure.ini")])),
+            Err(e) => logs.push(i18n::warn(
+                "switcher.write_failed",
+                &[("file", &"configure.ini"), ("error", &e)],
+            )),
         }
     }
 
@@ -98,7 +140,96 @@ pub fn switch_version(target_path: String) -> SwitchResult {
 
     SwitchResult {
         success: true,
-        message: format!("Successfully switched to v{}", version_name),
+        message: i18n::t("switcher.switched", &[("version", &version_name)]),
         logs,
     }
 }
+
+/// Where the active version was read from
+#[derive(Serialize, Clone, Copy, PartialEq, Eq, Debug)]
+#[serde(rename_all = "snake_case")]
+pub enum ActiveSource {
+    /// `<Version>` of Apps\ProductInfo.xml (what the launcher reads)
+    ProductInfo,
+    /// `last_version` of Apps\configure.ini
+    ConfigureIni,
+    /// Neither file names an installed version; the launcher falls back to the newest
+    NewestInstalled,
+}
+
+/// The installed version CapCut will launch
+#[derive(Serialize)]
+pub struct ActiveVersion {
+    /// Folder name under Apps (e.g. "5.2.0.1950")
+    pub name: String,
+    pub path: String,
+    pub source: ActiveSource,
+}
+
+/// Get the version CapCut will launch, as written by `switch_version`
+/// None when no version is installed
+#[tauri::command]
+pub fn get_active_version() -> Option<ActiveVersion> {
+    let apps_path = get_capcut_apps_path().filter(|p| p.exists())?;
+
+    let installed = |name: String| -> Option<String> {
+        let dir = apps_path.join(&name);
+        dir.is_dir().then_some(name)
+    };
+
+    // A protected install has an empty ProductInfo.xml and last_version=1.0.0.0,
+    // so neither names a folder and the newest one wins
+    let (name, source) = product_info_version(&apps_path)
+        .and_then(installed)
+        .map(|n| (n, ActiveSource::ProductInfo))
+        .or_else(|| {
+            configure_ini_version(&apps_path)
+                .and_then(installed)
+                .map(|n| (n, ActiveSource::ConfigureIni))
+        })
+        .or_else(|| newest_installed(&apps_path).map(|n| (n, ActiveSource::NewestInstalled)))?;
+
+    Some(ActiveVersion {
+        path: apps_path.join(&name).to_string_lossy().to_string(),
+        name,
+        source,
+    })
+}
+
+/// `<Version>` from ProductInfo.xml, or the folder of its `<InstallPath>`
+fn product_info_version(apps_path: &Path) -> Option<String> {
+    let content = fs::read_to_string(apps_path.join("ProductInfo.xml")).ok()?;
+
+    let tag = |name: &str| -> Option<String> {
+        let open = format!("<{}>", name);
+        let start = content.find(&open)? + open.len();
+        let end = content[start..].find(&format!("</{}>", name))? + start;
+        Some(content[start..end].trim().to_string()).filter(|v| !v.is_empty())
+    };
+
+    tag("Version").or_else(|| {
+        let exe = PathBuf::from(tag("InstallPath")?);
+        let dir = exe.parent()?.file_name()?;
+        Some(dir.to_string_lossy().to_string())
+    })
+}
+
+/// `last_version` from configure.ini, unless it is the protection lock value
+fn configure_ini_version(apps_path: &Path) -> Option<String> {
+    let content = fs::read_to_string(apps_path.join("configure.ini")).ok()?;
+    content
+        .lines()
+        .filter_map(|l| l.trim().strip_prefix("last_version="))
+        .map(|v| v.trim().to_string())
+        .find(|v| !v.is_empty() && v != LOCKED_LAST_VERSION)
+}
+
+/// Newest version folder with CapCut.exe, the launcher's own fallback
+fn newest_installed(apps_path: &Path) -> Option<String> {
+    fs::read_dir(apps_path)
+        .ok()?
+        .filter_map(|e| e.ok())
+        .filter(|e| e.path().join("CapCut.exe").exists())
+        .map(|e| e.file_name().to_string_lossy().to_string())
+        .max_by(|a, b| version::compare_names(a, b))
+}
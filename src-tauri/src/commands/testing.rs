@@ -0,0 +1,30 @@
+//! Helpers shared by the unit tests
+
+use std::fs;
+use std::path::PathBuf;
+use std::sync::{Mutex, MutexGuard};
+
+/// Every data folder hangs off LOCALAPPDATA, so tests that use one run one at a time
+static APP_DATA: Mutex<()> = Mutex::new(());
+
+/// A fresh, empty LOCALAPPDATA for one test, removed again when dropped
+pub struct AppData {
+    pub path: PathBuf,
+    _lock: MutexGuard<'static, ()>,
+}
+
+pub fn app_data(name: &str) -> AppData {
+    // A failed test poisons the lock; the next one still gets a clean folder
+    let lock = APP_DATA.lock().unwrap_or_else(|e| e.into_inner());
+    let path = std::env::temp_dir().join(format!("ccvg-{}-{}", name, std::process::id()));
+    let _ = fs::remove_dir_all(&path);
+    fs::create_dir_all(&path).unwrap();
+    std::env::set_var("LOCALAPPDATA", &path);
+    AppData { path, _lock: lock }
+}
+
+impl Drop for AppData {
+    fn drop(&mut self) {
+        let _ = fs::remove_dir_all(&self.path);
+    }
+}
@@ -0,0 +1,365 @@
+//! Protection transactions
+//! Each `run_full_protection` records what it changed (deleted versions and their
+//! backups, the original configure.ini / ProductInfo.xml / update.exe) so the whole
+//! run can be undone later
+
+use serde::{Deserialize, Serialize};
+use std::fs;
+use std::path::{Path, PathBuf};
+use std::time::{SystemTime, UNIX_EPOCH};
+
+use super::i18n;
+
+/// Record file inside each transaction folder
+const TRANSACTION_FILE: &str = "transaction.json";
+
+/// A version folder the run deleted
+#[derive(Clone, Serialize, Deserialize)]
+pub struct DeletedVersion {
+    pub name: String,
+    pub original_path: String,
+    /// None when the backup failed and the version can't be restored
+    pub backup_id: Option<String>,
+}
+
+/// State of a file before the run changed it
+#[derive(Clone, Serialize, Deserialize)]
+pub struct FileSnapshot {
+    pub path: String,
+    /// False when the run created the file (undo deletes it)
+    pub existed: bool,
+    pub readonly: bool,
+    /// Name of the copy inside the transaction folder
+    pub snapshot: Option<String>,
+}
+
+/// One protection run and everything needed to undo it
+#[derive(Clone, Serialize, Deserialize)]
+pub struct ProtectionTransaction {
+    pub id: String,
+    /// Unix time in milliseconds
+    pub started_at: u64,
+    pub deleted_versions: Vec<DeletedVersion>,
+    pub files: Vec<FileSnapshot>,
+    /// Cache isn't backed up, so undo can't bring it back
+    pub cache_cleaned: bool,
+    /// Set once an undo restored and verified everything
+    pub undone_at: Option<u64>,
+}
+
+/// Folder holding one subfolder per transaction
+fn transactions_dir() -> Option<PathBuf> {
+    std::env::var("LOCALAPPDATA")
+        .ok()
+        .map(|p| PathBuf::from(p).join("CCVersionGuard").join("Transactions"))
+}
+
+fn now_millis() -> u64 {
+    SystemTime::now()
+        .duration_since(UNIX_EPOCH)
+        .unwrap_or_default()
+        .as_millis() as u64
+}
+
+/// Clear or set the readonly attribute of a file
+fn set_readonly(path: &Path, readonly: bool) -> Result<(), String> {
+    let mut perms = fs::metadata(path).map_err(|e| e.to_string())?.permissions();
+    if perms.readonly() != readonly {
+        perms.set_readonly(readonly);
+        fs::set_permissions(path, perms).map_err(|e| e.to_string())?;
+    }
+    Ok(())
+}
+
+impl ProtectionTransaction {
+    /// Start a transaction and create its folder
+    pub fn begin() -> Result<Self, String> {
+        let started_at = now_millis();
+        let transaction = ProtectionTransaction {
+            id: format!("lock-{}", started_at),
+            started_at,
+            deleted_versions: vec![],
+            files: vec![],
+            cache_cleaned: false,
+            undone_at: None,
+        };
+
+        let dir = transaction.dir()?;
+        fs::create_dir_all(&dir).map_err(|e| {
+            i18n::t(
+                "common.create_failed",
+                &[("path", &dir.display()), ("error", &e)],
+            )
+        })?;
+        Ok(transaction)
+    }
+
+    /// Load a saved transaction
+    pub fn load(id: &str) -> Result<Self, String> {
+        let file = Self::dir_of(id)?.join(TRANSACTION_FILE);
+        let content = fs::read_to_string(&file)
+            .map_err(|_| i18n::t("transaction.not_found", &[("id", &id)]))?;
+        serde_json::from_str(&content).map_err(|e| i18n::t("transaction.invalid", &[("error", &e)]))
+    }
+
+    /// Remove the folder of a transaction that is abandoned before it is saved
+    pub fn discard(self) {
+        if let Ok(dir) = self.dir() {
+            let _ = fs::remove_dir_all(dir);
+        }
+    }
+
+    /// Whether undo would put anything back (a cleaned cache can't be restored)
+    pub fn has_changes(&self) -> bool {
+        !self.deleted_versions.is_empty() || !self.files.is_empty()
+    }
+
+    /// Save the transaction once the run is over and return its id. Snapshots of files
+    /// the run left as they were are dropped; a run that changed nothing leaves no
+    /// record, so it can't stand in the way of undoing an earlier lock.
+    pub fn finish(mut self) -> Result<Option<String>, String> {
+        let unchanged: Vec<FileSnapshot> = self
+            .files
+            .iter()
+            .filter(|f| self.is_unchanged(f))
+            .cloned()
+            .collect();
+        if let Ok(dir) = self.dir() {
+            for name in unchanged.iter().filter_map(|f| f.snapshot.as_ref()) {
+                let _ = fs::remove_file(dir.join(name));
+            }
+        }
+        self.files
+            .retain(|f| !unchanged.iter().any(|u| u.path == f.path));
+
+        if !self.has_changes() {
+            self.discard();
+            return Ok(None);
+        }
+        self.save()?;
+        Ok(Some(self.id))
+    }
+
+    fn is_unchanged(&self, file: &FileSnapshot) -> bool {
+        let readonly = fs::metadata(&file.path).map_or(false, |m| m.permissions().readonly());
+        readonly == file.readonly && self.verify_file(file).is_ok()
+    }
+
+    pub fn save(&self) -> Result<(), String> {
+        let content = serde_json::to_string_pretty(self).map_err(|e| e.to_string())?;
+        fs::write(self.dir()?.join(TRANSACTION_FILE), content).map_err(|e| e.to_string())
+    }
+
+    fn dir_of(id: &str) -> Result<PathBuf, String> {
+        // Ids come from the frontend; never let one point outside the folder
+        if id.is_empty() || id.contains(['/', '\\', '.']) {
+            return Err(i18n::t("transaction.invalid_id", &[("id", &id)]));
+        }
+        transactions_dir()
+            .map(|d| d.join(id))
+            .ok_or_else(|| i18n::t("common.no_settings_dir", &[]))
+    }
+
+    fn dir(&self) -> Result<PathBuf, String> {
+        Self::dir_of(&self.id)
+    }
+
+    /// Copy a file before the run changes it; later calls for the same path are ignored
+    pub fn snapshot(&mut self, path: &Path) -> Result<(), String> {
+        let path_str = path.to_string_lossy().to_string();
+        if self.files.iter().any(|f| f.path == path_str) {
+            return Ok(());
+        }
+
+        let meta = fs::metadata(path).ok().filter(|m| m.is_file());
+        let snapshot = match &meta {
+            Some(_) => {
+                let name = format!("{}.orig", self.files.len());
+                let copy = self.dir()?.join(&name);
+                fs::copy(path, &copy).map_err(|e| {
+                    i18n::t(
+                        "transaction.copy_failed",
+                        &[("path", &path.display()), ("error", &e)],
+                    )
+                })?;
+                // A readonly copy would block cleanup of the transaction folder
+                set_readonly(&copy, false)?;
+                Some(name)
+            }
+            None => None,
+        };
+
+        self.files.push(FileSnapshot {
+            path: path_str,
+            existed: meta.is_some(),
+            readonly: meta.map_or(false, |m| m.permissions().readonly()),
+            snapshot,
+        });
+        Ok(())
+    }
+
+    /// Record a successful undo so it isn't offered again
+    pub fn mark_undone(&mut self) -> Result<(), String> {
+        self.undone_at = Some(now_millis());
+        self.save()
+    }
+
+    /// Put a file back the way it was before the run
+    pub fn revert_file(&self, file: &FileSnapshot) -> Result<(), String> {
+        let target = Path::new(&file.path);
+        if target.is_dir() {
+            return Err(i18n::t(
+                "transaction.folder_in_place",
+                &[("path", &target.display())],
+            ));
+        }
+        if target.exists() {
+            set_readonly(target, false)?;
+            fs::remove_file(target).map_err(|e| e.to_string())?;
+        }
+
+        if let Some(name) = &file.snapshot {
+            fs::copy(self.dir()?.join(name), target).map_err(|e| e.to_string())?;
+            set_readonly(target, file.readonly)?;
+        }
+        Ok(())
+    }
+
+    /// Check that a file matches its snapshot
+    pub fn verify_file(&self, file: &FileSnapshot) -> Result<(), String> {
+        let target = Path::new(&file.path);
+        match (&file.snapshot, target.exists()) {
+            (None, false) => Ok(()),
+            (None, true) => Err(i18n::t("transaction.still_present", &[])),
+            (Some(_), false) => Err(i18n::t("transaction.missing", &[])),
+            (Some(name), true) => {
+                let original = fs::read(self.dir()?.join(name)).map_err(|e| e.to_string())?;
+                let current = fs::read(target).map_err(|e| e.to_string())?;
+                if original == current {
+                    Ok(())
+                } else {
+                    Err(i18n::t("transaction.content_differs", &[]))
+                }
+            }
+        }
+    }
+}
+
+/// Whether a later lock that changed something is still in place; its snapshots
+/// must be rolled back before this one's
+pub fn newer_lock_pending(transaction: &ProtectionTransaction) -> bool {
+    list_transactions()
+        .iter()
+        .any(|t| t.started_at > transaction.started_at && t.undone_at.is_none() && t.has_changes())
+}
+
+/// All recorded protection runs, newest first
+#[tauri::command]
+pub fn list_transactions() -> Vec<ProtectionTransaction> {
+    let dir = match transactions_dir() {
+        Some(d) if d.exists() => d,
+        _ => return Vec::new(),
+    };
+
+    let mut transactions: Vec<ProtectionTransaction> = fs::read_dir(dir)
+        .map(|entries| {
+            entries
+                .filter_map(|e| e.ok())
+                .filter_map(|e| ProtectionTransaction::load(&e.file_name().to_string_lossy()).ok())
+                .collect()
+        })
+        .unwrap_or_default();
+
+    transactions.sort_by(|a, b| b.started_at.cmp(&a.started_at));
+    transactions
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use crate::commands::testing;
+    use std::time::Duration;
+
+    /// Ids are millisecond timestamps; runs in a row need distinct ones
+    fn next_run() {
+        std::thread::sleep(Duration::from_millis(2));
+    }
+
+    fn deleted(name: &str) -> DeletedVersion {
+        DeletedVersion {
+            name: name.to_string(),
+            original_path: name.to_string(),
+            backup_id: Some(format!("{}_1", name)),
+        }
+    }
+
+    #[test]
+    fn run_that_changed_nothing_leaves_no_record() {
+        let app_data = testing::app_data("tx-unchanged");
+        let config = app_data.path.join("configure.ini");
+        fs::write(&config, "last_version=1.0.0.0").unwrap();
+
+        let mut transaction = ProtectionTransaction::begin().unwrap();
+        transaction.snapshot(&config).unwrap();
+        transaction
+            .snapshot(&app_data.path.join("ProductInfo.xml"))
+            .unwrap();
+        transaction.cache_cleaned = true;
+
+        assert_eq!(transaction.finish().unwrap(), None);
+        assert!(list_transactions().is_empty());
+        let dir = transactions_dir().unwrap();
+        assert_eq!(fs::read_dir(dir).unwrap().count(), 0);
+    }
+
+    #[test]
+    fn keeps_only_the_files_a_run_changed() {
+        let app_data = testing::app_data("tx-changed");
+        let config = app_data.path.join("configure.ini");
+        let blocker = app_data.path.join("ProductInfo.xml");
+        let untouched = app_data.path.join("update.exe");
+        fs::write(&config, "last_version=5.2.0").unwrap();
+        fs::write(&untouched, "installer").unwrap();
+
+        let mut transaction = ProtectionTransaction::begin().unwrap();
+        for file in [&config, &blocker, &untouched] {
+            transaction.snapshot(file).unwrap();
+        }
+        fs::write(&config, "last_version=1.0.0.0").unwrap();
+        fs::write(&blocker, "").unwrap();
+
+        let id = transaction
+            .finish()
+            .unwrap()
+            .expect("the run changed files");
+        let saved = ProtectionTransaction::load(&id).unwrap();
+        let paths: Vec<&str> = saved.files.iter().map(|f| f.path.as_str()).collect();
+        assert_eq!(paths, [config.to_string_lossy(), blocker.to_string_lossy()]);
+    }
+
+    #[test]
+    fn runs_without_changes_do_not_block_undo() {
+        let _app_data = testing::app_data("tx-undo-order");
+
+        let mut first = ProtectionTransaction::begin().unwrap();
+        first.deleted_versions.push(deleted("5.2.0.1950"));
+        let first = ProtectionTransaction::load(&first.finish().unwrap().unwrap()).unwrap();
+
+        // Older builds saved every run, including ones that changed nothing
+        next_run();
+        ProtectionTransaction::begin().unwrap().save().unwrap();
+        assert!(!newer_lock_pending(&first));
+
+        next_run();
+        let mut second = ProtectionTransaction::begin().unwrap();
+        second.deleted_versions.push(deleted("5.3.0.2000"));
+        let second_id = second.finish().unwrap().unwrap();
+        assert!(newer_lock_pending(&first));
+
+        ProtectionTransaction::load(&second_id)
+            .unwrap()
+            .mark_undone()
+            .unwrap();
+        assert!(!newer_lock_pending(&first));
+    }
+}
@@ -0,0 +1,223 @@
+//! CapCut version parsing and ordering
+//! Mirrors `src/version.js` so the backend and the UI agree on what "newest" means
+
+use std::cmp::Ordering;
+
+/// Release channel of a build
+#[derive(Clone, Copy, Debug, PartialEq, Eq, PartialOrd, Ord)]
+pub enum Channel {
+    Test,
+    Beta,
+    Stable,
+}
+
+/// A parsed CapCut version (e.g. "5.4.0.1991")
+///
+/// Missing parts count as 0. Order is numeric part by part, then by channel
+/// (a stable build sorts after a beta with the same number). Equality follows
+/// the order, so a version without a channel tag equals its stable release.
+#[derive(Clone, Debug)]
+pub struct Version {
+    pub major: u32,
+    pub minor: u32,
+    pub patch: u32,
+    pub build: u32,
+    /// None when the text carries no channel tag (installed folder names)
+    pub channel: Option<Channel>,
+}
+
+impl Version {
+    /// Parse an installed folder name ("5.4.0.1991"), a catalog label
+    /// ("5.3.0 (Test1) (Beta2)") or an installer name ("CapCut_5_3_0_1947_beta2_...")
+    pub fn parse(text: &str) -> Option<Version> {
+        let numbers = dotted_numbers(text)?;
+
+        Some(Version {
+            major: numbers[0],
+            minor: numbers[1],
+            patch: numbers.get(2).copied().unwrap_or(0),
+            build: numbers.get(3).copied().unwrap_or(0),
+            channel: parse_channel(text),
+        })
+    }
+}
+
+/// Numbers of the first "major.minor[.patch[.build]]" group in the text (dots or
+/// underscores), at most four. A lone number ("v5") is not a version.
+fn dotted_numbers(text: &str) -> Option<Vec<u32>> {
+    let bytes = text.as_bytes();
+    let digits_end = |from: usize| {
+        (from..bytes.len())
+            .find(|&i| !bytes[i].is_ascii_digit())
+            .unwrap_or(bytes.len())
+    };
+
+    let mut start = 0;
+    while start < bytes.len() {
+        if !bytes[start].is_ascii_digit() {
+            start += 1;
+            continue;
+        }
+
+        let mut parts = Vec::new();
+        let mut from = start;
+        loop {
+            let end = digits_end(from);
+            // Too large for u32 still sorts after everything smaller
+            parts.push(text[from..end].parse().unwrap_or(u32::MAX));
+            let separated = matches!(bytes.get(end), Some(b'.' | b'_'))
+                && bytes.get(end + 1).is_some_and(u8::is_ascii_digit);
+            if !separated {
+                start = end;
+                break;
+            }
+            from = end + 1;
+        }
+
+        if parts.len() >= 2 {
+            parts.truncate(4);
+            return Some(parts);
+        }
+    }
+    None
+}
+
+/// Beta wins over Test ("Test1 Beta2" is a beta of a test build); "Latest" is stable
+fn parse_channel(text: &str) -> Option<Channel> {
+    let lower = text.to_ascii_lowercase();
+    // Whole words only: "latest" contains "test"
+    let words: Vec<&str> = lower.split(|c: char| !c.is_ascii_alphanumeric()).collect();
+    let has = |tag: &str| words.iter().any(|w| w.starts_with(tag));
+
+    if has("beta") {
+        Some(Channel::Beta)
+    } else if has("test") {
+        Some(Channel::Test)
+    } else if has("latest") {
+        Some(Channel::Stable)
+    } else {
+        None
+    }
+}
+
+impl Ord for Version {
+    fn cmp(&self, other: &Self) -> Ordering {
+        (self.major, self.minor, self.patch, self.build)
+            .cmp(&(other.major, other.minor, other.patch, other.build))
+            // Unknown channel ranks as stable
+            .then_with(|| {
+                let a = self.channel.unwrap_or(Channel::Stable);
+                let b = other.channel.unwrap_or(Channel::Stable);
+                a.cmp(&b)
+            })
+    }
+}
+
+impl PartialOrd for Version {
+    fn partial_cmp(&self, other: &Self) -> Option<Ordering> {
+        Some(self.cmp(other))
+    }
+}
+
+impl PartialEq for Version {
+    fn eq(&self, other: &Self) -> bool {
+        self.cmp(other) == Ordering::Equal
+    }
+}
+
+impl Eq for Version {}
+
+/// Compare two version names, oldest first, like `compareVersions` in
+/// `src/version.js`; names that don't parse sort before all versions and
+/// equal to each other
+pub fn compare_names(a: &str, b: &str) -> Ordering {
+    match (Version::parse(a), Version::parse(b)) {
+        (Some(va), Some(vb)) => va.cmp(&vb),
+        (Some(_), None) => Ordering::Greater,
+        (None, Some(_)) => Ordering::Less,
+        (None, None) => Ordering::Equal,
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    //! Cases shared with tests/version.test.js, so both sides are held to the same table
+
+    use super::*;
+    use serde_json::Value;
+
+    const CASES: &str = include_str!("../../../tests/fixtures/version-cases.json");
+
+    fn cases() -> Value {
+        serde_json::from_str(CASES).expect("version-cases.json is valid JSON")
+    }
+
+    fn channel_name(channel: Option<Channel>) -> Value {
+        match channel {
+            Some(Channel::Test) => "test".into(),
+            Some(Channel::Beta) => "beta".into(),
+            Some(Channel::Stable) => "stable".into(),
+            None => Value::Null,
+        }
+    }
+
+    fn text(value: &Value) -> &str {
+        value.as_str().expect("case text is a string")
+    }
+
+    #[test]
+    fn parses_versions() {
+        for case in cases()["parse"].as_array().unwrap() {
+            let input = text(&case["text"]);
+            let parsed = Version::parse(input).map(|v| {
+                serde_json::json!([v.major, v.minor, v.patch, v.build, channel_name(v.channel)])
+            });
+            assert_eq!(
+                parsed.unwrap_or(Value::Null),
+                case["version"],
+                "parse({:?})",
+                input
+            );
+        }
+    }
+
+    #[test]
+    fn orders_versions_oldest_first() {
+        let cases = cases();
+        let ascending: Vec<&str> = cases["ascending"]
+            .as_array()
+            .unwrap()
+            .iter()
+            .map(text)
+            .collect();
+        for (i, a) in ascending.iter().enumerate() {
+            for (j, b) in ascending.iter().enumerate() {
+                assert_eq!(compare_names(a, b), i.cmp(&j), "compare({:?}, {:?})", a, b);
+            }
+        }
+    }
+
+    #[test]
+    fn equal_versions_compare_equal() {
+        for pair in cases()["equal"].as_array().unwrap() {
+            let (a, b) = (text(&pair[0]), text(&pair[1]));
+            assert_eq!(
+                compare_names(a, b),
+                Ordering::Equal,
+                "compare({:?}, {:?})",
+                a,
+                b
+            );
+            assert_eq!(
+                compare_names(b, a),
+                Ordering::Equal,
+                "compare({:?}, {:?})",
+                b,
+                a
+            );
+            if let (Some(va), Some(vb)) = (Version::parse(a), Version::parse(b)) {
+                assert_eq!(va, vb, "{:?} == {:?}", a, b);
+            }
+        }
+    }
+}
@@ -3,7 +3,10 @@
 
 mod commands;
 
-use commands::{autostart, backup, cleaner, paths, process, protector, scanner, switcher};
+use commands::{
+    archive, autostart, backup, cleaner, downloader, i18n, journal, manifest, paths, presets,
+    process, protector, retention, scanner, settings, switcher, transaction,
+};
 use tauri::{
     menu::{Menu, MenuItem},
     tray::{MouseButton, MouseButtonState, TrayIconBuilder, TrayIconEvent},
@@ -78,9 +81,12 @@ fn setup_tray(app: &tauri::App) -> Result<(), Box<dyn std::error::Error>> {
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_opener::init())
+        .plugin(tauri_plugin_dialog::init())
         .setup(|app| {
             // Initialize system tray
             setup_tray(app)?;
+            // Broadcast settings changes to the frontend
+            settings::init(app.handle().clone());
             Ok(())
         })
         .invoke_handler(tauri::generate_handler![
@@ -89,15 +95,46 @@ pub fn run() {
             scanner::get_all_archive_versions,
             scanner::scan_versions,
             scanner::get_capcut_paths,
+            // Downloader commands
+            downloader::get_download_folder,
+            downloader::set_download_folder,
+            downloader::download_chunk,
+            downloader::discard_download,
+            downloader::verify_download,
+            downloader::run_installer,
+            // Operation history commands
+            journal::get_history,
+            journal::clear_history,
+            journal::export_history,
             // Path resolution commands
             paths::get_path_info,
             paths::validate_custom_capcut_path,
+            paths::get_install_location,
+            paths::set_custom_capcut_path,
+            paths::clear_custom_capcut_path,
             // Backup commands
             backup::list_backups,
             backup::restore_version_backup,
             backup::delete_backup,
             backup::get_backup_size,
             backup::clear_all_backups,
+            backup::backup_version_now,
+            backup::update_backup_note,
+            retention::get_retention_policy,
+            retention::preview_retention,
+            retention::set_retention_policy,
+            manifest::verify_backup,
+            manifest::verify_all_backups,
+            archive::export_backup,
+            archive::import_backup,
+            // Settings commands
+            settings::get_settings,
+            settings::update_settings,
+            settings::reset_settings,
+            settings::export_settings,
+            settings::import_settings,
+            // Localization commands
+            i18n::set_locale,
             // Autostart commands
             autostart::get_autostart_enabled,
             autostart::set_autostart_enabled,
@@ -108,14 +145,25 @@ pub fn run() {
             // Cleaner commands
             cleaner::calculate_cache_size,
             cleaner::clean_cache,
+            cleaner::get_cache_breakdown,
             // Protector commands
             protector::delete_versions,
             protector::apply_protection,
             protector::run_full_protection,
+            protector::plan_protection,
             protector::check_protection_status,
             protector::remove_protection,
+            protector::repair_protection,
+            protector::undo_protection,
+            transaction::list_transactions,
+            // Preset commands
+            presets::get_presets,
+            presets::save_preset,
+            presets::delete_preset,
+            presets::set_default_preset,
             // Switcher commands
             switcher::switch_version,
+            switcher::get_active_version,
         ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
@@ -0,0 +1,285 @@
+/**
+ * CC Version Guard - Localization
+ * Message catalogs (src/locales), ICU-style messages and locale-aware
+ * number, size and date formatting.
+ *
+ * Messages use ICU MessageFormat syntax: "{name}" inserts a value,
+ * "{count, plural, one {# backup} other {# backups}}" picks a plural form
+ * (with "=0"-style exact matches) and "{kind, select, beta {…} other {…}}"
+ * picks by value. Missing keys fall back to English, then to the key itself.
+ */
+
+import en from './locales/en.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+
+/** Catalogs by language; the display name of each is its `language.name` message */
+const CATALOGS = { en, de, es };
+
+export const LANGUAGES = Object.keys(CATALOGS);
+
+const FALLBACK = 'en';
+
+let locale = FALLBACK;
+
+/** Compiled messages by catalog and key */
+const compiled = new Map();
+
+/**
+ * Supported language closest to a BCP 47 tag ("de-AT" -> "de"), or null
+ * @param {string} tag
+ */
+export function matchLanguage(tag) {
+  const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(language) ? language : null;
+}
+
+/** Language of the OS/webview UI, or English when it isn't supported */
+export function systemLanguage() {
+  const tags = navigator.languages?.length ? navigator.languages : [navigator.language];
+  return tags.map(matchLanguage).find(Boolean) || FALLBACK;
+}
+
+/**
+ * Use a language for every later message and format
+ * @param {string|null} language - Supported language, or null to follow the system
+ * @returns {string} The language now in use
+ */
+export function setLocale(language) {
+  locale = matchLanguage(language) || systemLanguage();
+  document.documentElement.lang = locale;
+  return locale;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+/** Name of a language in that language ("Deutsch") */
+export function languageName(language) {
+  return CATALOGS[language]?.['language.name'] ?? language;
+}
+
+// ============================================
+// Messages
+// ============================================
+
+/**
+ * Split an ICU message into literal text and arguments
+ * @returns {Array<string|{name: string, type?: string, options?: Object}>}
+ */
+function parse(message) {
+  const parts = [];
+  let text = '';
+  let i = 0;
+
+  while (i < message.length) {
+    const ch = message[i];
+    if (ch === "'" && message[i + 1] === "'") {
+      text += "'";
+      i += 2;
+    } else if (ch === '{') {
+      if (text) parts.push(text);
+      text = '';
+      const end = matchingBrace(message, i);
+      parts.push(parseArgument(message.slice(i + 1, end)));
+      i = end + 1;
+    } else {
+      text += ch;
+      i += 1;
+    }
+  }
+  if (text) parts.push(text);
+  return parts;
+}
+
+function matchingBrace(message, open) {
+  let depth = 0;
+  for (let i = open; i < message.length; i++) {
+    if (message[i] === '{') depth += 1;
+    if (message[i] === '}' && --depth === 0) return i;
+  }
+  throw new Error(`Unbalanced braces in message: ${message}`);
+}
+
+/** "count, plural, one {…} other {…}" -> { name, type, options } */
+function parseArgument(body) {
+  const [name, type, ...rest] = body.split(',');
+  if (!type) return { name: name.trim() };
+
+  const options = {};
+  const source = rest.join(',');
+  let i = 0;
+  while (i < source.length) {
+    const open = source.indexOf('{', i);
+    if (open < 0) break;
+    const selector = source.slice(i, open).trim();
+    const end = matchingBrace(source, open);
+    options[selector] = parse(source.slice(open + 1, end));
+    i = end + 1;
+  }
+  return { name: name.trim(), type: type.trim(), options };
+}
+
+/** Fill a parsed message; `#` inside a plural branch is the formatted count */
+function render(parts, params, count = null) {
+  return parts.map(part => {
+    if (typeof part === 'string') {
+      return count === null ? part : part.replace(/#/g, formatNumber(count));
+    }
+
+    const value = params[part.name];
+    if (part.type === 'plural') {
+      const branch = part.options[`=${value}`]
+        || part.options[new Intl.PluralRules(locale).select(value)]
+        || part.options.other;
+      return render(branch, params, value);
+    }
+    if (part.type === 'select') {
+      return render(part.options[value] || part.options.other, params, count);
+    }
+    if (typeof value === 'number') return formatNumber(value);
+    return value ?? `{${part.name}}`;
+  }).join('');
+}
+
+function compiledMessage(language, key) {
+  const id = `${language}:${key}`;
+  if (!compiled.has(id)) {
+    const message = CATALOGS[language][key];
+    compiled.set(id, message === undefined ? null : parse(message));
+  }
+  return compiled.get(id);
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Catalog key, e.g. "backups.count"
+ * @param {Object} [params] - Values for the message's arguments
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const parts = compiledMessage(locale, key) ?? compiledMessage(FALLBACK, key);
+  if (!parts) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+  return render(parts, params);
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/** "a, b and c" in the UI language */
+export function formatList(items) {
+  return new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
+}
+
+/** Whole percent of a 0-100 value ("42%", "42 %") */
+export function formatPercent(percent) {
+  return formatNumber(Math.floor(percent) / 100, { style: 'percent' });
+}
+
+const SIZE_UNITS = ['kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+
+function formatUnit(value, unit, digits) {
+  return formatNumber(value, { style: 'unit', unit, unitDisplay: 'short', maximumFractionDigits: digits });
+}
+
+/**
+ * Human-readable size in binary units ("1.5 GB", "1,5 GB"); anything under
+ * a megabyte is whole kilobytes, and never "0 KB" unless it is empty
+ * @param {number} bytes
+ * @param {number} [digits] - Fraction digits from megabytes up
+ */
+export function formatBytes(bytes, digits = 1) {
+  if (bytes < 1024 ** 2) {
+    return formatUnit(bytes === 0 ? 0 : Math.max(1, Math.round(bytes / 1024)), 'kilobyte', 0);
+  }
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return formatUnit(value, SIZE_UNITS[unit], digits);
+}
+
+/** Size given in MB, as the scan and cache commands report it */
+export function formatMegabytes(mb, digits = 1) {
+  return formatBytes(mb * 1024 * 1024, digits);
+}
+
+/**
+ * Date and time of a timestamp
+ * @param {number|Date} time - Milliseconds since the epoch, or a Date
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatDateTime(time, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Intl.DateTimeFormat(locale, options).format(time);
+}
+
+export function formatDate(time) {
+  return formatDateTime(time, { dateStyle: 'medium' });
+}
+
+export function formatTime(time) {
+  return formatDateTime(time, { timeStyle: 'short' });
+}
+
+/** Short duration such as "45s" or "3m 20s" ("3 Min. 20 Sek." in German) */
+export function formatDuration(secs) {
+  const part = (value, unit) => formatNumber(value, { style: 'unit', unit, unitDisplay: 'narrow' });
+  if (secs < 60) return part(Math.max(1, Math.round(secs)), 'second');
+  const m = Math.floor(secs / 60);
+  const s = Math.round(secs % 60);
+  return s ? `${part(m, 'minute')} ${part(s, 'second')}` : part(m, 'minute');
+}
+
+// ============================================
+// Static Markup
+// ============================================
+
+/** Attributes translated from data-i18n-<attribute> keys */
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+/**
+ * Replace an element's own text, keeping child elements such as icons
+ * @param {Element} element
+ * @param {string} text
+ */
+function setOwnText(element, text) {
+  const nodes = [...element.childNodes].filter(n => n.nodeType === Node.TEXT_NODE && n.data.trim());
+  if (nodes.length === 0) {
+    element.append(text);
+    return;
+  }
+  // Keep the spacing next to icons ("<i></i> Back")
+  const [first, ...rest] = nodes;
+  const lead = /^\s*/.exec(first.data)[0];
+  const trail = /\s*$/.exec(first.data)[0];
+  first.data = `${lead}${text}${trail}`;
+  rest.forEach(n => n.remove());
+}
+
+/**
+ * Translate markup annotated with data-i18n (own text) and
+ * data-i18n-placeholder / -title / -aria-label
+ * @param {ParentNode} [root]
+ */
+export function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    setOwnText(element, t(element.dataset.i18n));
+  });
+  for (const attribute of TRANSLATED_ATTRIBUTES) {
+    const data = `i18n${attribute.replace(/(^|-)(\w)/g, (_, __, c) => c.toUpperCase())}`;
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.dataset[data]));
+    });
+  }
+}
@@ -0,0 +1,682 @@
+/**
+ * German messages
+ * Keys missing here fall back to English (locales/en.js).
+ */
+
+export default {
+  'language.name': 'Deutsch',
+
+  // Shared
+  'common.apply': 'Anwenden',
+  'common.back': 'Zurück',
+  'common.browse': 'Durchsuchen',
+  'common.calculating': 'Wird berechnet...',
+  'common.cancel': 'Abbrechen',
+  'common.close': 'Schließen',
+  'common.compare': 'Vergleichen',
+  'common.confirm': 'Bestätigen',
+  'common.continue': 'Weiter',
+  'common.delete': 'Löschen',
+  'common.done': 'Fertig',
+  'common.error': 'Fehler: {error}',
+  'common.export': 'Exportieren',
+  'common.import': 'Importieren',
+  'common.launch_capcut': 'CapCut starten',
+  'common.loading': 'Wird geladen...',
+  'common.ok': 'OK',
+  'common.retry': 'Wiederholen',
+  'common.save': 'Speichern',
+
+  // Window controls
+  'window.maximize': 'Maximieren',
+  'window.minimize': 'Minimieren',
+
+  // Welcome
+  'welcome.active': 'Aktiv: CapCut v{version}',
+  'welcome.active_unpinned': 'Nicht per Wechsel festgelegt; CapCut startet die neueste installierte Version',
+  'welcome.disclaimer': 'Inoffizielles Werkzeug – nicht mit CapCut verbunden',
+  'welcome.donate': 'Spenden',
+  'welcome.lock': 'Aktuelle Version sperren',
+  'welcome.mechanisms.missing': 'Einige Schutzmaßnahmen fehlen',
+  'welcome.mechanisms.overwritten': 'Eine Schutzmaßnahme wurde überschrieben',
+  'welcome.repair': 'Reparieren',
+  'welcome.repair_failed': 'Reparatur fehlgeschlagen',
+  'welcome.repaired': 'Schutz repariert',
+  'welcome.repaired_detail': 'Alle Schutzmechanismen sind wieder aktiv.',
+  'welcome.repairing': 'Wird repariert...',
+  'welcome.status.locked': 'Version gesperrt',
+  'welcome.status.locked_detail': 'Updates sind deaktiviert',
+  'welcome.status.partial': 'Teilweise gesperrt',
+  'welcome.status.partial_detail': '{active} von {total} Schutzmaßnahmen aktiv',
+  'welcome.status.unlocked': 'Version entsperrt',
+  'welcome.status.unlocked_detail': 'Updates sind aktiviert',
+  'welcome.status.unprotected': 'Nicht geschützt',
+  'welcome.status.unprotected_detail': 'CapCut kann sich automatisch aktualisieren',
+  'welcome.status_failed': 'Schutz konnte nicht geprüft werden',
+  'welcome.tool.backups': 'Backups',
+  'welcome.tool.clean': 'Bereinigen',
+  'welcome.tool.history': 'Verlauf',
+  'welcome.tool.legacy': 'Ältere',
+  'welcome.tool.settings': 'Einstellungen',
+  'welcome.tool.switch': 'Wechseln',
+  'welcome.unlock': 'Version entsperren',
+
+  // Protection mechanisms
+  'mechanisms.config_lock': 'Sperre für configure.ini',
+  'mechanisms.product_info_blocker': 'Blocker für ProductInfo.xml',
+  'mechanisms.state.active': 'Aktiv',
+  'mechanisms.state.degraded': 'Beeinträchtigt',
+  'mechanisms.state.missing': 'Fehlt',
+  'mechanisms.update_blocker': 'Blocker für update.exe',
+
+  // Unlock
+  'unlock.confirm': 'Entsperren',
+  'unlock.confirm_message': 'Updates werden wieder aktiviert. Du kannst jederzeit erneut sperren.',
+  'unlock.confirm_phrase': 'entsperren',
+  'unlock.confirm_title': 'Version entsperren?',
+  'unlock.done_message': 'CapCut kann sich wieder selbst aktualisieren. Du kannst jederzeit erneut sperren.',
+  'unlock.done_title': 'Version entsperrt',
+  'unlock.failed': 'Entsperren fehlgeschlagen',
+  'unlock.keep': 'Geschützt lassen',
+  'unlock.removing': 'Wird entfernt...',
+
+  // System check
+  'precheck.checking': 'Umgebung wird geprüft',
+  'precheck.checking_detail': 'Deine Systemkonfiguration wird überprüft.',
+  'precheck.checking_install': 'Installation wird geprüft...',
+  'precheck.checking_processes': 'Prozesse werden geprüft...',
+  'precheck.install_found': 'CapCut-Installation gefunden',
+  'precheck.install_missing': 'CapCut nicht gefunden',
+  'precheck.not_running': 'CapCut läuft nicht',
+  'precheck.ready': 'Alles bereit',
+  'precheck.ready_detail': 'Deine Umgebung ist bereit.',
+  'precheck.running': 'CapCut läuft – bitte zuerst schließen',
+  'precheck.set_location': 'Ort festlegen',
+  'precheck.title': 'Systemprüfung',
+
+  // Version selection
+  'versions.choose': 'Wähle die Version, die geschützt werden soll.',
+  'versions.download_legacy': 'Ältere Version herunterladen',
+  'versions.none': 'Keine Installationen gefunden',
+  'versions.none_detail': 'Lade zum Start eine ältere Version herunter',
+  'versions.tag.active': 'Aktiv',
+  'versions.tag.catalog': 'Katalog',
+  'versions.tag.catalog_match': 'Entspricht dem Katalogeintrag {persona}',
+  'versions.tag.newest': 'Neueste',
+  'versions.tag.oldest': 'Älteste',
+  'versions.title': 'Version auswählen',
+
+  // Protection presets
+  'presets.builtin.full_protection': 'Vollständiger Schutz',
+  'presets.builtin.lock_only': 'Nur Sperre',
+  'presets.clear_default': 'Assistenten stattdessen mit allen Optionen starten',
+  'presets.custom': 'Benutzerdefiniert',
+  'presets.default_option': '{name} (Standard)',
+  'presets.default_tag': 'Standard',
+  'presets.delete_message': '{name} wird entfernt. Geschützte Versionen und Backups sind nicht betroffen.',
+  'presets.delete_this': 'Diese Vorlage löschen',
+  'presets.delete_title': 'Vorlage löschen?',
+  'presets.deleted': 'Vorlage gelöscht',
+  'presets.error_title': 'Vorlagen nicht aktualisiert',
+  'presets.keep_this_version': 'Auch diese Version behalten',
+  'presets.keep_version': 'Auch v{version} behalten',
+  'presets.label': 'Vorlage',
+  'presets.name': 'Name der Vorlage',
+  'presets.name_required': 'Gib der Vorlage einen Namen',
+  'presets.none': 'Keine Vorlagen. Speichere eine im Schritt „Optionen“ des Assistenten.',
+  'presets.part.clean_cache': 'Cache leeren',
+  'presets.part.copy_locks': 'Kopiersperren',
+  'presets.part.keeps': 'Behält v{version}',
+  'presets.part.lock_config': 'Konfiguration sperren',
+  'presets.part.none': 'Kein Schutz',
+  'presets.replace': 'Ersetzen',
+  'presets.replace_message': '{name} ({summary}) wird durch diese Optionen ersetzt.',
+  'presets.replace_title': 'Vorlage ersetzen?',
+  'presets.save': 'Vorlage speichern',
+  'presets.saved': '{name} gespeichert.',
+  'presets.saved_default': 'Gespeichert. Der Assistent startet jetzt mit {name}.',
+  'presets.saved_title': 'Vorlage gespeichert',
+  'presets.settings_header': 'SCHUTZVORLAGEN',
+  'presets.start_with': 'Assistenten mit dieser Vorlage starten',
+  'presets.version_kept': '{name} behält v{version}.',
+  'presets.version_missing': '{name} behält v{version}, die nicht installiert ist. Wähle die Version, die geschützt werden soll.',
+
+  // Options
+  'options.cache_size': '{size} können freigegeben werden',
+  'options.cache_size_unavailable': 'Größe nicht verfügbar',
+  'options.clean_temp': 'Temporäre Dateien bereinigen',
+  'options.cleanup': 'Bereinigung',
+  'options.copy_locks': 'Kopiersperren anlegen',
+  'options.copy_locks_detail': 'Sperrt die Updater-Datei',
+  'options.lock': 'Version sperren',
+  'options.lock_config': 'Konfiguration sperren',
+  'options.lock_config_detail': 'Verhindert automatische Updates',
+  'options.protection': 'Schutz',
+  'options.title': 'Optionen',
+
+  // Review changes
+  'preview.already_applied': 'Bereits angewendet',
+  'preview.building': 'Plan wird erstellt...',
+  'preview.clear_cache': 'Cache leeren · {size}',
+  'preview.create_backups': 'Backups anlegen',
+  'preview.delete_versions': '{count, plural, one {# Version} other {# Versionen}} löschen',
+  'preview.failed': 'Der Plan konnte nicht erstellt werden',
+  'preview.lock_files': 'Dateien sperren',
+  'preview.no_backup_folder': 'Kein Backup-Ordner verfügbar',
+  'preview.no_changes': 'Keine Änderungen nötig',
+  'preview.no_changes_detail': 'Alle gewählten Optionen sind bereits umgesetzt',
+  'preview.nothing': 'Nichts zu ändern',
+  'preview.review': 'Vor dem Fortfahren prüfen',
+  'preview.summary': 'Nichts wird geändert, bevor du bestätigst',
+  'preview.summary_freed': 'Nichts wird geändert, bevor du bestätigst · {size} werden frei',
+  'preview.title': 'Änderungen prüfen',
+  'preview.warnings': 'Warnungen',
+
+  // Progress steps
+  'progress.backup': 'Versionen werden gesichert...',
+  'progress.check': 'System wird geprüft...',
+  'progress.clean_cache': 'Cache wird geleert...',
+  'progress.complete': 'Abgeschlossen',
+  'progress.create_blockers': 'Blocker werden angelegt...',
+  'progress.delete': 'Versionen werden gelöscht...',
+  'progress.done': 'Wird abgeschlossen...',
+  'progress.freed': '{size} frei',
+  'progress.left': 'noch {time}',
+  'progress.lock_config': 'Konfiguration wird gesperrt...',
+  'progress.preparing': 'Wird vorbereitet...',
+  'progress.restore': 'Versionen werden wiederhergestellt...',
+  'progress.revert': 'Sperrdateien werden zurückgesetzt...',
+  'progress.verify': 'Wird überprüft...',
+  'progress.working': 'Wird ausgeführt...',
+
+  // Applying protection
+  'processing.failed': 'Schutz fehlgeschlagen',
+  'processing.initializing': 'Wird initialisiert...',
+  'processing.log.found': '{count, plural, one {# Version} other {# Versionen}} zum Entfernen gefunden',
+  'processing.log.locked': 'Version erfolgreich gesperrt',
+  'processing.log.start': 'Sperrvorgang wird gestartet',
+  'processing.title': 'Schutz wird angewendet',
+  'processing.wait': 'Bitte warten...',
+
+  // Protection applied
+  'complete.detail': 'Deine CapCut-Version ist jetzt gesperrt und vor automatischen Updates geschützt.',
+  'complete.title': 'Schutz angewendet',
+  'complete.undo': 'Diese Sperre rückgängig machen',
+
+  // Undo lock
+  'undo.confirm': 'Sperre aufheben',
+  'undo.confirm_message': '{count, plural, =0 {Dies setzt} one {Dies stellt # gelöschte Version aus dem Backup wieder her und setzt} other {Dies stellt # gelöschte Versionen aus dem Backup wieder her und setzt}} configure.ini, ProductInfo.xml und update.exe auf den Stand vor der Sperre zurück. CapCut kann sich danach wieder selbst aktualisieren.',
+  'undo.confirm_title': 'Diese Sperre aufheben?',
+  'undo.done_message': 'Gelöschte Versionen sind zurück und die Sperrdateien entsprechen ihrem Stand vor der Sperre.',
+  'undo.done_title': 'Sperre aufgehoben',
+  'undo.failed': 'Aufheben fehlgeschlagen',
+  'undo.failed_message': '{error}. Der Verlauf enthält das vollständige Protokoll, dort kann das Aufheben wiederholt werden.',
+  'undo.failed_title': 'Aufheben unvollständig',
+  'undo.log.done': 'Sperre aufgehoben und überprüft',
+  'undo.log.start': 'Aufheben wird gestartet',
+  'undo.title': 'Sperre wird aufgehoben',
+
+  // Error view
+  'error.change_options': 'Optionen ändern',
+  'error.start_over': 'Neu beginnen',
+  'error.title': 'Etwas ist schiefgelaufen',
+  'error.unexpected': 'Ein unerwarteter Fehler ist aufgetreten.',
+
+  // Launching CapCut
+  'launch.already_running_message': 'Schließe CapCut zuerst, damit die neu aktivierte Version startet.',
+  'launch.already_running_title': 'CapCut läuft bereits',
+  'launch.exited_message': 'CapCut wurde direkt nach dem Start beendet. {action, select, switch {Der Wechsel} other {Die Sperre}} hat eventuell eine defekte Einrichtung hinterlassen – wechsle zu einer anderen Version oder stelle eine aus den Backups wieder her.',
+  'launch.exited_title': 'CapCut sofort beendet',
+  'launch.failed': 'Start fehlgeschlagen',
+  'launch.launching': 'CapCut wird gestartet...',
+  'launch.not_started_message': 'Nach dem Start ist kein CapCut-Prozess erschienen. {action, select, switch {Der Wechsel} other {Die Sperre}} hat eventuell eine defekte Einrichtung hinterlassen.',
+  'launch.not_started_title': 'CapCut wurde nicht gestartet',
+  'launch.running': 'CapCut läuft',
+  'launch.watching': 'CapCut gestartet, es wird geprüft, ob es geöffnet bleibt...',
+
+  // Legacy versions
+  'legacy.browse_all': 'Alle Versionen durchsuchen',
+  'legacy.official_source': 'Downloads direkt von den offiziellen CapCut-Servern.',
+  'legacy.subtitle': 'Frühere CapCut-Versionen herunterladen.',
+  'legacy.title': 'Ältere Versionen',
+
+  // All versions catalog
+  'catalog.all_hidden': '{count, plural, one {Die einzige Version wird durch Suche oder Filter ausgeblendet} other {Alle # Versionen werden durch Suche oder Filter ausgeblendet}}',
+  'catalog.base': 'Basis',
+  'catalog.base_from': 'Älteste Basisversion',
+  'catalog.base_newest': 'Neueste',
+  'catalog.base_oldest': 'Älteste',
+  'catalog.base_to': 'Neueste Basisversion',
+  'catalog.build': 'Build',
+  'catalog.build_max': 'Höchste Build-Nummer',
+  'catalog.build_min': 'Niedrigste Build-Nummer',
+  'catalog.channel': 'Kanal',
+  'catalog.channel.all': 'Alle',
+  'catalog.channel.beta': 'Beta',
+  'catalog.channel.stable': 'Stabil',
+  'catalog.channel.test': 'Test',
+  'catalog.chip.base': 'Basis {version}',
+  'catalog.chip.base_from': 'Basis ≥ {version}',
+  'catalog.chip.base_range': 'Basis {from} – {to}',
+  'catalog.chip.base_to': 'Basis ≤ {version}',
+  'catalog.chip.build_max': 'Build ≤ {build}',
+  'catalog.chip.build_min': 'Build ≥ {build}',
+  'catalog.chip.query': '„{query}“',
+  'catalog.clear_all': 'Alle entfernen',
+  'catalog.clear_filters': 'Filter zurücksetzen',
+  'catalog.count': '{shown} von {total}',
+  'catalog.empty': 'Der Versionskatalog ist leer',
+  'catalog.legacy_version': 'Ältere Version',
+  'catalog.load_failed': 'Fehler beim Laden der Versionen: {error}',
+  'catalog.max': 'Max.',
+  'catalog.min': 'Min.',
+  'catalog.no_match': 'Keine passenden Versionen',
+  'catalog.none': 'Keine Versionen gefunden',
+  'catalog.range_to': 'bis',
+  'catalog.remove_filter': 'Filter {filter} entfernen',
+  'catalog.risk': 'Risikostufe',
+  'catalog.risk.any': 'Jedes Risiko',
+  'catalog.risk.high': 'Hoch',
+  'catalog.risk.low': 'Niedrig',
+  'catalog.risk.medium': 'Mittel',
+  'catalog.risk_chip': '{risk, select, low {Niedriges Risiko} medium {Mittleres Risiko} high {Hohes Risiko} other {Risiko {level}}}',
+  'catalog.risk_level': '{risk, select, low {Niedrig} medium {Mittel} high {Hoch} other {{level}}}',
+  'catalog.search': 'Versionen suchen...',
+  'catalog.sort': 'Sortierung',
+  'catalog.sort.newest': 'Neueste zuerst',
+  'catalog.sort.oldest': 'Älteste zuerst',
+  'catalog.sort.risk': 'Geringstes Risiko zuerst',
+  'catalog.title': 'Alle älteren Versionen',
+  'catalog.with_build': '{description} · Build {build}',
+
+  // Version comparison
+  'compare.differences_only': 'Nur Unterschiede',
+  'compare.download': 'Herunterladen',
+  'compare.features': 'FUNKTIONEN',
+  'compare.go': '{count} vergleichen',
+  'compare.included': 'Enthalten',
+  'compare.limit': 'Du kannst bis zu {max} Versionen vergleichen',
+  'compare.newest_with': 'Neueste mit dieser Funktion: v{version}',
+  'compare.no_feature_data': 'Keine Funktionsdaten',
+  'compare.no_features': 'Der Katalog hat für diese Versionen keine Funktionsliste',
+  'compare.not_included': 'Nicht enthalten',
+  'compare.notes': 'Hinweise',
+  'compare.risk': 'Risiko',
+  'compare.select': 'Wähle {min} bis {max} Versionen',
+  'compare.selected': '{count, plural, one {# Version ausgewählt} other {# Versionen ausgewählt}}',
+  'compare.summary': '{count} von {total, plural, one {# Funktion unterscheiden sich} other {# Funktionen unterscheiden sich}}',
+  'compare.title': 'Versionen vergleichen',
+  'compare.unknown_note': '? = keine Funktionsliste im Katalog für {versions}',
+  'compare.version': 'Version',
+  'compare.versions': '{count, plural, one {# Version} other {# Versionen}}',
+
+  // Downloads
+  'downloads.action.pause': 'Pausieren',
+  'downloads.action.remove': 'Aus der Liste entfernen',
+  'downloads.action.resume': 'Fortsetzen',
+  'downloads.action.retry': 'Erneut versuchen',
+  'downloads.action.run': 'Installer ausführen',
+  'downloads.action_item': '{action} {name}',
+  'downloads.change_folder': 'Ändern',
+  'downloads.checksum_mismatch': 'Prüfsumme stimmt nicht: Die Datei ist beschädigt oder nicht der offizielle Installer',
+  'downloads.checksum_note': 'Fertige Dateien werden mit der Prüfsumme aus dem Katalog abgeglichen.',
+  'downloads.custom_folder': 'Eigener Ordner',
+  'downloads.default_folder': 'Standard',
+  'downloads.default_folder_hint': 'Standardordner',
+  'downloads.discard_failed': 'Teil-Download nicht gelöscht',
+  'downloads.download_item': '{name} herunterladen',
+  'downloads.failed_title': 'Download fehlgeschlagen: {name}',
+  'downloads.folder': 'DOWNLOAD-ORDNER',
+  'downloads.folder_changed': 'Neue Downloads landen in diesem Ordner',
+  'downloads.folder_failed': 'Download-Ordner nicht geändert',
+  'downloads.in_downloads': 'In Downloads',
+  'downloads.installer_failed': 'Installer fehlgeschlagen',
+  'downloads.later': 'Später',
+  'downloads.no_checksum': 'In der App noch nicht verfügbar: für diesen Installer gibt es keine geprüfte Prüfsumme',
+  'downloads.no_folder': 'Kein Download-Ordner verfügbar',
+  'downloads.none': 'Noch keine Downloads',
+  'downloads.none_detail': 'Wähle unter „Ältere Versionen“ eine Version, um sie hierher herunterzuladen',
+  'downloads.pause_first': 'Pausiere die Downloads, bevor du den Ordner änderst',
+  'downloads.queue': 'WARTESCHLANGE',
+  'downloads.rate': '{size}/s',
+  'downloads.run_installer': 'Installer ausführen',
+  'downloads.select_folder': 'Download-Ordner auswählen',
+  'downloads.size_of': '{done} von {total}',
+  'downloads.status.cancelling': 'Wird abgebrochen...',
+  'downloads.status.failed': 'Download fehlgeschlagen',
+  'downloads.status.installing': 'Installer läuft...',
+  'downloads.status.paused': 'Pausiert · {size}',
+  'downloads.status.verified': 'Überprüft · entspricht der Prüfsumme im Katalog',
+  'downloads.status.verifying': 'Prüfsumme wird überprüft...',
+  'downloads.status.waiting': 'Wartet',
+  'downloads.status.waiting_size': 'Wartet · {size}',
+  'downloads.subtitle': 'Installer werden nacheinander von den offiziellen CapCut-Servern geladen.',
+  'downloads.title': 'Downloads',
+  'downloads.verified_message': '{name} entspricht der Prüfsumme im Katalog. Installer jetzt ausführen? Danach geht es direkt weiter zum Sperren der Version.',
+  'downloads.verified_title': 'Installer überprüft',
+
+  // Quick switch
+  'switch.already_active': 'CapCut startet bereits diese Version',
+  'switch.apply': 'Version wechseln',
+  'switch.confirm': 'Wechseln',
+  'switch.confirm_message': 'CapCut v{version} wird als aktive Version festgelegt.',
+  'switch.confirm_title': 'Version wechseln?',
+  'switch.done_message': 'CapCut v{version} ist jetzt aktiv. Jetzt starten, um sicherzugehen, dass es läuft?',
+  'switch.done_title': 'Version gewechselt',
+  'switch.failed': 'Wechsel fehlgeschlagen',
+  'switch.none_detail': 'Lade zuerst eine ältere Version herunter',
+  'switch.only_one': 'Nur eine Version installiert – nichts zu wechseln',
+  'switch.subtitle': 'Wähle eine Version, die ohne erneuten Schutz aktiviert wird.',
+  'switch.switching': 'Wird gewechselt...',
+  'switch.title': 'Schnellwechsel',
+
+  // Backups
+  'backups.action.delete': 'Dieses Backup löschen',
+  'backups.action.edit': 'Bezeichnung und Notizen bearbeiten',
+  'backups.action.export': 'In ein Archiv exportieren',
+  'backups.action.restore': 'Dieses Backup wiederherstellen',
+  'backups.action.verify': 'Dieses Backup überprüfen',
+  'backups.available': 'VERFÜGBARE BACKUPS',
+  'backups.back_up': 'Sichern',
+  'backups.back_up_now': 'Jetzt sichern',
+  'backups.backed_up': '{count, plural, =0 {Gesichert} one {Gesichert; # älteres Backup entfernt} other {Gesichert; # ältere Backups entfernt}}',
+  'backups.backing_up': 'Wird gesichert...',
+  'backups.backup_failed': 'Backup fehlgeschlagen',
+  'backups.clear_all': 'Alle Backups löschen',
+  'backups.clear_confirm': 'Alle löschen',
+  'backups.clear_failed': 'Löschen fehlgeschlagen',
+  'backups.clear_keep': 'Backups behalten',
+  'backups.clear_message': 'Alle Backups werden endgültig gelöscht. Gelöschte Versionen lassen sich dann nicht mehr wiederherstellen.',
+  'backups.clear_phrase': 'alle löschen',
+  'backups.clear_title': 'Alle Backups löschen?',
+  'backups.cleared': 'Alle Backups gelöscht',
+  'backups.delete_failed': 'Löschen fehlgeschlagen',
+  'backups.delete_message': 'Das Backup von {version} wird endgültig gelöscht.',
+  'backups.delete_title': 'Backup löschen?',
+  'backups.deleted': 'Backup gelöscht',
+  'backups.describe': '{version} vom {date}',
+  'backups.describe_labeled': '{label} ({version}, {date})',
+  'backups.heading': 'Versions-Backups',
+  'backups.import': 'Backup importieren...',
+  'backups.keep': 'Behalten',
+  'backups.label_aria': 'Bezeichnung des Backups',
+  'backups.label_placeholder': 'Bezeichnung (optional)',
+  'backups.loading_versions': 'Versionen werden geladen...',
+  'backups.no_versions': 'Keine installierten Versionen',
+  'backups.none': 'Keine Backups vorhanden',
+  'backups.notes_aria': 'Notizen zum Backup',
+  'backups.notes_placeholder': 'Notizen (optional)',
+  'backups.prune_message': 'Die Aufbewahrungsregel entfernt danach {count, plural, one {# älteres Backup} other {# ältere Backups}} ({size}): {backups}.',
+  'backups.prune_title': 'Sichern und aufräumen?',
+  'backups.scan_failed': 'Versionen konnten nicht gesucht werden',
+  'backups.subtitle': 'Gelöschte Versionen wiederherstellen oder Speicher freigeben',
+  'backups.tag.manual': 'Manuell',
+  'backups.tag.pruned': 'Wird entfernt',
+  'backups.title': 'Backups',
+  'backups.total': 'Gesamt: {size}',
+  'backups.verify_all': 'Alle überprüfen',
+  'backups.version_to_back_up': 'Zu sichernde Version',
+
+  // Backup verification
+  'verify.count.extra': '{count} zusätzlich',
+  'verify.count.missing': '{count} fehlen',
+  'verify.count.modified': '{count} geändert',
+  'verify.damaged': 'Beschädigt: {problems}',
+  'verify.done_title': 'Backups geprüft',
+  'verify.error': 'Überprüfung nicht möglich: {error}',
+  'verify.failed': 'Überprüfung fehlgeschlagen: {error}',
+  'verify.failed_title': 'Prüfung fehlgeschlagen',
+  'verify.file.extra': 'Zusätzlich: {file}',
+  'verify.file.missing': 'Fehlt: {file}',
+  'verify.file.modified': 'Geändert: {file}',
+  'verify.intact': 'Überprüft: {count, plural, one {# Datei intakt} other {# Dateien intakt}}',
+  'verify.no_manifest': 'Vor Einführung der Überprüfung erstellt; kann nicht geprüft werden',
+  'verify.summary.damaged': '{count} beschädigt',
+  'verify.summary.intact': '{count} intakt',
+  'verify.summary.unverifiable': '{count} nicht prüfbar',
+  'verify.verifying': 'Wird überprüft...',
+  'verify.verifying_percent': 'Wird überprüft... {percent}',
+
+  // Backup archives
+  'archive.export_failed': 'Export fehlgeschlagen',
+  'archive.export_title': 'Backup exportieren',
+  'archive.exported': '{count, plural, one {# Datei} other {# Dateien}} ({size}) nach {path} exportiert',
+  'archive.exported_title': 'Backup exportiert',
+  'archive.exporting': '{name} wird exportiert',
+  'archive.filter': 'Backup-Archiv',
+  'archive.import_failed': 'Import fehlgeschlagen',
+  'archive.import_title': 'Backup importieren',
+  'archive.imported': '{backup} importiert; es wird nach {path} wiederhergestellt',
+  'archive.imported_title': 'Backup importiert',
+  'archive.importing': 'Archiv wird importiert und geprüft',
+  'archive.progress': '{label}...',
+  'archive.progress_percent': '{label}... {percent}',
+
+  // Retention
+  'retention.applied': '{count, plural, =0 {Regel angewendet} one {Regel angewendet; # Backup entfernt} other {Regel angewendet; # Backups entfernt}}',
+  'retention.applied_title': 'Aufbewahrungsregel gespeichert',
+  'retention.apply_prune': 'Anwenden und aufräumen',
+  'retention.cap_before': 'Alle Backups begrenzen auf',
+  'retention.cap_label': 'Größenlimit in GB',
+  'retention.failed': 'Aufbewahrungsregel nicht gespeichert',
+  'retention.keep_after': 'Backups je Version',
+  'retention.keep_before': 'Behalte die letzten',
+  'retention.keep_label': 'Behaltene Backups je Version',
+  'retention.no_limits': 'Keine Grenzen – Backups bleiben, bis du sie löschst',
+  'retention.pinned': '{count} für „Sperre aufheben“ behalten',
+  'retention.prune_message': 'Dadurch werden {backups} endgültig gelöscht und {size} freigegeben.',
+  'retention.prune_title': '{count, plural, one {# Backup entfernen?} other {# Backups entfernen?}}',
+  'retention.removes': 'Entfernt {count, plural, one {# Backup} other {# Backups}} ({size})',
+  'retention.removes_nothing': 'Entfernt derzeit nichts',
+  'retention.title': 'AUFBEWAHRUNG',
+  'retention.within': 'Alle Backups liegen innerhalb der Regel',
+
+  // Restore
+  'restore.anyway': 'Trotzdem wiederherstellen',
+  'restore.confirm': 'Wiederherstellen',
+  'restore.damaged_message': 'Die Überprüfung hat Probleme in diesem Backup gefunden ({problems}). Nach der Wiederherstellung funktioniert {version} eventuell nicht.',
+  'restore.damaged_title': 'Beschädigtes Backup wiederherstellen?',
+  'restore.done_message': '{version} wurde erfolgreich wiederhergestellt.',
+  'restore.done_title': 'Wiederhergestellt!',
+  'restore.failed': 'Wiederherstellung fehlgeschlagen',
+  'restore.message': '{version} wird an ihrem ursprünglichen Ort wiederhergestellt.',
+  'restore.title': 'Backup wiederherstellen?',
+
+  // Cache cleaner
+  'cleaner.categories': 'KATEGORIEN',
+  'cleaner.categories_label': 'Cache-Kategorien',
+  'cleaner.clean_selected': 'Auswahl bereinigen',
+  'cleaner.cleaning': 'Wird bereinigt...',
+  'cleaner.done_title': 'Cache bereinigt',
+  'cleaner.empty': 'Bereits leer',
+  'cleaner.failed': 'Bereinigung fehlgeschlagen',
+  'cleaner.failed_title': 'Bereinigung fehlgeschlagen',
+  'cleaner.freed': '{freed} freigegeben',
+  'cleaner.freed_estimated': '{freed} von geschätzt {estimated} freigegeben',
+  'cleaner.freed_partial': '{freed} von {estimated} freigegeben (einige Dateien waren in Benutzung)',
+  'cleaner.heading': 'Cache-Bereinigung',
+  'cleaner.nothing': 'Nichts zu bereinigen',
+  'cleaner.subtitle': 'Gib Speicher frei, den CapCut selbst wieder aufbauen kann',
+  'cleaner.title': 'Bereinigen',
+  'cleaner.total': '{size} in {count, plural, one {# Kategorie} other {# Kategorien}}',
+
+  // History
+  'history.action.apply_protection': 'Schutz anwenden',
+  'history.action.clean_cache': 'Cache leeren',
+  'history.action.clear_backups': 'Backups löschen',
+  'history.action.create_backup': 'Version sichern',
+  'history.action.delete_backup': 'Backup löschen',
+  'history.action.delete_versions': 'Versionen löschen',
+  'history.action.export_backup': 'Backup exportieren',
+  'history.action.import_backup': 'Backup importieren',
+  'history.action.import_settings': 'Einstellungen importieren',
+  'history.action.lock': 'Version sperren',
+  'history.action.prune_backups': 'Backups aufräumen',
+  'history.action.repair': 'Schutz reparieren',
+  'history.action.reset_settings': 'Einstellungen zurücksetzen',
+  'history.action.restore_backup': 'Backup wiederherstellen',
+  'history.action.run_installer': 'Installer ausführen',
+  'history.action.switch': 'Version wechseln',
+  'history.action.undo_lock': 'Sperre aufheben',
+  'history.action.unlock': 'Schutz entfernen',
+  'history.clear': 'Leeren',
+  'history.clear_confirm': 'Verlauf leeren',
+  'history.clear_failed': 'Verlauf nicht gelöscht',
+  'history.clear_message': 'Die Aufzeichnung aller bisherigen Vorgänge wird endgültig gelöscht. Exportiere sie vorher, falls du sie brauchst.',
+  'history.clear_title': 'Verlauf leeren?',
+  'history.cleared': 'Verlauf gelöscht',
+  'history.count': 'VORGÄNGE ({count})',
+  'history.count_filtered': 'VORGÄNGE ({shown} VON {total})',
+  'history.export_csv': 'CSV exportieren',
+  'history.export_failed': 'Verlauf nicht exportiert',
+  'history.export_json': 'JSON exportieren',
+  'history.export_title': 'Verlauf exportieren',
+  'history.exported': '{count, plural, one {# Vorgang} other {# Vorgänge}} nach {path} exportiert',
+  'history.exported_title': 'Verlauf exportiert',
+  'history.failed': '{date} • Fehlgeschlagen',
+  'history.failed_error': '{date} • Fehlgeschlagen: {error}',
+  'history.filter.action': 'Aktion',
+  'history.filter.all': 'Alle',
+  'history.filter.all_time': 'Gesamter Zeitraum',
+  'history.filter.any': 'Beliebig',
+  'history.filter.failed': 'Fehlgeschlagen',
+  'history.filter.last_day': 'Letzte 24 Stunden',
+  'history.filter.last_month': 'Letzte 30 Tage',
+  'history.filter.last_week': 'Letzte 7 Tage',
+  'history.filter.result': 'Ergebnis',
+  'history.filter.since': 'Seit',
+  'history.filter.succeeded': 'Erfolgreich',
+  'history.no_logs': 'Keine Protokollausgabe',
+  'history.no_match': 'Keine Vorgänge passen zu den Filtern',
+  'history.none': 'Noch keine Vorgänge aufgezeichnet',
+  'history.operations': 'VORGÄNGE',
+  'history.param.default': 'Standard',
+  'history.param.no': 'nein',
+  'history.param.none': 'keine',
+  'history.param.yes': 'ja',
+  'history.search': 'Parameter und Protokolle durchsuchen...',
+  'history.title': 'Verlauf',
+  'history.undo_newer_first': 'Hebe zuerst die neuere Sperre auf',
+  'history.undone_on': 'Aufgehoben am {date}',
+
+  // Settings
+  'settings.about': 'ÜBER',
+  'settings.accent': 'Akzentfarbe',
+  'settings.accent.blue': 'Blau',
+  'settings.accent.green': 'Grün',
+  'settings.accent.orange': 'Orange',
+  'settings.accent.pink': 'Pink',
+  'settings.accent.purple': 'Lila',
+  'settings.accent.teal': 'Türkis',
+  'settings.accent_detail': 'Schaltflächen, Auswahl und Fokusrahmen',
+  'settings.appearance': 'DARSTELLUNG',
+  'settings.auto_detect': 'Automatisch erkennen',
+  'settings.autostart': 'Beim Systemstart starten',
+  'settings.autostart_detail': 'Version Guard mit Windows starten',
+  'settings.custom_folder': 'Eigener CapCut-Ordner',
+  'settings.detecting': 'Wird erkannt...',
+  'settings.error_title': 'Einstellung nicht gespeichert',
+  'settings.general': 'ALLGEMEIN',
+  'settings.install_location': 'INSTALLATIONSORT',
+  'settings.language': 'Sprache',
+  'settings.language_detail': 'Gilt auch für Vorgangsprotokolle',
+  'settings.language_system': 'System ({language})',
+  'settings.license': 'Open Source (GPL-3.0). Kostenlos aus dem Quellcode zu bauen.',
+  'settings.saved.detail': 'Auf einen anderen PC übertragen oder neu beginnen',
+  'settings.saved.export_failed': 'Einstellungen nicht exportiert',
+  'settings.saved.export_title': 'Einstellungen exportieren',
+  'settings.saved.exported': 'Nach {path} exportiert',
+  'settings.saved.exported_title': 'Einstellungen exportiert',
+  'settings.saved.header': 'GESPEICHERTE EINSTELLUNGEN',
+  'settings.saved.import_confirm_message': 'Installationsordner, Download-Ordner, Aufbewahrungsregel, Vorlagen, Sprache und Darstellung werden durch die aus dieser Datei ersetzt.',
+  'settings.saved.import_confirm_title': 'Einstellungen ersetzen?',
+  'settings.saved.import_failed': 'Einstellungen nicht importiert',
+  'settings.saved.import_title': 'Einstellungen importieren',
+  'settings.saved.imported': 'Einstellungen aus {path} importiert',
+  'settings.saved.imported_title': 'Einstellungen importiert',
+  'settings.saved.reset': 'Auf Standard zurücksetzen',
+  'settings.saved.reset_confirm': 'Zurücksetzen',
+  'settings.saved.reset_done': 'Einstellungen auf Standard zurückgesetzt',
+  'settings.saved.reset_failed': 'Einstellungen nicht zurückgesetzt',
+  'settings.saved.reset_message': 'Installations- und Download-Ordner werden wieder automatisch bestimmt, Backups ohne Grenzen behalten, deine Vorlagen durch die eingebauten ersetzt und die Sprache folgt wieder dem System. Autostart, Backups und Verlauf bleiben unverändert.',
+  'settings.saved.reset_title': 'Einstellungen zurücksetzen?',
+  'settings.saved.title': 'Installationsordner, Downloads, Aufbewahrung, Vorlagen und Sprache',
+  'settings.subtitle': 'Verhalten der Anwendung konfigurieren',
+  'settings.support': 'UNTERSTÜTZUNG',
+  'settings.support_detail': 'Entwicklung unterstützen ☕',
+  'settings.theme': 'Design',
+  'settings.theme.dark': 'Dunkel',
+  'settings.theme.light': 'Hell',
+  'settings.theme.system': 'System ({theme})',
+  'settings.theme_detail': 'Hell, dunkel oder wie Windows',
+  'settings.title': 'Einstellungen',
+  'settings.unofficial': 'Inoffizielles Werkzeug. Nicht mit CapCut verbunden.',
+  'settings.update_failed': 'Einstellungen konnten nicht gespeichert werden: {error}',
+  'settings.use_folder': 'Ordner verwenden',
+
+  // Install location
+  'install.apps_folder': 'Apps-Ordner: {path}',
+  'install.automatic': 'Automatische Erkennung aktiv',
+  'install.choose': 'Wähle den Ordner, der den Apps-Ordner von CapCut enthält',
+  'install.no_apps_folder': 'Hier gibt es keinen CapCut-Apps-Ordner',
+  'install.path_required': 'Gib zuerst einen Ordner ein oder wähle einen aus',
+  'install.save_failed': 'Installationsordner nicht gespeichert',
+  'install.saved': 'Gespeichert. Suchen, Sperren und Wechsel verwenden jetzt diesen Ordner.',
+  'install.saved_title': 'Installationsordner gespeichert',
+  'install.saved_unavailable': 'Gespeicherter Ordner nicht verfügbar: {path}',
+  'install.select_folder': 'CapCut-Ordner auswählen',
+  'install.source.custom': 'Eigener Ort',
+  'install.source.default': 'Standardort',
+  'install.source.registry': 'In der Windows-Registrierung gefunden',
+  'install.unavailable': 'Ort nicht verfügbar',
+
+  // Confirmation dialog
+  'modal.default_message': 'Diese Aktion kann nicht rückgängig gemacht werden.',
+  'modal.default_title': 'Bist du sicher?',
+  'modal.type_to_confirm': 'Zum Bestätigen „{text}“ eingeben',
+
+  // Command palette
+  'palette.cmd.backups': 'Backups',
+  'palette.cmd.catalog': 'Alle älteren Versionen durchsuchen',
+  'palette.cmd.clean': 'Cache leeren…',
+  'palette.cmd.downloads': 'Downloads',
+  'palette.cmd.history': 'Verlauf',
+  'palette.cmd.home': 'Start',
+  'palette.cmd.legacy': 'Ältere Versionen',
+  'palette.cmd.notifications': 'Benachrichtigungen anzeigen',
+  'palette.cmd.protect': 'Version sperren…',
+  'palette.cmd.settings': 'Einstellungen',
+  'palette.cmd.status': 'Schutzstatus prüfen',
+  'palette.cmd.switch': 'Schnellwechsel',
+  'palette.cmd.switch_to': 'Zu {version} wechseln',
+  'palette.cmd.theme': 'Design „{theme}“ verwenden',
+  'palette.commands': 'Befehle',
+  'palette.empty': 'Keine passenden Befehle',
+  'palette.failed': '„{command}“ konnte nicht ausgeführt werden',
+  'palette.group.actions': 'Aktionen',
+  'palette.group.appearance': 'Darstellung',
+  'palette.group.go': 'Gehe zu',
+  'palette.group.versions': 'Version wechseln',
+  'palette.hint': '↑↓ zum Wählen · Eingabe zum Ausführen · Esc zum Schließen',
+  'palette.placeholder': 'Befehl oder Version eingeben…',
+  'palette.title': 'Befehlspalette',
+
+  // Key names in shortcut hints
+  'keys.alt': 'Alt',
+  'keys.ctrl': 'Strg',
+  'keys.home': 'Pos1',
+  'keys.shift': 'Umschalt',
+
+  // Notifications (toasts and the notification center)
+  'notify.clear_all': 'Alle löschen',
+  'notify.details': 'Details anzeigen',
+  'notify.dismiss': 'Schließen',
+  'notify.empty': 'Noch keine Benachrichtigungen',
+  'notify.remove': '„{title}“ entfernen',
+  'notify.title': 'Benachrichtigungen',
+  'notify.type.error': 'Fehler',
+  'notify.type.info': 'Info',
+  'notify.type.success': 'Erledigt',
+  'notify.type.warning': 'Warnung',
+  'notify.unread': '{count, plural, =0 {Benachrichtigungen} one {Benachrichtigungen, # ungelesen} other {Benachrichtigungen, # ungelesen}}',
+};
@@ -0,0 +1,682 @@
+/**
+ * English messages, also the fallback for keys other catalogs lack
+ * Values are ICU messages (see i18n.js); keys are grouped by view.
+ */
+
+export default {
+  'language.name': 'English',
+
+  // Shared
+  'common.apply': 'Apply',
+  'common.back': 'Back',
+  'common.browse': 'Browse',
+  'common.calculating': 'Calculating...',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.compare': 'Compare',
+  'common.confirm': 'Confirm',
+  'common.continue': 'Continue',
+  'common.delete': 'Delete',
+  'common.done': 'Done',
+  'common.error': 'Error: {error}',
+  'common.export': 'Export',
+  'common.import': 'Import',
+  'common.launch_capcut': 'Launch CapCut',
+  'common.loading': 'Loading...',
+  'common.ok': 'OK',
+  'common.retry': 'Retry',
+  'common.save': 'Save',
+
+  // Window controls
+  'window.maximize': 'Maximize',
+  'window.minimize': 'Minimize',
+
+  // Welcome
+  'welcome.active': 'Active: CapCut v{version}',
+  'welcome.active_unpinned': 'Not pinned by a switch; CapCut starts the newest installed version',
+  'welcome.disclaimer': 'Unofficial Utility - Not affiliated with CapCut',
+  'welcome.donate': 'Donate',
+  'welcome.lock': 'Lock Current Version',
+  'welcome.mechanisms.missing': 'Some protections are missing',
+  'welcome.mechanisms.overwritten': 'A protection was overwritten',
+  'welcome.repair': 'Repair',
+  'welcome.repair_failed': 'Repair Failed',
+  'welcome.repaired': 'Protection Repaired',
+  'welcome.repaired_detail': 'Every protection mechanism is active again.',
+  'welcome.repairing': 'Repairing...',
+  'welcome.status.locked': 'Version Locked',
+  'welcome.status.locked_detail': 'Updates are disabled',
+  'welcome.status.partial': 'Partially Locked',
+  'welcome.status.partial_detail': '{active} of {total} protections active',
+  'welcome.status.unlocked': 'Version Unlocked',
+  'welcome.status.unlocked_detail': 'Updates are enabled',
+  'welcome.status.unprotected': 'Not Protected',
+  'welcome.status.unprotected_detail': 'CapCut can update automatically',
+  'welcome.status_failed': 'Could Not Check Protection',
+  'welcome.tool.backups': 'Backups',
+  'welcome.tool.clean': 'Clean',
+  'welcome.tool.history': 'History',
+  'welcome.tool.legacy': 'Legacy',
+  'welcome.tool.settings': 'Settings',
+  'welcome.tool.switch': 'Switch',
+  'welcome.unlock': 'Unlock Version',
+
+  // Protection mechanisms
+  'mechanisms.config_lock': 'configure.ini lock',
+  'mechanisms.product_info_blocker': 'ProductInfo.xml blocker',
+  'mechanisms.state.active': 'Active',
+  'mechanisms.state.degraded': 'Degraded',
+  'mechanisms.state.missing': 'Missing',
+  'mechanisms.update_blocker': 'update.exe blocker',
+
+  // Unlock
+  'unlock.confirm': 'Unlock',
+  'unlock.confirm_message': 'Updates will be enabled again. You can re-lock anytime.',
+  'unlock.confirm_phrase': 'unlock',
+  'unlock.confirm_title': 'Unlock Version?',
+  'unlock.done_message': 'CapCut can update itself again. You can re-lock anytime.',
+  'unlock.done_title': 'Version Unlocked',
+  'unlock.failed': 'Unlock Failed',
+  'unlock.keep': 'Keep Protected',
+  'unlock.removing': 'Removing...',
+
+  // System check
+  'precheck.checking': 'Checking Environment',
+  'precheck.checking_detail': 'Verifying your system configuration.',
+  'precheck.checking_install': 'Checking installation...',
+  'precheck.checking_processes': 'Checking processes...',
+  'precheck.install_found': 'CapCut installation found',
+  'precheck.install_missing': 'CapCut not found',
+  'precheck.not_running': 'CapCut is not running',
+  'precheck.ready': 'All Systems Go',
+  'precheck.ready_detail': 'Your environment is ready.',
+  'precheck.running': 'CapCut is running — close it first',
+  'precheck.set_location': 'Set Location',
+  'precheck.title': 'System Check',
+
+  // Version selection
+  'versions.choose': 'Choose the version to protect.',
+  'versions.download_legacy': 'Download Legacy Version',
+  'versions.none': 'No installations found',
+  'versions.none_detail': 'Download a legacy version to get started',
+  'versions.tag.active': 'Active',
+  'versions.tag.catalog': 'Catalog',
+  'versions.tag.catalog_match': 'Matches catalog entry {persona}',
+  'versions.tag.newest': 'Newest',
+  'versions.tag.oldest': 'Oldest',
+  'versions.title': 'Select Version',
+
+  // Protection presets
+  'presets.builtin.full_protection': 'Full protection',
+  'presets.builtin.lock_only': 'Lock only',
+  'presets.clear_default': 'Start the wizard with every option on instead',
+  'presets.custom': 'Custom',
+  'presets.default_option': '{name} (default)',
+  'presets.default_tag': 'Default',
+  'presets.delete_message': '{name} will be removed. Protected versions and backups are not affected.',
+  'presets.delete_this': 'Delete this preset',
+  'presets.delete_title': 'Delete Preset?',
+  'presets.deleted': 'Preset Deleted',
+  'presets.error_title': 'Presets Not Updated',
+  'presets.keep_this_version': 'Also keep this version',
+  'presets.keep_version': 'Also keep v{version}',
+  'presets.label': 'Preset',
+  'presets.name': 'Preset name',
+  'presets.name_required': 'Give the preset a name',
+  'presets.none': 'No presets. Save one from the Options step of the wizard.',
+  'presets.part.clean_cache': 'Clean cache',
+  'presets.part.copy_locks': 'Copy locks',
+  'presets.part.keeps': 'Keeps v{version}',
+  'presets.part.lock_config': 'Lock config',
+  'presets.part.none': 'No protection',
+  'presets.replace': 'Replace',
+  'presets.replace_message': '{name} ({summary}) will be replaced with these options.',
+  'presets.replace_title': 'Replace Preset?',
+  'presets.save': 'Save Preset',
+  'presets.saved': 'Saved {name}.',
+  'presets.saved_default': 'Saved. The wizard now starts with {name}.',
+  'presets.saved_title': 'Preset Saved',
+  'presets.settings_header': 'PROTECTION PRESETS',
+  'presets.start_with': 'Start the wizard with this preset',
+  'presets.version_kept': '{name} keeps v{version}.',
+  'presets.version_missing': '{name} keeps v{version}, which isn\'t installed. Choose the version to protect.',
+
+  // Options
+  'options.cache_size': '{size} can be freed',
+  'options.cache_size_unavailable': 'Size unavailable',
+  'options.clean_temp': 'Clean Temporary Files',
+  'options.cleanup': 'Cleanup',
+  'options.copy_locks': 'Create Copy Locks',
+  'options.copy_locks_detail': 'Locks updater executable',
+  'options.lock': 'Lock Version',
+  'options.lock_config': 'Lock Configuration',
+  'options.lock_config_detail': 'Prevents automatic updates',
+  'options.protection': 'Protection',
+  'options.title': 'Options',
+
+  // Review changes
+  'preview.already_applied': 'Already applied',
+  'preview.building': 'Building plan...',
+  'preview.clear_cache': 'Clear cache · {size}',
+  'preview.create_backups': 'Create backups',
+  'preview.delete_versions': 'Delete {count, plural, one {# version} other {# versions}}',
+  'preview.failed': 'Could not build the plan',
+  'preview.lock_files': 'Lock files',
+  'preview.no_backup_folder': 'No backup folder available',
+  'preview.no_changes': 'No changes needed',
+  'preview.no_changes_detail': 'All selected options are already in place',
+  'preview.nothing': 'Nothing to change',
+  'preview.review': 'Review before continuing',
+  'preview.summary': 'Nothing is changed until you confirm',
+  'preview.summary_freed': 'Nothing is changed until you confirm · {size} will be freed',
+  'preview.title': 'Review Changes',
+  'preview.warnings': 'Warnings',
+
+  // Progress steps
+  'progress.backup': 'Backing up versions...',
+  'progress.check': 'Checking system...',
+  'progress.clean_cache': 'Cleaning cache...',
+  'progress.complete': 'Complete',
+  'progress.create_blockers': 'Creating blockers...',
+  'progress.delete': 'Deleting versions...',
+  'progress.done': 'Finalizing...',
+  'progress.freed': '{size} freed',
+  'progress.left': '{time} left',
+  'progress.lock_config': 'Locking configuration...',
+  'progress.preparing': 'Preparing...',
+  'progress.restore': 'Restoring versions...',
+  'progress.revert': 'Reverting lock files...',
+  'progress.verify': 'Verifying...',
+  'progress.working': 'Working...',
+
+  // Applying protection
+  'processing.failed': 'Protection failed',
+  'processing.initializing': 'Initializing...',
+  'processing.log.found': 'Found {count, plural, one {# version} other {# versions}} to remove',
+  'processing.log.locked': 'Version locked successfully',
+  'processing.log.start': 'Starting version lock sequence',
+  'processing.title': 'Applying Protection',
+  'processing.wait': 'Please wait...',
+
+  // Protection applied
+  'complete.detail': 'Your CapCut version is now locked and protected from automatic updates.',
+  'complete.title': 'Protection Applied',
+  'complete.undo': 'Undo this lock',
+
+  // Undo lock
+  'undo.confirm': 'Undo Lock',
+  'undo.confirm_message': 'This {count, plural, =0 {} one {restores # deleted version from backup and } other {restores # deleted versions from backup and }}puts configure.ini, ProductInfo.xml and update.exe back the way they were before the lock. CapCut may update itself again afterwards.',
+  'undo.confirm_title': 'Undo This Lock?',
+  'undo.done_message': 'Deleted versions are back and the lock files match their state before the lock.',
+  'undo.done_title': 'Lock Undone',
+  'undo.failed': 'Undo failed',
+  'undo.failed_message': '{error}. The History view keeps the full log, and the undo can be retried from there.',
+  'undo.failed_title': 'Undo Incomplete',
+  'undo.log.done': 'Lock undone and verified',
+  'undo.log.start': 'Starting undo',
+  'undo.title': 'Undoing Lock',
+
+  // Error view
+  'error.change_options': 'Change Options',
+  'error.start_over': 'Start Over',
+  'error.title': 'Something went wrong',
+  'error.unexpected': 'An unexpected error occurred.',
+
+  // Launching CapCut
+  'launch.already_running_message': 'Close CapCut first so the newly active version is the one that starts.',
+  'launch.already_running_title': 'CapCut Is Already Running',
+  'launch.exited_message': 'CapCut exited right after starting. {action, select, switch {The switch} other {The lock}} may have left a broken setup — try switching to another version or restoring one from Backups.',
+  'launch.exited_title': 'CapCut Closed Immediately',
+  'launch.failed': 'Launch Failed',
+  'launch.launching': 'Launching CapCut...',
+  'launch.not_started_message': 'No CapCut process appeared after launching. {action, select, switch {The switch} other {The lock}} may have left a broken setup.',
+  'launch.not_started_title': 'CapCut Did Not Start',
+  'launch.running': 'CapCut is running',
+  'launch.watching': 'CapCut started, checking it stays open...',
+
+  // Legacy versions
+  'legacy.browse_all': 'Browse All Versions',
+  'legacy.official_source': 'Downloads sourced directly from official CapCut servers.',
+  'legacy.subtitle': 'Download previous CapCut versions.',
+  'legacy.title': 'Legacy Versions',
+
+  // All versions catalog
+  'catalog.all_hidden': '{count, plural, one {The only version is hidden by your search or filters} other {All # versions are hidden by your search or filters}}',
+  'catalog.base': 'Base',
+  'catalog.base_from': 'Oldest base version',
+  'catalog.base_newest': 'Newest',
+  'catalog.base_oldest': 'Oldest',
+  'catalog.base_to': 'Newest base version',
+  'catalog.build': 'Build',
+  'catalog.build_max': 'Maximum build number',
+  'catalog.build_min': 'Minimum build number',
+  'catalog.channel': 'Channel',
+  'catalog.channel.all': 'All',
+  'catalog.channel.beta': 'Beta',
+  'catalog.channel.stable': 'Stable',
+  'catalog.channel.test': 'Test',
+  'catalog.chip.base': 'Base {version}',
+  'catalog.chip.base_from': 'Base ≥ {version}',
+  'catalog.chip.base_range': 'Base {from} – {to}',
+  'catalog.chip.base_to': 'Base ≤ {version}',
+  'catalog.chip.build_max': 'Build ≤ {build}',
+  'catalog.chip.build_min': 'Build ≥ {build}',
+  'catalog.chip.query': '"{query}"',
+  'catalog.clear_all': 'Clear all',
+  'catalog.clear_filters': 'Clear Filters',
+  'catalog.count': '{shown} of {total}',
+  'catalog.empty': 'The version catalog is empty',
+  'catalog.legacy_version': 'Legacy Version',
+  'catalog.load_failed': 'Error loading versions: {error}',
+  'catalog.max': 'Max',
+  'catalog.min': 'Min',
+  'catalog.no_match': 'No versions match',
+  'catalog.none': 'No versions found',
+  'catalog.range_to': 'to',
+  'catalog.remove_filter': 'Remove filter {filter}',
+  'catalog.risk': 'Risk level',
+  'catalog.risk.any': 'Any risk',
+  'catalog.risk.high': 'High',
+  'catalog.risk.low': 'Low',
+  'catalog.risk.medium': 'Medium',
+  'catalog.risk_chip': '{risk, select, low {Low risk} medium {Medium risk} high {High risk} other {{level} risk}}',
+  'catalog.risk_level': '{risk, select, low {Low} medium {Medium} high {High} other {{level}}}',
+  'catalog.search': 'Search versions...',
+  'catalog.sort': 'Sort',
+  'catalog.sort.newest': 'Newest first',
+  'catalog.sort.oldest': 'Oldest first',
+  'catalog.sort.risk': 'Lowest risk first',
+  'catalog.title': 'All Legacy Versions',
+  'catalog.with_build': '{description} · Build {build}',
+
+  // Version comparison
+  'compare.differences_only': 'Differences only',
+  'compare.download': 'Download',
+  'compare.features': 'FEATURES',
+  'compare.go': 'Compare {count}',
+  'compare.included': 'Included',
+  'compare.limit': 'You can compare up to {max} versions',
+  'compare.newest_with': 'Newest with it: v{version}',
+  'compare.no_feature_data': 'No feature data',
+  'compare.no_features': 'The catalog has no feature list for these versions',
+  'compare.not_included': 'Not included',
+  'compare.notes': 'Notes',
+  'compare.risk': 'Risk',
+  'compare.select': 'Select {min} to {max} versions',
+  'compare.selected': '{count, plural, one {# version selected} other {# versions selected}}',
+  'compare.summary': '{count} of {total, plural, one {# feature differs} other {# features differ}}',
+  'compare.title': 'Compare Versions',
+  'compare.unknown_note': '? = no feature list in the catalog for {versions}',
+  'compare.version': 'Version',
+  'compare.versions': '{count, plural, one {# version} other {# versions}}',
+
+  // Downloads
+  'downloads.action.pause': 'Pause',
+  'downloads.action.remove': 'Remove from list',
+  'downloads.action.resume': 'Resume',
+  'downloads.action.retry': 'Retry',
+  'downloads.action.run': 'Run installer',
+  'downloads.action_item': '{action} {name}',
+  'downloads.change_folder': 'Change',
+  'downloads.checksum_mismatch': 'Checksum mismatch: the file is damaged or not the official installer',
+  'downloads.checksum_note': 'Finished files are checked against the catalog checksum.',
+  'downloads.custom_folder': 'Custom folder',
+  'downloads.default_folder': 'Default',
+  'downloads.default_folder_hint': 'Default folder',
+  'downloads.discard_failed': 'Partial Download Not Deleted',
+  'downloads.download_item': 'Download {name}',
+  'downloads.failed_title': 'Download Failed: {name}',
+  'downloads.folder': 'DOWNLOAD FOLDER',
+  'downloads.folder_changed': 'New downloads go to this folder',
+  'downloads.folder_failed': 'Download Folder Not Changed',
+  'downloads.in_downloads': 'In Downloads',
+  'downloads.installer_failed': 'Installer Failed',
+  'downloads.later': 'Later',
+  'downloads.no_checksum': 'Not available in the app yet: this installer has no verified checksum',
+  'downloads.no_folder': 'No download folder available',
+  'downloads.none': 'No downloads yet',
+  'downloads.none_detail': 'Pick a version in Legacy Versions to download it here',
+  'downloads.pause_first': 'Pause downloads before changing the folder',
+  'downloads.queue': 'QUEUE',
+  'downloads.rate': '{size}/s',
+  'downloads.run_installer': 'Run Installer',
+  'downloads.select_folder': 'Select download folder',
+  'downloads.size_of': '{done} of {total}',
+  'downloads.status.cancelling': 'Cancelling...',
+  'downloads.status.failed': 'Download failed',
+  'downloads.status.installing': 'Installer running...',
+  'downloads.status.paused': 'Paused · {size}',
+  'downloads.status.verified': 'Verified · matches the catalog checksum',
+  'downloads.status.verifying': 'Verifying checksum...',
+  'downloads.status.waiting': 'Waiting',
+  'downloads.status.waiting_size': 'Waiting · {size}',
+  'downloads.subtitle': 'Installers download one at a time from official CapCut servers.',
+  'downloads.title': 'Downloads',
+  'downloads.verified_message': '{name} matches the catalog checksum. Run the installer now? When it finishes, you\'ll go straight to locking the version.',
+  'downloads.verified_title': 'Installer Verified',
+
+  // Quick switch
+  'switch.already_active': 'CapCut already launches this version',
+  'switch.apply': 'Switch Version',
+  'switch.confirm': 'Switch',
+  'switch.confirm_message': 'This will set CapCut v{version} as the active version.',
+  'switch.confirm_title': 'Switch Version?',
+  'switch.done_message': 'CapCut v{version} is now active. Launch it to make sure it starts?',
+  'switch.done_title': 'Version Switched',
+  'switch.failed': 'Switch Failed',
+  'switch.none_detail': 'Download a legacy version first',
+  'switch.only_one': 'Only one version installed — nothing to switch',
+  'switch.subtitle': 'Select a version to activate without re-protecting.',
+  'switch.switching': 'Switching...',
+  'switch.title': 'Quick Switch',
+
+  // Backups
+  'backups.action.delete': 'Delete this backup',
+  'backups.action.edit': 'Edit label and notes',
+  'backups.action.export': 'Export to an archive',
+  'backups.action.restore': 'Restore this backup',
+  'backups.action.verify': 'Verify this backup',
+  'backups.available': 'AVAILABLE BACKUPS',
+  'backups.back_up': 'Back Up',
+  'backups.back_up_now': 'Back Up Now',
+  'backups.backed_up': '{count, plural, =0 {Backed up} one {Backed up; pruned # older backup} other {Backed up; pruned # older backups}}',
+  'backups.backing_up': 'Backing up...',
+  'backups.backup_failed': 'Backup Failed',
+  'backups.clear_all': 'Clear All Backups',
+  'backups.clear_confirm': 'Clear All',
+  'backups.clear_failed': 'Clear Failed',
+  'backups.clear_keep': 'Keep Backups',
+  'backups.clear_message': 'This will permanently delete all backups. You won\'t be able to restore deleted versions.',
+  'backups.clear_phrase': 'delete all',
+  'backups.clear_title': 'Clear All Backups?',
+  'backups.cleared': 'All Backups Deleted',
+  'backups.delete_failed': 'Delete Failed',
+  'backups.delete_message': 'This will permanently delete the backup of {version}.',
+  'backups.delete_title': 'Delete Backup?',
+  'backups.deleted': 'Backup Deleted',
+  'backups.describe': '{version} from {date}',
+  'backups.describe_labeled': '{label} ({version}, {date})',
+  'backups.heading': 'Version Backups',
+  'backups.import': 'Import Backup...',
+  'backups.keep': 'Keep',
+  'backups.label_aria': 'Backup label',
+  'backups.label_placeholder': 'Label (optional)',
+  'backups.loading_versions': 'Loading versions...',
+  'backups.no_versions': 'No installed versions',
+  'backups.none': 'No backups available',
+  'backups.notes_aria': 'Backup notes',
+  'backups.notes_placeholder': 'Notes (optional)',
+  'backups.prune_message': 'The retention policy will then remove {count, plural, one {# older backup} other {# older backups}} ({size}): {backups}.',
+  'backups.prune_title': 'Back Up and Prune?',
+  'backups.scan_failed': 'Could not scan versions',
+  'backups.subtitle': 'Restore deleted versions or free up space',
+  'backups.tag.manual': 'Manual',
+  'backups.tag.pruned': 'Will be pruned',
+  'backups.title': 'Backups',
+  'backups.total': 'Total: {size}',
+  'backups.verify_all': 'Verify All',
+  'backups.version_to_back_up': 'Version to back up',
+
+  // Backup verification
+  'verify.count.extra': '{count} extra',
+  'verify.count.missing': '{count} missing',
+  'verify.count.modified': '{count} modified',
+  'verify.damaged': 'Damaged: {problems}',
+  'verify.done_title': 'Backups Checked',
+  'verify.error': 'Could not verify: {error}',
+  'verify.failed': 'Verification failed: {error}',
+  'verify.failed_title': 'Verification Failed',
+  'verify.file.extra': 'Extra: {file}',
+  'verify.file.missing': 'Missing: {file}',
+  'verify.file.modified': 'Modified: {file}',
+  'verify.intact': 'Verified: {count, plural, one {# file intact} other {# files intact}}',
+  'verify.no_manifest': 'Made before verification existed; can\'t be checked',
+  'verify.summary.damaged': '{count} damaged',
+  'verify.summary.intact': '{count} intact',
+  'verify.summary.unverifiable': '{count} can\'t be checked',
+  'verify.verifying': 'Verifying...',
+  'verify.verifying_percent': 'Verifying... {percent}',
+
+  // Backup archives
+  'archive.export_failed': 'Export Failed',
+  'archive.export_title': 'Export backup',
+  'archive.exported': 'Exported {count, plural, one {# file} other {# files}} ({size}) to {path}',
+  'archive.exported_title': 'Backup Exported',
+  'archive.exporting': 'Exporting {name}',
+  'archive.filter': 'Backup archive',
+  'archive.import_failed': 'Import Failed',
+  'archive.import_title': 'Import backup',
+  'archive.imported': 'Imported {backup}; it restores to {path}',
+  'archive.imported_title': 'Backup Imported',
+  'archive.importing': 'Importing and checking archive',
+  'archive.progress': '{label}...',
+  'archive.progress_percent': '{label}... {percent}',
+
+  // Retention
+  'retention.applied': '{count, plural, =0 {Policy applied} one {Policy applied; pruned # backup} other {Policy applied; pruned # backups}}',
+  'retention.applied_title': 'Retention Policy Saved',
+  'retention.apply_prune': 'Apply and Prune',
+  'retention.cap_before': 'Limit all backups to',
+  'retention.cap_label': 'Size limit in GB',
+  'retention.failed': 'Retention Policy Not Saved',
+  'retention.keep_after': 'backups of each version',
+  'retention.keep_before': 'Keep the last',
+  'retention.keep_label': 'Backups kept per version',
+  'retention.no_limits': 'No limits — backups are kept until you delete them',
+  'retention.pinned': '{count} kept for Undo Lock',
+  'retention.prune_message': 'This permanently deletes {backups} and frees {size}.',
+  'retention.prune_title': '{count, plural, one {Prune # Backup?} other {Prune # Backups?}}',
+  'retention.removes': 'Removes {count, plural, one {# backup} other {# backups}} ({size})',
+  'retention.removes_nothing': 'Removes nothing right now',
+  'retention.title': 'RETENTION',
+  'retention.within': 'All backups are within the policy',
+
+  // Restore
+  'restore.anyway': 'Restore Anyway',
+  'restore.confirm': 'Restore',
+  'restore.damaged_message': 'Verification found problems in this backup ({problems}). Restoring may leave {version} broken.',
+  'restore.damaged_title': 'Restore Damaged Backup?',
+  'restore.done_message': '{version} has been restored successfully.',
+  'restore.done_title': 'Restored!',
+  'restore.failed': 'Restore Failed',
+  'restore.message': 'This will restore {version} to its original location.',
+  'restore.title': 'Restore Backup?',
+
+  // Cache cleaner
+  'cleaner.categories': 'CATEGORIES',
+  'cleaner.categories_label': 'Cache categories',
+  'cleaner.clean_selected': 'Clean Selected',
+  'cleaner.cleaning': 'Cleaning...',
+  'cleaner.done_title': 'Cache Cleaned',
+  'cleaner.empty': 'Already empty',
+  'cleaner.failed': 'Cleaning failed',
+  'cleaner.failed_title': 'Cleaning Failed',
+  'cleaner.freed': 'Freed {freed}',
+  'cleaner.freed_estimated': 'Freed {freed} of {estimated} estimated',
+  'cleaner.freed_partial': 'Freed {freed} of {estimated} (some files were in use)',
+  'cleaner.heading': 'Cache Cleaner',
+  'cleaner.nothing': 'Nothing to clean',
+  'cleaner.subtitle': 'Free up space CapCut can rebuild on its own',
+  'cleaner.title': 'Cleaner',
+  'cleaner.total': '{size} in {count, plural, one {# category} other {# categories}}',
+
+  // History
+  'history.action.apply_protection': 'Apply protection',
+  'history.action.clean_cache': 'Clean cache',
+  'history.action.clear_backups': 'Clear backups',
+  'history.action.create_backup': 'Back up version',
+  'history.action.delete_backup': 'Delete backup',
+  'history.action.delete_versions': 'Delete versions',
+  'history.action.export_backup': 'Export backup',
+  'history.action.import_backup': 'Import backup',
+  'history.action.import_settings': 'Import settings',
+  'history.action.lock': 'Lock version',
+  'history.action.prune_backups': 'Prune backups',
+  'history.action.repair': 'Repair protection',
+  'history.action.reset_settings': 'Reset settings',
+  'history.action.restore_backup': 'Restore backup',
+  'history.action.run_installer': 'Run installer',
+  'history.action.switch': 'Switch version',
+  'history.action.undo_lock': 'Undo lock',
+  'history.action.unlock': 'Remove protection',
+  'history.clear': 'Clear',
+  'history.clear_confirm': 'Clear History',
+  'history.clear_failed': 'History Not Cleared',
+  'history.clear_message': 'This permanently deletes the record of all past operations. Export it first if you need it.',
+  'history.clear_title': 'Clear History?',
+  'history.cleared': 'History Cleared',
+  'history.count': 'OPERATIONS ({count})',
+  'history.count_filtered': 'OPERATIONS ({shown} OF {total})',
+  'history.export_csv': 'Export CSV',
+  'history.export_failed': 'History Not Exported',
+  'history.export_json': 'Export JSON',
+  'history.export_title': 'Export history',
+  'history.exported': 'Exported {count, plural, one {# operation} other {# operations}} to {path}',
+  'history.exported_title': 'History Exported',
+  'history.failed': '{date} • Failed',
+  'history.failed_error': '{date} • Failed: {error}',
+  'history.filter.action': 'Action',
+  'history.filter.all': 'All',
+  'history.filter.all_time': 'All time',
+  'history.filter.any': 'Any',
+  'history.filter.failed': 'Failed',
+  'history.filter.last_day': 'Last 24 hours',
+  'history.filter.last_month': 'Last 30 days',
+  'history.filter.last_week': 'Last 7 days',
+  'history.filter.result': 'Result',
+  'history.filter.since': 'Since',
+  'history.filter.succeeded': 'Succeeded',
+  'history.no_logs': 'No log output',
+  'history.no_match': 'No operations match the filters',
+  'history.none': 'No operations recorded yet',
+  'history.operations': 'OPERATIONS',
+  'history.param.default': 'default',
+  'history.param.no': 'no',
+  'history.param.none': 'none',
+  'history.param.yes': 'yes',
+  'history.search': 'Search parameters and logs...',
+  'history.title': 'History',
+  'history.undo_newer_first': 'Undo the more recent lock first',
+  'history.undone_on': 'Undone on {date}',
+
+  // Settings
+  'settings.about': 'ABOUT',
+  'settings.accent': 'Accent Color',
+  'settings.accent.blue': 'Blue',
+  'settings.accent.green': 'Green',
+  'settings.accent.orange': 'Orange',
+  'settings.accent.pink': 'Pink',
+  'settings.accent.purple': 'Purple',
+  'settings.accent.teal': 'Teal',
+  'settings.accent_detail': 'Buttons, selection and focus rings',
+  'settings.appearance': 'APPEARANCE',
+  'settings.auto_detect': 'Auto-Detect',
+  'settings.autostart': 'Auto-Start on Boot',
+  'settings.autostart_detail': 'Start Version Guard with Windows',
+  'settings.custom_folder': 'Custom CapCut folder',
+  'settings.detecting': 'Detecting...',
+  'settings.error_title': 'Setting Not Saved',
+  'settings.general': 'GENERAL',
+  'settings.install_location': 'INSTALL LOCATION',
+  'settings.language': 'Language',
+  'settings.language_detail': 'Also used for operation logs',
+  'settings.language_system': 'System ({language})',
+  'settings.license': 'Open Source (GPL-3.0). Free to build from source.',
+  'settings.saved.detail': 'Copy them to another PC or start over',
+  'settings.saved.export_failed': 'Settings Not Exported',
+  'settings.saved.export_title': 'Export settings',
+  'settings.saved.exported': 'Exported to {path}',
+  'settings.saved.exported_title': 'Settings Exported',
+  'settings.saved.header': 'SAVED SETTINGS',
+  'settings.saved.import_confirm_message': 'The install folder, download folder, retention policy, presets, language and appearance are replaced with the ones in this file.',
+  'settings.saved.import_confirm_title': 'Replace Settings?',
+  'settings.saved.import_failed': 'Settings Not Imported',
+  'settings.saved.import_title': 'Import settings',
+  'settings.saved.imported': 'Imported settings from {path}',
+  'settings.saved.imported_title': 'Settings Imported',
+  'settings.saved.reset': 'Reset to Defaults',
+  'settings.saved.reset_confirm': 'Reset',
+  'settings.saved.reset_done': 'Settings reset to defaults',
+  'settings.saved.reset_failed': 'Settings Not Reset',
+  'settings.saved.reset_message': 'The install folder and download folder go back to automatic, backups are kept without limits, your presets are replaced by the built-in ones and the language follows the system again. Auto-start, backups and history stay as they are.',
+  'settings.saved.reset_title': 'Reset Settings?',
+  'settings.saved.title': 'Install folder, downloads, retention, presets and language',
+  'settings.subtitle': 'Configure application behavior',
+  'settings.support': 'SUPPORT',
+  'settings.support_detail': 'Support development ☕',
+  'settings.theme': 'Theme',
+  'settings.theme.dark': 'Dark',
+  'settings.theme.light': 'Light',
+  'settings.theme.system': 'System ({theme})',
+  'settings.theme_detail': 'Light, dark or the same as Windows',
+  'settings.title': 'Settings',
+  'settings.unofficial': 'Unofficial tool. Not affiliated with CapCut.',
+  'settings.update_failed': 'Failed to update settings: {error}',
+  'settings.use_folder': 'Use Folder',
+
+  // Install location
+  'install.apps_folder': 'Apps folder: {path}',
+  'install.automatic': 'Using automatic detection',
+  'install.choose': 'Choose the folder that contains CapCut\'s Apps folder',
+  'install.no_apps_folder': 'No CapCut Apps folder here',
+  'install.path_required': 'Enter or browse to a folder first',
+  'install.save_failed': 'Install Folder Not Saved',
+  'install.saved': 'Saved. Scans, locks and switches now use this folder.',
+  'install.saved_title': 'Install Folder Saved',
+  'install.saved_unavailable': 'Saved folder unavailable: {path}',
+  'install.select_folder': 'Select CapCut folder',
+  'install.source.custom': 'Custom location',
+  'install.source.default': 'Default location',
+  'install.source.registry': 'Found in the Windows registry',
+  'install.unavailable': 'Location unavailable',
+
+  // Confirmation dialog
+  'modal.default_message': 'This action cannot be undone.',
+  'modal.default_title': 'Are you sure?',
+  'modal.type_to_confirm': 'Type "{text}" to confirm',
+
+  // Command palette
+  'palette.cmd.backups': 'Backups',
+  'palette.cmd.catalog': 'Browse All Legacy Versions',
+  'palette.cmd.clean': 'Clean Cache…',
+  'palette.cmd.downloads': 'Downloads',
+  'palette.cmd.history': 'History',
+  'palette.cmd.home': 'Home',
+  'palette.cmd.legacy': 'Legacy Versions',
+  'palette.cmd.notifications': 'Show Notifications',
+  'palette.cmd.protect': 'Lock a Version…',
+  'palette.cmd.settings': 'Settings',
+  'palette.cmd.status': 'Check Protection Status',
+  'palette.cmd.switch': 'Quick Switch',
+  'palette.cmd.switch_to': 'Switch to {version}',
+  'palette.cmd.theme': 'Use {theme} Theme',
+  'palette.commands': 'Commands',
+  'palette.empty': 'No matching commands',
+  'palette.failed': 'Could not run "{command}"',
+  'palette.group.actions': 'Actions',
+  'palette.group.appearance': 'Appearance',
+  'palette.group.go': 'Go To',
+  'palette.group.versions': 'Switch Version',
+  'palette.hint': '↑↓ to move · Enter to run · Esc to close',
+  'palette.placeholder': 'Type a command or version…',
+  'palette.title': 'Command Palette',
+
+  // Key names in shortcut hints
+  'keys.alt': 'Alt',
+  'keys.ctrl': 'Ctrl',
+  'keys.home': 'Home',
+  'keys.shift': 'Shift',
+
+  // Notifications (toasts and the notification center)
+  'notify.clear_all': 'Clear All',
+  'notify.details': 'View Details',
+  'notify.dismiss': 'Dismiss',
+  'notify.empty': 'No notifications yet',
+  'notify.remove': 'Remove "{title}"',
+  'notify.title': 'Notifications',
+  'notify.type.error': 'Error',
+  'notify.type.info': 'Info',
+  'notify.type.success': 'Done',
+  'notify.type.warning': 'Warning',
+  'notify.unread': '{count, plural, =0 {Notifications} one {Notifications, # unread} other {Notifications, # unread}}',
+};
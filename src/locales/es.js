@@ -0,0 +1,682 @@
+/**
+ * Spanish messages
+ * Keys missing here fall back to English (locales/en.js).
+ */
+
+export default {
+  'language.name': 'Español',
+
+  // Shared
+  'common.apply': 'Aplicar',
+  'common.back': 'Atrás',
+  'common.browse': 'Examinar',
+  'common.calculating': 'Calculando...',
+  'common.cancel': 'Cancelar',
+  'common.close': 'Cerrar',
+  'common.compare': 'Comparar',
+  'common.confirm': 'Confirmar',
+  'common.continue': 'Continuar',
+  'common.delete': 'Eliminar',
+  'common.done': 'Hecho',
+  'common.error': 'Error: {error}',
+  'common.export': 'Exportar',
+  'common.import': 'Importar',
+  'common.launch_capcut': 'Abrir CapCut',
+  'common.loading': 'Cargando...',
+  'common.ok': 'Aceptar',
+  'common.retry': 'Reintentar',
+  'common.save': 'Guardar',
+
+  // Window controls
+  'window.maximize': 'Maximizar',
+  'window.minimize': 'Minimizar',
+
+  // Welcome
+  'welcome.active': 'Activa: CapCut v{version}',
+  'welcome.active_unpinned': 'No fijada por un cambio; CapCut abre la versión instalada más reciente',
+  'welcome.disclaimer': 'Herramienta no oficial, sin relación con CapCut',
+  'welcome.donate': 'Donar',
+  'welcome.lock': 'Bloquear la versión actual',
+  'welcome.mechanisms.missing': 'Faltan algunas protecciones',
+  'welcome.mechanisms.overwritten': 'Se ha sobrescrito una protección',
+  'welcome.repair': 'Reparar',
+  'welcome.repair_failed': 'Error al reparar',
+  'welcome.repaired': 'Protección reparada',
+  'welcome.repaired_detail': 'Todos los mecanismos de protección vuelven a estar activos.',
+  'welcome.repairing': 'Reparando...',
+  'welcome.status.locked': 'Versión bloqueada',
+  'welcome.status.locked_detail': 'Las actualizaciones están desactivadas',
+  'welcome.status.partial': 'Bloqueo parcial',
+  'welcome.status.partial_detail': '{active} de {total} protecciones activas',
+  'welcome.status.unlocked': 'Versión desbloqueada',
+  'welcome.status.unlocked_detail': 'Las actualizaciones están activadas',
+  'welcome.status.unprotected': 'Sin protección',
+  'welcome.status.unprotected_detail': 'CapCut puede actualizarse automáticamente',
+  'welcome.status_failed': 'No se pudo comprobar la protección',
+  'welcome.tool.backups': 'Copias',
+  'welcome.tool.clean': 'Limpiar',
+  'welcome.tool.history': 'Historial',
+  'welcome.tool.legacy': 'Antiguas',
+  'welcome.tool.settings': 'Ajustes',
+  'welcome.tool.switch': 'Cambiar',
+  'welcome.unlock': 'Desbloquear versión',
+
+  // Protection mechanisms
+  'mechanisms.config_lock': 'Bloqueo de configure.ini',
+  'mechanisms.product_info_blocker': 'Bloqueador de ProductInfo.xml',
+  'mechanisms.state.active': 'Activo',
+  'mechanisms.state.degraded': 'Deteriorado',
+  'mechanisms.state.missing': 'Falta',
+  'mechanisms.update_blocker': 'Bloqueador de update.exe',
+
+  // Unlock
+  'unlock.confirm': 'Desbloquear',
+  'unlock.confirm_message': 'Se volverán a activar las actualizaciones. Puedes bloquear de nuevo cuando quieras.',
+  'unlock.confirm_phrase': 'desbloquear',
+  'unlock.confirm_title': '¿Desbloquear la versión?',
+  'unlock.done_message': 'CapCut puede actualizarse de nuevo. Puedes volver a bloquearla cuando quieras.',
+  'unlock.done_title': 'Versión desbloqueada',
+  'unlock.failed': 'Error al desbloquear',
+  'unlock.keep': 'Mantener protegida',
+  'unlock.removing': 'Eliminando...',
+
+  // System check
+  'precheck.checking': 'Comprobando el entorno',
+  'precheck.checking_detail': 'Verificando la configuración de tu sistema.',
+  'precheck.checking_install': 'Comprobando la instalación...',
+  'precheck.checking_processes': 'Comprobando procesos...',
+  'precheck.install_found': 'Instalación de CapCut encontrada',
+  'precheck.install_missing': 'No se encontró CapCut',
+  'precheck.not_running': 'CapCut no está en ejecución',
+  'precheck.ready': 'Todo listo',
+  'precheck.ready_detail': 'Tu entorno está preparado.',
+  'precheck.running': 'CapCut está en ejecución; ciérralo primero',
+  'precheck.set_location': 'Elegir ubicación',
+  'precheck.title': 'Comprobación del sistema',
+
+  // Version selection
+  'versions.choose': 'Elige la versión que quieres proteger.',
+  'versions.download_legacy': 'Descargar una versión antigua',
+  'versions.none': 'No se encontraron instalaciones',
+  'versions.none_detail': 'Descarga una versión antigua para empezar',
+  'versions.tag.active': 'Activa',
+  'versions.tag.catalog': 'Catálogo',
+  'versions.tag.catalog_match': 'Coincide con la entrada {persona} del catálogo',
+  'versions.tag.newest': 'Más reciente',
+  'versions.tag.oldest': 'Más antigua',
+  'versions.title': 'Seleccionar versión',
+
+  // Protection presets
+  'presets.builtin.full_protection': 'Protección completa',
+  'presets.builtin.lock_only': 'Solo bloqueo',
+  'presets.clear_default': 'Iniciar el asistente con todas las opciones',
+  'presets.custom': 'Personalizado',
+  'presets.default_option': '{name} (predeterminado)',
+  'presets.default_tag': 'Predeterminado',
+  'presets.delete_message': 'Se eliminará {name}. Las versiones protegidas y las copias no cambian.',
+  'presets.delete_this': 'Eliminar este perfil',
+  'presets.delete_title': '¿Eliminar el perfil?',
+  'presets.deleted': 'Perfil eliminado',
+  'presets.error_title': 'Perfiles no actualizados',
+  'presets.keep_this_version': 'Conservar también esta versión',
+  'presets.keep_version': 'Conservar también v{version}',
+  'presets.label': 'Perfil',
+  'presets.name': 'Nombre del perfil',
+  'presets.name_required': 'Ponle un nombre al perfil',
+  'presets.none': 'No hay perfiles. Guarda uno desde el paso Opciones del asistente.',
+  'presets.part.clean_cache': 'Limpiar caché',
+  'presets.part.copy_locks': 'Bloqueos de copia',
+  'presets.part.keeps': 'Conserva v{version}',
+  'presets.part.lock_config': 'Bloquear configuración',
+  'presets.part.none': 'Sin protección',
+  'presets.replace': 'Reemplazar',
+  'presets.replace_message': '{name} ({summary}) se reemplazará por estas opciones.',
+  'presets.replace_title': '¿Reemplazar el perfil?',
+  'presets.save': 'Guardar perfil',
+  'presets.saved': '{name} guardado.',
+  'presets.saved_default': 'Guardado. El asistente ahora empieza con {name}.',
+  'presets.saved_title': 'Perfil guardado',
+  'presets.settings_header': 'PERFILES DE PROTECCIÓN',
+  'presets.start_with': 'Iniciar el asistente con este perfil',
+  'presets.version_kept': '{name} conserva v{version}.',
+  'presets.version_missing': '{name} conserva v{version}, que no está instalada. Elige la versión que quieres proteger.',
+
+  // Options
+  'options.cache_size': '{size} se pueden liberar',
+  'options.cache_size_unavailable': 'Tamaño no disponible',
+  'options.clean_temp': 'Limpiar archivos temporales',
+  'options.cleanup': 'Limpieza',
+  'options.copy_locks': 'Crear bloqueos de copia',
+  'options.copy_locks_detail': 'Bloquea el archivo del actualizador',
+  'options.lock': 'Bloquear versión',
+  'options.lock_config': 'Bloquear configuración',
+  'options.lock_config_detail': 'Evita las actualizaciones automáticas',
+  'options.protection': 'Protección',
+  'options.title': 'Opciones',
+
+  // Review changes
+  'preview.already_applied': 'Ya aplicado',
+  'preview.building': 'Preparando el plan...',
+  'preview.clear_cache': 'Limpiar caché · {size}',
+  'preview.create_backups': 'Crear copias de seguridad',
+  'preview.delete_versions': 'Eliminar {count, plural, one {# versión} other {# versiones}}',
+  'preview.failed': 'No se pudo preparar el plan',
+  'preview.lock_files': 'Bloquear archivos',
+  'preview.no_backup_folder': 'No hay carpeta de copias disponible',
+  'preview.no_changes': 'No hace falta ningún cambio',
+  'preview.no_changes_detail': 'Todas las opciones elegidas ya están aplicadas',
+  'preview.nothing': 'Nada que cambiar',
+  'preview.review': 'Revisa antes de continuar',
+  'preview.summary': 'No se cambia nada hasta que confirmes',
+  'preview.summary_freed': 'No se cambia nada hasta que confirmes · se liberarán {size}',
+  'preview.title': 'Revisar cambios',
+  'preview.warnings': 'Advertencias',
+
+  // Progress steps
+  'progress.backup': 'Haciendo copia de las versiones...',
+  'progress.check': 'Comprobando el sistema...',
+  'progress.clean_cache': 'Limpiando la caché...',
+  'progress.complete': 'Completado',
+  'progress.create_blockers': 'Creando bloqueadores...',
+  'progress.delete': 'Eliminando versiones...',
+  'progress.done': 'Finalizando...',
+  'progress.freed': '{size} liberados',
+  'progress.left': 'quedan {time}',
+  'progress.lock_config': 'Bloqueando la configuración...',
+  'progress.preparing': 'Preparando...',
+  'progress.restore': 'Restaurando versiones...',
+  'progress.revert': 'Revirtiendo archivos de bloqueo...',
+  'progress.verify': 'Verificando...',
+  'progress.working': 'Trabajando...',
+
+  // Applying protection
+  'processing.failed': 'Error en la protección',
+  'processing.initializing': 'Iniciando...',
+  'processing.log.found': '{count, plural, one {# versión} other {# versiones}} para eliminar',
+  'processing.log.locked': 'Versión bloqueada correctamente',
+  'processing.log.start': 'Iniciando el bloqueo',
+  'processing.title': 'Aplicando protección',
+  'processing.wait': 'Espera un momento...',
+
+  // Protection applied
+  'complete.detail': 'Tu versión de CapCut está bloqueada y protegida contra actualizaciones automáticas.',
+  'complete.title': 'Protección aplicada',
+  'complete.undo': 'Deshacer este bloqueo',
+
+  // Undo lock
+  'undo.confirm': 'Deshacer bloqueo',
+  'undo.confirm_message': '{count, plural, =0 {Esto devuelve} one {Esto restaura # versión eliminada desde su copia y devuelve} other {Esto restaura # versiones eliminadas desde sus copias y devuelve}} configure.ini, ProductInfo.xml y update.exe a su estado anterior al bloqueo. CapCut podrá volver a actualizarse.',
+  'undo.confirm_title': '¿Deshacer este bloqueo?',
+  'undo.done_message': 'Las versiones eliminadas han vuelto y los archivos de bloqueo están como antes del bloqueo.',
+  'undo.done_title': 'Bloqueo deshecho',
+  'undo.failed': 'Error al deshacer',
+  'undo.failed_message': '{error}. El historial tiene el registro completo y permite volver a intentarlo.',
+  'undo.failed_title': 'Deshacer incompleto',
+  'undo.log.done': 'Bloqueo deshecho y verificado',
+  'undo.log.start': 'Iniciando deshacer',
+  'undo.title': 'Deshaciendo el bloqueo',
+
+  // Error view
+  'error.change_options': 'Cambiar opciones',
+  'error.start_over': 'Empezar de nuevo',
+  'error.title': 'Algo salió mal',
+  'error.unexpected': 'Se produjo un error inesperado.',
+
+  // Launching CapCut
+  'launch.already_running_message': 'Cierra CapCut primero para que se abra la versión recién activada.',
+  'launch.already_running_title': 'CapCut ya está abierto',
+  'launch.exited_message': 'CapCut se cerró justo después de abrirse. {action, select, switch {El cambio} other {El bloqueo}} puede haber dejado una configuración dañada; cambia a otra versión o restaura una desde Copias.',
+  'launch.exited_title': 'CapCut se cerró al instante',
+  'launch.failed': 'Error al abrir',
+  'launch.launching': 'Abriendo CapCut...',
+  'launch.not_started_message': 'No apareció ningún proceso de CapCut tras abrirlo. {action, select, switch {El cambio} other {El bloqueo}} puede haber dejado una configuración dañada.',
+  'launch.not_started_title': 'CapCut no se abrió',
+  'launch.running': 'CapCut está abierto',
+  'launch.watching': 'CapCut abierto, comprobando que sigue en marcha...',
+
+  // Legacy versions
+  'legacy.browse_all': 'Ver todas las versiones',
+  'legacy.official_source': 'Descargas directas desde los servidores oficiales de CapCut.',
+  'legacy.subtitle': 'Descarga versiones anteriores de CapCut.',
+  'legacy.title': 'Versiones antiguas',
+
+  // All versions catalog
+  'catalog.all_hidden': '{count, plural, one {La única versión está oculta por la búsqueda o los filtros} other {Las # versiones están ocultas por la búsqueda o los filtros}}',
+  'catalog.base': 'Base',
+  'catalog.base_from': 'Versión base más antigua',
+  'catalog.base_newest': 'Más reciente',
+  'catalog.base_oldest': 'Más antigua',
+  'catalog.base_to': 'Versión base más reciente',
+  'catalog.build': 'Compilación',
+  'catalog.build_max': 'Compilación máxima',
+  'catalog.build_min': 'Compilación mínima',
+  'catalog.channel': 'Canal',
+  'catalog.channel.all': 'Todos',
+  'catalog.channel.beta': 'Beta',
+  'catalog.channel.stable': 'Estable',
+  'catalog.channel.test': 'Prueba',
+  'catalog.chip.base': 'Base {version}',
+  'catalog.chip.base_from': 'Base ≥ {version}',
+  'catalog.chip.base_range': 'Base {from} – {to}',
+  'catalog.chip.base_to': 'Base ≤ {version}',
+  'catalog.chip.build_max': 'Compilación ≤ {build}',
+  'catalog.chip.build_min': 'Compilación ≥ {build}',
+  'catalog.chip.query': '«{query}»',
+  'catalog.clear_all': 'Quitar todo',
+  'catalog.clear_filters': 'Quitar filtros',
+  'catalog.count': '{shown} de {total}',
+  'catalog.empty': 'El catálogo de versiones está vacío',
+  'catalog.legacy_version': 'Versión antigua',
+  'catalog.load_failed': 'Error al cargar las versiones: {error}',
+  'catalog.max': 'Máx.',
+  'catalog.min': 'Mín.',
+  'catalog.no_match': 'Ninguna versión coincide',
+  'catalog.none': 'No se encontraron versiones',
+  'catalog.range_to': 'a',
+  'catalog.remove_filter': 'Quitar el filtro {filter}',
+  'catalog.risk': 'Nivel de riesgo',
+  'catalog.risk.any': 'Cualquier riesgo',
+  'catalog.risk.high': 'Alto',
+  'catalog.risk.low': 'Bajo',
+  'catalog.risk.medium': 'Medio',
+  'catalog.risk_chip': '{risk, select, low {Riesgo bajo} medium {Riesgo medio} high {Riesgo alto} other {Riesgo {level}}}',
+  'catalog.risk_level': '{risk, select, low {Bajo} medium {Medio} high {Alto} other {{level}}}',
+  'catalog.search': 'Buscar versiones...',
+  'catalog.sort': 'Orden',
+  'catalog.sort.newest': 'Más recientes primero',
+  'catalog.sort.oldest': 'Más antiguas primero',
+  'catalog.sort.risk': 'Menor riesgo primero',
+  'catalog.title': 'Todas las versiones antiguas',
+  'catalog.with_build': '{description} · compilación {build}',
+
+  // Version comparison
+  'compare.differences_only': 'Solo diferencias',
+  'compare.download': 'Descargar',
+  'compare.features': 'FUNCIONES',
+  'compare.go': 'Comparar {count}',
+  'compare.included': 'Incluida',
+  'compare.limit': 'Puedes comparar hasta {max} versiones',
+  'compare.newest_with': 'Más reciente con esta función: v{version}',
+  'compare.no_feature_data': 'Sin datos de funciones',
+  'compare.no_features': 'El catálogo no tiene lista de funciones para estas versiones',
+  'compare.not_included': 'No incluida',
+  'compare.notes': 'Notas',
+  'compare.risk': 'Riesgo',
+  'compare.select': 'Elige de {min} a {max} versiones',
+  'compare.selected': '{count, plural, one {# versión seleccionada} other {# versiones seleccionadas}}',
+  'compare.summary': '{count} de {total, plural, one {# función difieren} other {# funciones difieren}}',
+  'compare.title': 'Comparar versiones',
+  'compare.unknown_note': '? = el catálogo no tiene lista de funciones para {versions}',
+  'compare.version': 'Versión',
+  'compare.versions': '{count, plural, one {# versión} other {# versiones}}',
+
+  // Downloads
+  'downloads.action.pause': 'Pausar',
+  'downloads.action.remove': 'Quitar de la lista',
+  'downloads.action.resume': 'Reanudar',
+  'downloads.action.retry': 'Reintentar',
+  'downloads.action.run': 'Ejecutar instalador',
+  'downloads.action_item': '{action} {name}',
+  'downloads.change_folder': 'Cambiar',
+  'downloads.checksum_mismatch': 'La suma de comprobación no coincide: el archivo está dañado o no es el instalador oficial',
+  'downloads.checksum_note': 'Los archivos terminados se comparan con la suma de comprobación del catálogo.',
+  'downloads.custom_folder': 'Carpeta personalizada',
+  'downloads.default_folder': 'Predeterminada',
+  'downloads.default_folder_hint': 'Carpeta predeterminada',
+  'downloads.discard_failed': 'No se eliminó la descarga parcial',
+  'downloads.download_item': 'Descargar {name}',
+  'downloads.failed_title': 'Error en la descarga: {name}',
+  'downloads.folder': 'CARPETA DE DESCARGAS',
+  'downloads.folder_changed': 'Las nuevas descargas se guardan en esta carpeta',
+  'downloads.folder_failed': 'No se cambió la carpeta de descargas',
+  'downloads.in_downloads': 'En Descargas',
+  'downloads.installer_failed': 'Error del instalador',
+  'downloads.later': 'Más tarde',
+  'downloads.no_checksum': 'Aún no disponible en la app: este instalador no tiene una suma de comprobación verificada',
+  'downloads.no_folder': 'No hay carpeta de descargas disponible',
+  'downloads.none': 'Aún no hay descargas',
+  'downloads.none_detail': 'Elige una versión en Versiones antiguas para descargarla aquí',
+  'downloads.pause_first': 'Pausa las descargas antes de cambiar la carpeta',
+  'downloads.queue': 'COLA',
+  'downloads.rate': '{size}/s',
+  'downloads.run_installer': 'Ejecutar instalador',
+  'downloads.select_folder': 'Seleccionar carpeta de descargas',
+  'downloads.size_of': '{done} de {total}',
+  'downloads.status.cancelling': 'Cancelando...',
+  'downloads.status.failed': 'Error en la descarga',
+  'downloads.status.installing': 'Instalador en ejecución...',
+  'downloads.status.paused': 'En pausa · {size}',
+  'downloads.status.verified': 'Verificado · coincide con la suma de comprobación del catálogo',
+  'downloads.status.verifying': 'Verificando la suma de comprobación...',
+  'downloads.status.waiting': 'En espera',
+  'downloads.status.waiting_size': 'En espera · {size}',
+  'downloads.subtitle': 'Los instaladores se descargan de uno en uno desde los servidores oficiales de CapCut.',
+  'downloads.title': 'Descargas',
+  'downloads.verified_message': '{name} coincide con la suma de comprobación del catálogo. ¿Ejecutar el instalador ahora? Al terminar, pasarás directamente a bloquear la versión.',
+  'downloads.verified_title': 'Instalador verificado',
+
+  // Quick switch
+  'switch.already_active': 'CapCut ya abre esta versión',
+  'switch.apply': 'Cambiar versión',
+  'switch.confirm': 'Cambiar',
+  'switch.confirm_message': 'CapCut v{version} pasará a ser la versión activa.',
+  'switch.confirm_title': '¿Cambiar de versión?',
+  'switch.done_message': 'CapCut v{version} ya está activa. ¿Abrirla para comprobar que arranca?',
+  'switch.done_title': 'Versión cambiada',
+  'switch.failed': 'Error al cambiar',
+  'switch.none_detail': 'Descarga primero una versión antigua',
+  'switch.only_one': 'Solo hay una versión instalada; no hay nada que cambiar',
+  'switch.subtitle': 'Elige una versión para activarla sin volver a proteger.',
+  'switch.switching': 'Cambiando...',
+  'switch.title': 'Cambio rápido',
+
+  // Backups
+  'backups.action.delete': 'Eliminar esta copia',
+  'backups.action.edit': 'Editar etiqueta y notas',
+  'backups.action.export': 'Exportar a un archivo',
+  'backups.action.restore': 'Restaurar esta copia',
+  'backups.action.verify': 'Verificar esta copia',
+  'backups.available': 'COPIAS DISPONIBLES',
+  'backups.back_up': 'Copiar',
+  'backups.back_up_now': 'Hacer copia ahora',
+  'backups.backed_up': '{count, plural, =0 {Copia creada} one {Copia creada; se eliminó # copia anterior} other {Copia creada; se eliminaron # copias anteriores}}',
+  'backups.backing_up': 'Haciendo copia...',
+  'backups.backup_failed': 'Error en la copia',
+  'backups.clear_all': 'Borrar todas las copias',
+  'backups.clear_confirm': 'Borrar todo',
+  'backups.clear_failed': 'Error al borrar',
+  'backups.clear_keep': 'Conservar copias',
+  'backups.clear_message': 'Se eliminarán todas las copias de forma permanente. No podrás restaurar las versiones eliminadas.',
+  'backups.clear_phrase': 'borrar todo',
+  'backups.clear_title': '¿Borrar todas las copias?',
+  'backups.cleared': 'Todas las copias eliminadas',
+  'backups.delete_failed': 'Error al eliminar',
+  'backups.delete_message': 'Se eliminará de forma permanente la copia de {version}.',
+  'backups.delete_title': '¿Eliminar la copia?',
+  'backups.deleted': 'Copia eliminada',
+  'backups.describe': '{version} del {date}',
+  'backups.describe_labeled': '{label} ({version}, {date})',
+  'backups.heading': 'Copias de versiones',
+  'backups.import': 'Importar copia...',
+  'backups.keep': 'Conservar',
+  'backups.label_aria': 'Etiqueta de la copia',
+  'backups.label_placeholder': 'Etiqueta (opcional)',
+  'backups.loading_versions': 'Cargando versiones...',
+  'backups.no_versions': 'No hay versiones instaladas',
+  'backups.none': 'No hay copias disponibles',
+  'backups.notes_aria': 'Notas de la copia',
+  'backups.notes_placeholder': 'Notas (opcional)',
+  'backups.prune_message': 'Después, la política de retención eliminará {count, plural, one {# copia anterior} other {# copias anteriores}} ({size}): {backups}.',
+  'backups.prune_title': '¿Copiar y depurar?',
+  'backups.scan_failed': 'No se pudieron buscar las versiones',
+  'backups.subtitle': 'Restaura versiones eliminadas o libera espacio',
+  'backups.tag.manual': 'Manual',
+  'backups.tag.pruned': 'Se eliminará',
+  'backups.title': 'Copias',
+  'backups.total': 'Total: {size}',
+  'backups.verify_all': 'Verificar todas',
+  'backups.version_to_back_up': 'Versión que copiar',
+
+  // Backup verification
+  'verify.count.extra': '{count} de más',
+  'verify.count.missing': '{count} faltan',
+  'verify.count.modified': '{count} modificados',
+  'verify.damaged': 'Dañada: {problems}',
+  'verify.done_title': 'Copias comprobadas',
+  'verify.error': 'No se pudo verificar: {error}',
+  'verify.failed': 'Error en la verificación: {error}',
+  'verify.failed_title': 'Error en la verificación',
+  'verify.file.extra': 'De más: {file}',
+  'verify.file.missing': 'Falta: {file}',
+  'verify.file.modified': 'Modificado: {file}',
+  'verify.intact': 'Verificada: {count, plural, one {# archivo intacto} other {# archivos intactos}}',
+  'verify.no_manifest': 'Creada antes de que existiera la verificación; no se puede comprobar',
+  'verify.summary.damaged': '{count} dañadas',
+  'verify.summary.intact': '{count} intactas',
+  'verify.summary.unverifiable': '{count} sin comprobar',
+  'verify.verifying': 'Verificando...',
+  'verify.verifying_percent': 'Verificando... {percent}',
+
+  // Backup archives
+  'archive.export_failed': 'Error al exportar',
+  'archive.export_title': 'Exportar copia',
+  'archive.exported': '{count, plural, one {# archivo exportado} other {# archivos exportados}} ({size}) a {path}',
+  'archive.exported_title': 'Copia exportada',
+  'archive.exporting': 'Exportando {name}',
+  'archive.filter': 'Archivo de copia',
+  'archive.import_failed': 'Error al importar',
+  'archive.import_title': 'Importar copia',
+  'archive.imported': '{backup} importada; se restaura en {path}',
+  'archive.imported_title': 'Copia importada',
+  'archive.importing': 'Importando y comprobando el archivo',
+  'archive.progress': '{label}...',
+  'archive.progress_percent': '{label}... {percent}',
+
+  // Retention
+  'retention.applied': '{count, plural, =0 {Política aplicada} one {Política aplicada; se eliminó # copia} other {Política aplicada; se eliminaron # copias}}',
+  'retention.applied_title': 'Política de retención guardada',
+  'retention.apply_prune': 'Aplicar y depurar',
+  'retention.cap_before': 'Limitar todas las copias a',
+  'retention.cap_label': 'Límite de tamaño en GB',
+  'retention.failed': 'No se guardó la política de retención',
+  'retention.keep_after': 'copias de cada versión',
+  'retention.keep_before': 'Conservar las últimas',
+  'retention.keep_label': 'Copias conservadas por versión',
+  'retention.no_limits': 'Sin límites: las copias se conservan hasta que las elimines',
+  'retention.pinned': '{count} conservadas para Deshacer bloqueo',
+  'retention.prune_message': 'Esto elimina de forma permanente {backups} y libera {size}.',
+  'retention.prune_title': '{count, plural, one {¿Eliminar # copia?} other {¿Eliminar # copias?}}',
+  'retention.removes': 'Elimina {count, plural, one {# copia} other {# copias}} ({size})',
+  'retention.removes_nothing': 'Ahora no elimina nada',
+  'retention.title': 'RETENCIÓN',
+  'retention.within': 'Todas las copias cumplen la política',
+
+  // Restore
+  'restore.anyway': 'Restaurar de todos modos',
+  'restore.confirm': 'Restaurar',
+  'restore.damaged_message': 'La verificación encontró problemas en esta copia ({problems}). Restaurarla puede dejar {version} dañada.',
+  'restore.damaged_title': '¿Restaurar una copia dañada?',
+  'restore.done_message': '{version} se ha restaurado correctamente.',
+  'restore.done_title': '¡Restaurada!',
+  'restore.failed': 'Error al restaurar',
+  'restore.message': '{version} se restaurará en su ubicación original.',
+  'restore.title': '¿Restaurar la copia?',
+
+  // Cache cleaner
+  'cleaner.categories': 'CATEGORÍAS',
+  'cleaner.categories_label': 'Categorías de caché',
+  'cleaner.clean_selected': 'Limpiar selección',
+  'cleaner.cleaning': 'Limpiando...',
+  'cleaner.done_title': 'Caché limpiada',
+  'cleaner.empty': 'Ya está vacía',
+  'cleaner.failed': 'Error en la limpieza',
+  'cleaner.failed_title': 'Error en la limpieza',
+  'cleaner.freed': '{freed} liberados',
+  'cleaner.freed_estimated': '{freed} liberados de {estimated} estimados',
+  'cleaner.freed_partial': '{freed} liberados de {estimated} (algunos archivos estaban en uso)',
+  'cleaner.heading': 'Limpieza de caché',
+  'cleaner.nothing': 'Nada que limpiar',
+  'cleaner.subtitle': 'Libera espacio que CapCut puede regenerar por sí mismo',
+  'cleaner.title': 'Limpieza',
+  'cleaner.total': '{size} en {count, plural, one {# categoría} other {# categorías}}',
+
+  // History
+  'history.action.apply_protection': 'Aplicar protección',
+  'history.action.clean_cache': 'Limpiar caché',
+  'history.action.clear_backups': 'Borrar copias',
+  'history.action.create_backup': 'Copiar versión',
+  'history.action.delete_backup': 'Eliminar copia',
+  'history.action.delete_versions': 'Eliminar versiones',
+  'history.action.export_backup': 'Exportar copia',
+  'history.action.import_backup': 'Importar copia',
+  'history.action.import_settings': 'Importar ajustes',
+  'history.action.lock': 'Bloquear versión',
+  'history.action.prune_backups': 'Depurar copias',
+  'history.action.repair': 'Reparar protección',
+  'history.action.reset_settings': 'Restablecer ajustes',
+  'history.action.restore_backup': 'Restaurar copia',
+  'history.action.run_installer': 'Ejecutar instalador',
+  'history.action.switch': 'Cambiar versión',
+  'history.action.undo_lock': 'Deshacer bloqueo',
+  'history.action.unlock': 'Quitar protección',
+  'history.clear': 'Borrar',
+  'history.clear_confirm': 'Borrar historial',
+  'history.clear_failed': 'No se borró el historial',
+  'history.clear_message': 'Se elimina de forma permanente el registro de todas las operaciones. Expórtalo antes si lo necesitas.',
+  'history.clear_title': '¿Borrar el historial?',
+  'history.cleared': 'Historial borrado',
+  'history.count': 'OPERACIONES ({count})',
+  'history.count_filtered': 'OPERACIONES ({shown} DE {total})',
+  'history.export_csv': 'Exportar CSV',
+  'history.export_failed': 'No se exportó el historial',
+  'history.export_json': 'Exportar JSON',
+  'history.export_title': 'Exportar historial',
+  'history.exported': '{count, plural, one {# operación exportada} other {# operaciones exportadas}} a {path}',
+  'history.exported_title': 'Historial exportado',
+  'history.failed': '{date} • Error',
+  'history.failed_error': '{date} • Error: {error}',
+  'history.filter.action': 'Acción',
+  'history.filter.all': 'Todas',
+  'history.filter.all_time': 'Todo el tiempo',
+  'history.filter.any': 'Cualquiera',
+  'history.filter.failed': 'Con error',
+  'history.filter.last_day': 'Últimas 24 horas',
+  'history.filter.last_month': 'Últimos 30 días',
+  'history.filter.last_week': 'Últimos 7 días',
+  'history.filter.result': 'Resultado',
+  'history.filter.since': 'Desde',
+  'history.filter.succeeded': 'Correctas',
+  'history.no_logs': 'Sin registro',
+  'history.no_match': 'Ninguna operación coincide con los filtros',
+  'history.none': 'Aún no hay operaciones registradas',
+  'history.operations': 'OPERACIONES',
+  'history.param.default': 'predeterminado',
+  'history.param.no': 'no',
+  'history.param.none': 'ninguno',
+  'history.param.yes': 'sí',
+  'history.search': 'Buscar parámetros y registros...',
+  'history.title': 'Historial',
+  'history.undo_newer_first': 'Deshaz primero el bloqueo más reciente',
+  'history.undone_on': 'Deshecho el {date}',
+
+  // Settings
+  'settings.about': 'ACERCA DE',
+  'settings.accent': 'Color de acento',
+  'settings.accent.blue': 'Azul',
+  'settings.accent.green': 'Verde',
+  'settings.accent.orange': 'Naranja',
+  'settings.accent.pink': 'Rosa',
+  'settings.accent.purple': 'Morado',
+  'settings.accent.teal': 'Turquesa',
+  'settings.accent_detail': 'Botones, selección y anillos de foco',
+  'settings.appearance': 'APARIENCIA',
+  'settings.auto_detect': 'Detectar',
+  'settings.autostart': 'Iniciar con el sistema',
+  'settings.autostart_detail': 'Iniciar Version Guard con Windows',
+  'settings.custom_folder': 'Carpeta de CapCut personalizada',
+  'settings.detecting': 'Detectando...',
+  'settings.error_title': 'Ajuste no guardado',
+  'settings.general': 'GENERAL',
+  'settings.install_location': 'UBICACIÓN DE INSTALACIÓN',
+  'settings.language': 'Idioma',
+  'settings.language_detail': 'También se usa en los registros de operaciones',
+  'settings.language_system': 'Sistema ({language})',
+  'settings.license': 'Código abierto (GPL-3.0). Puedes compilarlo gratis desde el código fuente.',
+  'settings.saved.detail': 'Llévalos a otro PC o empieza de cero',
+  'settings.saved.export_failed': 'No se exportaron los ajustes',
+  'settings.saved.export_title': 'Exportar ajustes',
+  'settings.saved.exported': 'Exportado a {path}',
+  'settings.saved.exported_title': 'Ajustes exportados',
+  'settings.saved.header': 'AJUSTES GUARDADOS',
+  'settings.saved.import_confirm_message': 'La carpeta de instalación, la carpeta de descargas, la política de retención, los perfiles, el idioma y la apariencia se reemplazan por los de este archivo.',
+  'settings.saved.import_confirm_title': '¿Reemplazar los ajustes?',
+  'settings.saved.import_failed': 'No se importaron los ajustes',
+  'settings.saved.import_title': 'Importar ajustes',
+  'settings.saved.imported': 'Ajustes importados desde {path}',
+  'settings.saved.imported_title': 'Ajustes importados',
+  'settings.saved.reset': 'Restablecer valores predeterminados',
+  'settings.saved.reset_confirm': 'Restablecer',
+  'settings.saved.reset_done': 'Ajustes restablecidos a los valores predeterminados',
+  'settings.saved.reset_failed': 'No se restablecieron los ajustes',
+  'settings.saved.reset_message': 'Las carpetas de instalación y de descargas vuelven a ser automáticas, las copias se conservan sin límites, tus perfiles se sustituyen por los integrados y el idioma vuelve a seguir al sistema. El inicio automático, las copias y el historial no cambian.',
+  'settings.saved.reset_title': '¿Restablecer los ajustes?',
+  'settings.saved.title': 'Carpeta de instalación, descargas, retención, perfiles e idioma',
+  'settings.subtitle': 'Configura el comportamiento de la aplicación',
+  'settings.support': 'APOYO',
+  'settings.support_detail': 'Apoya el desarrollo ☕',
+  'settings.theme': 'Tema',
+  'settings.theme.dark': 'Oscuro',
+  'settings.theme.light': 'Claro',
+  'settings.theme.system': 'Sistema ({theme})',
+  'settings.theme_detail': 'Claro, oscuro o igual que Windows',
+  'settings.title': 'Ajustes',
+  'settings.unofficial': 'Herramienta no oficial. Sin relación con CapCut.',
+  'settings.update_failed': 'No se pudieron guardar los ajustes: {error}',
+  'settings.use_folder': 'Usar carpeta',
+
+  // Install location
+  'install.apps_folder': 'Carpeta Apps: {path}',
+  'install.automatic': 'Usando la detección automática',
+  'install.choose': 'Elige la carpeta que contiene la carpeta Apps de CapCut',
+  'install.no_apps_folder': 'Aquí no hay ninguna carpeta Apps de CapCut',
+  'install.path_required': 'Escribe o elige primero una carpeta',
+  'install.save_failed': 'No se guardó la carpeta de instalación',
+  'install.saved': 'Guardado. Las búsquedas, bloqueos y cambios usan ahora esta carpeta.',
+  'install.saved_title': 'Carpeta de instalación guardada',
+  'install.saved_unavailable': 'Carpeta guardada no disponible: {path}',
+  'install.select_folder': 'Seleccionar carpeta de CapCut',
+  'install.source.custom': 'Ubicación personalizada',
+  'install.source.default': 'Ubicación predeterminada',
+  'install.source.registry': 'Encontrada en el registro de Windows',
+  'install.unavailable': 'Ubicación no disponible',
+
+  // Confirmation dialog
+  'modal.default_message': 'Esta acción no se puede deshacer.',
+  'modal.default_title': '¿Seguro?',
+  'modal.type_to_confirm': 'Escribe «{text}» para confirmar',
+
+  // Command palette
+  'palette.cmd.backups': 'Copias',
+  'palette.cmd.catalog': 'Explorar todas las versiones antiguas',
+  'palette.cmd.clean': 'Limpiar caché…',
+  'palette.cmd.downloads': 'Descargas',
+  'palette.cmd.history': 'Historial',
+  'palette.cmd.home': 'Inicio',
+  'palette.cmd.legacy': 'Versiones antiguas',
+  'palette.cmd.notifications': 'Mostrar notificaciones',
+  'palette.cmd.protect': 'Bloquear una versión…',
+  'palette.cmd.settings': 'Ajustes',
+  'palette.cmd.status': 'Comprobar estado de protección',
+  'palette.cmd.switch': 'Cambio rápido',
+  'palette.cmd.switch_to': 'Cambiar a {version}',
+  'palette.cmd.theme': 'Usar tema {theme}',
+  'palette.commands': 'Comandos',
+  'palette.empty': 'Ningún comando coincide',
+  'palette.failed': 'No se pudo ejecutar «{command}»',
+  'palette.group.actions': 'Acciones',
+  'palette.group.appearance': 'Apariencia',
+  'palette.group.go': 'Ir a',
+  'palette.group.versions': 'Cambiar versión',
+  'palette.hint': '↑↓ para moverte · Intro para ejecutar · Esc para cerrar',
+  'palette.placeholder': 'Escribe un comando o una versión…',
+  'palette.title': 'Paleta de comandos',
+
+  // Key names in shortcut hints
+  'keys.alt': 'Alt',
+  'keys.ctrl': 'Ctrl',
+  'keys.home': 'Inicio',
+  'keys.shift': 'Mayús',
+
+  // Notifications (toasts and the notification center)
+  'notify.clear_all': 'Borrar todo',
+  'notify.details': 'Ver detalles',
+  'notify.dismiss': 'Descartar',
+  'notify.empty': 'Aún no hay notificaciones',
+  'notify.remove': 'Quitar «{title}»',
+  'notify.title': 'Notificaciones',
+  'notify.type.error': 'Error',
+  'notify.type.info': 'Info',
+  'notify.type.success': 'Hecho',
+  'notify.type.warning': 'Aviso',
+  'notify.unread': '{count, plural, =0 {Notificaciones} one {Notificaciones, # sin leer} other {Notificaciones, # sin leer}}',
+};
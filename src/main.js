@@ -5,9 +5,18 @@
  * Security: All DOM manipulation uses safe builder functions (no innerHTML)
  */
 
+import { registerView, navigateTo, goBack, backTo, currentRoute, startRouter } from './router.js';
+import { parseVersion, compareVersions, sameBuild, catalogVersion } from './version.js';
+import {
+  t, setLocale, getLocale, systemLanguage, languageName, translateDocument, LANGUAGES,
+  formatBytes, formatMegabytes, formatDateTime, formatDate, formatTime, formatDuration, formatPercent, formatList,
+} from './i18n.js';
+import { THEMES, ACCENTS, COLOR, applyAppearance, getAppearance, resolveTheme } from './theme.js';
+
 const { invoke } = window.__TAURI__.core;
 const { getCurrentWindow } = window.__TAURI__.window;
 const { getVersion } = window.__TAURI__.app;
+const { listen } = window.__TAURI__.event;
 
 // ============================================
 // Safe DOM Builder Utilities (XSS Prevention)
@@ -65,62 +74,158 @@ function text(str) {
 }
 
 // ============================================
-// Modal Confirmation Dialog
+// Dialogs
 // ============================================
+// One dialog shows at a time; requests made meanwhile wait in a queue, so no
+// caller's promise is dropped. Focus moves into the dialog and Tab stays there,
+// Escape cancels, and focus returns where it was once the last one closes.
+
 const modal = {
-  overlay: null,
-  resolvePromise: null,
+  /** @type {Array<{options: Object, resolve: Function}>} */
+  queue: [],
+  /** Request on screen, or null */
+  current: null,
+  /** Focus to restore when the queue empties */
+  returnFocus: null,
 
   /**
-   * Show a confirmation dialog
+   * Ask for confirmation
    * @param {Object} options
    * @param {string} options.title - Dialog title
    * @param {string} options.message - Dialog message
-   * @param {string} options.confirmText - Confirm button text (default: "Confirm")
-   * @param {string} options.cancelText - Cancel button text (default: "Cancel")
-   * @param {boolean} options.danger - Show danger styling (red button)
+   * @param {string} options.confirmText - Confirm button text (default: common.confirm)
+   * @param {string} options.cancelText - Cancel button text (default: common.cancel)
+   * @param {boolean} options.danger - Show danger styling (red button); Cancel gets the initial focus
    * @param {string} options.iconName - Phosphor icon name (default: "warning-circle")
+   * @param {string} options.typeToConfirm - Text (e.g. a version name) to type before Confirm enables
    * @returns {Promise<boolean>} - Resolves true if confirmed, false if cancelled
    */
-  show({ title, message, confirmText = 'Confirm', cancelText = 'Cancel', danger = false, iconName = 'warning-circle' }) {
-    return new Promise((resolve) => {
-      this.resolvePromise = resolve;
-      this.overlay = document.getElementById('modal-overlay');
-
-      const modalIcon = document.getElementById('modal-icon');
-      const modalTitle = document.getElementById('modal-title');
-      const modalMessage = document.getElementById('modal-message');
-      const confirmBtn = document.getElementById('modal-confirm');
-      const cancelBtn = document.getElementById('modal-cancel');
-
-      // Update content
-      modalIcon.replaceChildren(icon(iconName));
-      modalIcon.className = danger ? 'modal-icon danger' : 'modal-icon';
-      modalTitle.textContent = title;
-      modalMessage.textContent = message;
-      confirmBtn.textContent = confirmText;
-      cancelBtn.textContent = cancelText;
-
-      // Update danger styling
-      if (danger) {
-        confirmBtn.classList.add('btn-danger');
-      } else {
-        confirmBtn.classList.remove('btn-danger');
-      }
+  show(options) {
+    return this.enqueue({ ...options, kind: 'confirm' });
+  },
+
+  /**
+   * Tell the user something; a single OK button
+   * @param {Object} options - title, message, danger, iconName and confirmText as for show()
+   * @returns {Promise<void>} - Resolves once dismissed
+   */
+  alert(options) {
+    return this.enqueue({ ...options, kind: 'alert' }).then(() => undefined);
+  },
+
+  /**
+   * Ask for a line of text
+   * @param {Object} options - As for show(), plus:
+   * @param {string} options.value - Initial text
+   * @param {string} options.placeholder
+   * @param {(value: string) => string} options.validate - Error message for a trimmed value, or ''
+   * @returns {Promise<string|null>} - Trimmed text, or null if cancelled
+   */
+  prompt(options) {
+    return this.enqueue({ ...options, kind: 'prompt' });
+  },
 
-      // Show modal
-      this.overlay.style.display = 'flex';
+  enqueue(options) {
+    return new Promise((resolve) => {
+      this.queue.push({ options, resolve });
+      if (!this.current) this.next();
     });
   },
 
-  hide(result) {
-    if (this.overlay) {
-      this.overlay.style.display = 'none';
+  /** Show the next queued dialog, or close when there is none */
+  next() {
+    const overlay = document.getElementById('modal-overlay');
+    const request = this.queue.shift();
+    if (!request) {
+      this.current = null;
+      overlay.style.display = 'none';
+      this.returnFocus?.focus?.();
+      this.returnFocus = null;
+      return;
     }
-    if (this.resolvePromise) {
-      this.resolvePromise(result);
-      this.resolvePromise = null;
+
+    if (!this.current) this.returnFocus = document.activeElement;
+    this.current = request;
+    this.render(request.options);
+    overlay.style.display = 'flex';
+    this.initialFocus().focus();
+  },
+
+  render({ kind, title, message, confirmText, cancelText, danger = false, iconName = 'warning-circle', typeToConfirm, value = '', placeholder = '' }) {
+    const confirmBtn = document.getElementById('modal-confirm');
+    const cancelBtn = document.getElementById('modal-cancel');
+    const field = document.getElementById('modal-field');
+    const input = document.getElementById('modal-input');
+    const hasInput = kind === 'prompt' || Boolean(typeToConfirm);
+
+    const modalIcon = document.getElementById('modal-icon');
+    modalIcon.replaceChildren(icon(iconName));
+    modalIcon.className = danger ? 'modal-icon danger' : 'modal-icon';
+    document.getElementById('modal-title').textContent = title;
+    document.getElementById('modal-message').textContent = message;
+    // Alerts and prompts are plain dialogs; confirmations interrupt
+    document.getElementById('modal-container').setAttribute('role', kind === 'confirm' ? 'alertdialog' : 'dialog');
+
+    confirmBtn.textContent = confirmText ?? t(kind === 'alert' ? 'common.ok' : 'common.confirm');
+    confirmBtn.classList.toggle('btn-danger', danger && kind !== 'alert');
+    cancelBtn.textContent = cancelText ?? t('common.cancel');
+    cancelBtn.style.display = kind === 'alert' ? 'none' : '';
+
+    field.style.display = hasInput ? '' : 'none';
+    document.getElementById('modal-input-label').textContent = typeToConfirm ? t('modal.type_to_confirm', { text: typeToConfirm }) : '';
+    input.value = typeToConfirm ? '' : value;
+    input.placeholder = typeToConfirm ? typeToConfirm : placeholder;
+    this.validate();
+  },
+
+  /** Enable Confirm only for typed text that matches or passes validation */
+  validate() {
+    const { kind, typeToConfirm, validate } = this.current.options;
+    const value = document.getElementById('modal-input').value.trim();
+    let error = '';
+    let ok = true;
+    if (typeToConfirm) {
+      ok = value === typeToConfirm;
+    } else if (kind === 'prompt') {
+      error = validate?.(value) || '';
+      ok = !error;
     }
+    document.getElementById('modal-input-error').textContent = error;
+    document.getElementById('modal-confirm').disabled = !ok;
+    return ok;
+  },
+
+  /** Controls Tab cycles through, in order */
+  focusables() {
+    const { kind, typeToConfirm } = this.current.options;
+    const input = document.getElementById('modal-input');
+    const cancelBtn = document.getElementById('modal-cancel');
+    const confirmBtn = document.getElementById('modal-confirm');
+    return [
+      ...(kind === 'prompt' || typeToConfirm ? [input] : []),
+      ...(kind === 'alert' ? [] : [cancelBtn]),
+      ...(confirmBtn.disabled ? [] : [confirmBtn]),
+    ];
+  },
+
+  initialFocus() {
+    const { kind, danger, typeToConfirm } = this.current.options;
+    if (kind === 'prompt' || typeToConfirm) return document.getElementById('modal-input');
+    // Enter on a destructive dialog should back out, not go ahead
+    return document.getElementById(danger && kind === 'confirm' ? 'modal-cancel' : 'modal-confirm');
+  },
+
+  /**
+   * Close the current dialog
+   * @param {boolean} confirmed - False for Cancel, Escape or a click outside
+   */
+  hide(confirmed) {
+    if (!this.current) return;
+    if (confirmed && !this.validate()) return;
+    const { options, resolve } = this.current;
+    const value = document.getElementById('modal-input').value.trim();
+    resolve(options.kind === 'prompt' ? (confirmed ? value : null) : confirmed);
+    this.next();
   }
 };
 
@@ -130,6 +235,252 @@ document.getElementById('modal-confirm')?.addEventListener('click', () => modal.
 document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
   if (e.target.id === 'modal-overlay') modal.hide(false);
 });
+document.getElementById('modal-input')?.addEventListener('input', () => modal.validate());
+
+document.getElementById('modal-overlay')?.addEventListener('keydown', (e) => {
+  if (!modal.current) return;
+  // Handled here so views underneath (e.g. the All Versions modal) don't react too
+  e.stopPropagation();
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    modal.hide(false);
+  } else if (e.key === 'Enter' && e.target.id === 'modal-input') {
+    e.preventDefault();
+    modal.hide(true);
+  } else if (e.key === 'Tab') {
+    const items = modal.focusables();
+    const at = items.indexOf(document.activeElement);
+    const next = e.shiftKey ? (at <= 0 ? items.length - 1 : at - 1) : (at + 1) % items.length;
+    e.preventDefault();
+    items[next]?.focus();
+  }
+});
+
+// ============================================
+// Notifications
+// ============================================
+// Operation results appear as toasts that don't block the view. Each one is also
+// kept in the notification center (the titlebar bell), so a toast that timed out
+// or came while another view was showing can still be read and acted on.
+
+/** Milliseconds a toast stays up by type; 0 keeps it until dismissed */
+const TOAST_DURATION = { success: 5000, info: 5000, warning: 8000, error: 0 };
+const NOTIFICATION_ICONS = { success: 'check-circle', info: 'info', warning: 'warning', error: 'x-circle' };
+/** Toasts on screen at once; older ones make way but stay in the center */
+const MAX_TOASTS = 3;
+const MAX_NOTIFICATIONS = 50;
+
+const notifications = {
+  /** Newest first: { id, type, title, message, action, key, time, read } */
+  items: [],
+  nextId: 1,
+  /** Toasts on screen by notification id: { element, timer } */
+  toasts: new Map(),
+  open: false,
+  /** Focus to restore when the center closes */
+  returnFocus: null,
+};
+
+/**
+ * Report the result of an operation with a toast, and keep it in the center
+ * @param {Object} options
+ * @param {'success'|'info'|'warning'|'error'} options.type
+ * @param {string} options.title
+ * @param {string} options.message
+ * @param {{label: string, run: Function}} options.action - One button, e.g. Retry or Launch CapCut
+ * @param {string} options.key - A later notification with the same key replaces this one
+ * @param {boolean} options.quiet - Only add it to the center (the view on screen already shows the result)
+ * @returns {Object} The notification
+ */
+function notify({ type = 'info', title, message = '', action = null, key = null, quiet = false }) {
+  if (key) notifications.items.filter(n => n.key === key).forEach(removeNotification);
+
+  const item = { id: notifications.nextId++, type, title, message, action, key, time: Date.now(), read: false };
+  notifications.items.unshift(item);
+  notifications.items.splice(MAX_NOTIFICATIONS).forEach(n => hideToast(n.id));
+
+  // The open center already shows it
+  if (notifications.open) item.read = true;
+  else if (!quiet) showToast(item);
+  renderNotifications();
+  return item;
+}
+
+/**
+ * Report a failed operation; without a retry the action shows the full error
+ * @param {string} title
+ * @param {*} error - Error, or the text a command rejected with
+ * @param {Function} retry - Runs the operation again
+ */
+function notifyError(title, error, retry) {
+  const message = error?.message || String(error);
+  return notify({
+    type: 'error',
+    title,
+    message,
+    action: retry
+      ? { label: t('common.retry'), run: retry }
+      : { label: t('notify.details'), run: () => modal.alert({ title, message, danger: true, iconName: 'x-circle' }) }
+  });
+}
+
+function showToast(item) {
+  const region = document.getElementById('toast-region');
+  const close = () => {
+    item.read = true;
+    hideToast(item.id);
+    renderNotifications();
+  };
+
+  const element = el('div', {
+    className: `toast toast-${item.type}`,
+    // Errors interrupt the screen reader; everything else waits its turn
+    role: item.type === 'error' ? 'alert' : 'status',
+    dataset: { id: item.id }
+  },
+    icon(NOTIFICATION_ICONS[item.type], { className: `ph ph-${NOTIFICATION_ICONS[item.type]} toast-icon`, 'aria-hidden': 'true' }),
+    el('div', { className: 'toast-body' },
+      el('span', { className: 'toast-title' }, item.title),
+      item.message ? el('span', { className: 'toast-message' }, item.message) : null
+    ),
+    item.action
+      ? el('button', { className: 'toast-action', onclick: () => { close(); item.action.run(); } }, item.action.label)
+      : null,
+    el('button', { className: 'toast-close', 'aria-label': t('notify.dismiss'), title: t('notify.dismiss'), onclick: close }, icon('x'))
+  );
+
+  // Hovering or focusing a toast holds it so its action can still be reached
+  const duration = TOAST_DURATION[item.type];
+  const hold = () => clearTimeout(notifications.toasts.get(item.id)?.timer);
+  const start = () => {
+    const toast = notifications.toasts.get(item.id);
+    if (!duration || !toast) return;
+    hold();
+    toast.timer = setTimeout(close, duration);
+  };
+  element.addEventListener('mouseenter', hold);
+  element.addEventListener('focusin', hold);
+  element.addEventListener('mouseleave', () => { if (!element.contains(document.activeElement)) start(); });
+  element.addEventListener('focusout', (e) => { if (!element.contains(e.relatedTarget)) start(); });
+
+  notifications.toasts.set(item.id, { element, timer: null });
+  region.append(element);
+  start();
+
+  // Displaced toasts count as unseen, so the badge points to them
+  [...notifications.toasts.keys()].slice(0, -MAX_TOASTS).forEach(id => hideToast(id));
+}
+
+function hideToast(id) {
+  const toast = notifications.toasts.get(id);
+  if (!toast) return;
+  clearTimeout(toast.timer);
+  toast.element.remove();
+  notifications.toasts.delete(id);
+}
+
+function removeNotification(item) {
+  hideToast(item.id);
+  notifications.items = notifications.items.filter(n => n !== item);
+}
+
+/** Update the titlebar badge and, while it is open, the center's list */
+function renderNotifications() {
+  // Toasts on screen speak for themselves; the badge counts what was missed
+  const unread = notifications.items.filter(n => !n.read && !notifications.toasts.has(n.id)).length;
+  const badge = document.getElementById('notification-count');
+  const button = document.getElementById('btn-notifications');
+  badge.textContent = String(unread);
+  badge.style.display = unread ? 'inline-block' : 'none';
+  button.setAttribute('aria-label', t('notify.unread', { count: unread }));
+
+  document.getElementById('btn-notifications-clear').disabled = notifications.items.length === 0;
+  const list = document.getElementById('notification-list');
+  if (!notifications.open) return;
+  if (notifications.items.length === 0) {
+    list.replaceChildren(el('li', { className: 'notification-empty' }, t('notify.empty')));
+    return;
+  }
+  list.replaceChildren(...notifications.items.map(createNotificationEntry));
+}
+
+function createNotificationEntry(item) {
+  const iconName = NOTIFICATION_ICONS[item.type];
+  return el('li', { className: `notification-entry toast-${item.type}` },
+    icon(iconName, { className: `ph ph-${iconName} toast-icon`, 'aria-hidden': 'true' }),
+    el('div', { className: 'toast-body' },
+      el('span', { className: 'toast-title' }, item.title),
+      item.message ? el('span', { className: 'notification-message' }, item.message) : null,
+      el('span', { className: 'notification-time' }, `${t(`notify.type.${item.type}`)} · ${formatTime(item.time)}`)
+    ),
+    item.action
+      ? el('button', {
+        className: 'toast-action',
+        onclick: () => {
+          closeNotificationCenter({ restoreFocus: false });
+          item.action.run();
+        }
+      }, item.action.label)
+      : null,
+    el('button', {
+      className: 'toast-close',
+      'aria-label': t('notify.remove', { title: item.title }),
+      title: t('notify.dismiss'),
+      onclick: () => {
+        removeNotification(item);
+        renderNotifications();
+        document.getElementById('notification-center').focus();
+      }
+    }, icon('x'))
+  );
+}
+
+function openNotificationCenter() {
+  if (notifications.open) return;
+  const center = document.getElementById('notification-center');
+  notifications.open = true;
+  notifications.returnFocus = document.activeElement;
+  // Everything is on screen now; the toasts would only repeat it
+  notifications.items.forEach(n => { n.read = true; hideToast(n.id); });
+  center.style.display = 'flex';
+  document.getElementById('btn-notifications').setAttribute('aria-expanded', 'true');
+  renderNotifications();
+  center.focus();
+}
+
+function closeNotificationCenter({ restoreFocus = true } = {}) {
+  if (!notifications.open) return;
+  notifications.open = false;
+  document.getElementById('notification-center').style.display = 'none';
+  document.getElementById('btn-notifications').setAttribute('aria-expanded', 'false');
+  if (restoreFocus) notifications.returnFocus?.focus?.();
+  notifications.returnFocus = null;
+}
+
+function toggleNotificationCenter() {
+  if (notifications.open) closeNotificationCenter();
+  else openNotificationCenter();
+}
+
+document.getElementById('btn-notifications')?.addEventListener('click', toggleNotificationCenter);
+document.getElementById('btn-notifications-clear')?.addEventListener('click', () => {
+  notifications.items.forEach(n => hideToast(n.id));
+  notifications.items = [];
+  renderNotifications();
+  document.getElementById('notification-center').focus();
+});
+document.getElementById('notification-center')?.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape') return;
+  // Only the center closes, not a view or modal underneath
+  e.stopPropagation();
+  closeNotificationCenter();
+});
+// A click anywhere else closes the center, like a menu
+document.addEventListener('mousedown', (e) => {
+  if (!notifications.open || e.target.closest('#notification-center, #btn-notifications')) return;
+  closeNotificationCenter({ restoreFocus: false });
+});
 
 
 // ============================================
@@ -143,7 +494,6 @@ document.getElementById('btn-maximize')?.addEventListener('click', () => getCurr
 // State
 // ============================================
 const state = {
-  history: ['welcome'],
   versions: [],
   selectedVersion: null,
   switchTarget: null,
@@ -151,36 +501,208 @@ const state = {
   lockEnabled: true,
   blockerEnabled: true,
   cacheSizeMb: 0,
+  /** Undo handle of the lock just applied: { id, versionCount } */
+  lastLock: null,
 };
 
 // ============================================
-// Navigation
+// Settings Store
+// ============================================
+// The backend broadcasts settings.json after every change, whichever view made it
+// (or an import/reset), so views showing a setting subscribe instead of polling.
+const settingsListeners = new Set();
+
+/** Last settings broadcast by the backend (see settings.rs); null until the first change */
+let currentSettings = null;
+
+/**
+ * Run `listener(settings, previous)` after every settings change
+ * @param {(settings: Object, previous: Object|null) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+function onSettingsChange(listener) {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+}
+
+/** Whether a setting differs between two broadcasts (always true for the first) */
+function settingChanged(key, settings, previous) {
+  return !previous || JSON.stringify(settings[key]) !== JSON.stringify(previous[key]);
+}
+
+listen('settings-changed', ({ payload }) => {
+  const previous = currentSettings;
+  currentSettings = payload;
+  settingsListeners.forEach(listener => listener(payload, previous));
+});
+
 // ============================================
-function navigateTo(viewId) {
-  state.history.push(viewId);
-  showView(viewId);
+// Language
+// ============================================
+// Static markup carries data-i18n keys (see i18n.js); everything rendered from
+// JS is rebuilt by its view's loader, which runs again on the next enter.
+
+/** Saved language, or null to follow the system */
+let languagePreference = null;
 
-  // Trigger data loading based on view
-  if (viewId === 'precheck') runPreCheck();
-  if (viewId === 'versions') loadVersions();
-  if (viewId === 'legacy') loadArchiveVersions();
-  if (viewId === 'options') loadCacheSize();
-  if (viewId === 'switch') loadSwitchVersions();
+/**
+ * Use a language everywhere: markup, the current view and backend log lines
+ * @param {string|null} language
+ */
+function applyLanguage(language) {
+  languagePreference = language;
+  const locale = setLocale(language);
+  translateDocument();
+  renderLanguagePicker();
+  invoke('set_locale', { locale }).catch(e => console.warn('Could not set the backend language:', e));
+  renderAppearancePicker();
+  renderShortcutHints();
+  renderNotifications();
 }
 
-function showView(viewId) {
-  document.querySelectorAll('.view').forEach(el => el.classList.remove('active'));
-  const target = document.getElementById(`view-${viewId}`);
-  if (target) target.classList.add('active');
+function renderLanguagePicker() {
+  const select = document.getElementById('setting-language');
+  if (!select) return;
+  select.replaceChildren(
+    el('option', { value: '' }, t('settings.language_system', { language: languageName(systemLanguage()) })),
+    ...LANGUAGES.map(code => el('option', { value: code, lang: code }, languageName(code)))
+  );
+  select.value = languagePreference ?? '';
+}
+
+document.getElementById('setting-language')?.addEventListener('change', (e) => updateLanguage(e.target.value || null));
+
+async function updateLanguage(language) {
+  try {
+    await invoke('update_settings', { changes: { language } });
+  } catch (err) {
+    renderLanguagePicker();
+    notifyError(t('settings.error_title'), t('settings.update_failed', { error: String(err) }), () => updateLanguage(language));
+  }
+}
+
+onSettingsChange((settings, previous) => {
+  if (!settingChanged('language', settings, previous) || (settings.language ?? null) === languagePreference) return;
+  applyLanguage(settings.language ?? null);
+  // Re-enter the current view so its rendered text follows
+  const route = currentRoute();
+  if (route) navigateTo(route, { replace: true });
+});
+
+// ============================================
+// Appearance
+// ============================================
+// theme-init.js already painted the last theme; the saved settings win once loaded.
+
+/** Save an appearance setting, restoring the picker if the backend refuses */
+async function updateAppearance(changes) {
+  try {
+    await invoke('update_settings', { changes });
+  } catch (err) {
+    renderAppearancePicker();
+    notifyError(t('settings.error_title'), t('settings.update_failed', { error: String(err) }), () => updateAppearance(changes));
+  }
+}
+
+function renderAppearancePicker() {
+  const { theme, accent } = getAppearance();
+
+  const select = document.getElementById('setting-theme');
+  if (select) {
+    select.replaceChildren(...THEMES.map(value => el('option', { value },
+      value === 'system'
+        ? t('settings.theme.system', { theme: t(`settings.theme.${resolveTheme('system')}`) })
+        : t(`settings.theme.${value}`)
+    )));
+    select.value = theme;
+  }
+
+  const swatches = document.getElementById('setting-accent');
+  if (swatches) {
+    // Keep keyboard focus on the group across re-renders
+    const focused = swatches.contains(document.activeElement);
+    swatches.replaceChildren(...ACCENTS.map(value => el('button', {
+      className: 'accent-swatch',
+      role: 'radio',
+      'aria-checked': String(value === accent),
+      'aria-label': t(`settings.accent.${value}`),
+      title: t(`settings.accent.${value}`),
+      tabindex: value === accent ? '0' : '-1',
+      style: { background: `var(--accent-${value})` },
+      onClick: () => updateAppearance({ accent: value })
+    })));
+    if (focused) swatches.querySelector('[aria-checked="true"]').focus();
+  }
 }
 
-function goBack() {
-  if (state.history.length > 1) {
-    state.history.pop();
-    showView(state.history[state.history.length - 1]);
+document.getElementById('setting-theme')?.addEventListener('change', (e) => {
+  updateAppearance({ theme: e.target.value });
+});
+
+// Arrow keys move the choice within the swatch radio group
+document.getElementById('setting-accent')?.addEventListener('keydown', (e) => {
+  const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+  if (!step) return;
+  e.preventDefault();
+  const next = ACCENTS[(ACCENTS.indexOf(getAppearance().accent) + step + ACCENTS.length) % ACCENTS.length];
+  updateAppearance({ accent: next });
+});
+
+onSettingsChange((settings, previous) => {
+  if (!settingChanged('theme', settings, previous) && !settingChanged('accent', settings, previous)) return;
+  applyAppearance(settings);
+  renderAppearancePicker();
+});
+
+// The "System (…)" option names the theme the OS currently uses
+window.matchMedia?.('(prefers-color-scheme: light)').addEventListener('change', renderAppearancePicker);
+
+/** Apply the saved language and appearance before the first view renders */
+async function loadPreferences() {
+  try {
+    const settings = await invoke('get_settings');
+    applyAppearance(settings);
+    applyLanguage(settings.language ?? null);
+  } catch (e) {
+    console.warn('Could not load the language and appearance settings:', e);
+    applyLanguage(null);
   }
 }
 
+// ============================================
+// Navigation
+// ============================================
+// Every view's data loader runs on enter, however the view was reached
+// (button, Back/Forward or a #/view deep link).
+registerView('welcome', { onEnter: refreshProtectionStatus });
+registerView('precheck', { onEnter: runPreCheck });
+registerView('versions', { onEnter: loadVersions });
+registerView('options', {
+  onEnter: () => {
+    loadCacheSize();
+    renderPresetForm();
+  },
+  guard: () => (state.selectedVersion ? null : 'versions')
+});
+registerView('preview', {
+  onEnter: loadProtectionPlan,
+  guard: () => (state.selectedVersion ? null : 'versions')
+});
+registerView('processing', { transient: true });
+registerView('complete', { transient: true });
+registerView('error', { transient: true });
+registerView('legacy', { onEnter: loadArchiveVersions });
+registerView('downloads', { onEnter: loadDownloads });
+registerView('compare', {
+  onEnter: renderComparison,
+  guard: () => (compare.selection.size >= COMPARE_MIN ? null : 'legacy')
+});
+registerView('switch', { onEnter: () => (switchListLoad = loadSwitchVersions()) });
+registerView('backups', { onEnter: loadBackups });
+registerView('cleaner', { onEnter: loadCacheBreakdown });
+registerView('history', { onEnter: loadHistory });
+registerView('settings', { onEnter: loadSettings });
+
 // Expose navigation functions for inline handlers
 window.goBack = goBack;
 window.navigateTo = navigateTo;
@@ -192,18 +714,64 @@ document.getElementById('btn-start')?.addEventListener('click', () => navigateTo
 document.getElementById('btn-switch')?.addEventListener('click', () => navigateTo('switch'));
 document.getElementById('btn-legacy')?.addEventListener('click', () => navigateTo('legacy'));
 document.getElementById('btn-remove-protection')?.addEventListener('click', removeProtection);
+document.getElementById('btn-repair-protection')?.addEventListener('click', repairProtection);
 
-// Load protection status on start
-(async function checkProtectionOnLoad() {
+// Refresh protection status whenever the welcome view is shown
+async function refreshProtectionStatus() {
+  refreshActiveVersion();
   try {
     const status = await invoke('check_protection_status');
-    updateStatusCard(status.is_protected);
+    updateStatusCard(status);
+    renderMechanismPanel(status);
   } catch (e) {
-    console.warn('Could not check protection status:', e);
+    // Every return to Welcome checks again; keep one warning, not a pile
+    notify({
+      type: 'warning',
+      title: t('welcome.status_failed'),
+      message: String(e),
+      key: 'protection-status',
+      action: { label: t('common.retry'), run: refreshProtectionStatus }
+    });
   }
-})();
+}
+
+/** Show the version CapCut will launch on the status card */
+async function refreshActiveVersion() {
+  const label = document.getElementById('status-version');
+  if (!label) return;
+
+  try {
+    const active = await invoke('get_active_version');
+    label.textContent = active ? t('welcome.active', { version: active.name }) : '';
+    label.title = active?.source === 'newest_installed'
+      ? t('welcome.active_unpinned')
+      : '';
+  } catch (e) {
+    label.textContent = '';
+    console.warn('Could not read the active version:', e);
+  }
+}
+
+// The three independent mechanisms reported by check_protection_status
+const MECHANISMS = [
+  { key: 'config_lock', label: 'mechanisms.config_lock' },
+  { key: 'product_info_blocker', label: 'mechanisms.product_info_blocker' },
+  { key: 'update_blocker', label: 'mechanisms.update_blocker' },
+];
+
+/**
+ * Summarize per-mechanism status into one protection level
+ * @param {Object} status - Result of check_protection_status
+ * @returns {'protected'|'partial'|'unprotected'}
+ */
+function protectionLevel(status) {
+  const states = MECHANISMS.map(m => status[m.key]?.state);
+  if (states.every(s => s === 'active')) return 'protected';
+  if (states.every(s => s === 'missing')) return 'unprotected';
+  return 'partial';
+}
 
-function updateStatusCard(isProtected) {
+function updateStatusCard(status) {
   const wrapper = document.getElementById('status-icon-wrapper');
   const icon = document.getElementById('status-icon');
   const title = document.getElementById('status-title');
@@ -212,70 +780,132 @@ function updateStatusCard(isProtected) {
 
   if (!wrapper || !icon || !title) return;
 
-  if (isProtected) {
+  const level = protectionLevel(status);
+
+  // Unlock stays available as long as anything is applied
+  if (removeBtn) removeBtn.style.display = status.is_protected ? 'inline-flex' : 'none';
+
+  if (level === 'protected') {
     wrapper.className = 'status-icon-wrapper protected';
     icon.className = 'ph ph-shield-check';
-    title.innerText = 'Version Locked';
-    subtitle.innerText = 'Updates are disabled';
-    if (removeBtn) removeBtn.style.display = 'inline-flex';
+    title.innerText = t('welcome.status.locked');
+    subtitle.innerText = t('welcome.status.locked_detail');
+  } else if (level === 'partial') {
+    const activeCount = MECHANISMS.filter(m => status[m.key]?.state === 'active').length;
+    wrapper.className = 'status-icon-wrapper partial';
+    icon.className = 'ph ph-shield-warning';
+    title.innerText = t('welcome.status.partial');
+    subtitle.innerText = t('welcome.status.partial_detail', { active: activeCount, total: MECHANISMS.length });
   } else {
     wrapper.className = 'status-icon-wrapper unprotected';
     icon.className = 'ph ph-shield-warning';
-    title.innerText = 'Version Unlocked';
-    subtitle.innerText = 'Updates are enabled';
-    if (removeBtn) removeBtn.style.display = 'none';
+    title.innerText = t('welcome.status.unlocked');
+    subtitle.innerText = t('welcome.status.unlocked_detail');
+  }
+}
+
+/**
+ * Render one row per protection mechanism; offer Repair for partial/degraded locks
+ * @param {Object} status - Result of check_protection_status
+ */
+function renderMechanismPanel(status) {
+  const panel = document.getElementById('mechanism-panel');
+  const list = document.getElementById('mechanism-list');
+  const footer = document.getElementById('mechanism-footer');
+  const hint = document.getElementById('mechanism-hint');
+  if (!panel || !list) return;
+
+  const level = protectionLevel(status);
+
+  // Nothing applied yet: the Lock wizard is the action, not Repair
+  if (level === 'unprotected') {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const iconStatus = { active: 'success', degraded: 'warning', missing: 'error' };
+
+  const fragment = document.createDocumentFragment();
+  MECHANISMS.forEach(m => {
+    const mechanism = status[m.key] || { state: 'missing', detail: '' };
+    const statusIcon = el('i');
+    setStatusIcon(statusIcon, iconStatus[mechanism.state]);
+
+    fragment.append(
+      el('div', { className: 'list-row', title: mechanism.detail },
+        statusIcon,
+        el('div', { className: 'row-content' },
+          el('span', { className: 'row-title' }, t(m.label)),
+          el('span', { className: 'row-subtitle' }, `${t(`mechanisms.state.${mechanism.state}`)} · ${mechanism.detail}`)
+        )
+      )
+    );
+  });
+  list.replaceChildren(fragment);
+
+  const degraded = MECHANISMS.some(m => status[m.key]?.state === 'degraded');
+  hint.textContent = t(degraded ? 'welcome.mechanisms.overwritten' : 'welcome.mechanisms.missing');
+  footer.style.display = level === 'partial' ? 'flex' : 'none';
+  panel.style.display = 'block';
+}
+
+async function repairProtection() {
+  const btn = document.getElementById('btn-repair-protection');
+  const originalContent = Array.from(btn.childNodes).map(n => n.cloneNode(true));
+
+  btn.disabled = true;
+  btn.replaceChildren(icon('circle-notch', { className: 'ph ph-circle-notch spin' }), ` ${t('welcome.repairing')}`);
+
+  try {
+    const result = await invoke('repair_protection');
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    notify({ type: 'success', title: t('welcome.repaired'), message: t('welcome.repaired_detail') });
+  } catch (e) {
+    notifyError(t('welcome.repair_failed'), e, repairProtection);
+  } finally {
+    btn.disabled = false;
+    btn.replaceChildren(...originalContent);
+    refreshProtectionStatus();
   }
 }
 
 async function removeProtection() {
-  // Show confirmation dialog first
+  // Unlocking lets CapCut update itself, so the user types the version to confirm
+  // (or a fixed phrase when it can't be told which version is installed)
+  const active = await invoke('get_active_version').catch(() => null);
   const confirmed = await modal.show({
-    title: 'Unlock Version?',
-    message: 'Updates will be enabled again. You can re-lock anytime.',
-    confirmText: 'Unlock',
-    cancelText: 'Keep Protected',
+    title: t('unlock.confirm_title'),
+    message: t('unlock.confirm_message'),
+    confirmText: t('unlock.confirm'),
+    cancelText: t('unlock.keep'),
     danger: true,
-    iconName: 'shield-slash'
+    iconName: 'shield-slash',
+    typeToConfirm: active?.name || t('unlock.confirm_phrase')
   });
 
   if (!confirmed) return;
 
   const btn = document.getElementById('btn-remove-protection');
-
-  // Store original content for reset
   const originalContent = Array.from(btn.childNodes).map(n => n.cloneNode(true));
 
   btn.disabled = true;
-  btn.replaceChildren(icon('circle-notch', { className: 'ph ph-circle-notch spin' }), ' Removing...');
+  btn.replaceChildren(icon('circle-notch', { className: 'ph ph-circle-notch spin' }), ` ${t('unlock.removing')}`);
 
   try {
     const result = await invoke('remove_protection');
-
-    if (result.success) {
-      btn.replaceChildren(icon('check'), ' Removed!');
-      btn.style.background = 'var(--accent-green)';
-
-      // Update status card
-      updateStatusCard(false);
-
-      await sleep(1500);
-      btn.style.display = 'none';
-
-      // Reset button state for next time
-      btn.disabled = false;
-      btn.replaceChildren(...originalContent);
-      btn.style.background = '';
-    } else {
+    if (!result.success) {
       throw new Error(result.error);
     }
+    notify({ type: 'success', title: t('unlock.done_title'), message: t('unlock.done_message') });
   } catch (e) {
-    btn.replaceChildren(icon('x'), ' Failed');
-    btn.style.background = 'var(--accent-red)';
-    console.error(e);
-    await sleep(2000);
-    btn.replaceChildren(icon('lock-open-open'), ' Unlock Version');
-    btn.style.background = '';
+    notifyError(t('unlock.failed'), e, removeProtection);
+  } finally {
     btn.disabled = false;
+    btn.replaceChildren(...originalContent);
+    // Hides Unlock once nothing is applied
+    refreshProtectionStatus();
   }
 }
 
@@ -285,12 +915,15 @@ async function removeProtection() {
 document.getElementById('precheck-back')?.addEventListener('click', goBack);
 document.getElementById('btn-continue-precheck')?.addEventListener('click', () => navigateTo('versions'));
 
+document.getElementById('btn-precheck-locate')?.addEventListener('click', () => navigateTo('settings'));
+
 async function runPreCheck() {
   const installIcon = document.getElementById('check-install');
   const installText = document.getElementById('check-install-text');
   const processIcon = document.getElementById('check-process');
   const processText = document.getElementById('check-process-text');
   const nextBtn = document.getElementById('btn-continue-precheck');
+  const locateBtn = document.getElementById('btn-precheck-locate');
 
   // Peak-End Rule: Elements
   const heroCheck = document.getElementById('precheck-hero');
@@ -302,10 +935,11 @@ async function runPreCheck() {
   heroSuccess.style.display = 'none';
   list.style.display = 'block';
   setStatusIcon(installIcon, 'pending');
-  installText.textContent = 'Checking installation...';
+  installText.textContent = t('precheck.checking_install');
   setStatusIcon(processIcon, 'pending');
-  processText.textContent = 'Checking processes...';
+  processText.textContent = t('precheck.checking_processes');
   nextBtn.disabled = true;
+  locateBtn.style.display = 'none';
 
   await sleep(600); // Doherty Threshold: Perceptible delay
 
@@ -314,18 +948,20 @@ async function runPreCheck() {
 
     if (result.capcut_found) {
       setStatusIcon(installIcon, 'success');
-      installText.textContent = 'CapCut installation found';
+      installText.textContent = t('precheck.install_found');
     } else {
       setStatusIcon(installIcon, 'error');
-      installText.textContent = 'CapCut not found';
+      installText.textContent = t('precheck.install_missing');
+      // Installed on another drive: let the user point us at it
+      locateBtn.style.display = 'inline-flex';
     }
 
     if (result.capcut_running) {
       setStatusIcon(processIcon, 'warning');
-      processText.textContent = 'CapCut is running — close it first';
+      processText.textContent = t('precheck.running');
     } else {
       setStatusIcon(processIcon, 'success');
-      processText.textContent = 'CapCut is not running';
+      processText.textContent = t('precheck.not_running');
     }
 
     if (result.capcut_found && !result.capcut_running) {
@@ -342,7 +978,7 @@ async function runPreCheck() {
     }
   } catch (e) {
     setStatusIcon(installIcon, 'error');
-    installText.textContent = `Error: ${e}`;
+    installText.textContent = t('common.error', { error: String(e) });
   }
 }
 
@@ -363,6 +999,55 @@ function setStatusIcon(icon, status) {
 document.getElementById('versions-back')?.addEventListener('click', goBack);
 document.getElementById('btn-continue-version')?.addEventListener('click', () => navigateTo('options'));
 
+/**
+ * Installed versions, newest first, tagged for their rows
+ * Each entry is a scan_versions result plus `tags` (active / newest / oldest / catalog),
+ * `isActive` (the version CapCut launches) and `catalogEntry`, the catalog
+ * version with the same build if there is one.
+ */
+async function scanInstalledVersions() {
+  const [installed, catalog, active] = await Promise.all([
+    invoke('scan_versions'),
+    // Tags are a nicety; a failure here must not hide installed versions
+    invoke('get_all_archive_versions').catch(() => []),
+    invoke('get_active_version').catch(() => null),
+  ]);
+
+  const releases = catalog.map(entry => ({ entry, release: catalogVersion(entry) }));
+  const versions = installed
+    .map(v => ({ ...v, parsed: parseVersion(v.name) }))
+    .sort((a, b) => compareVersions(b.parsed, a.parsed));
+
+  return versions.map((v, i) => {
+    const match = v.parsed && releases.find(r => sameBuild(v.parsed, r.release));
+    const isActive = Boolean(active) && v.name === active.name;
+    const tags = [];
+    if (isActive) tags.push('active');
+    if (versions.length > 1 && i === 0) tags.push('newest');
+    if (versions.length > 1 && i === versions.length - 1) tags.push('oldest');
+    if (match) tags.push('catalog');
+    return { ...v, tags, isActive, catalogEntry: match ? match.entry : null };
+  });
+}
+
+/** Title (with tags) and subtitle of an installed version row */
+function installedVersionContent(v) {
+  const subtitle = v.catalogEntry
+    ? `${formatMegabytes(v.size_mb, 0)} · ${v.catalogEntry.persona}`
+    : formatMegabytes(v.size_mb, 0);
+
+  return el('div', { className: 'row-content' },
+    el('span', { className: 'row-title' },
+      `CapCut v${v.name}`,
+      ...v.tags.map(tag => el('span', {
+        className: `version-tag ${tag}`,
+        ...(tag === 'catalog' ? { title: t('versions.tag.catalog_match', { persona: v.catalogEntry.persona }) } : {}),
+      }, t(`versions.tag.${tag}`)))
+    ),
+    el('span', { className: 'row-subtitle' }, subtitle)
+  );
+}
+
 async function loadVersions() {
   const container = document.getElementById('version-list');
   const continueBtn = document.getElementById('btn-continue-version');
@@ -374,19 +1059,22 @@ async function loadVersions() {
   // Show skeleton loader
   container.replaceChildren(createSkeletonRows(3));
 
+  await presetsReady;
+  renderPresetPicker();
+
   try {
-    const vers = await invoke('scan_versions');
+    const vers = await scanInstalledVersions();
     state.versions = vers;
 
     if (vers.length === 0) {
       // Empty state with actionable CTA
       const downloadBtn = el('button', { className: 'btn-plain' },
         icon('download-simple'),
-        ' Download Legacy Version'
+        ` ${t('versions.download_legacy')}`
       );
-      downloadBtn.addEventListener('click', () => {
-        goBack();
-        setTimeout(() => navigateTo('legacy'), 100);
+      downloadBtn.addEventListener('click', async () => {
+        await backTo('welcome');
+        navigateTo('legacy');
       });
 
       container.replaceChildren(
@@ -395,11 +1083,12 @@ async function loadVersions() {
           style: { flexDirection: 'column', textAlign: 'center', padding: '24px' }
         },
           icon('folder-open', { style: { fontSize: '32px', color: 'var(--label-tertiary)', marginBottom: '8px' } }),
-          el('span', { className: 'row-title' }, 'No installations found'),
-          el('span', { className: 'row-subtitle', style: { marginBottom: '12px' } }, 'Download a legacy version to get started'),
+          el('span', { className: 'row-title' }, t('versions.none')),
+          el('span', { className: 'row-subtitle', style: { marginBottom: '12px' } }, t('versions.none_detail')),
           downloadBtn
         )
       );
+      applyPresetVersion();
       return;
     }
 
@@ -413,13 +1102,10 @@ async function loadVersions() {
         el('div', { className: 'row-icon bg-accent-indigo' },
           icon('hard-drives')
         ),
-        el('div', { className: 'row-content' },
-          el('span', { className: 'row-title' }, `CapCut v${v.name}`),
-          el('span', { className: 'row-subtitle' }, `${v.size_mb.toFixed(0)} MB`)
-        ),
+        installedVersionContent(v),
         icon('check', {
           className: 'ph ph-check row-accessory',
-          style: { opacity: '0', color: 'var(--accent-blue)', fontSize: '18px' }
+          style: { opacity: '0', color: COLOR.accent, fontSize: '18px' }
         })
       );
 
@@ -428,11 +1114,12 @@ async function loadVersions() {
       fragment.append(row);
     });
     container.replaceChildren(fragment);
+    applyPresetVersion();
 
   } catch (e) {
     container.replaceChildren(
       el('div', { className: 'list-row' },
-        el('span', { className: 'row-title', style: { color: 'var(--accent-red)' } }, `Error: ${e}`)
+        el('span', { className: 'row-title', style: { color: COLOR.danger } }, t('common.error', { error: String(e) }))
       )
     );
   }
@@ -458,25 +1145,21 @@ window.selectVersion = function (idx) {
 // Options View Handlers
 // ============================================
 document.getElementById('options-back')?.addEventListener('click', goBack);
-document.getElementById('btn-apply')?.addEventListener('click', async () => {
-  const versionsToDelete = state.versions.filter(v => v.path !== state.selectedVersion.path);
-
-  // If deleting other versions, show confirmation
-  if (versionsToDelete.length > 0) {
-    const confirmed = await modal.show({
-      title: 'Lock Version?',
-      message: `This will permanently delete ${versionsToDelete.length} other version${versionsToDelete.length !== 1 ? 's' : ''} and lock your selected version.`,
-      confirmText: 'Lock Version',
-      cancelText: 'Go Back',
-      danger: false,
-      iconName: 'shield-check'
-    });
+document.getElementById('btn-apply')?.addEventListener('click', () => navigateTo('preview'));
 
-    if (!confirmed) return;
-  }
-
-  runProtectionSequence();
-});
+/**
+ * Params for run_full_protection / plan_protection from the current wizard state
+ */
+function protectionParams() {
+  return {
+    versions_to_delete: state.versions
+      .filter(v => v.path !== state.selectedVersion.path)
+      .map(v => v.path),
+    clean_cache: state.cacheEnabled,
+    lock_config: state.lockEnabled,
+    create_blockers: state.blockerEnabled
+  };
+}
 
 // Toggle handlers with keyboard support (Accessibility)
 function setupToggle(id, stateKey) {
@@ -498,126 +1181,630 @@ function setupToggle(id, stateKey) {
   });
 }
 
-setupToggle('toggle-cache', 'cacheEnabled');
-setupToggle('toggle-lock', 'lockEnabled');
-setupToggle('toggle-blocker', 'blockerEnabled');
+/** Options toggles and the state flag each one drives */
+const TOGGLES = [
+  ['toggle-cache', 'cacheEnabled'],
+  ['toggle-lock', 'lockEnabled'],
+  ['toggle-blocker', 'blockerEnabled'],
+];
+
+TOGGLES.forEach(([id, stateKey]) => setupToggle(id, stateKey));
+
+/** Show the state flags on the toggles after they change in code (e.g. from a preset) */
+function syncToggles() {
+  TOGGLES.forEach(([id, stateKey]) => {
+    const toggle = document.getElementById(id);
+    toggle?.classList.toggle('on', state[stateKey]);
+    toggle?.setAttribute('aria-checked', state[stateKey]);
+  });
+}
 
 async function loadCacheSize() {
   const sizeText = document.getElementById('cache-size');
   try {
     const size = await invoke('calculate_cache_size');
     state.cacheSizeMb = size;
-    sizeText.textContent = `${size.toFixed(1)} MB can be freed`;
+    sizeText.textContent = t('options.cache_size', { size: formatMegabytes(size) });
   } catch {
-    sizeText.textContent = 'Size unavailable';
+    sizeText.textContent = t('options.cache_size_unavailable');
   }
 }
 
 // ============================================
-// Protection Sequence
+// Protection Presets
 // ============================================
-async function runProtectionSequence() {
-  navigateTo('processing');
+/** Saved presets ({ presets, default }) and the name of the one the wizard follows */
+const presetState = {
+  store: { presets: [], default: null },
+  active: null,
+};
 
-  const progressBar = document.getElementById('progress-bar');
-  const statusText = document.getElementById('status-text');
-  const logContainer = document.getElementById('activity-log');
-  logContainer.replaceChildren();
+/** Preset names are matched case-insensitively, like the backend does */
+function sameName(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
 
-  const setProgress = (msg, pct) => {
-    statusText.textContent = msg;
-    progressBar.style.width = `${pct}%`;
-  };
+/** Name a preset is shown by: built-in presets are named in the current language */
+function presetLabel(preset) {
+  return preset.builtin ? t(`presets.builtin.${preset.builtin}`) : preset.name;
+}
 
-  const addLog = (msg, type = 'info') => {
-    const iconNames = { ok: 'check', warn: 'warning', info: 'dot' };
-    const classes = { ok: 'success', warn: 'warning', info: '' };
-    const entry = el('div', { className: `log-entry ${classes[type]}` },
-      icon(iconNames[type]),
-      el('span', {}, msg)
-    );
-    logContainer.append(entry);
-    logContainer.scrollTop = logContainer.scrollHeight;
-  };
+/** A preset by its saved name, else by the name it's shown by */
+function findPreset(name) {
+  const { presets } = presetState.store;
+  return presets.find(p => sameName(p.name, name)) || presets.find(p => sameName(presetLabel(p), name)) || null;
+}
 
-  try {
-    setProgress('Preparing...', 10);
-    addLog('Starting version lock sequence');
-    await sleep(300);
+/** The picked preset, or null once a toggle no longer matches it */
+function activePreset() {
+  const preset = findPreset(presetState.active);
+  const matches = preset
+    && preset.clean_cache === state.cacheEnabled
+    && preset.lock_config === state.lockEnabled
+    && preset.create_blockers === state.blockerEnabled;
+  return matches ? preset : null;
+}
 
-    const versionsToDelete = state.versions
-      .filter(v => v.path !== state.selectedVersion.path)
-      .map(v => v.path);
+/** Follow a preset: set its options (null keeps the current options) */
+function applyPreset(preset) {
+  presetState.active = preset ? preset.name : null;
+  if (!preset) return;
+  state.cacheEnabled = preset.clean_cache;
+  state.lockEnabled = preset.lock_config;
+  state.blockerEnabled = preset.create_blockers;
+  syncToggles();
+}
 
-    setProgress('Cleaning versions...', 30);
-    addLog(`Found ${versionsToDelete.length} version(s) to remove`);
-    await sleep(200);
+async function loadPresets() {
+  try {
+    presetState.store = await invoke('get_presets');
+  } catch (e) {
+    console.warn('Could not load presets:', e);
+  }
+}
 
-    setProgress('Locking version...', 50);
+// The wizard starts from the default preset rather than every option on
+const presetsReady = loadPresets().then(() => applyPreset(findPreset(presetState.store.default)));
 
-    const result = await invoke('run_full_protection', {
-      params: {
-        versions_to_delete: versionsToDelete,
-        clean_cache: state.cacheEnabled,
-        lock_config: state.lockEnabled,
-        create_blockers: state.blockerEnabled
-      }
-    });
+onSettingsChange((settings, previous) => {
+  if (!settingChanged('presets', settings, previous)) return;
+  presetState.store = settings.presets;
+  renderPresetPicker();
+  renderPresetList();
+});
 
-    if (result.logs) {
-      result.logs.forEach(log => {
-        const type = log.startsWith('[OK]') ? 'ok' : log.startsWith('[!]') ? 'warn' : 'info';
-        addLog(log.replace(/^\[OK\] |\[!\] |>> /g, ''), type);
-      });
-    }
+/** One-line summary of what a preset does */
+function describePreset(preset) {
+  const parts = [];
+  if (preset.clean_cache) parts.push(t('presets.part.clean_cache'));
+  if (preset.lock_config) parts.push(t('presets.part.lock_config'));
+  if (preset.create_blockers) parts.push(t('presets.part.copy_locks'));
+  if (parts.length === 0) parts.push(t('presets.part.none'));
+  if (preset.keep_version) parts.push(t('presets.part.keeps', { version: preset.keep_version }));
+  return parts.join(' • ');
+}
 
-    if (!result.success) {
-      throw new Error(result.error || 'Protection failed');
-    }
+/** Index of the newest installed version a preset keeps; a version without a build matches any build */
+function presetVersionIndex(preset) {
+  const wanted = parseVersion(preset.keep_version);
+  if (!wanted) return -1;
+  return state.versions.findIndex(v => v.parsed && sameBuild(v.parsed, wanted));
+}
 
-    setProgress('Finalizing...', 90);
-    await sleep(300);
+function renderPresetPicker() {
+  const select = document.getElementById('preset-select');
+  if (!select) return;
+
+  const { presets, default: defaultName } = presetState.store;
+  select.replaceChildren(
+    el('option', { value: '' }, t('presets.custom')),
+    ...presets.map(p => el('option', { value: p.name, title: describePreset(p) },
+      sameName(p.name, defaultName) ? t('presets.default_option', { name: presetLabel(p) }) : presetLabel(p)))
+  );
+  select.value = activePreset()?.name ?? '';
+}
 
-    setProgress('Complete', 100);
-    addLog('Version locked successfully', 'ok');
-    await sleep(400);
+/** Select the version the active preset keeps, and say whether it could */
+function applyPresetVersion() {
+  const hint = document.getElementById('preset-hint');
+  const preset = activePreset();
+  hint.classList.remove('warning');
 
-    navigateTo('complete');
+  if (!preset?.keep_version) {
+    hint.textContent = t('versions.choose');
+    return;
+  }
+
+  const idx = presetVersionIndex(preset);
+  if (idx < 0) {
+    hint.textContent = t('presets.version_missing', { name: presetLabel(preset), version: preset.keep_version });
+    hint.classList.add('warning');
+    return;
+  }
+  selectVersion(idx);
+  hint.textContent = t('presets.version_kept', { name: presetLabel(preset), version: state.versions[idx].name });
+}
+
+document.getElementById('preset-select')?.addEventListener('change', (e) => {
+  applyPreset(findPreset(e.target.value));
+  applyPresetVersion();
+});
+
+const presetNameInput = document.getElementById('preset-name');
+
+function setPresetHint(text, isError = false) {
+  const hint = document.getElementById('preset-save-hint');
+  hint.textContent = text;
+  hint.classList.toggle('error', isError);
+}
+
+/**
+ * Version a preset saved under `name` keeps: the preset's own version when it
+ * still covers the selected one (so "5.2.0" isn't narrowed to one build), else the selection
+ */
+function keptVersionFor(name) {
+  const kept = findPreset(name)?.keep_version;
+  const wanted = parseVersion(kept);
+  const selected = state.selectedVersion;
+  return wanted && selected.parsed && sameBuild(selected.parsed, wanted) ? kept : selected.name;
+}
+
+/** Prefill the save form from the active preset */
+function renderPresetForm() {
+  const preset = activePreset();
+  presetNameInput.value = preset ? presetLabel(preset) : '';
+  document.getElementById('preset-keep-version').checked = Boolean(preset?.keep_version);
+  document.getElementById('preset-make-default').checked = Boolean(preset) && sameName(preset.name, presetState.store.default);
+  updatePresetKeepLabel();
+  setPresetHint('');
+}
+
+function updatePresetKeepLabel() {
+  document.getElementById('preset-keep-label').textContent =
+    t('presets.keep_version', { version: keptVersionFor(presetNameInput.value.trim()) });
+}
+
+presetNameInput?.addEventListener('input', () => {
+  updatePresetKeepLabel();
+  setPresetHint('');
+});
+presetNameInput?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') document.getElementById('btn-preset-save').click();
+});
+
+document.getElementById('btn-preset-save')?.addEventListener('click', async () => {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    setPresetHint(t('presets.name_required'), true);
+    return;
+  }
+
+  const existing = findPreset(name);
+  if (existing && !sameName(existing.name, presetState.active)) {
+    const replace = await modal.show({
+      title: t('presets.replace_title'),
+      message: t('presets.replace_message', { name: presetLabel(existing), summary: describePreset(existing) }),
+      confirmText: t('presets.replace'),
+      iconName: 'sliders-horizontal'
+    });
+    if (!replace) return;
+  }
+
+  const makeDefault = document.getElementById('preset-make-default').checked;
+  // Saving over a built-in preset keeps it built-in, under its saved name
+  const preset = {
+    name: existing?.name ?? name,
+    clean_cache: state.cacheEnabled,
+    lock_config: state.lockEnabled,
+    create_blockers: state.blockerEnabled,
+    keep_version: document.getElementById('preset-keep-version').checked ? keptVersionFor(name) : null,
+    builtin: existing?.builtin ?? null,
+  };
+
+  try {
+    let store = await invoke('save_preset', { preset, makeDefault });
+    // Unticking the box on the current default means it shouldn't be the default anymore
+    if (!makeDefault && sameName(store.default, preset.name)) {
+      store = await invoke('set_default_preset', { name: null });
+    }
+    presetState.store = store;
+    const saved = findPreset(preset.name);
+    presetState.active = saved.name;
+    setPresetHint('');
+    notify({
+      type: 'success',
+      title: t('presets.saved_title'),
+      message: t(makeDefault ? 'presets.saved_default' : 'presets.saved', { name: presetLabel(saved) })
+    });
+  } catch (e) {
+    notifyError(t('presets.error_title'), e);
+  }
+});
+
+/** Preset list in Settings, with default and delete buttons */
+function renderPresetList() {
+  const container = document.getElementById('preset-list');
+  if (!container) return;
+
+  const { presets } = presetState.store;
+  if (presets.length === 0) {
+    container.replaceChildren(
+      el('div', { className: 'list-row', style: { padding: 'var(--space-3) var(--space-4)' } },
+        el('span', { className: 'row-subtitle' }, t('presets.none'))
+      )
+    );
+    return;
+  }
+  container.replaceChildren(...presets.map(createPresetRow));
+}
+
+function createPresetRow(preset) {
+  const isDefault = sameName(preset.name, presetState.store.default);
+  return el('div', { className: 'list-row', style: { padding: 'var(--space-3) var(--space-4)', gap: 'var(--space-3)' } },
+    el('div', { className: 'row-icon', style: { background: 'var(--fill-secondary)' } },
+      icon('sliders-horizontal')
+    ),
+    el('div', { className: 'row-content' },
+      el('span', { className: 'row-title' },
+        presetLabel(preset),
+        ...(isDefault ? [el('span', { className: 'version-tag' }, t('presets.default_tag'))] : [])
+      ),
+      el('span', { className: 'row-subtitle' }, describePreset(preset))
+    ),
+    el('div', { style: { display: 'flex', gap: 'var(--space-2)' } },
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto', ...(isDefault ? { color: COLOR.caution } : {}) },
+        title: t(isDefault ? 'presets.clear_default' : 'presets.start_with'),
+        'aria-pressed': String(isDefault),
+        onclick: () => setDefaultPreset(isDefault ? null : preset.name)
+      }, icon('star')),
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto', color: COLOR.danger },
+        title: t('presets.delete_this'),
+        onclick: () => deletePreset(preset)
+      }, icon('trash'))
+    )
+  );
+}
+
+async function setDefaultPreset(name) {
+  try {
+    presetState.store = await invoke('set_default_preset', { name });
+  } catch (e) {
+    notifyError(t('presets.error_title'), e, () => setDefaultPreset(name));
+  }
+  renderPresetList();
+}
+
+async function deletePreset(preset) {
+  const { name } = preset;
+  const confirmed = await modal.show({
+    title: t('presets.delete_title'),
+    message: t('presets.delete_message', { name: presetLabel(preset) }),
+    confirmText: t('common.delete'),
+    danger: true,
+    iconName: 'trash'
+  });
+  if (!confirmed) return;
+
+  try {
+    presetState.store = await invoke('delete_preset', { name });
+    if (sameName(presetState.active, name)) presetState.active = null;
+    notify({ type: 'success', title: t('presets.deleted'), message: presetLabel(preset) });
+  } catch (e) {
+    notifyError(t('presets.error_title'), e);
+  }
+  renderPresetList();
+}
+
+// ============================================
+// Preview View Handlers
+// ============================================
+document.getElementById('preview-back')?.addEventListener('click', goBack);
+document.getElementById('btn-confirm-lock')?.addEventListener('click', runProtectionSequence);
+
+const FILE_CHANGE_LABELS = {
+  config_lock: 'configure.ini',
+  product_info_blocker: 'ProductInfo.xml',
+  update_blocker: 'update.exe'
+};
+
+async function loadProtectionPlan() {
+  const summary = document.getElementById('preview-summary');
+  const container = document.getElementById('preview-plan');
+  const confirmBtn = document.getElementById('btn-confirm-lock');
+
+  confirmBtn.disabled = true;
+  summary.textContent = t('preview.building');
+  container.replaceChildren(createSkeletonRows(3));
+
+  try {
+    const plan = await invoke('plan_protection', { params: protectionParams() });
+
+    if (plan.error) {
+      summary.textContent = plan.error;
+      container.replaceChildren();
+      return;
+    }
+
+    renderProtectionPlan(plan);
+    confirmBtn.disabled = false;
+  } catch (e) {
+    summary.textContent = t('preview.failed');
+    container.replaceChildren();
+    notifyError(t('preview.failed'), e, loadProtectionPlan);
+  }
+}
+
+/**
+ * Render a plan_protection result as a checklist
+ * @param {Object} plan
+ */
+function renderProtectionPlan(plan) {
+  const summary = document.getElementById('preview-summary');
+  const container = document.getElementById('preview-plan');
+  const fragment = document.createDocumentFragment();
+
+  const section = (title, rows) => {
+    if (rows.length === 0) return;
+    fragment.append(
+      el('div', { className: 'list-section' },
+        el('span', { className: 'list-header' }, title),
+        el('div', { className: 'glass-panel' }, ...rows)
+      )
+    );
+  };
+
+  const row = (iconName, tone, title, subtitle, className = '') => {
+    return el('div', { className: `list-row ${className}`.trim() },
+      el('i', { className: `status-icon ph ph-${iconName} ${tone}`.trim() }),
+      el('div', { className: 'row-content' },
+        el('span', { className: 'row-title' }, title),
+        el('span', { className: 'row-subtitle' }, subtitle)
+      )
+    );
+  };
+
+  section(t('preview.warnings'), plan.warnings.map(w => row('warning', 'warning', w, t('preview.review'))));
+
+  section(t('preview.delete_versions', { count: plan.deletions.length }),
+    plan.deletions.map(d => row('trash', 'error', `${d.name} · ${formatBytes(d.size_bytes)}`, d.path)));
+
+  section(t('preview.create_backups'), plan.deletions.map(d => row('copy', 'success',
+    `${d.name} · ${formatBytes(d.size_bytes)}`,
+    d.backup_dir ? `${d.backup_dir}\\${d.name}_<timestamp>` : t('preview.no_backup_folder')
+  )));
+
+  section(t('preview.lock_files'), plan.file_changes.map(f => row(
+    f.already_applied ? 'check-circle' : 'lock-simple',
+    f.already_applied ? 'success' : '',
+    `${FILE_CHANGE_LABELS[f.mechanism] || f.mechanism} · ${f.already_applied ? t('preview.already_applied') : f.action}`,
+    f.path,
+    f.already_applied ? 'applied' : ''
+  )));
+
+  section(t('preview.clear_cache', { size: formatBytes(plan.cache_bytes) }),
+    plan.cache_dirs.map(c => row('broom', '', `${c.path.split(/[\\/]/).pop()} · ${formatBytes(c.size_bytes)}`, c.path)));
+
+  if (fragment.childNodes.length === 0) {
+    section(t('preview.nothing'), [row('check-circle', 'success', t('preview.no_changes'), t('preview.no_changes_detail'))]);
+  }
+
+  container.replaceChildren(fragment);
+
+  const freed = plan.delete_bytes + plan.cache_bytes;
+  summary.textContent = freed > 0
+    ? t('preview.summary_freed', { size: formatBytes(freed) })
+    : t('preview.summary');
+}
+
+// ============================================
+// Protection Sequence
+// ============================================
+
+/** Message key of the status line per protection-progress step (lock and undo) */
+const PROGRESS_STEP_LABELS = {
+  check: 'progress.check',
+  backup: 'progress.backup',
+  delete: 'progress.delete',
+  clean_cache: 'progress.clean_cache',
+  lock_config: 'progress.lock_config',
+  create_blockers: 'progress.create_blockers',
+  restore: 'progress.restore',
+  revert: 'progress.revert',
+  verify: 'progress.verify',
+  done: 'progress.done'
+};
+
+/**
+ * Reset the processing view and return its progress and log writers
+ * @param {string} title - Translated heading, e.g. "Applying Protection"
+ */
+function startProcessing(title) {
+  const progressBar = document.getElementById('progress-bar');
+  const statusText = document.getElementById('status-text');
+  const logContainer = document.getElementById('activity-log');
+  document.getElementById('processing-title').textContent = title;
+  logContainer.replaceChildren();
+
+  const setProgress = (msg, pct) => {
+    statusText.textContent = msg;
+    progressBar.style.width = `${pct}%`;
+  };
+
+  const addLog = (msg, type = 'info') => {
+    const iconNames = { ok: 'check', warn: 'warning', info: 'dot' };
+    const classes = { ok: 'success', warn: 'warning', info: '' };
+    const entry = el('div', { className: `log-entry ${classes[type]}` },
+      icon(iconNames[type]),
+      el('span', {}, msg)
+    );
+    logContainer.append(entry);
+    logContainer.scrollTop = logContainer.scrollHeight;
+  };
+
+  const addBackendLog = (log) => {
+    const type = log.startsWith('[OK]') ? 'ok' : log.startsWith('[!]') ? 'warn' : 'info';
+    addLog(log.replace(/^(\[OK\] |\[!\] |>> )/, ''), type);
+  };
+
+  setProgress(t('progress.preparing'), 0);
+  setProgressDetail(null);
+  return { setProgress, addLog, addBackendLog };
+}
+
+/**
+ * Invoke a command that streams protection-progress events into the processing view
+ * @param {string} cmd
+ * @param {Object} args
+ * @param {ReturnType<typeof startProcessing>} view
+ * @returns {Promise<Object>} The command's result
+ */
+async function invokeWithProgress(cmd, args, view) {
+  const unlisten = await listen('protection-progress', ({ payload }) => {
+    if (payload.message) view.addBackendLog(payload.message);
+    view.setProgress(t(PROGRESS_STEP_LABELS[payload.step] || 'progress.working'), payload.percent);
+    setProgressDetail(payload);
+  });
+
+  try {
+    return await invoke(cmd, args);
+  } finally {
+    unlisten();
+  }
+}
+
+async function runProtectionSequence() {
+  navigateTo('processing');
+  const view = startProcessing(t('processing.title'));
+
+  try {
+    view.addLog(t('processing.log.start'));
+
+    const params = protectionParams();
+    view.addLog(t('processing.log.found', { count: params.versions_to_delete.length }));
+
+    const result = await invokeWithProgress('run_full_protection', { params }, view);
+
+    if (!result.success) {
+      throw new Error(result.error || t('processing.failed'));
+    }
+
+    state.lastLock = result.transaction_id
+      ? { id: result.transaction_id, versionCount: params.versions_to_delete.length }
+      : null;
+    document.getElementById('btn-undo-lock').style.display = state.lastLock ? 'inline-flex' : 'none';
+
+    view.setProgress(t('progress.complete'), 100);
+    view.addLog(t('processing.log.locked'), 'ok');
+    await sleep(400);
+
+    // Replace the processing entry so Back never re-enters it
+    navigateTo('complete', { replace: true });
+    notify({ type: 'success', title: t('complete.title'), message: t('complete.detail'), quiet: true });
 
   } catch (e) {
-    console.error(e);
     document.getElementById('error-message').textContent = String(e);
-    navigateTo('error');
+    navigateTo('error', { replace: true });
+    notify({ type: 'error', title: t('error.title'), message: String(e), quiet: true });
+  }
+}
+
+/**
+ * Undo a protection run after confirmation: restores its deleted versions and
+ * the original configure.ini / ProductInfo.xml / update.exe, then verifies them
+ * @param {string} transactionId
+ * @param {number} versionCount - Versions the run deleted
+ */
+async function undoLock(transactionId, versionCount) {
+  const confirmed = await modal.show({
+    title: t('undo.confirm_title'),
+    message: t('undo.confirm_message', { count: versionCount }),
+    confirmText: t('undo.confirm'),
+    danger: true,
+    iconName: 'arrow-u-up-left'
+  });
+
+  if (!confirmed) return;
+
+  navigateTo('processing');
+  const view = startProcessing(t('undo.title'));
+  view.addLog(t('undo.log.start'));
+
+  let result;
+  try {
+    result = await invokeWithProgress('undo_protection', { transactionId }, view);
+  } catch (e) {
+    result = { success: false, error: String(e) };
+  }
+
+  if (result.success) {
+    if (state.lastLock?.id === transactionId) state.lastLock = null;
+    view.setProgress(t('progress.complete'), 100);
+    view.addLog(t('undo.log.done'), 'ok');
+    await sleep(400);
+    notify({ type: 'success', title: t('undo.done_title'), message: t('undo.done_message') });
+  } else {
+    notifyError(
+      t('undo.failed_title'),
+      t('undo.failed_message', { error: result.error || t('undo.failed') }),
+      () => undoLock(transactionId, versionCount)
+    );
+  }
+
+  // Welcome's enter hook refreshes the protection status
+  backTo('welcome');
+}
+
+/**
+ * Show bytes freed and time remaining under the progress bar
+ * @param {Object|null} progress - protection-progress payload
+ */
+function setProgressDetail(progress) {
+  const detail = document.getElementById('progress-detail');
+  if (!detail) return;
+
+  if (!progress || progress.total_bytes === 0) {
+    detail.textContent = '';
+    return;
   }
+
+  const parts = [formatPercent(progress.percent)];
+  if (progress.bytes_freed > 0) parts.push(t('progress.freed', { size: formatBytes(progress.bytes_freed) }));
+  if (progress.eta_secs != null && progress.percent < 100) parts.push(t('progress.left', { time: formatDuration(progress.eta_secs) }));
+  detail.textContent = parts.join(' · ');
 }
 
 // ============================================
 // Complete View Handlers
 // ============================================
-document.getElementById('btn-done')?.addEventListener('click', () => {
-  state.history = ['welcome'];
-  showView('welcome');
-  // Refresh protection status on welcome screen
-  (async () => {
-    try {
-      const status = await invoke('check_protection_status');
-      updateStatusCard(status.is_protected);
-    } catch (e) { }
-  })();
+// Welcome's enter hook refreshes the protection status
+document.getElementById('btn-done')?.addEventListener('click', () => backTo('welcome'));
+document.getElementById('btn-undo-lock')?.addEventListener('click', () => {
+  if (state.lastLock) undoLock(state.lastLock.id, state.lastLock.versionCount);
+});
+
+document.getElementById('btn-launch-complete')?.addEventListener('click', async function () {
+  const status = document.getElementById('launch-status');
+  this.disabled = true;
+  await launchCapCut(state.selectedVersion?.path, 'lock', msg => { status.textContent = msg; });
+  status.textContent = '';
+  this.disabled = false;
 });
 
 // ============================================
 // Error View Handlers
 // ============================================
-document.getElementById('btn-retry')?.addEventListener('click', () => {
+document.getElementById('btn-retry')?.addEventListener('click', async () => {
   // Start fresh from precheck (where the protection flow begins)
-  state.history = ['welcome'];
+  await backTo('welcome');
   navigateTo('precheck');
 });
 document.getElementById('btn-back-error')?.addEventListener('click', () => {
   // Go back to options so user can try again with different settings
-  state.history = ['welcome', 'precheck', 'versions', 'options'];
-  showView('options');
+  backTo('options');
 });
 
 // ============================================
@@ -625,58 +1812,75 @@ document.getElementById('btn-back-error')?.addEventListener('click', () => {
 // ============================================
 document.getElementById('legacy-back')?.addEventListener('click', goBack);
 
+let archiveVersions = [];
+
 async function loadArchiveVersions() {
   const container = document.getElementById('legacy-list');
   container.replaceChildren(createSkeletonRows(4));
+  updateCompareControls();
 
   try {
-    const archives = await invoke('get_archive_versions');
-
-    const fragment = document.createDocumentFragment();
-    archives.forEach(v => {
-      const riskColor = v.risk_level === 'High' ? 'var(--accent-red)' :
-        v.risk_level === 'Medium' ? 'var(--accent-orange)' : 'var(--accent-green)';
-
-      const downloadBtn = el('button', {
-        className: 'btn-plain',
-        style: { padding: '8px' }
-      },
-        icon('download-simple', { style: { fontSize: '18px' } })
-      );
-      downloadBtn.addEventListener('click', () => {
-        window.__TAURI__.opener.openUrl(v.download_url);
-      });
-
-      fragment.append(
-        el('div', { className: 'list-row' },
-          el('div', { className: 'row-icon', style: { background: riskColor } },
-            icon('package')
-          ),
-          el('div', { className: 'row-content' },
-            el('span', { className: 'row-title' }, `v${v.version} · ${v.persona}`),
-            el('span', { className: 'row-subtitle' }, v.description)
-          ),
-          downloadBtn
-        )
-      );
-    });
-    container.replaceChildren(fragment);
-
+    archiveVersions = await invoke('get_archive_versions');
+    renderArchiveVersions();
   } catch (e) {
     container.replaceChildren(
       el('div', { className: 'list-row' },
-        el('span', { className: 'row-title', style: { color: 'var(--accent-red)' } }, `Error: ${e}`)
+        el('span', { className: 'row-title', style: { color: COLOR.danger } }, t('common.error', { error: String(e) }))
       )
     );
   }
 }
 
+function renderArchiveVersions() {
+  const container = document.getElementById('legacy-list');
+
+  const fragment = document.createDocumentFragment();
+  archiveVersions.forEach(v => {
+    const label = `v${v.version} · ${v.persona}`;
+    const row = el('div', { className: 'list-row' },
+      el('div', { className: 'row-icon', style: { background: riskColor(v.risk_level), color: COLOR.onAccent } },
+        icon('package')
+      ),
+      el('div', { className: 'row-content' },
+        el('span', { className: 'row-title' }, label),
+        el('span', { className: 'row-subtitle' }, v.description)
+      )
+    );
+    fragment.append(finishCatalogRow(row, v, label));
+  });
+  container.replaceChildren(fragment);
+}
+
+/** Catalog risk level ("Low", "Medium", "High") in the UI language */
+function riskLabel(riskLevel) {
+  return t('catalog.risk_level', { risk: String(riskLevel).toLowerCase(), level: riskLevel });
+}
+
+function riskColor(riskLevel) {
+  return riskLevel === 'High' ? COLOR.danger :
+    riskLevel === 'Medium' ? COLOR.warning : COLOR.success;
+}
+
 // ============================================
 // All Versions Modal
 // ============================================
 let allVersionsData = [];
 let filteredVersions = [];
 
+/** Structured filters of the All Versions modal; null means "any" */
+const versionFilters = {
+  query: '',
+  channel: null,
+  risk: null,
+  baseFrom: null,
+  baseTo: null,
+  buildMin: null,
+  buildMax: null,
+  sort: 'newest',
+};
+
+const RISK_ORDER = { Low: 0, Medium: 1, High: 2 };
+
 document.getElementById('btn-browse-all-versions')?.addEventListener('click', openAllVersionsModal);
 document.getElementById('all-versions-close')?.addEventListener('click', closeAllVersionsModal);
 
@@ -695,8 +1899,9 @@ async function openAllVersionsModal() {
 
 function closeAllVersionsModal() {
   document.getElementById('all-versions-modal').style.display = 'none';
-  // Reset search
+  // Reset search; structured filters stay and show up as chips next time
   document.getElementById('version-search').value = '';
+  versionFilters.query = '';
 }
 
 async function loadAllVersions() {
@@ -705,13 +1910,16 @@ async function loadAllVersions() {
 
   try {
     const versions = await invoke('get_all_archive_versions');
-    allVersionsData = versions;
-    filteredVersions = versions;
-    renderAllVersionsList(filteredVersions);
+    allVersionsData = versions.map(v => {
+      const release = catalogVersion(v);
+      return { ...v, channel: release?.channel ?? 'stable', build: release?.build || null };
+    });
+    renderBaseVersionOptions();
+    applyVersionFilters();
   } catch (e) {
     container.replaceChildren(
       el('div', { className: 'list-row', style: { padding: 'var(--space-4)', textAlign: 'center' } },
-        el('span', { className: 'row-title', style: { color: 'var(--accent-red)' } }, `Error loading versions: ${e}`)
+        el('span', { className: 'row-title', style: { color: COLOR.danger } }, t('catalog.load_failed', { error: String(e) }))
       )
     );
   }
@@ -721,11 +1929,14 @@ function renderAllVersionsList(versions) {
   const container = document.getElementById('all-versions-list');
 
   if (versions.length === 0) {
+    const filtered = allVersionsData.length > 0;
     container.replaceChildren(
       el('div', { className: 'list-row', style: { padding: 'var(--space-6)', textAlign: 'center', flexDirection: 'column', gap: 'var(--space-2)' } },
         icon('magnifying-glass', { style: { fontSize: '32px', color: 'var(--label-tertiary)' } }),
-        el('span', { className: 'row-title' }, 'No versions found'),
-        el('span', { className: 'row-subtitle' }, 'Try adjusting your search or filters')
+        el('span', { className: 'row-title' }, t(filtered ? 'catalog.no_match' : 'catalog.none')),
+        el('span', { className: 'row-subtitle' },
+          filtered ? t('catalog.all_hidden', { count: allVersionsData.length }) : t('catalog.empty')),
+        filtered ? el('button', { className: 'btn-secondary', onClick: resetVersionFilters }, t('catalog.clear_filters')) : null
       )
     );
     return;
@@ -734,397 +1945,2249 @@ function renderAllVersionsList(versions) {
   const fragment = document.createDocumentFragment();
 
   versions.forEach(v => {
-    const downloadBtn = el('button', {
-      className: 'btn-plain',
-      style: { padding: '8px' }
-    },
-      icon('download-simple', { style: { fontSize: '18px' } })
-    );
-    downloadBtn.addEventListener('click', () => {
-      window.__TAURI__.opener.openUrl(v.download_url);
-    });
-
     // Use persona field (contains full label like "5.4.0 (Beta3)")
     // If no persona, fall back to version
     const versionLabel = v.persona || `v${v.version}`;
-
-    fragment.append(
-      el('div', { className: 'list-row' },
-        el('div', { className: 'row-icon', style: { background: 'var(--fill-secondary)' } },
-          icon('package')
-        ),
-        el('div', { className: 'row-content' },
-          el('span', { className: 'row-title' }, versionLabel),
-          el('span', { className: 'row-subtitle' }, v.description || 'Legacy Version')
-        ),
-        downloadBtn
+    const subtitle = v.description || t('catalog.legacy_version');
+
+    const row = el('div', { className: 'list-row' },
+      el('div', { className: 'row-icon', style: { background: 'var(--fill-secondary)' } },
+        icon('package')
+      ),
+      el('div', { className: 'row-content' },
+        el('span', { className: 'row-title' }, versionLabel),
+        el('span', { className: 'row-subtitle' }, v.build ? t('catalog.with_build', { description: subtitle, build: String(v.build) }) : subtitle)
       )
     );
+    fragment.append(finishCatalogRow(row, v, versionLabel));
   });
 
   container.replaceChildren(fragment);
 }
 
-// Search handler with debounce
-const searchInput = document.getElementById('version-search');
-if (searchInput) {
-  let searchTimeout;
-  searchInput.addEventListener('input', (e) => {
-    clearTimeout(searchTimeout);
-    searchTimeout = setTimeout(() => handleVersionFilter(e.target.value), 300);
-  });
+// Search and build fields with debounce
+let filterTimeout;
+function debounceFilter(update) {
+  clearTimeout(filterTimeout);
+  filterTimeout = setTimeout(() => {
+    update();
+    applyVersionFilters();
+  }, 300);
 }
 
-function handleVersionFilter(searchQuery = '') {
-  const query = searchQuery.toLowerCase();
+document.getElementById('version-search')?.addEventListener('input', (e) => {
+  debounceFilter(() => { versionFilters.query = e.target.value.trim(); });
+});
 
-  filteredVersions = allVersionsData.filter(v => {
-    const versionLabel = v.persona || `v${v.version}`;
-    return !query ||
-      versionLabel.toLowerCase().includes(query) ||
-      (v.description && v.description.toLowerCase().includes(query));
-  });
+document.getElementById('filter-build-min')?.addEventListener('input', (e) => {
+  debounceFilter(() => { versionFilters.buildMin = parseBuildInput(e.target.value); });
+});
 
-  renderAllVersionsList(filteredVersions);
+document.getElementById('filter-build-max')?.addEventListener('input', (e) => {
+  debounceFilter(() => { versionFilters.buildMax = parseBuildInput(e.target.value); });
+});
+
+function parseBuildInput(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
 }
 
+document.getElementById('filter-channel')?.addEventListener('click', (e) => {
+  const pill = e.target.closest('.filter-pill');
+  if (!pill) return;
+  versionFilters.channel = pill.dataset.value || null;
+  applyVersionFilters();
+});
 
-// ============================================
-// Quick Switch View Handlers
-// ============================================
-document.getElementById('btn-switch')?.addEventListener('click', () => navigateTo('switch'));
-document.getElementById('switch-back')?.addEventListener('click', goBack);
-document.getElementById('btn-switch-apply')?.addEventListener('click', applySwitch);
+document.getElementById('filter-risk')?.addEventListener('click', (e) => {
+  const pill = e.target.closest('.filter-pill');
+  if (!pill) return;
+  versionFilters.risk = pill.dataset.value || null;
+  applyVersionFilters();
+});
 
-async function loadSwitchVersions() {
-  const container = document.getElementById('switch-list');
-  container.replaceChildren(createSkeletonRows(2));
+document.getElementById('filter-base-from')?.addEventListener('change', (e) => {
+  versionFilters.baseFrom = e.target.value || null;
+  applyVersionFilters();
+});
 
-  try {
-    const vers = await invoke('scan_versions');
-    state.versions = vers;
-    state.switchTarget = null;
+document.getElementById('filter-base-to')?.addEventListener('change', (e) => {
+  versionFilters.baseTo = e.target.value || null;
+  applyVersionFilters();
+});
+
+document.getElementById('version-sort')?.addEventListener('change', (e) => {
+  versionFilters.sort = e.target.value;
+  applyVersionFilters();
+});
+
+/** Fill the base range selects with the catalog's base versions, newest first */
+function renderBaseVersionOptions() {
+  const bases = [...new Set(allVersionsData.map(v => v.version))]
+    .sort((a, b) => compareVersions(b, a));
+
+  // A remembered bound the catalog no longer has would match nothing
+  if (!bases.includes(versionFilters.baseFrom)) versionFilters.baseFrom = null;
+  if (!bases.includes(versionFilters.baseTo)) versionFilters.baseTo = null;
+
+  [['filter-base-from', 'catalog.base_oldest'], ['filter-base-to', 'catalog.base_newest']].forEach(([id, anyLabel]) => {
+    document.getElementById(id).replaceChildren(
+      el('option', { value: '' }, t(anyLabel)),
+      ...bases.map(b => el('option', { value: b }, b))
+    );
+  });
+}
+
+/** Whether a catalog entry passes every structured filter and the search */
+function matchesVersionFilters(v) {
+  const f = versionFilters;
+  const query = f.query.toLowerCase();
+
+  if (query) {
+    const versionLabel = v.persona || `v${v.version}`;
+    const matches = versionLabel.toLowerCase().includes(query) ||
+      (v.description && v.description.toLowerCase().includes(query));
+    if (!matches) return false;
+  }
+  if (f.channel && v.channel !== f.channel) return false;
+  if (f.risk && v.risk_level !== f.risk) return false;
+
+  // Bounds given in either order still describe the same range
+  const bounds = [f.baseFrom, f.baseTo].filter(Boolean).sort(compareVersions);
+  if (f.baseFrom && f.baseTo) {
+    if (compareVersions(v.version, bounds[0]) < 0 || compareVersions(v.version, bounds[1]) > 0) return false;
+  } else if (f.baseFrom && compareVersions(v.version, f.baseFrom) < 0) {
+    return false;
+  } else if (f.baseTo && compareVersions(v.version, f.baseTo) > 0) {
+    return false;
+  }
+
+  // Entries without a build number can't satisfy a build filter
+  if (f.buildMin !== null && !(v.build >= f.buildMin)) return false;
+  if (f.buildMax !== null && !(v.build <= f.buildMax)) return false;
+  return true;
+}
+
+/** Newest first: base version, then build */
+function compareCatalogAge(a, b) {
+  return compareVersions(b.version, a.version) || (b.build || 0) - (a.build || 0);
+}
+
+const VERSION_SORTS = {
+  newest: compareCatalogAge,
+  oldest: (a, b) => compareCatalogAge(b, a),
+  risk: (a, b) => (RISK_ORDER[a.risk_level] ?? 3) - (RISK_ORDER[b.risk_level] ?? 3) || compareCatalogAge(a, b),
+};
+
+function applyVersionFilters() {
+  filteredVersions = allVersionsData
+    .filter(matchesVersionFilters)
+    .sort(VERSION_SORTS[versionFilters.sort] || VERSION_SORTS.newest);
+
+  syncVersionFilterControls();
+  renderFilterChips();
+  renderAllVersionsList(filteredVersions);
+}
+
+/** Reflect versionFilters in the pills, selects and fields (after a chip removes one) */
+function syncVersionFilterControls() {
+  const f = versionFilters;
+
+  [['filter-channel', f.channel], ['filter-risk', f.risk]].forEach(([id, value]) => {
+    document.querySelectorAll(`#${id} .filter-pill`).forEach(pill => {
+      const active = pill.dataset.value === (value || '');
+      pill.classList.toggle('active', active);
+      pill.setAttribute('aria-pressed', String(active));
+    });
+  });
+
+  document.getElementById('filter-base-from').value = f.baseFrom || '';
+  document.getElementById('filter-base-to').value = f.baseTo || '';
+  document.getElementById('version-sort').value = f.sort;
+
+  // Don't rewrite a field the user is typing in
+  [['version-search', f.query], ['filter-build-min', f.buildMin], ['filter-build-max', f.buildMax]].forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (document.activeElement !== input) input.value = value ?? '';
+  });
+}
+
+/** Active filters as { label, clear } pairs, in the order of the controls */
+function activeVersionFilters() {
+  const f = versionFilters;
+  const chips = [];
+
+  if (f.query) chips.push({ label: t('catalog.chip.query', { query: f.query }), clear: () => { f.query = ''; } });
+  if (f.channel) chips.push({ label: t(`catalog.channel.${f.channel}`), clear: () => { f.channel = null; } });
+  if (f.risk) chips.push({ label: t('catalog.risk_chip', { risk: f.risk.toLowerCase(), level: f.risk }), clear: () => { f.risk = null; } });
+
+  if (f.baseFrom && f.baseTo) {
+    const [lo, hi] = [f.baseFrom, f.baseTo].sort(compareVersions);
+    chips.push({ label: lo === hi ? t('catalog.chip.base', { version: lo }) : t('catalog.chip.base_range', { from: lo, to: hi }), clear: () => { f.baseFrom = f.baseTo = null; } });
+  } else if (f.baseFrom) {
+    chips.push({ label: t('catalog.chip.base_from', { version: f.baseFrom }), clear: () => { f.baseFrom = null; } });
+  } else if (f.baseTo) {
+    chips.push({ label: t('catalog.chip.base_to', { version: f.baseTo }), clear: () => { f.baseTo = null; } });
+  }
+
+  if (f.buildMin !== null) chips.push({ label: t('catalog.chip.build_min', { build: String(f.buildMin) }), clear: () => { f.buildMin = null; } });
+  if (f.buildMax !== null) chips.push({ label: t('catalog.chip.build_max', { build: String(f.buildMax) }), clear: () => { f.buildMax = null; } });
+  return chips;
+}
+
+function renderFilterChips() {
+  const container = document.getElementById('filter-chips');
+  const chips = activeVersionFilters();
+
+  container.style.display = chips.length ? 'flex' : 'none';
+  const clearAll = chips.length > 1
+    ? el('button', { className: 'btn-plain', onClick: resetVersionFilters }, t('catalog.clear_all'))
+    : null;
+
+  container.replaceChildren(
+    ...chips.map(chip => el('button', {
+      className: 'filter-chip',
+      'aria-label': t('catalog.remove_filter', { filter: chip.label }),
+      onClick: () => {
+        chip.clear();
+        applyVersionFilters();
+      },
+    }, chip.label, icon('x'))),
+    ...(clearAll ? [clearAll] : []),
+    el('span', { className: 'filter-count' }, t('catalog.count', { shown: filteredVersions.length, total: allVersionsData.length }))
+  );
+}
+
+/** Drop every filter and the search; the sort order is kept */
+function resetVersionFilters() {
+  Object.assign(versionFilters, {
+    query: '', channel: null, risk: null, baseFrom: null, baseTo: null, buildMin: null, buildMax: null,
+  });
+  document.getElementById('version-search').value = '';
+  document.getElementById('filter-build-min').value = '';
+  document.getElementById('filter-build-max').value = '';
+  applyVersionFilters();
+}
+
+
+// ============================================
+// Version Comparison
+// ============================================
+// Compare mode turns catalog rows (Legacy list and All Versions modal) into
+// checkboxes; the Compare view lays the picked versions out side by side.
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+
+const compare = {
+  active: false,
+  /** @type {Map<string, {version: Object, label: string}>} Picked versions by download URL */
+  selection: new Map(),
+};
+
+document.getElementById('compare-back')?.addEventListener('click', goBack);
+document.querySelectorAll('.compare-toggle').forEach(btn =>
+  btn.addEventListener('click', () => setCompareMode(!compare.active))
+);
+document.querySelectorAll('.compare-go').forEach(btn => btn.addEventListener('click', openComparison));
+document.getElementById('compare-differences-only')?.addEventListener('change', (e) => {
+  document.getElementById('compare-table').classList.toggle('differences-only', e.target.checked);
+});
+
+/**
+ * Finish a catalog row: a download button normally, a compare checkbox in compare mode
+ * @param {HTMLElement} row - Row with icon and content already in place
+ * @param {Object} version - ArchiveVersion
+ * @param {string} label - Name shown in the queue and comparison
+ */
+function finishCatalogRow(row, version, label) {
+  if (!compare.active) {
+    row.append(createDownloadButton(version, label));
+    return row;
+  }
+
+  row.classList.add('selectable');
+  row.setAttribute('role', 'checkbox');
+  row.tabIndex = 0;
+  row.append(icon('check', {
+    className: 'ph ph-check row-accessory',
+    style: { color: COLOR.accent, fontSize: '18px' }
+  }));
+
+  const toggle = () => {
+    toggleCompareSelection(version, label);
+    updateCompareRow(row, version);
+  };
+  row.addEventListener('click', toggle);
+  row.addEventListener('keydown', (e) => handleKey(e, toggle));
+
+  updateCompareRow(row, version);
+  return row;
+}
+
+function updateCompareRow(row, version) {
+  const selected = compare.selection.has(version.download_url);
+  row.classList.toggle('selected', selected);
+  row.setAttribute('aria-checked', String(selected));
+  row.querySelector('.row-accessory').style.opacity = selected ? '1' : '0';
+}
+
+function toggleCompareSelection(version, label) {
+  const key = version.download_url;
+  if (compare.selection.has(key)) {
+    compare.selection.delete(key);
+  } else if (compare.selection.size < COMPARE_MAX) {
+    compare.selection.set(key, { version, label });
+  } else {
+    updateCompareControls(t('compare.limit', { max: COMPARE_MAX }));
+    return;
+  }
+  updateCompareControls();
+}
+
+function setCompareMode(active) {
+  compare.active = active;
+  if (!active) compare.selection.clear();
+
+  updateCompareControls();
+  if (archiveVersions.length) renderArchiveVersions();
+  if (document.getElementById('all-versions-modal').style.display !== 'none') {
+    renderAllVersionsList(filteredVersions);
+  }
+}
+
+/**
+ * Sync the compare toggles and bars in the Legacy view and All Versions modal
+ * @param {string} warning - Shown instead of the selection count
+ */
+function updateCompareControls(warning = '') {
+  const count = compare.selection.size;
+
+  document.querySelectorAll('.compare-toggle').forEach(btn => {
+    btn.textContent = t(compare.active ? 'common.done' : 'common.compare');
+    btn.setAttribute('aria-pressed', String(compare.active));
+  });
+
+  document.querySelectorAll('.compare-bar').forEach(bar => {
+    bar.style.display = compare.active ? 'flex' : 'none';
+
+    const hint = bar.querySelector('.compare-hint');
+    hint.textContent = warning ||
+      (count < COMPARE_MIN ? t('compare.select', { min: COMPARE_MIN, max: COMPARE_MAX }) : t('compare.selected', { count }));
+    hint.classList.toggle('error', Boolean(warning));
+
+    const go = bar.querySelector('.compare-go');
+    go.disabled = count < COMPARE_MIN;
+    go.textContent = count >= COMPARE_MIN ? t('compare.go', { count }) : t('common.compare');
+  });
+}
+
+function openComparison() {
+  if (compare.selection.size < COMPARE_MIN) return;
+  if (document.getElementById('all-versions-modal').style.display !== 'none') {
+    closeAllVersionsModal();
+  }
+  navigateTo('compare');
+}
+
+/** Build the feature matrix, oldest version on the left */
+function renderComparison() {
+  const columns = [...compare.selection.values()]
+    .sort((a, b) => compareVersions(catalogVersion(a.version), catalogVersion(b.version)));
+  const features = [...new Set(columns.flatMap(c => c.version.features))];
+  const unknown = columns.filter(c => c.version.features.length === 0);
+
+  const rowHeader = (title, subtitle) =>
+    el('th', { scope: 'row' }, title, subtitle ? el('span', { className: 'row-subtitle' }, subtitle) : null);
+
+  const head = el('thead', {},
+    el('tr', {},
+      el('th', { scope: 'col' }, el('span', { className: 'sr-only' }, t('compare.version'))),
+      ...columns.map(c =>
+        el('th', { scope: 'col' },
+          c.version.persona,
+          el('span', { className: 'row-subtitle' }, `v${c.version.version}`)
+        )
+      )
+    )
+  );
+
+  const risks = columns.map(c => c.version.risk_level);
+  const body = el('tbody', {},
+    el('tr', { className: new Set(risks).size > 1 ? 'differs' : '' },
+      rowHeader(t('compare.risk')),
+      ...columns.map(c => el('td', { style: { color: riskColor(c.version.risk_level) } }, riskLabel(c.version.risk_level)))
+    ),
+    el('tr', {},
+      rowHeader(t('compare.notes')),
+      ...columns.map(c => el('td', { className: 'row-subtitle' }, c.version.description || '—'))
+    ),
+    el('tr', { className: 'compare-section compare-keep' },
+      el('th', { scope: 'colgroup', colspan: String(columns.length + 1) }, t('compare.features'))
+    )
+  );
+
+  let differing = 0;
+  for (const feature of features) {
+    // null = the catalog has no feature list for this version
+    const has = columns.map(c => (c.version.features.length ? c.version.features.includes(feature) : null));
+    const differs = has.includes(true) && has.includes(false);
+    if (differs) differing += 1;
+
+    const newest = [...columns].reverse().find(c => c.version.features.includes(feature));
+    body.append(
+      el('tr', { className: differs ? 'differs' : '' },
+        rowHeader(feature, differs ? t('compare.newest_with', { version: newest.version.version }) : null),
+        ...has.map(h => el('td', {},
+          h === null
+            ? el('span', { className: 'row-subtitle', title: t('compare.no_feature_data') }, '?')
+            : icon(h ? 'check' : 'x', {
+              style: { color: h ? COLOR.success : 'var(--label-tertiary)' },
+              'aria-label': t(h ? 'compare.included' : 'compare.not_included')
+            })
+        ))
+      )
+    );
+  }
+
+  if (features.length === 0) {
+    body.append(
+      el('tr', { className: 'compare-keep' },
+        el('td', { colspan: String(columns.length + 1), className: 'row-subtitle' },
+          t('compare.no_features'))
+      )
+    );
+  }
+
+  body.append(
+    el('tr', { className: 'compare-keep' },
+      rowHeader(t('compare.download')),
+      ...columns.map(c => el('td', {}, createDownloadButton(c.version, c.label)))
+    )
+  );
+
+  document.getElementById('compare-table').replaceChildren(head, body);
+  document.getElementById('compare-summary').textContent = features.length
+    ? t('compare.summary', { count: differing, total: features.length })
+    : t('compare.versions', { count: columns.length });
+  document.getElementById('compare-note').textContent = unknown.length && features.length
+    ? t('compare.unknown_note', { versions: formatList(unknown.map(c => `v${c.version.version}`)) })
+    : '';
+}
+
+// ============================================
+// Downloads
+// ============================================
+// The queue lives here: the backend moves one chunk per call, so pausing is
+// simply not asking for the next chunk. Partial files survive restarts and
+// resume when the same installer is queued again.
+const DOWNLOAD_RETRIES = 3;
+
+/**
+ * @typedef {Object} DownloadItem
+ * @property {string} id
+ * @property {string} label
+ * @property {string} url
+ * @property {string} sha256 - Checksum from the catalog entry (entries without one can't be queued)
+ * @property {'queued'|'downloading'|'paused'|'cancelled'|'verifying'|'installing'|'done'|'failed'} status
+ * @property {number} done - Bytes on disk
+ * @property {number|null} total
+ * @property {number} rate - Smoothed bytes per second
+ * @property {string|null} path - Installer path once finished
+ * @property {boolean|null} verified - null until the checksum has been compared
+ * @property {string|null} error
+ * @property {{time: number, done: number}|null} [lastSample] - Last progress point, for the rate
+ */
+
+const downloads = {
+  /** @type {DownloadItem[]} */
+  items: [],
+  /** @type {DownloadItem|null} */
+  active: null,
+  nextId: 1,
+  /** Install offers wait for each other so two finished downloads don't share the modal */
+  offers: Promise.resolve(),
+};
+
+document.getElementById('btn-downloads')?.addEventListener('click', () => navigateTo('downloads'));
+document.getElementById('downloads-back')?.addEventListener('click', goBack);
+
+listen('download-progress', ({ payload }) => {
+  const item = downloads.items.find(i => i.id === payload.id);
+  if (item) updateDownloadProgress(item, payload.done_bytes, payload.total_bytes);
+});
+
+/**
+ * Download button for a catalog row; queues the installer instead of opening the browser.
+ * Entries without a catalog checksum get a disabled button: their installer would never run.
+ * @param {Object} version - ArchiveVersion
+ * @param {string} label - Name shown in the queue
+ */
+function createDownloadButton(version, label) {
+  const btn = el('button', {
+    className: 'btn-plain',
+    style: { padding: '8px' },
+    'aria-label': t('downloads.download_item', { name: label })
+  });
+
+  if (!version.sha256) {
+    btn.disabled = true;
+    btn.title = t('downloads.no_checksum');
+    btn.replaceChildren(icon('download-simple', { style: { fontSize: '18px' } }));
+    return btn;
+  }
+
+  const showQueued = () => {
+    btn.replaceChildren(icon('check', { style: { fontSize: '18px' } }));
+    btn.title = t('downloads.in_downloads');
+  };
+
+  const existing = downloads.items.find(i => i.url === version.download_url);
+  if (existing && existing.status !== 'failed') {
+    showQueued();
+  } else {
+    btn.replaceChildren(icon('download-simple', { style: { fontSize: '18px' } }));
+    btn.title = t('compare.download');
+  }
+
+  btn.addEventListener('click', () => {
+    enqueueDownload(version, label);
+    showQueued();
+  });
+  return btn;
+}
+
+/**
+ * Add an installer to the queue (or requeue a failed one) and start the queue
+ * @returns {DownloadItem}
+ */
+function enqueueDownload(version, label) {
+  let item = downloads.items.find(i => i.url === version.download_url);
+
+  if (!item) {
+    item = {
+      id: `dl-${downloads.nextId++}`,
+      label,
+      url: version.download_url,
+      sha256: version.sha256,
+      status: 'queued',
+      done: 0,
+      total: null,
+      rate: 0,
+      path: null,
+      verified: null,
+      error: null,
+    };
+    downloads.items.push(item);
+  } else if (item.status === 'failed') {
+    Object.assign(item, { status: 'queued', error: null, verified: null });
+  }
+
+  renderDownloadRow(item);
+  updateDownloadsBadge();
+  pumpDownloads();
+  return item;
+}
+
+/** Run queued downloads one at a time until none are left */
+async function pumpDownloads() {
+  if (downloads.active) return;
+
+  let next;
+  while ((next = downloads.items.find(i => i.status === 'queued'))) {
+    downloads.active = next;
+    await runDownload(next);
+    downloads.active = null;
+  }
+}
+
+async function runDownload(item) {
+  item.status = 'downloading';
+  item.lastSample = null;
+  renderDownloadRow(item);
+
+  let failures = 0;
+  while (item.status === 'downloading') {
+    try {
+      const chunk = await invoke('download_chunk', { id: item.id, url: item.url });
+      failures = 0;
+      updateDownloadProgress(item, chunk.done_bytes, chunk.total_bytes);
+
+      if (chunk.complete) {
+        item.path = chunk.path;
+        await verifyDownload(item);
+        return;
+      }
+    } catch (e) {
+      // Dropped connections are common on large files; the next call resumes where this one stopped
+      failures += 1;
+      if (failures > DOWNLOAD_RETRIES) {
+        item.status = 'failed';
+        item.error = String(e);
+        break;
+      }
+      await sleep(1000 * failures);
+    }
+  }
+
+  if (item.status === 'cancelled') {
+    await discardDownload(item);
+    return;
+  }
+  item.rate = 0;
+  renderDownloadRow(item);
+  updateDownloadsBadge();
+  if (item.status === 'failed') notifyDownloadResult(item);
+}
+
+function updateDownloadProgress(item, done, total) {
+  const now = Date.now();
+  const last = item.lastSample;
+
+  if (last && now > last.time && done >= last.done) {
+    const rate = (done - last.done) / ((now - last.time) / 1000);
+    item.rate = item.rate ? item.rate * 0.7 + rate * 0.3 : rate;
+  }
+  item.lastSample = { time: now, done };
+  item.done = done;
+  item.total = total ?? item.total;
+  renderDownloadRow(item);
+}
+
+async function verifyDownload(item) {
+  item.status = 'verifying';
+  item.rate = 0;
+  renderDownloadRow(item);
+
+  try {
+    const result = await invoke('verify_download', { path: item.path });
+    item.verified = result.verified;
+
+    if (!result.verified) {
+      item.status = 'failed';
+      item.error = t('downloads.checksum_mismatch');
+    } else {
+      item.status = 'done';
+    }
+  } catch (e) {
+    item.status = 'failed';
+    item.error = String(e);
+  }
+
+  renderDownloadRow(item);
+  updateDownloadsBadge();
+
+  // Only interrupt the user while they are looking at downloads; the row keeps a Run button
+  const route = currentRoute();
+  const offer = item.status === 'done' && (route === 'downloads' || route === 'legacy');
+  notifyDownloadResult(item, { quiet: offer });
+  if (offer) {
+    downloads.offers = downloads.offers.then(() => offerInstall(item));
+  }
+}
+
+/**
+ * Report how a download ended, with the row's own next step as the action
+ * @param {Object} item - A finished or failed download
+ * @param {{quiet?: boolean}} options - quiet while the install dialog asks instead
+ */
+function notifyDownloadResult(item, { quiet = false } = {}) {
+  if (item.status === 'failed') {
+    notifyError(t('downloads.failed_title', { name: item.label }), item.error, () => retryDownload(item));
+    return;
+  }
+
+  notify({
+    type: 'success',
+    title: t('downloads.verified_title'),
+    message: item.label,
+    action: { label: t('downloads.run_installer'), run: () => runInstaller(item) },
+    quiet
+  });
+}
+
+async function offerInstall(item) {
+  if (item.status !== 'done') return;
+
+  const confirmed = await modal.show({
+    title: t('downloads.verified_title'),
+    message: t('downloads.verified_message', { name: item.label }),
+    confirmText: t('downloads.run_installer'),
+    cancelText: t('downloads.later'),
+    iconName: 'seal-check'
+  });
+
+  if (confirmed) await runInstaller(item);
+}
+
+/** Run a finished installer, then start the lock wizard for the new install */
+async function runInstaller(item) {
+  item.status = 'installing';
+  renderDownloadRow(item);
+
+  try {
+    await invoke('run_installer', { path: item.path });
+    item.status = 'done';
+    renderDownloadRow(item);
+    navigateTo('precheck');
+  } catch (e) {
+    item.status = 'done';
+    renderDownloadRow(item);
+    notifyError(t('downloads.installer_failed'), e, () => runInstaller(item));
+  }
+}
+
+/** The active download stops after its current chunk */
+function pauseDownload(item) {
+  if (item.status === 'downloading' || item.status === 'queued') item.status = 'paused';
+  renderDownloadRow(item);
+  updateDownloadsBadge();
+}
+
+function resumeDownload(item) {
+  item.status = 'queued';
+  renderDownloadRow(item);
+  updateDownloadsBadge();
+  pumpDownloads();
+}
+
+function retryDownload(item) {
+  // The row may have been deleted or retried since the failure was reported
+  if (!downloads.items.includes(item) || item.status !== 'failed') return;
+  // A bad checksum means the file on disk is useless; fetch it again from scratch
+  if (item.verified === false) {
+    invoke('discard_download', { url: item.url }).catch(() => {}).then(() => resumeDownload(item));
+  } else {
+    resumeDownload(item);
+  }
+}
+
+/** Stop a download and delete its partial file (the active one finishes its chunk first) */
+async function cancelDownload(item) {
+  if (downloads.active === item && item.status === 'downloading') {
+    item.status = 'cancelled';
+    renderDownloadRow(item);
+    return;
+  }
+  await discardDownload(item);
+}
+
+async function discardDownload(item) {
+  try {
+    await invoke('discard_download', { url: item.url });
+  } catch (e) {
+    notify({ type: 'warning', title: t('downloads.discard_failed'), message: String(e) });
+  }
+  removeDownload(item);
+}
+
+/** Drop an item from the list (finished installers stay on disk) */
+function removeDownload(item) {
+  downloads.items = downloads.items.filter(i => i !== item);
+  document.querySelector(`#download-list [data-id="${item.id}"]`)?.remove();
+  if (downloads.items.length === 0) renderDownloads();
+  updateDownloadsBadge();
+}
+
+function updateDownloadsBadge() {
+  const badge = document.getElementById('downloads-count');
+  if (!badge) return;
+  const pending = downloads.items.filter(i => !['done', 'failed'].includes(i.status)).length;
+  badge.textContent = String(pending);
+  badge.style.display = pending ? 'inline-block' : 'none';
+}
+
+async function loadDownloads() {
+  renderDownloads();
+  await loadDownloadFolder();
+}
+
+function renderDownloads() {
+  const container = document.getElementById('download-list');
+  if (!container) return;
+
+  if (downloads.items.length === 0) {
+    container.replaceChildren(
+      el('div', { className: 'list-row', style: { padding: 'var(--space-6)', textAlign: 'center', flexDirection: 'column', gap: 'var(--space-2)' } },
+        icon('download-simple', { style: { fontSize: '32px', color: 'var(--label-tertiary)' } }),
+        el('span', { className: 'row-title' }, t('downloads.none')),
+        el('span', { className: 'row-subtitle' }, t('downloads.none_detail'))
+      )
+    );
+    return;
+  }
+
+  container.replaceChildren(...downloads.items.map(createDownloadRow));
+}
+
+/** Replace an item's row in place (no-op when the Downloads view isn't rendered) */
+function renderDownloadRow(item) {
+  const container = document.getElementById('download-list');
+  if (!container) return;
+
+  const row = container.querySelector(`[data-id="${item.id}"]`);
+  if (row) {
+    row.replaceWith(createDownloadRow(item));
+  } else if (currentRoute() === 'downloads') {
+    renderDownloads();
+  }
+}
+
+function downloadStatusText(item) {
+  const size = item.total
+    ? t('downloads.size_of', { done: formatBytes(item.done), total: formatBytes(item.total) })
+    : formatBytes(item.done);
+
+  switch (item.status) {
+    case 'queued': return item.done ? t('downloads.status.waiting_size', { size }) : t('downloads.status.waiting');
+    case 'downloading': {
+      if (!item.rate) return size;
+      const parts = [size, t('downloads.rate', { size: formatBytes(item.rate) })];
+      if (item.total) parts.push(t('progress.left', { time: formatDuration((item.total - item.done) / item.rate) }));
+      return parts.join(' · ');
+    }
+    case 'paused': return t('downloads.status.paused', { size });
+    case 'cancelled': return t('downloads.status.cancelling');
+    case 'verifying': return t('downloads.status.verifying');
+    case 'installing': return t('downloads.status.installing');
+    case 'done': return t('downloads.status.verified');
+    default: return item.error || t('downloads.status.failed');
+  }
+}
+
+/** Status -> [icon, tile background, icon color] */
+const DOWNLOAD_STATUS_ICONS = {
+  done: ['seal-check', COLOR.success, COLOR.onAccent],
+  failed: ['x-circle', COLOR.danger, COLOR.onAccent],
+  paused: ['pause', 'var(--fill-secondary)', 'var(--label-primary)'],
+};
+
+function createDownloadRow(item) {
+  const [iconName, background, color] = DOWNLOAD_STATUS_ICONS[item.status] || ['download-simple', COLOR.accent, COLOR.onAccent];
+  const actionButton = (iconId, key, onClick) =>
+    el('button', { className: 'btn-plain', title: t(key), 'aria-label': t('downloads.action_item', { action: t(key), name: item.label }), onClick },
+      icon(iconId, { style: { fontSize: '16px' } })
+    );
+
+  const actions = [];
+  switch (item.status) {
+    case 'queued':
+    case 'downloading':
+      actions.push(actionButton('pause', 'downloads.action.pause', () => pauseDownload(item)));
+      actions.push(actionButton('x', 'common.cancel', () => cancelDownload(item)));
+      break;
+    case 'paused':
+      actions.push(actionButton('play', 'downloads.action.resume', () => resumeDownload(item)));
+      actions.push(actionButton('x', 'common.cancel', () => cancelDownload(item)));
+      break;
+    case 'done':
+      actions.push(actionButton('play-circle', 'downloads.action.run', () => runInstaller(item)));
+      actions.push(actionButton('x', 'downloads.action.remove', () => removeDownload(item)));
+      break;
+    case 'failed':
+      actions.push(actionButton('arrow-clockwise', 'downloads.action.retry', () => retryDownload(item)));
+      actions.push(actionButton('trash', 'common.delete', () => discardDownload(item)));
+      break;
+  }
+
+  const showProgress = ['downloading', 'paused', 'queued', 'cancelled'].includes(item.status) && item.total;
+  const percent = item.total ? Math.min(100, (item.done / item.total) * 100) : 0;
+
+  return el('div', { className: 'list-row download-row', dataset: { id: item.id } },
+    el('div', { className: 'row-icon', style: { background, color } }, icon(iconName)),
+    el('div', { className: 'row-content' },
+      el('span', { className: 'row-title' }, item.label),
+      el('span', { className: `row-subtitle${item.status === 'failed' ? ' error' : ''}` }, downloadStatusText(item))
+    ),
+    el('div', { className: 'download-actions' }, ...actions),
+    showProgress
+      ? el('div', { className: 'progress-bar', role: 'progressbar', 'aria-valuenow': String(Math.round(percent)), 'aria-valuemin': '0', 'aria-valuemax': '100' },
+        el('div', { className: 'progress-fill', style: { width: `${percent}%` } })
+      )
+      : null
+  );
+}
+
+// ============================================
+// Download Folder
+// ============================================
+function setDownloadFolderHint(message, isError = false) {
+  const hint = document.getElementById('download-folder-hint');
+  hint.textContent = message;
+  hint.classList.toggle('error', isError);
+}
+
+function renderDownloadFolder(folder) {
+  document.getElementById('download-folder-path').textContent = folder.path || t('downloads.no_folder');
+  document.getElementById('btn-download-folder-reset').style.display = folder.custom ? 'inline-flex' : 'none';
+}
+
+async function loadDownloadFolder() {
+  setDownloadFolderHint('');
+  try {
+    const folder = await invoke('get_download_folder');
+    renderDownloadFolder(folder);
+    setDownloadFolderHint(t(folder.custom ? 'downloads.custom_folder' : 'downloads.default_folder_hint'));
+  } catch (e) {
+    setDownloadFolderHint(String(e), true);
+  }
+}
+
+onSettingsChange((settings, previous) => {
+  if (currentRoute() !== 'downloads' || !settingChanged('download_dir', settings, previous)) return;
+  invoke('get_download_folder').then(renderDownloadFolder).catch(() => {});
+});
+
+/** Partial files stay in the old folder, so only switch while nothing is downloading */
+function canChangeDownloadFolder() {
+  if (!downloads.active) return true;
+  notify({ type: 'warning', title: t('downloads.pause_first') });
+  return false;
+}
+
+document.getElementById('btn-download-folder')?.addEventListener('click', async () => {
+  if (!canChangeDownloadFolder()) return;
+  const dialog = window.__TAURI__.dialog;
+  if (!dialog) return;
+
+  const path = await dialog.open({ directory: true, title: t('downloads.select_folder') });
+  if (!path) return;
+
+  try {
+    renderDownloadFolder(await invoke('set_download_folder', { path }));
+    setDownloadFolderHint(t('downloads.custom_folder'));
+    notify({ type: 'success', title: t('downloads.folder_changed'), message: path });
+  } catch (e) {
+    notifyError(t('downloads.folder_failed'), e);
+  }
+});
+
+document.getElementById('btn-download-folder-reset')?.addEventListener('click', async () => {
+  if (!canChangeDownloadFolder()) return;
+  try {
+    const folder = await invoke('set_download_folder', { path: null });
+    renderDownloadFolder(folder);
+    setDownloadFolderHint(t('downloads.default_folder_hint'));
+    notify({ type: 'success', title: t('downloads.folder_changed'), message: folder.path });
+  } catch (e) {
+    notifyError(t('downloads.folder_failed'), e);
+  }
+});
+
+
+// ============================================
+// Quick Switch View Handlers
+// ============================================
+document.getElementById('switch-back')?.addEventListener('click', goBack);
+document.getElementById('btn-switch-apply')?.addEventListener('click', applySwitch);
+
+/** Latest Quick Switch list load; the command palette waits on it before picking a version */
+let switchListLoad = Promise.resolve();
+
+async function loadSwitchVersions() {
+  const container = document.getElementById('switch-list');
+  container.replaceChildren(createSkeletonRows(2));
+
+  try {
+    const vers = await scanInstalledVersions();
+    state.versions = vers;
+    state.switchTarget = null;
+
+    if (vers.length === 0) {
+      // Empty state with actionable guidance
+      container.replaceChildren(
+        el('div', {
+          className: 'list-row',
+          style: { flexDirection: 'column', textAlign: 'center', padding: '24px' }
+        },
+          icon('folder-open', { style: { fontSize: '32px', color: 'var(--label-tertiary)', marginBottom: '8px' } }),
+          el('span', { className: 'row-title' }, t('versions.none')),
+          el('span', { className: 'row-subtitle' }, t('switch.none_detail'))
+        )
+      );
+      document.getElementById('btn-switch-apply').disabled = true;
+      return;
+    }
+
+    // The active version is shown for reference but is not a target
+    if (!vers.some(v => !v.isActive)) {
+      container.replaceChildren(
+        el('div', { className: 'list-row' },
+          el('span', { className: 'row-title' }, t('switch.only_one'))
+        )
+      );
+      document.getElementById('btn-switch-apply').disabled = true;
+      return;
+    }
+
+    // Build switch version list with safe DOM methods
+    const fragment = document.createDocumentFragment();
+    vers.forEach((v, i) => {
+      if (v.isActive) {
+        fragment.append(
+          el('div', { className: 'list-row current', 'aria-disabled': 'true', title: t('switch.already_active') },
+            el('div', { className: 'row-icon bg-accent-purple' },
+              icon('play')
+            ),
+            installedVersionContent(v)
+          )
+        );
+        return;
+      }
+
+      const row = el('div', {
+        className: 'list-row selectable',
+        tabindex: '0'
+      },
+        el('div', { className: 'row-icon bg-accent-purple' },
+          icon('hard-drives')
+        ),
+        installedVersionContent(v),
+        icon('check', {
+          className: 'ph ph-check row-accessory',
+          style: { opacity: '0', color: COLOR.accent, fontSize: '18px' }
+        })
+      );
+
+      row.addEventListener('click', () => selectSwitchVersion(i));
+      row.addEventListener('keydown', (e) => handleKey(e, () => selectSwitchVersion(i)));
+      fragment.append(row);
+    });
+    container.replaceChildren(fragment);
+
+  } catch (e) {
+    container.replaceChildren(
+      el('div', { className: 'list-row' },
+        el('span', { className: 'row-title', style: { color: COLOR.danger } }, t('common.error', { error: String(e) }))
+      )
+    );
+  }
+}
+
+window.selectSwitchVersion = function (idx) {
+  state.switchTarget = state.versions[idx];
+  document.getElementById('btn-switch-apply').disabled = false;
+
+  document.querySelectorAll('#switch-list .list-row').forEach((el, i) => {
+    const check = el.querySelector('.row-accessory');
+    if (i === idx) {
+      el.classList.add('selected');
+      if (check) check.style.opacity = '1';
+    } else {
+      el.classList.remove('selected');
+      if (check) check.style.opacity = '0';
+    }
+  });
+};
+
+async function applySwitch() {
+  if (!state.switchTarget) return;
+
+  // Show confirmation dialog
+  const confirmed = await modal.show({
+    title: t('switch.confirm_title'),
+    message: t('switch.confirm_message', { version: state.switchTarget.name }),
+    confirmText: t('switch.confirm'),
+    danger: false,
+    iconName: 'swap'
+  });
+
+  if (!confirmed) return;
+
+  const btn = document.getElementById('btn-switch-apply');
+  btn.disabled = true;
+  btn.replaceChildren(icon('circle-notch', { className: 'ph ph-circle-notch spin' }), ` ${t('switch.switching')}`);
+
+  const target = state.switchTarget;
+  try {
+    const result = await invoke('switch_version', { targetPath: target.path });
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    notify({
+      type: 'success',
+      title: t('switch.done_title'),
+      message: t('switch.done_message', { version: target.name }),
+      action: { label: t('common.launch_capcut'), run: () => launchCapCut(target.path, 'switch') }
+    });
+    btn.replaceChildren(icon('swap'), ` ${t('switch.apply')}`);
+    await backTo('welcome');
+  } catch (e) {
+    btn.replaceChildren(icon('swap'), ` ${t('switch.apply')}`);
+    btn.disabled = false;
+    notifyError(t('switch.failed'), e, applySwitch);
+  }
+}
+
+// ============================================
+// Launch CapCut
+// ============================================
+const LAUNCH_WATCH_MS = 8000;
+const LAUNCH_POLL_MS = 1000;
+
+/**
+ * Start CapCut and watch the process briefly to confirm it stays up.
+ * The outcome is reported as a notification; the caller only updates its own UI.
+ * @param {string} versionPath - Version folder to start (latest version when empty)
+ * @param {'switch'|'lock'} action - What just changed, for the failure message
+ * @param {Function} onStatus - Receives short progress text while watching
+ * @returns {Promise<'running'|'exited'|'not-started'|'failed'>}
+ */
+async function launchCapCut(versionPath, action, onStatus = () => {}) {
+  try {
+    if (await invoke('is_capcut_running')) {
+      notify({ type: 'warning', title: t('launch.already_running_title'), message: t('launch.already_running_message') });
+      return 'failed';
+    }
+
+    onStatus(t('launch.launching'));
+    const result = await invoke('launch_capcut', { versionPath: versionPath || null });
+    if (!result.success) throw new Error(result.error || t('launch.failed'));
+
+    // CapCut takes a moment to appear; if it shows up and then vanishes, it crashed on start
+    let seen = false;
+    for (let waited = 0; waited < LAUNCH_WATCH_MS; waited += LAUNCH_POLL_MS) {
+      await sleep(LAUNCH_POLL_MS);
+      if (await invoke('is_capcut_running')) {
+        seen = true;
+        onStatus(t('launch.watching'));
+      } else if (seen) {
+        notify({ type: 'warning', title: t('launch.exited_title'), message: t('launch.exited_message', { action }) });
+        return 'exited';
+      }
+    }
+
+    if (!seen) {
+      notify({ type: 'warning', title: t('launch.not_started_title'), message: t('launch.not_started_message', { action }) });
+      return 'not-started';
+    }
+
+    notify({ type: 'success', title: t('launch.running') });
+    return 'running';
+  } catch (e) {
+    notifyError(t('launch.failed'), e, () => launchCapCut(versionPath, action));
+    return 'failed';
+  }
+}
+
+// ============================================
+// Utilities
+// ============================================
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// P3: Keyboard Helper
+window.handleKey = function (e, action) {
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    action();
+  }
+}
+
+/** Focusable part of each row: the row itself, or its first button (catalog rows outside compare mode) */
+function listNavigationItems(container) {
+  return [...container.querySelectorAll('.list-row')]
+    .map(row => (row.matches('[tabindex]') ? row : row.querySelector('button:not(:disabled)')))
+    .filter(Boolean);
+}
+
+/**
+ * Arrow Up/Down, Home and End move focus between a list's rows.
+ * Delegated, so it keeps working after the list is re-rendered.
+ * @param {string} containerId
+ */
+function enableListNavigation(containerId) {
+  const container = document.getElementById(containerId);
+  container?.addEventListener('keydown', (e) => {
+    if (!['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key) || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const items = listNavigationItems(container);
+    const current = items.findIndex(item => item.closest('.list-row').contains(document.activeElement));
+    if (current === -1) return;
+
+    const last = items.length - 1;
+    const next = { ArrowDown: Math.min(current + 1, last), ArrowUp: Math.max(current - 1, 0), Home: 0, End: last }[e.key];
+    e.preventDefault();
+    items[next].focus();
+  });
+}
+
+['version-list', 'switch-list', 'legacy-list', 'all-versions-list'].forEach(enableListNavigation);
+
+// Arrow Down from the catalog search moves into the results
+document.getElementById('version-search')?.addEventListener('keydown', (e) => {
+  if (e.key !== 'ArrowDown') return;
+  const first = listNavigationItems(document.getElementById('all-versions-list'))[0];
+  if (!first) return;
+  e.preventDefault();
+  first.focus();
+});
+
+/**
+ * Create skeleton loading rows (safe DOM version)
+ * @param {number} count - Number of skeleton rows
+ * @returns {DocumentFragment}
+ */
+function createSkeletonFragment(count = 3) {
+  const fragment = document.createDocumentFragment();
+  for (let i = 0; i < count; i++) {
+    fragment.append(
+      el('div', { className: 'skeleton-row' },
+        el('div', { className: 'skeleton-icon' }),
+        el('div', { className: 'skeleton-text' },
+          el('div', { className: 'skeleton-line medium' }),
+          el('div', { className: 'skeleton-line short' })
+        )
+      )
+    );
+  }
+  return fragment;
+}
+
+// Legacy wrapper for skeleton rows (returns fragment for replaceChildren)
+function createSkeletonRows(count = 3) {
+  return createSkeletonFragment(count);
+}
+
+// ============================================
+// Dynamic Version Display
+// ============================================
+(async function loadAppVersion() {
+  try {
+    const version = await getVersion();
+    const versionEl = document.getElementById('app-version');
+    if (versionEl) versionEl.textContent = `v${version}`;
+  } catch (e) {
+    console.warn('Could not load app version:', e);
+  }
+})();
+
+// ============================================
+// Backups View Handlers
+// ============================================
+document.getElementById('btn-backups')?.addEventListener('click', () => navigateTo('backups'));
+document.getElementById('backups-back')?.addEventListener('click', goBack);
+document.getElementById('btn-clear-backups')?.addEventListener('click', clearAllBackups);
+document.getElementById('btn-backup-now')?.addEventListener('click', () => toggleBackupForm());
+document.getElementById('btn-backup-cancel')?.addEventListener('click', () => toggleBackupForm(false));
+document.getElementById('btn-backup-create')?.addEventListener('click', createManualBackup);
+document.getElementById('btn-retention-apply')?.addEventListener('click', applyRetentionPolicy);
+document.getElementById('btn-verify-all')?.addEventListener('click', verifyAllBackups);
+document.getElementById('btn-import-backup')?.addEventListener('click', importBackup);
+['retention-keep-on', 'retention-keep', 'retention-cap-on', 'retention-cap'].forEach(id => {
+  document.getElementById(id)?.addEventListener('input', previewRetention);
+});
+
+/**
+ * Backups shown in the list, the saved retention policy, the latest preview request,
+ * the ids the edited policy would prune and verification results by backup id
+ * (`{ pending: true }` while a check runs)
+ */
+const backupState = { backups: [], policy: null, previewSeq: 0, pruned: new Set(), verifications: new Map() };
+
+/** Stable id of a backup (its folder name) */
+function backupId(backup) {
+  return `${backup.version_name}_${backup.created_at}`;
+}
+
+/** "label (version)" or just the version, with its date */
+function describeBackup(backup) {
+  const date = formatDate(backup.created_at * 1000);
+  return backup.label
+    ? t('backups.describe_labeled', { label: backup.label, version: backup.version_name, date })
+    : t('backups.describe', { version: backup.version_name, date });
+}
+
+async function loadBackups() {
+  const container = document.getElementById('backup-list');
+  const sizeInfo = document.getElementById('backup-size-info');
+
+  container.replaceChildren(createSkeletonFragment(2));
+
+  try {
+    const [backups, size, policy] = await Promise.all([
+      invoke('list_backups'),
+      invoke('get_backup_size'),
+      invoke('get_retention_policy')
+    ]);
+    backupState.backups = backups;
+
+    // Update size info
+    sizeInfo.textContent = t('backups.total', { size: formatBytes(size) });
+
+    // Keep unsaved edits to the form across reloads
+    if (!backupState.policy || policyEquals(readRetentionForm(), backupState.policy)) {
+      fillRetentionForm(policy);
+    }
+    backupState.policy = policy;
+
+    renderBackups(new Set());
+    await previewRetention();
+  } catch (e) {
+    container.replaceChildren(
+      el('div', { className: 'list-row', style: { color: COLOR.danger } },
+        el('span', {}, t('common.error', { error: String(e) }))
+      )
+    );
+  }
+}
+
+/**
+ * Render the backup list
+ * @param {Set<string>} [pruned] - ids the edited retention policy would remove
+ */
+function renderBackups(pruned = backupState.pruned) {
+  const container = document.getElementById('backup-list');
+  backupState.pruned = pruned;
+
+  if (backupState.backups.length === 0) {
+    container.replaceChildren(
+      el('div', { className: 'list-row', style: { justifyContent: 'center', color: 'var(--label-tertiary)' } },
+        el('span', {}, t('backups.none'))
+      )
+    );
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  backupState.backups.forEach(backup => fragment.append(createBackupRow(backup, pruned.has(backupId(backup)))));
+  container.replaceChildren(fragment);
+}
+
+function createBackupRow(backup, pruned) {
+  const id = backupId(backup);
+  const subtitle = [backup.label ? backup.version_name : null, formatDateTime(backup.created_at * 1000), formatBytes(backup.size_bytes)]
+    .filter(Boolean).join(' • ');
+
+  const row = el('div', { className: `list-row${pruned ? ' backup-pruned' : ''}`, style: { gap: 'var(--space-3)' } },
+    el('div', { className: 'row-icon', style: { background: 'var(--fill-secondary)' } },
+      icon('folder-simple')
+    ),
+    el('div', { className: 'row-content' },
+      el('span', { className: 'row-title' },
+        backup.label || backup.version_name,
+        ...(backup.reason === 'Manual backup' ? [el('span', { className: 'version-tag' }, t('backups.tag.manual'))] : []),
+        ...(pruned ? [el('span', { className: 'version-tag pruned' }, t('backups.tag.pruned'))] : [])
+      ),
+      el('span', { className: 'row-subtitle' }, subtitle),
+      ...(backup.notes ? [el('span', { className: 'row-subtitle backup-notes' }, backup.notes)] : []),
+      ...(backupState.verifications.has(id) ? [createVerificationStatus(backupState.verifications.get(id))] : [])
+    ),
+    el('div', { style: { display: 'flex', gap: 'var(--space-2)' } },
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto' },
+        title: t('backups.action.verify'),
+        ...(backupState.verifications.get(id)?.pending ? { disabled: '' } : {}),
+        onclick: () => verifyBackup(id)
+      }, icon('shield-check')),
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto' },
+        title: t('backups.action.edit'),
+        onclick: () => toggleBackupNoteEditor(row, backup)
+      }, icon('pencil-simple')),
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto' },
+        title: t('backups.action.export'),
+        onclick: () => exportBackup(backup)
+      }, icon('export')),
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto' },
+        title: t('backups.action.restore'),
+        onclick: () => restoreBackup(id, backup.version_name)
+      }, icon('arrow-counter-clockwise')),
+      el('button', {
+        className: 'btn-secondary',
+        style: { padding: '6px 10px', height: 'auto', minWidth: 'auto', color: COLOR.danger },
+        title: t('backups.action.delete'),
+        onclick: () => deleteBackup(id, backup.version_name)
+      }, icon('trash'))
+    )
+  );
+  return row;
+}
+
+/** Inline label/notes editor below a backup row */
+function toggleBackupNoteEditor(row, backup) {
+  const open = row.nextElementSibling?.classList.contains('backup-note-editor');
+  if (open) {
+    row.nextElementSibling.remove();
+    return;
+  }
+
+  const label = el('input', {
+    type: 'text', className: 'text-input', value: backup.label || '',
+    placeholder: t('backups.label_placeholder'), maxLength: 60, 'aria-label': t('backups.label_aria')
+  });
+  const notes = el('textarea', {
+    className: 'text-input backup-notes-input', rows: 2,
+    placeholder: t('backups.notes_placeholder'), 'aria-label': t('backups.notes_aria')
+  });
+  notes.value = backup.notes || '';
+  const hint = el('span', { className: 'row-subtitle' });
+
+  const save = async () => {
+    hint.classList.remove('error');
+    try {
+      await invoke('update_backup_note', {
+        backupId: backupId(backup),
+        label: label.value,
+        notes: notes.value
+      });
+      loadBackups();
+    } catch (e) {
+      hint.textContent = String(e);
+      hint.classList.add('error');
+    }
+  };
+
+  const editor = el('div', { className: 'install-path-editor backup-note-editor' },
+    label,
+    notes,
+    el('div', { className: 'install-path-actions' },
+      hint,
+      el('button', { className: 'btn-plain', onclick: () => editor.remove() }, t('common.cancel')),
+      el('button', { className: 'btn-plain', onclick: save }, icon('check'), t('common.save'))
+    )
+  );
+  row.after(editor);
+  label.focus();
+}
+
+// --- Verification ---
+
+/** Count of problems in a verification, e.g. "2 missing, 1 modified" */
+function verificationProblems(v) {
+  return [[v.missing, 'missing'], [v.extra, 'extra'], [v.modified, 'modified']]
+    .filter(([files]) => files.length > 0)
+    .map(([files, what]) => t(`verify.count.${what}`, { count: files.length }))
+    .join(', ');
+}
+
+function isIntact(v) {
+  return v.has_manifest && !v.error && !v.missing.length && !v.extra.length && !v.modified.length;
+}
+
+/** Status line under a backup row; damaged backups expand to the affected files */
+function createVerificationStatus(v) {
+  if (v.pending) {
+    return el('span', { className: 'backup-verify' }, t('verify.verifying'));
+  }
+  if (v.error) {
+    return el('span', { className: 'backup-verify damaged' }, t('verify.error', { error: v.error }));
+  }
+  if (!v.has_manifest) {
+    return el('span', { className: 'backup-verify' }, t('verify.no_manifest'));
+  }
+  if (isIntact(v)) {
+    return el('span', { className: 'backup-verify intact' }, t('verify.intact', { count: v.checked }));
+  }
+
+  const list = (files, what) => files.map(f => el('li', {}, t(`verify.file.${what}`, { file: f })));
+  return el('details', { className: 'backup-verify damaged' },
+    el('summary', {}, t('verify.damaged', { problems: verificationProblems(v) })),
+    el('ul', {},
+      ...list(v.missing, 'missing'),
+      ...list(v.extra, 'extra'),
+      ...list(v.modified, 'modified')
+    )
+  );
+}
+
+async function verifyBackup(id) {
+  backupState.verifications.set(id, { pending: true });
+  renderBackups();
+  try {
+    backupState.verifications.set(id, await invoke('verify_backup', { backupId: id }));
+  } catch (e) {
+    backupState.verifications.set(id, { backup_id: id, error: String(e) });
+  }
+  renderBackups();
+}
+
+async function verifyAllBackups() {
+  const button = document.getElementById('btn-verify-all');
+  const summary = document.getElementById('backup-verify-summary');
+  button.disabled = true;
+  summary.textContent = t('verify.verifying');
+  backupState.backups.forEach(b => backupState.verifications.set(backupId(b), { pending: true }));
+  renderBackups();
+
+  const unlisten = await listen('backup-verify-progress', ({ payload }) => {
+    summary.textContent = t('verify.verifying_percent', { percent: formatPercent(payload.percent) });
+  });
+
+  try {
+    const results = await invoke('verify_all_backups');
+    results.forEach(v => backupState.verifications.set(v.backup_id, v));
+
+    const intact = results.filter(isIntact).length;
+    const unverifiable = results.filter(v => !v.has_manifest && !v.error).length;
+    const damaged = results.length - intact - unverifiable;
+    summary.textContent = [
+      t('verify.summary.intact', { count: intact }),
+      ...(damaged ? [t('verify.summary.damaged', { count: damaged })] : []),
+      ...(unverifiable ? [t('verify.summary.unverifiable', { count: unverifiable })] : [])
+    ].join(' · ');
+    notify({ type: damaged ? 'warning' : 'success', title: t('verify.done_title'), message: summary.textContent });
+  } catch (e) {
+    backupState.backups.forEach(b => backupState.verifications.delete(backupId(b)));
+    summary.textContent = t('verify.failed', { error: String(e) });
+    notifyError(t('verify.failed_title'), e, verifyAllBackups);
+  } finally {
+    unlisten();
+    button.disabled = false;
+    renderBackups();
+  }
+}
+
+// --- Archives ---
+
+/**
+ * Run an export or import, showing its progress in the archive hint
+ * @param {string} label - Translated, e.g. "Exporting 5.2.0.1950"
+ * @returns {Promise<*>} the command result
+ */
+async function runArchiveCommand(label, cmd, args) {
+  const hint = document.getElementById('backup-archive-hint');
+  const importButton = document.getElementById('btn-import-backup');
+  hint.textContent = t('archive.progress', { label });
+  importButton.disabled = true;
+
+  const unlisten = await listen('backup-archive-progress', ({ payload }) => {
+    if (payload.total_bytes) hint.textContent = t('archive.progress_percent', { label, percent: formatPercent(payload.percent) });
+  });
+  try {
+    return await invoke(cmd, args);
+  } finally {
+    unlisten();
+    hint.textContent = '';
+    importButton.disabled = false;
+  }
+}
+
+async function exportBackup(backup) {
+  const dialog = window.__TAURI__.dialog;
+  if (!dialog) return;
+
+  const id = backupId(backup);
+  const path = await dialog.save({
+    title: t('archive.export_title'),
+    defaultPath: `${id}.tar.gz`,
+    filters: [{ name: t('archive.filter'), extensions: ['gz'] }],
+  });
+  if (!path) return;
+
+  try {
+    const summary = await runArchiveCommand(t('archive.exporting', { name: backup.label || backup.version_name }), 'export_backup', { backupId: id, path });
+    notify({
+      type: 'success',
+      title: t('archive.exported_title'),
+      message: t('archive.exported', { count: summary.files, size: formatBytes(summary.archive_bytes), path: summary.path })
+    });
+  } catch (e) {
+    notifyError(t('archive.export_failed'), e);
+  }
+}
 
-    if (vers.length === 0) {
-      // Empty state with actionable guidance
-      container.replaceChildren(
-        el('div', {
-          className: 'list-row',
-          style: { flexDirection: 'column', textAlign: 'center', padding: '24px' }
-        },
-          icon('folder-open', { style: { fontSize: '32px', color: 'var(--label-tertiary)', marginBottom: '8px' } }),
-          el('span', { className: 'row-title' }, 'No installations found'),
-          el('span', { className: 'row-subtitle' }, 'Download a legacy version first')
-        )
-      );
-      document.getElementById('btn-switch-apply').disabled = true;
-      return;
-    }
+async function importBackup() {
+  const dialog = window.__TAURI__.dialog;
+  if (!dialog) return;
 
-    if (vers.length === 1) {
-      container.replaceChildren(
-        el('div', { className: 'list-row' },
-          el('span', { className: 'row-title' }, 'Only one version installed — nothing to switch')
-        )
-      );
+  const path = await dialog.open({
+    title: t('archive.import_title'),
+    filters: [{ name: t('archive.filter'), extensions: ['gz'] }],
+  });
+  if (!path) return;
+
+  try {
+    const backup = await runArchiveCommand(t('archive.importing'), 'import_backup', { path });
+    notify({
+      type: 'success',
+      title: t('archive.imported_title'),
+      message: t('archive.imported', { backup: describeBackup(backup), path: backup.original_path })
+    });
+    // A backup with this id may have been checked before it was deleted
+    backupState.verifications.delete(backupId(backup));
+    loadBackups();
+  } catch (e) {
+    notifyError(t('archive.import_failed'), e);
+  }
+}
+
+// --- Manual backups ---
+
+async function toggleBackupForm(show) {
+  const form = document.getElementById('backup-new');
+  const toggle = document.getElementById('btn-backup-now');
+  const open = show ?? form.style.display === 'none';
+
+  form.style.display = open ? '' : 'none';
+  toggle.setAttribute('aria-expanded', String(open));
+  if (!open) return;
+
+  const select = document.getElementById('backup-version');
+  const create = document.getElementById('btn-backup-create');
+  const hint = document.getElementById('backup-new-hint');
+  hint.textContent = '';
+  hint.classList.remove('error');
+  select.replaceChildren(el('option', { value: '' }, t('backups.loading_versions')));
+  create.disabled = true;
+
+  try {
+    const versions = await scanInstalledVersions();
+    if (versions.length === 0) {
+      select.replaceChildren(el('option', { value: '' }, t('backups.no_versions')));
       return;
     }
+    select.replaceChildren(...versions.map(v =>
+      el('option', { value: v.path }, [v.name, formatMegabytes(v.size_mb, 0), ...(v.isActive ? [t('versions.tag.active')] : [])].join(' · '))
+    ));
+    create.disabled = false;
+    document.getElementById('backup-label').focus();
+  } catch (e) {
+    select.replaceChildren(el('option', { value: '' }, t('backups.scan_failed')));
+    hint.textContent = String(e);
+    hint.classList.add('error');
+  }
+}
 
-    // Build switch version list with safe DOM methods
-    const fragment = document.createDocumentFragment();
-    vers.forEach((v, i) => {
-      const row = el('div', {
-        className: 'list-row selectable',
-        tabindex: '0'
-      },
-        el('div', { className: 'row-icon bg-accent-purple' },
-          icon('hard-drives')
-        ),
-        el('div', { className: 'row-content' },
-          el('span', { className: 'row-title' }, `CapCut v${v.name}`),
-          el('span', { className: 'row-subtitle' }, `${v.size_mb.toFixed(0)} MB`)
-        ),
-        icon('check', {
-          className: 'ph ph-check row-accessory',
-          style: { opacity: '0', color: 'var(--accent-blue)', fontSize: '18px' }
-        })
-      );
+async function createManualBackup() {
+  const select = document.getElementById('backup-version');
+  const labelInput = document.getElementById('backup-label');
+  const notesInput = document.getElementById('backup-notes');
+  const create = document.getElementById('btn-backup-create');
+  const hint = document.getElementById('backup-new-hint');
+  const versionPath = select.value;
+  if (!versionPath) return;
 
-      row.addEventListener('click', () => selectSwitchVersion(i));
-      row.addEventListener('keydown', (e) => handleKey(e, () => selectSwitchVersion(i)));
-      fragment.append(row);
+  hint.classList.remove('error');
+
+  // The saved policy runs after the backup; say what it will remove first
+  try {
+    const plan = await invoke('preview_retention', { policy: backupState.policy ?? {}, incomingPath: versionPath });
+    if (plan.remove.length > 0) {
+      const confirmed = await modal.show({
+        title: t('backups.prune_title'),
+        message: t('backups.prune_message', {
+          count: plan.remove.length,
+          size: formatBytes(plan.remove_bytes),
+          backups: formatList(plan.remove.map(describeBackup)),
+        }),
+        confirmText: t('backups.back_up'),
+        danger: true,
+        iconName: 'scissors'
+      });
+      if (!confirmed) return;
+    }
+  } catch (e) {
+    notifyError(t('backups.backup_failed'), e, createManualBackup);
+    return;
+  }
+
+  create.disabled = true;
+  hint.textContent = t('backups.backing_up');
+  try {
+    const result = await invoke('backup_version_now', {
+      versionPath,
+      label: labelInput.value,
+      notes: notesInput.value
     });
-    container.replaceChildren(fragment);
+    if (!result.success) throw new Error(result.error);
 
+    labelInput.value = '';
+    notesInput.value = '';
+    hint.textContent = '';
+    notify({ type: 'success', title: t('backups.backed_up', { count: result.pruned.length }), message: select.selectedOptions[0]?.textContent });
+    toggleBackupForm(false);
+    loadBackups();
   } catch (e) {
-    container.replaceChildren(
-      el('div', { className: 'list-row' },
-        el('span', { className: 'row-title', style: { color: 'var(--accent-red)' } }, `Error: ${e}`)
-      )
-    );
+    hint.textContent = '';
+    notifyError(t('backups.backup_failed'), e, createManualBackup);
+  } finally {
+    create.disabled = false;
   }
 }
 
-window.selectSwitchVersion = function (idx) {
-  state.switchTarget = state.versions[idx];
-  document.getElementById('btn-switch-apply').disabled = false;
+// --- Retention ---
 
-  document.querySelectorAll('#switch-list .list-row').forEach((el, i) => {
-    const check = el.querySelector('.row-accessory');
-    if (i === idx) {
-      el.classList.add('selected');
-      if (check) check.style.opacity = '1';
+/** Policy described by the retention form; unchecked limits are null */
+function readRetentionForm() {
+  const keepOn = document.getElementById('retention-keep-on').checked;
+  const capOn = document.getElementById('retention-cap-on').checked;
+  return {
+    keep_per_version: keepOn ? Number(document.getElementById('retention-keep').value) : null,
+    max_total_gb: capOn ? Number(document.getElementById('retention-cap').value) : null
+  };
+}
+
+function fillRetentionForm(policy) {
+  const keep = document.getElementById('retention-keep');
+  const cap = document.getElementById('retention-cap');
+  document.getElementById('retention-keep-on').checked = policy.keep_per_version != null;
+  document.getElementById('retention-cap-on').checked = policy.max_total_gb != null;
+  if (policy.keep_per_version != null) keep.value = policy.keep_per_version;
+  if (policy.max_total_gb != null) cap.value = policy.max_total_gb;
+}
+
+function policyEquals(a, b) {
+  return (a.keep_per_version ?? null) === (b.keep_per_version ?? null) &&
+    (a.max_total_gb ?? null) === (b.max_total_gb ?? null);
+}
+
+// A reset or import in Settings replaces the policy shown here
+onSettingsChange((settings) => {
+  if (currentRoute() !== 'backups' || !backupState.policy || policyEquals(settings.retention, backupState.policy)) return;
+  loadBackups();
+});
+
+/** Mark the backups the edited policy would remove and summarize it */
+async function previewRetention() {
+  const summary = document.getElementById('retention-summary');
+  const apply = document.getElementById('btn-retention-apply');
+  const policy = readRetentionForm();
+  const seq = ++backupState.previewSeq;
+  document.getElementById('retention-keep').disabled = policy.keep_per_version == null;
+  document.getElementById('retention-cap').disabled = policy.max_total_gb == null;
+  summary.classList.remove('error');
+
+  try {
+    const plan = await invoke('preview_retention', { policy, incomingPath: null });
+    // Typing fires a preview per keystroke; only the latest may render
+    if (seq !== backupState.previewSeq) return;
+    const unchanged = backupState.policy && policyEquals(policy, backupState.policy);
+    renderBackups(new Set(plan.remove.map(backupId)));
+
+    const parts = [];
+    if (plan.remove.length > 0) {
+      parts.push(t('retention.removes', { count: plan.remove.length, size: formatBytes(plan.remove_bytes) }));
+    } else if (policy.keep_per_version == null && policy.max_total_gb == null) {
+      parts.push(t('retention.no_limits'));
     } else {
-      el.classList.remove('selected');
-      if (check) check.style.opacity = '0';
+      parts.push(t(unchanged ? 'retention.within' : 'retention.removes_nothing'));
     }
-  });
-};
+    if (plan.pinned > 0) {
+      parts.push(t('retention.pinned', { count: plan.pinned }));
+    }
+    summary.textContent = parts.join(' · ');
+    apply.disabled = unchanged;
+  } catch (e) {
+    if (seq !== backupState.previewSeq) return;
+    renderBackups(new Set());
+    summary.textContent = String(e);
+    summary.classList.add('error');
+    apply.disabled = true;
+  }
+}
 
-async function applySwitch() {
-  if (!state.switchTarget) return;
+async function applyRetentionPolicy() {
+  const policy = readRetentionForm();
 
-  // Show confirmation dialog
+  try {
+    const plan = await invoke('preview_retention', { policy, incomingPath: null });
+    if (plan.remove.length > 0) {
+      const confirmed = await modal.show({
+        title: t('retention.prune_title', { count: plan.remove.length }),
+        message: t('retention.prune_message', { backups: formatList(plan.remove.map(describeBackup)), size: formatBytes(plan.remove_bytes) }),
+        confirmText: t('retention.apply_prune'),
+        danger: true,
+        iconName: 'scissors'
+      });
+      if (!confirmed) return;
+    }
+
+    const removed = await invoke('set_retention_policy', { policy });
+    backupState.policy = policy;
+    await loadBackups();
+    notify({ type: 'success', title: t('retention.applied_title'), message: t('retention.applied', { count: removed.length }) });
+  } catch (e) {
+    notifyError(t('retention.failed'), e, applyRetentionPolicy);
+  }
+}
+
+async function restoreBackup(backupId, versionName) {
+  // Warn when the last check of this backup found problems
+  const verification = backupState.verifications.get(backupId);
+  const damaged = verification && !verification.pending && verification.has_manifest && !isIntact(verification);
   const confirmed = await modal.show({
-    title: 'Switch Version?',
-    message: `This will set CapCut v${state.switchTarget.name} as the active version.`,
-    confirmText: 'Switch',
-    cancelText: 'Cancel',
-    danger: false,
-    iconName: 'swap'
+    title: t(damaged ? 'restore.damaged_title' : 'restore.title'),
+    message: damaged
+      ? t('restore.damaged_message', { problems: verificationProblems(verification) || verification.error, version: versionName })
+      : t('restore.message', { version: versionName }),
+    confirmText: t(damaged ? 'restore.anyway' : 'restore.confirm'),
+    danger: damaged,
+    iconName: damaged ? 'warning' : 'arrow-counter-clockwise'
   });
 
   if (!confirmed) return;
 
-  const btn = document.getElementById('btn-switch-apply');
-  btn.disabled = true;
-  btn.replaceChildren(icon('circle-notch', { className: 'ph ph-circle-notch spin' }), ' Switching...');
+  try {
+    const result = await invoke('restore_version_backup', { backupId });
+    if (result.success) {
+      notify({ type: 'success', title: t('restore.done_title'), message: t('restore.done_message', { version: versionName }) });
+      loadBackups();
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (e) {
+    notifyError(t('restore.failed'), e, () => restoreBackup(backupId, versionName));
+  }
+}
+
+async function deleteBackup(backupId, versionName) {
+  const confirmed = await modal.show({
+    title: t('backups.delete_title'),
+    message: t('backups.delete_message', { version: versionName }),
+    confirmText: t('common.delete'),
+    cancelText: t('backups.keep'),
+    danger: true,
+    iconName: 'trash'
+  });
+
+  if (!confirmed) return;
 
   try {
-    const result = await invoke('switch_version', { targetPath: state.switchTarget.path });
+    const result = await invoke('delete_backup', { backupId });
+    if (result.success) {
+      notify({ type: 'success', title: t('backups.deleted'), message: versionName });
+      loadBackups();
+    } else {
+      throw new Error(result.error);
+    }
+  } catch (e) {
+    notifyError(t('backups.delete_failed'), e, () => deleteBackup(backupId, versionName));
+  }
+}
+
+async function clearAllBackups() {
+  const confirmed = await modal.show({
+    title: t('backups.clear_title'),
+    message: t('backups.clear_message'),
+    confirmText: t('backups.clear_confirm'),
+    cancelText: t('backups.clear_keep'),
+    danger: true,
+    iconName: 'trash',
+    typeToConfirm: t('backups.clear_phrase')
+  });
 
+  if (!confirmed) return;
+
+  try {
+    const result = await invoke('clear_all_backups');
     if (result.success) {
-      btn.replaceChildren(icon('check'), ' Switched!');
-      btn.style.background = 'var(--accent-green)';
-      await sleep(1000);
-      state.history = ['welcome'];
-      showView('welcome');
-      // Reset button for next use
-      btn.replaceChildren(icon('swap'), ' Switch Version');
-      btn.style.background = '';
-      btn.disabled = true; // Reset to disabled state
+      notify({ type: 'success', title: t('backups.cleared') });
+      loadBackups();
     } else {
-      throw new Error(result.message);
+      throw new Error(result.error);
     }
   } catch (e) {
-    btn.replaceChildren(icon('x'), ' Failed');
-    btn.style.background = 'var(--accent-red)';
-    console.error(e);
-    await sleep(2000);
-    btn.replaceChildren(icon('swap'), ' Switch Version');
-    btn.style.background = '';
-    btn.disabled = false;
+    notifyError(t('backups.clear_failed'), e, clearAllBackups);
+    loadBackups();
   }
 }
 
 // ============================================
-// Utilities
+// Cleaner View Handlers
 // ============================================
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+document.getElementById('btn-cleaner')?.addEventListener('click', () => navigateTo('cleaner'));
+document.getElementById('cleaner-back')?.addEventListener('click', goBack);
+document.getElementById('btn-clean-now')?.addEventListener('click', cleanSelectedCategories);
+
+const CACHE_CATEGORY_ICONS = {
+  effects: ['sparkle', 'bg-accent-purple'],
+  thumbnails: ['image', 'bg-accent-teal'],
+  logs: ['file-text', 'bg-accent-indigo'],
+  updates: ['package', 'bg-accent-orange']
+};
 
-// P3: Keyboard Helper
-window.handleKey = function (e, action) {
-  if (e.key === 'Enter' || e.key === ' ') {
-    e.preventDefault();
-    action();
-  }
-}
+/** Category ids picked in the Cleaner view */
+const cleanerSelection = new Set();
 
-/**
- * Create skeleton loading rows (safe DOM version)
- * @param {number} count - Number of skeleton rows
- * @returns {DocumentFragment}
- */
-function createSkeletonFragment(count = 3) {
-  const fragment = document.createDocumentFragment();
-  for (let i = 0; i < count; i++) {
-    fragment.append(
-      el('div', { className: 'skeleton-row' },
-        el('div', { className: 'skeleton-icon' }),
-        el('div', { className: 'skeleton-text' },
-          el('div', { className: 'skeleton-line medium' }),
-          el('div', { className: 'skeleton-line short' })
+async function loadCacheBreakdown() {
+  const container = document.getElementById('cleaner-list');
+  const total = document.getElementById('cleaner-total');
+
+  container.replaceChildren(createSkeletonFragment(4));
+  total.textContent = t('common.calculating');
+
+  try {
+    const categories = await invoke('get_cache_breakdown');
+
+    if (categories.length === 0) {
+      total.textContent = t('precheck.install_missing');
+      container.replaceChildren(
+        el('div', { className: 'list-row', style: { justifyContent: 'center', color: 'var(--label-tertiary)' } },
+          el('span', {}, t('cleaner.nothing'))
         )
+      );
+      updateCleanButton();
+      return;
+    }
+
+    cleanerSelection.clear();
+    categories.filter(c => c.default && c.size_bytes > 0).forEach(c => cleanerSelection.add(c.id));
+
+    const fragment = document.createDocumentFragment();
+    categories.forEach(c => fragment.append(createCategoryRow(c)));
+    container.replaceChildren(fragment);
+
+    const bytes = categories.reduce((sum, c) => sum + c.size_bytes, 0);
+    total.textContent = t('cleaner.total', { size: formatBytes(bytes), count: categories.length });
+  } catch (e) {
+    total.textContent = t('options.cache_size_unavailable');
+    container.replaceChildren(
+      el('div', { className: 'list-row', style: { color: COLOR.danger } },
+        el('span', {}, t('common.error', { error: String(e) }))
       )
     );
   }
-  return fragment;
+  updateCleanButton();
 }
 
-// Legacy wrapper for skeleton rows (returns fragment for replaceChildren)
-function createSkeletonRows(count = 3) {
-  return createSkeletonFragment(count);
+function createCategoryRow(category) {
+  const [iconName, iconClass] = CACHE_CATEGORY_ICONS[category.id] || ['folder', 'bg-accent-blue'];
+  const empty = category.size_bytes === 0;
+
+  const row = el('div', {
+    className: 'list-row selectable',
+    tabindex: empty ? '-1' : '0',
+    role: 'checkbox',
+    dataset: { category: category.id },
+    title: category.paths.join('\n')
+  },
+    el('div', { className: `row-icon ${iconClass}` }, icon(iconName)),
+    el('div', { className: 'row-content' },
+      el('span', { className: 'row-title' }, category.label),
+      el('span', { className: 'row-subtitle' }, empty ? t('cleaner.empty') : formatBytes(category.size_bytes))
+    ),
+    icon('check', {
+      className: 'ph ph-check row-accessory',
+      style: { color: COLOR.accent, fontSize: '18px' }
+    })
+  );
+
+  if (empty) {
+    row.setAttribute('aria-disabled', 'true');
+    row.style.opacity = '0.5';
+  } else {
+    const toggle = () => {
+      if (cleanerSelection.has(category.id)) {
+        cleanerSelection.delete(category.id);
+      } else {
+        cleanerSelection.add(category.id);
+      }
+      updateCategoryRow(row, category.id);
+      updateCleanButton();
+    };
+    row.addEventListener('click', toggle);
+    row.addEventListener('keydown', (e) => handleKey(e, toggle));
+  }
+
+  updateCategoryRow(row, category.id);
+  return row;
 }
 
-// ============================================
-// Dynamic Version Display
-// ============================================
-(async function loadAppVersion() {
+function updateCategoryRow(row, id) {
+  const selected = cleanerSelection.has(id);
+  row.classList.toggle('selected', selected);
+  row.setAttribute('aria-checked', String(selected));
+  row.querySelector('.row-accessory').style.opacity = selected ? '1' : '0';
+}
+
+function updateCleanButton() {
+  document.getElementById('btn-clean-now').disabled = cleanerSelection.size === 0;
+}
+
+async function cleanSelectedCategories() {
+  const btn = document.getElementById('btn-clean-now');
+  const total = document.getElementById('cleaner-total');
+  const originalContent = Array.from(btn.childNodes).map(n => n.cloneNode(true));
+
+  btn.disabled = true;
+  btn.replaceChildren(icon('circle-notch', { className: 'ph ph-circle-notch spin' }), ` ${t('cleaner.cleaning')}`);
+
   try {
-    const version = await getVersion();
-    const versionEl = document.getElementById('app-version');
-    if (versionEl) versionEl.textContent = `v${version}`;
+    const result = await invoke('clean_cache', { categories: [...cleanerSelection] });
+
+    if (!result.success) {
+      const reason = result.logs.find(l => l.startsWith('[!]')) || result.logs[result.logs.length - 1];
+      throw new Error((reason || t('cleaner.failed')).replace(/^\[!\] /, ''));
+    }
+
+    // Show what each category actually gave back next to its estimate
+    result.categories.forEach(c => {
+      const row = document.querySelector(`#cleaner-list [data-category="${c.id}"]`);
+      const subtitle = row?.querySelector('.row-subtitle');
+      if (subtitle) subtitle.textContent = t('cleaner.freed_estimated', { freed: formatBytes(c.freed_bytes), estimated: formatBytes(c.estimated_bytes) });
+    });
+
+    const shortfall = result.estimated_bytes - result.freed_bytes;
+    total.textContent = shortfall > 0
+      ? t('cleaner.freed_partial', { freed: formatBytes(result.freed_bytes), estimated: formatBytes(result.estimated_bytes) })
+      : t('cleaner.freed', { freed: formatBytes(result.freed_bytes) });
+    notify({ type: shortfall > 0 ? 'warning' : 'success', title: t('cleaner.done_title'), message: total.textContent });
+
+    cleanerSelection.clear();
+    document.querySelectorAll('#cleaner-list [data-category]').forEach(row => updateCategoryRow(row, row.dataset.category));
+    btn.replaceChildren(...originalContent);
   } catch (e) {
-    console.warn('Could not load app version:', e);
+    btn.replaceChildren(...originalContent);
+    notifyError(t('cleaner.failed_title'), e, cleanSelectedCategories);
   }
-})();
+  updateCleanButton();
+}
 
 // ============================================
-// Backups View Handlers
+// History View Handlers
 // ============================================
-document.getElementById('btn-backups')?.addEventListener('click', () => navigateTo('backups'));
-document.getElementById('backups-back')?.addEventListener('click', goBack);
-document.getElementById('btn-clear-backups')?.addEventListener('click', clearAllBackups);
+document.getElementById('btn-history')?.addEventListener('click', () => navigateTo('history'));
+document.getElementById('history-back')?.addEventListener('click', goBack);
+document.getElementById('btn-history-json')?.addEventListener('click', () => exportHistory('json'));
+document.getElementById('btn-history-csv')?.addEventListener('click', () => exportHistory('csv'));
+document.getElementById('btn-history-clear')?.addEventListener('click', clearHistory);
+
+/** Label message key and icon per journal action key (see journal::record callers) */
+const HISTORY_ACTIONS = {
+  lock: ['history.action.lock', 'lock-simple'],
+  apply_protection: ['history.action.apply_protection', 'shield-check'],
+  repair: ['history.action.repair', 'wrench'],
+  unlock: ['history.action.unlock', 'lock-simple-open'],
+  undo_lock: ['history.action.undo_lock', 'arrow-u-up-left'],
+  delete_versions: ['history.action.delete_versions', 'trash'],
+  switch: ['history.action.switch', 'arrows-left-right'],
+  restore_backup: ['history.action.restore_backup', 'arrow-counter-clockwise'],
+  delete_backup: ['history.action.delete_backup', 'trash'],
+  clear_backups: ['history.action.clear_backups', 'trash'],
+  create_backup: ['history.action.create_backup', 'floppy-disk'],
+  prune_backups: ['history.action.prune_backups', 'scissors'],
+  export_backup: ['history.action.export_backup', 'export'],
+  import_backup: ['history.action.import_backup', 'download-simple'],
+  reset_settings: ['history.action.reset_settings', 'arrow-counter-clockwise'],
+  import_settings: ['history.action.import_settings', 'sliders'],
+  clean_cache: ['history.action.clean_cache', 'broom'],
+  run_installer: ['history.action.run_installer', 'download-simple'],
+};
 
-async function loadBackups() {
-  const container = document.getElementById('backup-list');
-  const sizeInfo = document.getElementById('backup-size-info');
+/** Newest first, as returned by get_history */
+let historyEntries = [];
+
+/** Protection runs by transaction id (list_transactions) */
+let historyTransactions = new Map();
+
+const historyFilters = {
+  query: '',
+  action: '',
+  /** 'success' | 'failure' | '' (any) */
+  result: '',
+  /** Only entries from the last N days (0 = all time) */
+  sinceDays: 0,
+};
+
+function historyActionLabel(action) {
+  return HISTORY_ACTIONS[action] ? t(HISTORY_ACTIONS[action][0]) : action;
+}
+
+async function loadHistory() {
+  const container = document.getElementById('history-list');
+  container.replaceChildren(createSkeletonFragment(3));
+
+  try {
+    const [entries, transactions] = await Promise.all([
+      invoke('get_history'),
+      invoke('list_transactions').catch(() => [])
+    ]);
+    historyEntries = entries;
+    historyTransactions = new Map(transactions.map(tx => [tx.id, tx]));
+  } catch (e) {
+    historyEntries = [];
+    container.replaceChildren(
+      el('div', { className: 'list-row', style: { color: COLOR.danger } },
+        el('span', {}, t('common.error', { error: String(e) }))
+      )
+    );
+    return;
+  }
 
-  container.replaceChildren(createSkeletonFragment(2));
+  renderHistoryActionOptions();
+  renderHistory();
+}
 
-  try {
-    const [backups, size] = await Promise.all([
-      invoke('list_backups'),
-      invoke('get_backup_size')
-    ]);
+/** Offer only the actions that occur in the journal */
+function renderHistoryActionOptions() {
+  const select = document.getElementById('history-action');
+  const actions = [...new Set(historyEntries.map(e => e.action))]
+    .sort((a, b) => historyActionLabel(a).localeCompare(historyActionLabel(b), getLocale()));
+  if (historyFilters.action && !actions.includes(historyFilters.action)) historyFilters.action = '';
+
+  select.replaceChildren(
+    el('option', { value: '' }, t('history.filter.all')),
+    ...actions.map(action => el('option', { value: action }, historyActionLabel(action)))
+  );
+  select.value = historyFilters.action;
+}
 
-    // Update size info
-    const sizeMB = (size / (1024 * 1024)).toFixed(1);
-    sizeInfo.textContent = `Total: ${sizeMB} MB`;
+function matchesHistoryFilters(entry) {
+  const f = historyFilters;
+  if (f.action && entry.action !== f.action) return false;
+  if (f.result && entry.success !== (f.result === 'success')) return false;
+  if (f.sinceDays && entry.timestamp < Date.now() - f.sinceDays * 86400000) return false;
 
-    if (backups.length === 0) {
-      container.replaceChildren(
-        el('div', { className: 'list-row', style: { justifyContent: 'center', color: 'var(--label-tertiary)' } },
-          el('span', {}, 'No backups available')
-        )
-      );
-      return;
-    }
+  if (f.query) {
+    const haystack = [historyActionLabel(entry.action), JSON.stringify(entry.params), entry.error || '', ...entry.logs]
+      .join('\n').toLowerCase();
+    if (!haystack.includes(f.query)) return false;
+  }
+  return true;
+}
 
-    const fragment = document.createDocumentFragment();
-    backups.forEach((backup, idx) => {
-      const date = new Date(backup.created_at * 1000);
-      const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-      const sizeMB = (backup.size_bytes / (1024 * 1024)).toFixed(1);
-      const backupId = `${backup.version_name}_${backup.created_at}`;
-
-      const row = el('div', { className: 'list-row', style: { gap: 'var(--space-3)' } },
-        el('div', { className: 'row-icon', style: { background: 'var(--fill-secondary)' } },
-          icon('folder-simple')
-        ),
-        el('div', { className: 'row-content' },
-          el('span', { className: 'row-title' }, backup.version_name),
-          el('span', { className: 'row-subtitle' }, `${dateStr} • ${sizeMB} MB`)
-        ),
-        el('div', { style: { display: 'flex', gap: 'var(--space-2)' } },
-          el('button', {
-            className: 'btn-secondary',
-            style: { padding: '6px 10px', height: 'auto', minWidth: 'auto' },
-            title: 'Restore this backup',
-            onclick: () => restoreBackup(backupId, backup.version_name)
-          }, icon('arrow-counter-clockwise')),
-          el('button', {
-            className: 'btn-secondary',
-            style: { padding: '6px 10px', height: 'auto', minWidth: 'auto', color: 'var(--accent-red)' },
-            title: 'Delete this backup',
-            onclick: () => deleteBackup(backupId, backup.version_name)
-          }, icon('trash'))
-        )
-      );
+function filteredHistory() {
+  return historyEntries.filter(matchesHistoryFilters);
+}
 
-      fragment.append(row);
-    });
+function renderHistory() {
+  const container = document.getElementById('history-list');
+  const entries = filteredHistory();
 
-    container.replaceChildren(fragment);
+  document.getElementById('history-count').textContent = entries.length === historyEntries.length
+    ? t('history.count', { count: historyEntries.length })
+    : t('history.count_filtered', { shown: entries.length, total: historyEntries.length });
+  document.getElementById('btn-history-json').disabled = entries.length === 0;
+  document.getElementById('btn-history-csv').disabled = entries.length === 0;
+  document.getElementById('btn-history-clear').disabled = historyEntries.length === 0;
 
-  } catch (e) {
+  if (entries.length === 0) {
     container.replaceChildren(
-      el('div', { className: 'list-row', style: { color: 'var(--accent-red)' } },
-        el('span', {}, `Error: ${e}`)
+      el('div', { className: 'list-row', style: { justifyContent: 'center', color: 'var(--label-tertiary)' } },
+        el('span', {}, t(historyEntries.length === 0 ? 'history.none' : 'history.no_match'))
       )
     );
+    return;
   }
+
+  container.replaceChildren(...entries.map(createHistoryEntry));
 }
 
-async function restoreBackup(backupId, versionName) {
-  const confirmed = await modal.show({
-    title: 'Restore Backup?',
-    message: `This will restore ${versionName} to its original location.`,
-    confirmText: 'Restore',
-    cancelText: 'Cancel',
-    danger: false,
-    iconName: 'arrow-counter-clockwise'
-  });
+/** Journaled param as readable text: lists joined, null as the command's default */
+function formatHistoryParam(value) {
+  if (Array.isArray(value)) return value.length ? value.map(formatHistoryParam).join(', ') : t('history.param.none');
+  if (value === null) return t('history.param.default');
+  if (typeof value === 'boolean') return t(value ? 'history.param.yes' : 'history.param.no');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
 
-  if (!confirmed) return;
+function createHistoryEntry(entry) {
+  const iconName = HISTORY_ACTIONS[entry.action]?.[1] ?? 'clock-counter-clockwise';
+  const dateStr = formatDateTime(entry.timestamp);
+  const params = Object.entries(entry.params || {});
+
+  return el('details', { className: 'history-entry' },
+    el('summary', { className: 'list-row', style: { gap: 'var(--space-3)' } },
+      el('div', { className: `row-icon ${entry.success ? 'bg-accent-green' : 'bg-accent-red'}` },
+        icon(iconName)
+      ),
+      el('div', { className: 'row-content' },
+        el('span', { className: 'row-title' }, historyActionLabel(entry.action)),
+        el('span', { className: 'row-subtitle' },
+          entry.success ? dateStr : t(entry.error ? 'history.failed_error' : 'history.failed', { date: dateStr, error: entry.error })
+        )
+      ),
+      el('i', { className: 'ph ph-caret-right history-caret' })
+    ),
+    el('div', { className: 'history-details' },
+      params.length
+        ? el('dl', { className: 'history-params' },
+          ...params.flatMap(([key, value]) => [el('dt', {}, key), el('dd', {}, formatHistoryParam(value))])
+        )
+        : null,
+      entry.logs.length
+        ? el('pre', { className: 'history-logs' }, entry.logs.join('\n'))
+        : el('span', {}, t('history.no_logs')),
+      entry.action === 'lock' ? createUndoControl(entry.transaction_id) : null
+    )
+  );
+}
 
-  try {
-    const result = await invoke('restore_version_backup', { backupId });
-    if (result.success) {
-      await modal.show({
-        title: 'Restored!',
-        message: `${versionName} has been restored successfully.`,
-        confirmText: 'OK',
-        cancelText: 'Close',
-        danger: false,
-        iconName: 'check-circle'
-      });
-      loadBackups();
-    } else {
-      throw new Error(result.error);
-    }
-  } catch (e) {
-    await modal.show({
-      title: 'Restore Failed',
-      message: e.toString(),
-      confirmText: 'OK',
-      cancelText: 'Close',
-      danger: true,
-      iconName: 'x-circle'
-    });
+/**
+ * Undo button for a lock entry, or why the lock can't be undone
+ * @param {string|undefined} transactionId
+ */
+function createUndoControl(transactionId) {
+  const transaction = historyTransactions.get(transactionId);
+  if (!transaction) return null;
+
+  if (transaction.undone_at) {
+    return el('p', { className: 'history-undo' }, t('history.undone_on', { date: formatDateTime(transaction.undone_at) }));
+  }
+
+  // Locks are undone newest first (the backend refuses otherwise); runs that changed
+  // nothing have nothing to roll back
+  const later = [...historyTransactions.values()]
+    .some(tx => tx.started_at > transaction.started_at && !tx.undone_at
+      && (tx.deleted_versions.length > 0 || tx.files.length > 0));
+  if (later) {
+    return el('p', { className: 'history-undo' }, t('history.undo_newer_first'));
   }
+
+  return el('div', { className: 'history-undo' },
+    el('button', {
+      className: 'btn-secondary',
+      onclick: () => undoLock(transaction.id, transaction.deleted_versions.length)
+    }, icon('arrow-u-up-left'), t('complete.undo'))
+  );
 }
 
-async function deleteBackup(backupId, versionName) {
-  const confirmed = await modal.show({
-    title: 'Delete Backup?',
-    message: `This will permanently delete the backup of ${versionName}.`,
-    confirmText: 'Delete',
-    cancelText: 'Keep',
-    danger: true,
-    iconName: 'trash'
-  });
+document.getElementById('history-search')?.addEventListener('input', (e) => {
+  historyFilters.query = e.target.value.trim().toLowerCase();
+  renderHistory();
+});
+document.getElementById('history-action')?.addEventListener('change', (e) => {
+  historyFilters.action = e.target.value;
+  renderHistory();
+});
+document.getElementById('history-result')?.addEventListener('change', (e) => {
+  historyFilters.result = e.target.value;
+  renderHistory();
+});
+document.getElementById('history-since')?.addEventListener('change', (e) => {
+  historyFilters.sinceDays = Number(e.target.value) || 0;
+  renderHistory();
+});
 
-  if (!confirmed) return;
+/**
+ * Export the entries the filters currently show
+ * @param {'json'|'csv'} format
+ */
+async function exportHistory(format) {
+  const dialog = window.__TAURI__.dialog;
+  const entries = filteredHistory();
+  if (!dialog || entries.length === 0) return;
+
+  const day = new Date().toISOString().slice(0, 10);
+  const path = await dialog.save({
+    title: t('history.export_title'),
+    defaultPath: `cc-version-guard-history-${day}.${format}`,
+    filters: [{ name: format.toUpperCase(), extensions: [format] }],
+  });
+  if (!path) return;
 
+  // Unfiltered exports include entries recorded since the view loaded
+  const ids = entries.length === historyEntries.length ? null : entries.map(e => e.id);
   try {
-    const result = await invoke('delete_backup', { backupId });
-    if (result.success) {
-      loadBackups();
-    } else {
-      throw new Error(result.error);
-    }
+    const count = await invoke('export_history', { path, format, ids });
+    notify({ type: 'success', title: t('history.exported_title'), message: t('history.exported', { count, path }) });
   } catch (e) {
-    console.error('Delete backup failed:', e);
+    notifyError(t('history.export_failed'), e);
   }
 }
 
-async function clearAllBackups() {
+async function clearHistory() {
   const confirmed = await modal.show({
-    title: 'Clear All Backups?',
-    message: 'This will permanently delete all backups. You won\'t be able to restore deleted versions.',
-    confirmText: 'Clear All',
-    cancelText: 'Keep Backups',
+    title: t('history.clear_title'),
+    message: t('history.clear_message'),
+    confirmText: t('history.clear_confirm'),
+    cancelText: t('backups.keep'),
     danger: true,
     iconName: 'trash'
   });
@@ -1132,29 +4195,14 @@ async function clearAllBackups() {
   if (!confirmed) return;
 
   try {
-    const result = await invoke('clear_all_backups');
-    if (result.success) {
-      loadBackups();
-    } else {
-      throw new Error(result.error);
-    }
+    await invoke('clear_history');
+    await loadHistory();
+    notify({ type: 'success', title: t('history.cleared') });
   } catch (e) {
-    console.error('Clear backups failed:', e);
+    notifyError(t('history.clear_failed'), e, clearHistory);
   }
 }
 
-// Load backups when view is shown
-const originalShowView = showView;
-window.showView = function (view) {
-  originalShowView(view);
-  if (view === 'backups') {
-    loadBackups();
-  }
-  if (view === 'settings') {
-    loadSettings();
-  }
-};
-
 // ============================================
 // Settings View Handlers
 // ============================================
@@ -1162,22 +4210,17 @@ document.getElementById('btn-settings')?.addEventListener('click', () => navigat
 document.getElementById('settings-back')?.addEventListener('click', goBack);
 
 const autostartToggle = document.getElementById('setting-autostart');
-autostartToggle?.addEventListener('change', async (e) => {
+autostartToggle?.addEventListener('change', (e) => setAutostart(e.target.checked));
+
+async function setAutostart(enabled) {
+  autostartToggle.checked = enabled;
   try {
-    await invoke('set_autostart_enabled', { enabled: e.target.checked });
+    await invoke('set_autostart_enabled', { enabled });
   } catch (err) {
-    console.error('Failed to set autostart:', err);
-    e.target.checked = !e.target.checked;
-    await modal.show({
-      title: 'Error',
-      message: `Failed to update settings: ${err}`,
-      confirmText: 'OK',
-      cancelText: 'Close',
-      danger: true,
-      iconName: 'warning-circle'
-    });
+    autostartToggle.checked = !enabled;
+    notifyError(t('settings.error_title'), t('settings.update_failed', { error: String(err) }), () => setAutostart(enabled));
   }
-});
+}
 
 async function loadSettings() {
   // Load app version
@@ -1196,4 +4239,490 @@ async function loadSettings() {
   } catch (e) {
     console.warn('Could not load autostart status:', e);
   }
+
+  await loadInstallLocation();
+
+  await loadPresets();
+  renderPresetList();
+}
+
+// ============================================
+// Saved Settings (Settings)
+// ============================================
+document.getElementById('btn-settings-export')?.addEventListener('click', async () => {
+  const dialog = window.__TAURI__.dialog;
+  if (!dialog) return;
+
+  const day = new Date().toISOString().slice(0, 10);
+  const path = await dialog.save({
+    title: t('settings.saved.export_title'),
+    defaultPath: `cc-version-guard-settings-${day}.json`,
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (!path) return;
+
+  try {
+    await invoke('export_settings', { path });
+    notify({ type: 'success', title: t('settings.saved.exported_title'), message: t('settings.saved.exported', { path }) });
+  } catch (e) {
+    notifyError(t('settings.saved.export_failed'), e);
+  }
+});
+
+document.getElementById('btn-settings-import')?.addEventListener('click', async () => {
+  const dialog = window.__TAURI__.dialog;
+  if (!dialog) return;
+
+  const path = await dialog.open({
+    title: t('settings.saved.import_title'),
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (!path) return;
+
+  const confirmed = await modal.show({
+    title: t('settings.saved.import_confirm_title'),
+    message: t('settings.saved.import_confirm_message'),
+    confirmText: t('common.import'),
+    iconName: 'download-simple'
+  });
+  if (!confirmed) return;
+
+  try {
+    await invoke('import_settings', { path });
+    notify({ type: 'success', title: t('settings.saved.imported_title'), message: t('settings.saved.imported', { path }) });
+  } catch (e) {
+    notifyError(t('settings.saved.import_failed'), e);
+  }
+});
+
+document.getElementById('btn-settings-reset')?.addEventListener('click', async () => {
+  const confirmed = await modal.show({
+    title: t('settings.saved.reset_title'),
+    message: t('settings.saved.reset_message'),
+    confirmText: t('settings.saved.reset_confirm'),
+    danger: true,
+    iconName: 'arrow-counter-clockwise'
+  });
+  if (!confirmed) return;
+
+  try {
+    await invoke('reset_settings');
+    notify({ type: 'success', title: t('settings.saved.reset_done') });
+  } catch (e) {
+    notifyError(t('settings.saved.reset_failed'), e);
+  }
+});
+
+// ============================================
+// Install Location (Settings)
+// ============================================
+const installPathInput = document.getElementById('install-path-input');
+
+/**
+ * Describe how a path was found (PathDetectionSource serializes as a string or { Custom: path })
+ * @param {string|Object} source
+ */
+function describePathSource(source) {
+  if (source === 'Registry') return t('install.source.registry');
+  if (source === 'DefaultLocation') return t('install.source.default');
+  return t('install.source.custom');
+}
+
+function setInstallHint(message, isError = false) {
+  const hint = document.getElementById('install-path-hint');
+  hint.textContent = message;
+  hint.classList.toggle('error', isError);
+}
+
+function renderInstallLocation(location) {
+  const pathText = document.getElementById('install-path');
+  const sourceText = document.getElementById('install-source');
+  const resetBtn = document.getElementById('btn-install-reset');
+
+  if (location.active) {
+    pathText.textContent = location.active.root;
+    sourceText.textContent = describePathSource(location.active.source);
+  } else {
+    pathText.textContent = t('precheck.install_missing');
+    sourceText.textContent = t('install.choose');
+  }
+
+  if (location.custom_path_invalid) {
+    setInstallHint(t('install.saved_unavailable', { path: location.custom_path }), true);
+  }
+
+  resetBtn.style.display = location.custom_path ? 'inline-flex' : 'none';
+}
+
+onSettingsChange((settings, previous) => {
+  if (currentRoute() !== 'settings' || !settingChanged('capcut_path', settings, previous)) return;
+  invoke('get_install_location').then(renderInstallLocation).catch(() => {});
+});
+
+async function loadInstallLocation() {
+  setInstallHint('');
+  try {
+    renderInstallLocation(await invoke('get_install_location'));
+  } catch (e) {
+    console.warn('Could not load install location:', e);
+    document.getElementById('install-path').textContent = t('install.unavailable');
+  }
+}
+
+document.getElementById('btn-install-browse')?.addEventListener('click', async () => {
+  const dialog = window.__TAURI__.dialog;
+  if (!dialog) {
+    installPathInput.focus();
+    return;
+  }
+
+  const folder = await dialog.open({ directory: true, title: t('install.select_folder') });
+  if (!folder) return;
+
+  installPathInput.value = folder;
+  const paths = await invoke('validate_custom_capcut_path', { path: folder });
+  setInstallHint(paths ? t('install.apps_folder', { path: paths.apps }) : t('install.no_apps_folder'), !paths);
+});
+
+installPathInput?.addEventListener('input', () => setInstallHint(''));
+installPathInput?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') document.getElementById('btn-install-save').click();
+});
+
+document.getElementById('btn-install-save')?.addEventListener('click', async () => {
+  const path = installPathInput.value.trim();
+  if (!path) {
+    setInstallHint(t('install.path_required'), true);
+    return;
+  }
+
+  try {
+    renderInstallLocation(await invoke('set_custom_capcut_path', { path }));
+    installPathInput.value = '';
+    setInstallHint('');
+    notify({ type: 'success', title: t('install.saved_title'), message: t('install.saved') });
+  } catch (e) {
+    notifyError(t('install.save_failed'), e);
+  }
+});
+
+document.getElementById('btn-install-reset')?.addEventListener('click', async () => {
+  try {
+    renderInstallLocation(await invoke('clear_custom_capcut_path'));
+    setInstallHint('');
+    notify({ type: 'success', title: t('install.saved_title'), message: t('install.automatic') });
+  } catch (e) {
+    notifyError(t('install.save_failed'), e);
+  }
+});
+
+// ============================================
+// Command Palette & Shortcuts
+// ============================================
+// Every command can be run from the palette (Ctrl+K); those with `keys` also
+// have a global shortcut. Shortcuts are written "Ctrl+Shift+S" and shown with
+// localized key names.
+
+/** Key names shown in shortcut hints, by the name used in `keys` */
+const KEY_LABELS = { Ctrl: 'keys.ctrl', Shift: 'keys.shift', Alt: 'keys.alt', Home: 'keys.home' };
+
+const PALETTE_SHORTCUT = 'Ctrl+K';
+
+/** Open a view unless it is already showing */
+function showView(viewId) {
+  if (currentRoute() !== viewId) navigateTo(viewId);
+}
+
+/**
+ * @typedef {Object} PaletteCommand
+ * @property {string} id
+ * @property {string} group - Group message key
+ * @property {string} icon - Phosphor icon name
+ * @property {string} title - Translated title
+ * @property {string} [keys] - Global shortcut, e.g. "Ctrl+B"
+ * @property {string} [button] - Id of the button the shortcut also belongs to (for its hint)
+ * @property {Function} run
+ */
+
+/** @returns {PaletteCommand[]} Commands that are always available */
+function staticCommands() {
+  const go = (id, iconName, view, keys, button) => ({
+    id, group: 'palette.group.go', icon: iconName, title: t(`palette.cmd.${id}`), keys, button,
+    // Home returns through history like the wizard's Done button instead of stacking another entry
+    run: () => (view === 'welcome' ? backTo('welcome') : showView(view))
+  });
+  const { theme } = getAppearance();
+  return [
+    go('home', 'house', 'welcome', 'Alt+Home'),
+    go('switch', 'swap', 'switch', 'Ctrl+Shift+S', 'btn-switch'),
+    go('legacy', 'download-simple', 'legacy', 'Ctrl+Shift+L', 'btn-legacy'),
+    go('downloads', 'tray-arrow-down', 'downloads', 'Ctrl+J', 'btn-downloads'),
+    go('backups', 'clock-counter-clockwise', 'backups', 'Ctrl+B', 'btn-backups'),
+    go('history', 'list-checks', 'history', 'Ctrl+H', 'btn-history'),
+    go('settings', 'gear', 'settings', 'Ctrl+,', 'btn-settings'),
+    {
+      id: 'status', group: 'palette.group.actions', icon: 'shield-check', title: t('palette.cmd.status'),
+      run: () => (currentRoute() === 'welcome' ? refreshProtectionStatus() : backTo('welcome'))
+    },
+    { id: 'protect', group: 'palette.group.actions', icon: 'lock', title: t('palette.cmd.protect'), run: () => showView('precheck') },
+    { id: 'clean', group: 'palette.group.actions', icon: 'broom', title: t('palette.cmd.clean'), run: () => showView('cleaner') },
+    { id: 'catalog', group: 'palette.group.actions', icon: 'magnifying-glass', title: t('palette.cmd.catalog'), run: openAllVersionsModal },
+    {
+      id: 'notifications', group: 'palette.group.actions', icon: 'bell', title: t('palette.cmd.notifications'),
+      keys: 'Ctrl+Shift+N', button: 'btn-notifications', run: toggleNotificationCenter
+    },
+    ...THEMES.filter(value => value !== theme).map(value => ({
+      id: `theme-${value}`, group: 'palette.group.appearance', icon: 'circle-half',
+      title: t('palette.cmd.theme', { theme: t(`settings.theme.${value}`) }),
+      run: () => updateAppearance({ theme: value })
+    })),
+  ];
+}
+
+/** One command per installed version CapCut could switch to */
+async function versionCommands() {
+  const versions = await scanInstalledVersions();
+  return versions.filter(v => !v.isActive).map(v => ({
+    id: `switch-to-${v.name}`, group: 'palette.group.versions', icon: 'hard-drives',
+    title: t('palette.cmd.switch_to', { version: v.name }),
+    run: () => switchToVersion(v.name)
+  }));
+}
+
+/** Open Quick Switch with a version picked and ask to switch to it */
+async function switchToVersion(name) {
+  if (currentRoute() !== 'switch') {
+    navigateTo('switch');
+  } else {
+    switchListLoad = loadSwitchVersions();
+  }
+  await switchListLoad;
+  const index = state.versions.findIndex(v => v.name === name && !v.isActive);
+  if (index === -1) return;
+  selectSwitchVersion(index);
+  await applySwitch();
+}
+
+/** "Ctrl+Shift+S" as the key names of the UI language ("Strg+Umschalt+S") */
+function shortcutParts(keys) {
+  return keys.split(/\+(?!$)/).map(key => (KEY_LABELS[key] ? t(KEY_LABELS[key]) : key));
+}
+
+/** "Ctrl+Shift+S" as an aria-keyshortcuts value ("Control+Shift+S") */
+function ariaShortcut(keys) {
+  return keys.replace(/^Ctrl\+/, 'Control+');
+}
+
+function shortcutHint(keys) {
+  return el('span', { className: 'kbd-combo', 'aria-hidden': 'true' },
+    ...shortcutParts(keys).map(part => el('kbd', { className: 'kbd' }, part))
+  );
+}
+
+/** Whether a key press is a shortcut; Cmd counts as Ctrl so the browser mock works on macOS */
+function matchesShortcut(e, keys) {
+  const parts = keys.split(/\+(?!$)/);
+  const key = parts.pop();
+  const ctrl = e.ctrlKey || e.metaKey;
+  return ctrl === parts.includes('Ctrl') &&
+    e.shiftKey === parts.includes('Shift') &&
+    e.altKey === parts.includes('Alt') &&
+    e.key.toLowerCase() === key.toLowerCase();
+}
+
+/** Show shortcuts on the buttons that have one (tooltip and aria-keyshortcuts) */
+function renderShortcutHints() {
+  document.getElementById('palette-shortcut')?.replaceChildren(...shortcutParts(PALETTE_SHORTCUT).map(part => el('kbd', { className: 'kbd' }, part)));
+  document.getElementById('btn-palette')?.setAttribute('title', `${t('palette.title')} (${shortcutParts(PALETTE_SHORTCUT).join('+')})`);
+
+  staticCommands().filter(c => c.keys && c.button).forEach(command => {
+    const button = document.getElementById(command.button);
+    if (!button) return;
+    button.setAttribute('aria-keyshortcuts', ariaShortcut(command.keys));
+    button.title = `${command.title} (${shortcutParts(command.keys).join('+')})`;
+  });
+}
+
+/** No shortcuts while a dialog asks something or a protection run is in progress */
+function shortcutsBlocked() {
+  return modal.current !== null || currentRoute() === 'processing';
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.defaultPrevented || e.repeat || shortcutsBlocked()) return;
+
+  if (matchesShortcut(e, PALETTE_SHORTCUT)) {
+    e.preventDefault();
+    if (palette.open) closePalette();
+    else openPalette();
+    return;
+  }
+  if (palette.open) return;
+
+  const command = staticCommands().find(c => c.keys && matchesShortcut(e, c.keys));
+  if (!command) return;
+  e.preventDefault();
+  if (document.getElementById('all-versions-modal').style.display !== 'none') closeAllVersionsModal();
+  command.run();
+});
+
+const palette = {
+  open: false,
+  commands: [],
+  /** Commands matching the query, in display order */
+  matches: [],
+  active: 0,
+  /** Focus to restore when the palette closes without running anything */
+  returnFocus: null,
+  /** Guards against a slow version scan rendering into a later opening */
+  seq: 0,
+};
+
+const paletteInput = document.getElementById('palette-input');
+
+/**
+ * Rank how well a title matches the query: 3 prefix, 2 word start, 1 substring
+ * or in-order letters, 0 no match
+ */
+function paletteScore(title, query) {
+  const text = title.toLowerCase();
+  const q = query.toLowerCase();
+  if (!q || text.startsWith(q)) return 3;
+  const at = text.indexOf(q);
+  if (at > 0) return /[\s(·:]/.test(text[at - 1]) ? 2 : 1;
+  let i = 0;
+  for (const ch of text) {
+    if (ch === q[i]) i += 1;
+    if (i === q.length) return 1;
+  }
+  return 0;
+}
+
+async function openPalette() {
+  palette.open = true;
+  palette.returnFocus = document.activeElement;
+  palette.commands = staticCommands();
+  paletteInput.value = '';
+  document.getElementById('palette-overlay').style.display = 'flex';
+  renderPalette();
+  paletteInput.focus();
+
+  const seq = ++palette.seq;
+  try {
+    const versions = await versionCommands();
+    if (seq !== palette.seq || !palette.open) return;
+    // Appended so rows already on screen don't move under the pointer
+    palette.commands = [...palette.commands, ...versions];
+    renderPalette();
+  } catch (e) {
+    console.warn('Could not list versions for the command palette:', e);
+  }
+}
+
+function closePalette({ restoreFocus = true } = {}) {
+  palette.open = false;
+  palette.seq += 1;
+  document.getElementById('palette-overlay').style.display = 'none';
+  if (restoreFocus) palette.returnFocus?.focus?.();
+  palette.returnFocus = null;
+}
+
+function runPaletteCommand(command) {
+  closePalette({ restoreFocus: false });
+  Promise.resolve()
+    .then(command.run)
+    .catch(e => notifyError(t('palette.failed', { command: command.title }), e));
+}
+
+function renderPalette() {
+  const query = paletteInput.value.trim();
+  const scored = palette.commands
+    .map((command, order) => ({ command, order, score: paletteScore(command.title, query) }))
+    .filter(m => m.score > 0);
+  // Best matches first while typing; grouped in their usual order otherwise
+  if (query) scored.sort((a, b) => b.score - a.score || a.order - b.order);
+  palette.matches = scored.map(m => m.command);
+  palette.active = Math.min(palette.active, Math.max(palette.matches.length - 1, 0));
+  if (!query) palette.active = 0;
+
+  const list = document.getElementById('palette-list');
+  if (palette.matches.length === 0) {
+    list.replaceChildren(el('div', { className: 'palette-empty', role: 'presentation' }, t('palette.empty')));
+    paletteInput.removeAttribute('aria-activedescendant');
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  let group = null;
+  palette.matches.forEach((command, i) => {
+    if (!query && command.group !== group) {
+      group = command.group;
+      fragment.append(el('div', { className: 'palette-group', role: 'presentation' }, t(group)));
+    }
+    fragment.append(el('div', {
+      className: 'palette-item',
+      id: `palette-item-${i}`,
+      role: 'option',
+      'aria-selected': String(i === palette.active),
+      onClick: () => runPaletteCommand(command),
+      onMousemove: () => setPaletteActive(i),
+    },
+      icon(command.icon),
+      el('span', { className: 'palette-title' }, command.title),
+      command.keys ? shortcutHint(command.keys) : null
+    ));
+  });
+  list.replaceChildren(fragment);
+  paletteInput.setAttribute('aria-activedescendant', `palette-item-${palette.active}`);
+}
+
+function setPaletteActive(index) {
+  if (index === palette.active) return;
+  document.getElementById(`palette-item-${palette.active}`)?.setAttribute('aria-selected', 'false');
+  palette.active = index;
+  const item = document.getElementById(`palette-item-${index}`);
+  item?.setAttribute('aria-selected', 'true');
+  item?.scrollIntoView?.({ block: 'nearest' });
+  paletteInput.setAttribute('aria-activedescendant', `palette-item-${index}`);
 }
+
+paletteInput?.addEventListener('input', () => {
+  palette.active = 0;
+  renderPalette();
+});
+
+paletteInput?.addEventListener('keydown', (e) => {
+  const count = palette.matches.length;
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp':
+      e.preventDefault();
+      if (count) setPaletteActive((palette.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+      break;
+    case 'Enter':
+      e.preventDefault();
+      if (count) runPaletteCommand(palette.matches[palette.active]);
+      break;
+    case 'Escape':
+      // Keep the All Versions modal underneath open
+      e.preventDefault();
+      e.stopPropagation();
+      closePalette();
+      break;
+    case 'Tab':
+      // The input is the only stop inside the dialog
+      e.preventDefault();
+      break;
+  }
+});
+
+document.getElementById('palette-overlay')?.addEventListener('click', (e) => {
+  if (e.target.id === 'palette-overlay') closePalette();
+});
+
+document.getElementById('btn-palette')?.addEventListener('click', openPalette);
+
+// ============================================
+// Start
+// ============================================
+loadPreferences().then(startRouter);
@@ -0,0 +1,1414 @@
+/**
+ * CC Version Guard - Mock Tauri Backend
+ * Browser dev mode and headless UI testing without the Tauri shell
+ *
+ * Installs a fake `window.__TAURI__` that implements every registered command
+ * over an in-memory CapCut install. Only injected by scripts/dev-browser.mjs;
+ * the Tauri build never loads this file.
+ *
+ * Pick a scenario with the `scenario` query parameter, e.g. `/?scenario=running#/precheck`.
+ * Tests can drive the fake through `window.__MOCK__`.
+ */
+
+import { compareVersions, parseVersion } from '../version.js';
+
+const ROOT = 'C:\\Users\\Dev\\AppData\\Local\\CapCut';
+const APPS = `${ROOT}\\Apps`;
+const BACKUP_DIR = 'C:\\Users\\Dev\\AppData\\Local\\CCVersionGuard\\Backups';
+
+/** Mirror of presets::BUILT_IN (read while the scenarios below are built) */
+const BUILT_IN_PRESETS = ['full_protection', 'lock_only'];
+
+// ============================================
+// Scenario Presets
+// ============================================
+
+/**
+ * Each preset returns a fresh fake install. Keys:
+ *   installed   - CapCut folder exists
+ *   running     - CapCut process is running
+ *   versions    - Installed version folders { name, size_mb }
+ *   protection  - { config_lock, product_info_blocker, update_blocker }: 'active' | 'missing' | 'degraded'
+ *   active      - Version written to ProductInfo.xml/configure.ini (null = launcher default)
+ *   custom_path - Install folder saved in Settings (null = automatic detection)
+ *   crash_on_launch - launch_capcut starts a process that exits about a second later
+ *   cache_mb    - Cache size per cleaner category (see CACHE_CATEGORIES)
+ *   download_folder  - Download folder chosen in the Downloads view (null = default)
+ *   downloads        - Installers on disk by file name: { bytes, complete }
+ *   installer_mb     - Size of every fake installer
+ *   corrupt_downloads - Finished installers fail checksum verification
+ *   history          - Operation journal entries, oldest first (see JOURNALED)
+ *   transactions     - Protection runs for undo_protection; `before` holds the
+ *                      protection state and active version the run replaced
+ *   retention        - Saved backup retention policy { keep_per_version, max_total_gb }
+ *   archives         - Exported backup archives by path (copies of the backup)
+ *   presets          - Protection presets and the default { presets, default }
+ *   language         - Language chosen in Settings (null = follow the system)
+ *   theme, accent    - Appearance chosen in Settings ("system"/"light"/"dark", accent name)
+ *   settings_files   - Exported settings by path (see settingsOf)
+ *
+ * Backups carry two mock-only fields that list_backups leaves out: `manifest`
+ * (false = made before manifests, can't be verified) and `damage`
+ * ({ missing, extra, modified } file lists that verify_backup reports).
+ */
+const SCENARIOS = {
+  default: () => ({
+    installed: true,
+    running: false,
+    versions: [
+      { name: '3.9.0.1459', size_mb: 612.4 },
+      { name: '4.0.0.1539', size_mb: 655.1 },
+      { name: '5.2.0.1950', size_mb: 701.8 },
+    ],
+    protection: unprotected(),
+    active: null,
+    custom_path: null,
+    cache_mb: { effects: 180.2, thumbnails: 68.4, logs: 12.7, updates: 312.5 },
+    download_folder: null,
+    downloads: {},
+    installer_mb: 24,
+    backups: [],
+    autostart: false,
+    history: [],
+    transactions: [],
+    retention: { keep_per_version: null, max_total_gb: null },
+    archives: {},
+    presets: builtInPresets(),
+    language: null,
+    theme: 'system',
+    accent: 'blue',
+    settings_files: {},
+  }),
+
+  running: () => ({ ...SCENARIOS.default(), running: true }),
+
+  // Default preset that keeps 4.0.0 with the cache left alone
+  presets: () => ({
+    ...SCENARIOS.default(),
+    presets: {
+      presets: [
+        ...builtInPresets().presets,
+        { name: 'Keep 4.0', clean_cache: false, lock_config: true, create_blockers: true, keep_version: '4.0.0', builtin: null },
+      ],
+      default: 'Keep 4.0',
+    },
+  }),
+
+  'no-install': () => ({
+    ...SCENARIOS.default(),
+    installed: false,
+    versions: [],
+    cache_mb: { effects: 0, thumbnails: 0, logs: 0, updates: 0 },
+  }),
+
+  'single-version': () => ({
+    ...SCENARIOS.default(),
+    versions: [{ name: '3.9.0.1459', size_mb: 612.4 }],
+  }),
+
+  protected: () => ({
+    ...SCENARIOS.default(),
+    versions: [{ name: '3.9.0.1459', size_mb: 612.4 }],
+    protection: { config_lock: 'active', product_info_blocker: 'active', update_blocker: 'active' },
+  }),
+
+  'half-protected': () => ({
+    ...SCENARIOS.default(),
+    versions: [{ name: '3.9.0.1459', size_mb: 612.4 }],
+    protection: { config_lock: 'active', product_info_blocker: 'missing', update_blocker: 'active' },
+  }),
+
+  degraded: () => ({
+    ...SCENARIOS.default(),
+    versions: [{ name: '3.9.0.1459', size_mb: 612.4 }],
+    protection: { config_lock: 'active', product_info_blocker: 'degraded', update_blocker: 'active' },
+  }),
+
+  'crash-on-launch': () => ({ ...SCENARIOS.default(), crash_on_launch: true }),
+
+  'corrupt-download': () => ({ ...SCENARIOS.default(), corrupt_downloads: true }),
+
+  'damaged-backups': () => ({
+    ...SCENARIOS.default(),
+    backups: [
+      fakeBackup('4.0.0.1539', 1, 655.1),
+      {
+        ...fakeBackup('3.9.0.1459', 2, 612.4),
+        damage: { missing: ['CapCut.exe'], extra: [], modified: ['Resources/effect.dat'] },
+      },
+      { ...fakeBackup('3.9.0.1459', 3, 612.4), manifest: false },
+    ],
+  }),
+};
+
+/** Backup made `daysAgo` days ago by an earlier lock */
+function fakeBackup(name, daysAgo, sizeMb) {
+  return {
+    version_name: name,
+    original_path: `${ROOT}\\Apps\\${name}`,
+    created_at: Math.floor(Date.now() / 1000) - daysAgo * 86400,
+    size_bytes: Math.round(sizeMb * 1024 * 1024),
+    reason: 'Version deleted during protection',
+    label: null,
+    notes: null,
+    manifest: true,
+  };
+}
+
+function unprotected() {
+  return { config_lock: 'missing', product_info_blocker: 'missing', update_blocker: 'missing' };
+}
+
+const CDN = 'https://lf16-capcut.faceulv.com/obj/capcutpc-packages-us/packages';
+const DEFAULT_DOWNLOAD_DIR = 'C:\\Users\\Dev\\Downloads\\CC Version Guard';
+
+/** Stable fake SHA-256 for an installer file name */
+function fakeSha256(name) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < name.length; i++) h = Math.imul(h ^ name.charCodeAt(i), 0x01000193) >>> 0;
+
+  let hex = '';
+  for (let i = 0; hex.length < 64; i++) {
+    h = Math.imul(h ^ i, 0x01000193) >>> 0;
+    hex += h.toString(16).padStart(8, '0');
+  }
+  return hex.slice(0, 64);
+}
+
+const ARCHIVE_VERSIONS = [
+  {
+    persona: 'Offline Purist',
+    version: '1.5.0',
+    description: 'Zero cloud dependencies. Unrestricted 4K export.',
+    features: ['Clean UI', 'Offline Only', 'No Nags'],
+    download_url: `${CDN}/CapCut_1_5_0_230_capcutpc_0.exe`,
+    risk_level: 'Low',
+    sha256: fakeSha256('CapCut_1_5_0_230_capcutpc_0.exe'),
+  },
+  {
+    persona: 'Classic Pro',
+    version: '2.9.0',
+    description: 'Most free features before the generic paywalls.',
+    features: ['Max Free Features', 'Stable', 'Legacy UI'],
+    download_url: `${CDN}/CapCut_2_9_0_966_capcutpc_0_creatortool.exe`,
+    risk_level: 'Medium',
+    sha256: fakeSha256('CapCut_2_9_0_966_capcutpc_0_creatortool.exe'),
+  },
+  {
+    persona: 'Creator',
+    version: '3.9.0',
+    description: 'Last version with free auto-captions (High Risk).',
+    features: ['Auto-Captions', 'AI Features', 'Effects'],
+    download_url: `${CDN}/CapCut_3_9_0_1459_capcutpc_0_creatortool.exe`,
+    risk_level: 'High',
+    sha256: null,
+  },
+];
+
+const ALL_VERSIONS = [
+  ['5.4.0 (Beta6)', '5.4.0', 'CapCut_5_4_0_1991_beta6_capcutpc_beta_creatortool.exe'],
+  ['5.3.0 (Latest)', '5.3.0', 'CapCut_5_3_0_1964_capcutpc_0_creatortool.exe'],
+  ['5.3.0 (Test2)', '5.3.0', 'CapCut_5_3_0_1961_capcutpc_0_creatortool.exe'],
+  ['5.3.0 (Test1) (Beta2)', '5.3.0', 'CapCut_5_3_0_1947_beta2_capcutpc_beta_creatortool.exe'],
+  ['5.2.0 (Latest)', '5.2.0', 'CapCut_5_2_0_1950_capcutpc_0_creatortool.exe'],
+  ['5.2.0 (Beta8)', '5.2.0', 'CapCut_5_2_0_1945_beta8_capcutpc_beta_creatortool.exe'],
+  ['4.0.0 (Latest)', '4.0.0', 'CapCut_4_0_0_1680_capcutpc_0_creatortool.exe'],
+  ['3.9.0 (Latest)', '3.9.0', 'CapCut_3_9_0_1663_capcutpc_0_creatortool.exe'],
+  ['2.9.0 (Latest)', '2.9.0', 'CapCut_2_9_0_1457_capcutpc_0_creatortool.exe'],
+  ['1.5.0 (Latest)', '1.5.0', 'CapCut_1_5_0_433_capcutpc_0.exe'],
+];
+
+// ============================================
+// Fake Backend State
+// ============================================
+const params = new URLSearchParams(location.search);
+
+const mock = {
+  scenario: 'default',
+  state: null,
+  /** Every invoke as { cmd, args } in call order */
+  calls: [],
+  /** Files written by export_history as { path, format, ids } */
+  exports: [],
+  /** Artificial IPC latency in ms (`?latency=0` for fast tests) */
+  latency: Number(params.get('latency') ?? 150),
+
+  /**
+   * Reset the fake install to a scenario preset
+   * @param {string} name - Key of SCENARIOS
+   */
+  reset(name = this.scenario) {
+    if (!SCENARIOS[name]) throw new Error(`Unknown mock scenario: ${name}`);
+    this.scenario = name;
+    this.state = SCENARIOS[name]();
+    this.calls = [];
+    this.exports = [];
+  },
+
+  scenarios() {
+    return Object.keys(SCENARIOS);
+  },
+};
+
+mock.reset(params.get('scenario') || 'default');
+
+function versionPath(name) {
+  return `${APPS}\\${name}`;
+}
+
+function nameFromPath(path) {
+  return String(path).split(/[\\/]/).pop();
+}
+
+function installerName(url) {
+  return String(url).split(/[?#]/)[0].split('/').pop();
+}
+
+const MECHANISM_DETAILS = {
+  config_lock: {
+    active: 'last_version pinned to 1.0.0.0',
+    missing: 'No last_version entry',
+    degraded: 'Conflicting last_version entries',
+  },
+  product_info_blocker: {
+    active: 'Empty read-only blocker in place',
+    missing: 'Original file in place',
+    degraded: 'Blocker is writable and can be replaced',
+  },
+  update_blocker: {
+    active: 'Empty read-only blocker in place',
+    missing: 'Blocker file not present',
+    degraded: 'Blocker is writable and can be replaced',
+  },
+};
+
+function mechanism(key, state) {
+  return { state, detail: MECHANISM_DETAILS[key][state] };
+}
+
+function notInstalled() {
+  return { success: false, error: 'Could not find CapCut installation', logs: [] };
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/** Lock config and/or create blockers (shared by apply_protection and run_full_protection) */
+function applyLocks(s, lockConfig, createBlockers) {
+  if (!s.installed) return notInstalled();
+  const logs = [];
+  if (lockConfig) {
+    s.protection.config_lock = 'active';
+    logs.push('Modifying config...', '[OK] Configuration locked');
+  } else {
+    logs.push('Skipping config lock (disabled)');
+  }
+  if (createBlockers) {
+    s.protection.product_info_blocker = 'active';
+    s.protection.update_blocker = 'active';
+    logs.push('Creating locks...', '[OK] Version lock active');
+  } else {
+    logs.push('Skipping lock creation (disabled)');
+  }
+  return { success: true, error: null, logs };
+}
+
+const MB = 1024 * 1024;
+
+/** Mirror of cleaner::CATEGORIES */
+const CACHE_CATEGORIES = [
+  { id: 'effects', label: 'Effect cache', dirs: ['User Data\\Cache', 'User Data\\Shadow_Cache'], default: true },
+  { id: 'thumbnails', label: 'Thumbnails', dirs: ['User Data\\Smart_Crop'], default: true },
+  { id: 'logs', label: 'Logs', dirs: ['User Data\\Log'], default: false },
+  { id: 'updates', label: 'Downloaded update packages', dirs: ['User Data\\Download'], default: false },
+];
+
+/** Size of the categories the lock wizard cleans */
+function defaultCacheMb(s) {
+  return CACHE_CATEGORIES.filter(c => c.default).reduce((sum, c) => sum + s.cache_mb[c.id], 0);
+}
+
+/** Back up one version folder the way backup::create_backup does */
+function backupVersion(s, path, reason = 'Version deleted during protection') {
+  const name = nameFromPath(path);
+  const version = s.versions.find(v => v.name === name);
+  const logs = [`Backing up: ${name}`];
+  if (version) {
+    const backup = {
+      version_name: name,
+      original_path: path,
+      created_at: now() + s.backups.length,
+      size_bytes: Math.round(version.size_mb * MB),
+      reason,
+      label: null,
+      notes: null,
+      manifest: true,
+    };
+    s.backups.push(backup);
+    logs.push(`[OK] Backup created: ${name}_${backup.created_at}`);
+  }
+  return logs;
+}
+
+const backupIdOf = (b) => `${b.version_name}_${b.created_at}`;
+
+/** Mirror of retention::plan; `backups` newest first */
+function retentionPlan(backups, policy, pinned) {
+  const remove = new Set();
+  const held = new Set();
+  const perVersion = new Map();
+  const newest = new Set();
+
+  for (const b of backups) {
+    const count = (perVersion.get(b.version_name) || 0) + 1;
+    perVersion.set(b.version_name, count);
+    if (count === 1) newest.add(backupIdOf(b));
+    if (policy.keep_per_version != null && count > Math.max(policy.keep_per_version, 1)) {
+      (pinned.has(backupIdOf(b)) ? held : remove).add(backupIdOf(b));
+    }
+  }
+
+  if (policy.max_total_gb != null) {
+    const cap = policy.max_total_gb * 1024 * MB;
+    let total = backups.filter(b => !remove.has(backupIdOf(b))).reduce((sum, b) => sum + b.size_bytes, 0);
+    for (const b of [...backups].reverse()) {
+      if (total <= cap) break;
+      const id = backupIdOf(b);
+      if (remove.has(id) || newest.has(id)) continue;
+      if (pinned.has(id)) { held.add(id); continue; }
+      total -= b.size_bytes;
+      remove.add(id);
+    }
+  }
+
+  const removed = backups.filter(b => remove.has(backupIdOf(b)));
+  const sum = (list) => list.reduce((total, b) => total + b.size_bytes, 0);
+  return {
+    remove: removed.reverse(),
+    remove_bytes: sum(removed),
+    keep_bytes: sum(backups.filter(b => !remove.has(backupIdOf(b)))),
+    pinned: held.size,
+  };
+}
+
+/** Mirror of manifest::verify_backup; one fake file per 2 MB */
+function verifyBackup(s, backupId) {
+  const backup = s.backups.find(b => backupIdOf(b) === backupId);
+  const result = { backup_id: backupId, has_manifest: false, checked: 0, missing: [], extra: [], modified: [], error: null };
+  if (!backup) return { ...result, error: `Backup not found: ${backupId}` };
+  if (!backup.manifest) return result;
+  return {
+    ...result,
+    ...backup.damage,
+    has_manifest: true,
+    checked: Math.max(1, Math.round(backup.size_bytes / (2 * MB))),
+  };
+}
+
+/** Backups an un-undone lock would restore */
+function undoBackups(s) {
+  return new Set(s.transactions.filter(t => !t.undone_at)
+    .flatMap(t => t.deleted_versions.map(v => v.backup_id)).filter(Boolean));
+}
+
+function validateRetention(policy) {
+  if (policy.keep_per_version === 0) throw 'Keep at least one backup per version';
+  if (policy.max_total_gb != null && !(policy.max_total_gb > 0 && Number.isFinite(policy.max_total_gb))) {
+    throw 'The size limit must be more than 0 GB';
+  }
+}
+
+/** Mirror of retention::prune: returns the removed ids and log lines */
+function pruneBackups(s) {
+  const plan = retentionPlan(commands.list_backups(s), s.retention, undoBackups(s));
+  if (plan.remove.length === 0) return { removed: [], logs: [] };
+
+  const removed = plan.remove.map(backupIdOf);
+  s.backups = s.backups.filter(b => !removed.includes(backupIdOf(b)));
+  const logs = removed.map(id => `[OK] Pruned backup: ${id}`);
+  record('prune_backups', { ...s.retention }, { success: true, logs });
+  return { removed, logs };
+}
+
+/** Mirror of settings::SCHEMA_VERSION */
+const SETTINGS_SCHEMA = 1;
+
+/** Mirror of the languages i18n.rs embeds */
+const LANGUAGES = ['en', 'de', 'es'];
+
+/** Mirror of settings::THEMES and settings::ACCENTS; the first is the default */
+const THEMES = ['system', 'light', 'dark'];
+const ACCENTS = ['blue', 'purple', 'pink', 'orange', 'green', 'teal'];
+
+/** Mirror of settings::Settings, gathered from the state fields each feature uses */
+function settingsOf(s) {
+  return {
+    schema_version: SETTINGS_SCHEMA,
+    capcut_path: s.custom_path,
+    download_dir: s.download_folder,
+    retention: s.retention,
+    presets: s.presets,
+    language: s.language,
+    theme: s.theme,
+    accent: s.accent,
+  };
+}
+
+function defaultSettings() {
+  return {
+    schema_version: SETTINGS_SCHEMA,
+    capcut_path: null,
+    download_dir: null,
+    retention: { keep_per_version: null, max_total_gb: null },
+    presets: builtInPresets(),
+    language: null,
+    theme: THEMES[0],
+    accent: ACCENTS[0],
+  };
+}
+
+/** Broadcast the current settings, like settings::update does after saving */
+function settingsChanged(s) {
+  emit('settings-changed', structuredClone(settingsOf(s)));
+}
+
+/** Mirror of Settings::validate, then store and broadcast */
+function replaceSettings(s, settings) {
+  const clean = (path) => (typeof path === 'string' && path.trim()) || null;
+  validateRetention(settings.retention);
+  const presets = settings.presets.presets.map(normalizePreset);
+  presets.forEach((p, i) => {
+    if (presets.findIndex(q => q.name.toLowerCase() === p.name.toLowerCase()) !== i) throw `There are two presets named ${p.name}`;
+  });
+  const defaultPreset = settings.presets.default == null ? null
+    : presets.find(p => p.name.toLowerCase() === settings.presets.default.toLowerCase());
+  if (defaultPreset === undefined) throw `The default preset ${settings.presets.default} doesn't exist`;
+  const language = clean(settings.language)?.toLowerCase() ?? null;
+  if (language && !LANGUAGES.includes(language)) throw `Unsupported language: ${language}`;
+  const choice = (value, options, what) => {
+    const v = String(value ?? '').trim().toLowerCase();
+    if (v && !options.includes(v)) throw `Unsupported ${what}: ${v}`;
+    return v || options[0];
+  };
+  const theme = choice(settings.theme, THEMES, 'theme');
+  const accent = choice(settings.accent, ACCENTS, 'accent color');
+
+  s.custom_path = clean(settings.capcut_path);
+  // Like set/clear_custom_capcut_path: a usable saved folder means CapCut is found there
+  if (!s.custom_path) s.installed = SCENARIOS[mock.scenario]().installed;
+  else if (commands.validate_custom_capcut_path(s, { path: s.custom_path })) s.installed = true;
+  s.download_folder = clean(settings.download_dir);
+  s.retention = { keep_per_version: settings.retention.keep_per_version ?? null, max_total_gb: settings.retention.max_total_gb ?? null };
+  s.presets = { presets, default: defaultPreset?.name ?? null };
+  s.language = language;
+  s.theme = theme;
+  s.accent = accent;
+  settingsChanged(s);
+  return settingsOf(s);
+}
+
+/** Mirror of PresetStore::default */
+function builtInPresets() {
+  const preset = (builtin, name, clean_cache) =>
+    ({ name, clean_cache, lock_config: true, create_blockers: true, keep_version: null, builtin });
+  return {
+    presets: [preset(BUILT_IN_PRESETS[0], 'Full protection', true), preset(BUILT_IN_PRESETS[1], 'Lock only', false)],
+    default: 'Full protection'
+  };
+}
+
+function presetIndex(s, name) {
+  return s.presets.presets.findIndex(p => p.name.toLowerCase() === name.toLowerCase());
+}
+
+/** Mirror of presets::normalize */
+function normalizePreset(preset) {
+  const name = preset.name.trim();
+  if (!name) throw 'Give the preset a name';
+  if ([...name].length > 40) throw 'Preset names are limited to 40 characters';
+  const keep = preset.keep_version?.trim() || null;
+  if (keep && !parseVersion(keep)) throw `${keep} is not a version number`;
+  const builtin = BUILT_IN_PRESETS.includes(preset.builtin) ? preset.builtin : null;
+  return { ...preset, name, keep_version: keep, builtin };
+}
+
+function removeVersion(s, path) {
+  const name = nameFromPath(path);
+  s.versions = s.versions.filter(v => v.name !== name);
+  return [`Deleting: ${name}`];
+}
+
+function deleteSummary(paths) {
+  return paths.length === 0
+    ? ['[OK] No versions to delete']
+    : [`[OK] Deleted ${paths.length} version(s)`, '[OK] Backups available for recovery'];
+}
+
+/**
+ * Mirror of progress::ProgressReporter: collects logs and emits progress events,
+ * pausing between them so the UI visibly moves
+ */
+function createReporter(event, total) {
+  const started = Date.now();
+  const logs = [];
+  let step = '';
+  let done = 0;
+  let freed = 0;
+
+  const pause = () => new Promise(r => setTimeout(r, mock.latency));
+  const send = (message) => {
+    const elapsed = (Date.now() - started) / 1000;
+    emit(event, {
+      step,
+      message,
+      done_bytes: done,
+      total_bytes: total,
+      bytes_freed: freed,
+      percent: total ? Math.min(100, (done / total) * 100) : 0,
+      eta_secs: done && elapsed >= 0.5 ? (total - done) / (done / elapsed) : null,
+    });
+  };
+
+  return {
+    logs,
+    get freed() { return freed; },
+    step: (id) => { step = id; },
+    log: async (...lines) => {
+      for (const line of lines) {
+        logs.push(line);
+        send(line);
+        await pause();
+      }
+    },
+    advance: async (bytes, isFreed = false) => {
+      done += bytes;
+      if (isFreed) freed += bytes;
+      send(null);
+      await pause();
+    },
+  };
+}
+
+/** Mirror of ProtectionTransaction::has_changes */
+function hasChanges(tx) {
+  return tx.deleted_versions.length > 0 || tx.files.length > 0;
+}
+
+/** Lock file of each protection mechanism */
+const MECHANISM_FILES = {
+  config_lock: `${APPS}\\configure.ini`,
+  product_info_blocker: `${APPS}\\ProductInfo.xml`,
+  update_blocker: `${ROOT}\\User Data\\Download\\update.exe`,
+};
+
+/**
+ * Keep a lock's undo point only when the run changed something, like
+ * ProtectionTransaction::finish; `files` lists the lock files it changed
+ */
+function finishTransaction(s, tx) {
+  tx.files = Object.keys(MECHANISM_FILES)
+    .filter(key => tx.before.protection[key] !== s.protection[key])
+    .map(key => ({ path: MECHANISM_FILES[key], existed: true, readonly: false, snapshot: null }));
+  if (tx.deleted_versions.length > 0 || tx.files.length > 0) return tx.id;
+  s.transactions.splice(s.transactions.indexOf(tx), 1);
+  return null;
+}
+
+/** Mirror of scanner::catalog_sha256 */
+function catalogSha256(fileName) {
+  return [...commands.get_archive_versions(), ...commands.get_all_archive_versions()]
+    .find(v => v.sha256 && v.download_url.split('/').pop().toLowerCase() === fileName.toLowerCase())?.sha256 || null;
+}
+
+// ============================================
+// Commands (mirror src-tauri/src/commands/*)
+// ============================================
+const commands = {
+  // Scanner
+  get_archive_versions: () => ARCHIVE_VERSIONS,
+
+  get_all_archive_versions: () => ALL_VERSIONS.map(([label, version, file]) => ({
+    persona: label,
+    version,
+    description: label.includes('Beta') || label.includes('Test') ? 'Beta/Test release' : 'Stable release',
+    features: [],
+    download_url: `${CDN}/${file}`,
+    risk_level: /^[45]/.test(version) ? 'High' : version.startsWith('3') ? 'Medium' : 'Low',
+    // Only some catalog entries have a confirmed checksum
+    sha256: label.includes('Latest') ? fakeSha256(file) : null,
+  })),
+
+  scan_versions: (s) => (s.installed ? s.versions.map(v => ({ ...v, path: versionPath(v.name) })) : []),
+
+  get_capcut_paths: (s) => (s.installed ? [APPS, ROOT] : null),
+
+  // Paths
+  get_path_info: (s) => {
+    if (s.custom_path) return commands.validate_custom_capcut_path(s, { path: s.custom_path });
+    return s.installed ? { root: ROOT, apps: APPS, source: 'DefaultLocation' } : null;
+  },
+
+  // Any folder with "capcut" in its name counts as an install; versions keep their default paths
+  validate_custom_capcut_path: (s, { path }) => {
+    if (!/capcut/i.test(path || '')) return null;
+    const apps = /[\\/]Apps$/i.test(path) ? path : `${path}\\Apps`;
+    return { root: apps.replace(/[\\/]Apps$/i, ''), apps, source: { Custom: path } };
+  },
+
+  get_install_location: (s) => ({
+    active: commands.get_path_info(s),
+    custom_path: s.custom_path,
+    custom_path_invalid: false,
+  }),
+
+  set_custom_capcut_path: (s, { path }) => {
+    path = (path || '').trim();
+    if (!commands.validate_custom_capcut_path(s, { path })) {
+      throw `No CapCut installation (Apps folder) found in ${path}`;
+    }
+    s.custom_path = path;
+    s.installed = true;
+    settingsChanged(s);
+    return commands.get_install_location(s);
+  },
+
+  clear_custom_capcut_path: (s) => {
+    s.custom_path = null;
+    s.installed = SCENARIOS[mock.scenario]().installed;
+    settingsChanged(s);
+    return commands.get_install_location(s);
+  },
+
+  // Backups
+  list_backups: (s) => s.backups
+    .map(({ manifest, damage, ...backup }) => backup)
+    .sort((a, b) => b.created_at - a.created_at),
+
+  restore_version_backup: (s, { backupId }) => {
+    const backup = s.backups.find(b => `${b.version_name}_${b.created_at}` === backupId);
+    if (!backup) return { success: false, restored_path: null, error: `Backup not found: ${backupId}` };
+
+    if (!s.versions.some(v => v.name === backup.version_name)) {
+      s.versions.push({ name: backup.version_name, size_mb: backup.size_bytes / (1024 * 1024) });
+    }
+    return { success: true, restored_path: backup.original_path, error: null };
+  },
+
+  delete_backup: (s, { backupId }) => {
+    const idx = s.backups.findIndex(b => `${b.version_name}_${b.created_at}` === backupId);
+    if (idx === -1) return { success: false, backup_id: null, error: `Backup not found: ${backupId}` };
+    s.backups.splice(idx, 1);
+    return { success: true, backup_id: backupId, error: null };
+  },
+
+  get_backup_size: (s) => s.backups.reduce((sum, b) => sum + b.size_bytes, 0),
+
+  clear_all_backups: (s) => {
+    s.backups = [];
+    return { success: true, backup_id: null, error: null };
+  },
+
+  backup_version_now: (s, { versionPath, label, notes }) => {
+    if (!s.versions.some(v => v.name === nameFromPath(versionPath))) {
+      return { success: false, backup_id: null, error: `Version folder not found: ${versionPath}`, pruned: [] };
+    }
+    backupVersion(s, versionPath, 'Manual backup');
+    const backup = s.backups.at(-1);
+    backup.label = label?.trim() || null;
+    backup.notes = notes?.trim() || null;
+    return { success: true, backup_id: backupIdOf(backup), error: null, pruned: pruneBackups(s).removed };
+  },
+
+  update_backup_note: (s, { backupId, label, notes }) => {
+    const backup = s.backups.find(b => backupIdOf(b) === backupId);
+    if (!backup) throw `Backup not found: ${backupId}`;
+    backup.label = label?.trim() || null;
+    backup.notes = notes?.trim() || null;
+    return backup;
+  },
+
+  verify_backup: (s, { backupId }) => verifyBackup(s, backupId),
+
+  verify_all_backups: async (s) => {
+    const backups = commands.list_backups(s);
+    const r = createReporter('backup-verify-progress', backups.reduce((sum, b) => sum + b.size_bytes, 0));
+    r.step('verify');
+    const results = [];
+    for (const b of backups) {
+      await r.log(`Verifying ${backupIdOf(b)}...`);
+      results.push(verifyBackup(s, backupIdOf(b)));
+      await r.advance(b.size_bytes);
+    }
+    return results;
+  },
+
+  export_backup: async (s, { backupId, path }) => {
+    const backup = s.backups.find(b => backupIdOf(b) === backupId);
+    if (!backup) throw `Backup not found: ${backupId}`;
+    const files = Math.max(1, Math.round(backup.size_bytes / (2 * MB)));
+    const r = createReporter('backup-archive-progress', backup.size_bytes);
+    r.step('export');
+    await r.advance(backup.size_bytes);
+    await r.log(`[OK] Exported ${files} files to ${path}`);
+    // Like archive::export, a backup without a manifest gets one in the archive
+    s.archives[path] = { ...structuredClone(backup), manifest: true };
+    return { path, files, archive_bytes: Math.round(backup.size_bytes * 0.6) };
+  },
+
+  import_backup: async (s, { path }) => {
+    const archived = s.archives[path];
+    if (!s.installed) {
+      throw "CapCut isn't installed on this computer, so the backup would have nowhere to restore to. Install CapCut first, then import again";
+    }
+    if (!archived) throw 'Not a Version Guard backup archive';
+    if (archived.damage) throw `${[...archived.damage.missing, ...archived.damage.modified][0]} is corrupt (checksum mismatch)`;
+    if (s.backups.some(b => backupIdOf(b) === backupIdOf(archived))) {
+      throw `${backupIdOf(archived)} is already in your backups`;
+    }
+    const r = createReporter('backup-archive-progress', archived.size_bytes);
+    r.step('import');
+    await r.advance(archived.size_bytes);
+    const backup = { ...structuredClone(archived), original_path: `${ROOT}\\Apps\\${archived.version_name}` };
+    s.backups.push(backup);
+    return commands.list_backups(s).find(b => backupIdOf(b) === backupIdOf(backup));
+  },
+
+  get_retention_policy: (s) => s.retention,
+
+  preview_retention: (s, { policy, incomingPath }) => {
+    validateRetention(policy);
+    const backups = commands.list_backups(s);
+    if (incomingPath) {
+      const version = s.versions.find(v => v.name === nameFromPath(incomingPath));
+      backups.unshift({
+        version_name: nameFromPath(incomingPath),
+        original_path: incomingPath,
+        created_at: Number.MAX_SAFE_INTEGER,
+        size_bytes: Math.round((version?.size_mb || 0) * MB),
+        reason: '',
+        label: null,
+        notes: null,
+      });
+    }
+    return retentionPlan(backups, policy, undoBackups(s));
+  },
+
+  set_retention_policy: (s, { policy }) => {
+    validateRetention(policy);
+    s.retention = { keep_per_version: policy.keep_per_version ?? null, max_total_gb: policy.max_total_gb ?? null };
+    settingsChanged(s);
+    return pruneBackups(s).removed;
+  },
+
+  // Presets
+  get_presets: (s) => s.presets,
+
+  save_preset: (s, { preset, makeDefault }) => {
+    const saved = normalizePreset(preset);
+    const store = s.presets;
+    if (makeDefault || store.default?.toLowerCase() === saved.name.toLowerCase()) store.default = saved.name;
+    const i = presetIndex(s, saved.name);
+    if (i >= 0) store.presets[i] = saved;
+    else store.presets.push(saved);
+    settingsChanged(s);
+    return store;
+  },
+
+  delete_preset: (s, { name }) => {
+    const i = presetIndex(s, name);
+    if (i < 0) throw `No preset named ${name}`;
+    s.presets.presets.splice(i, 1);
+    if (s.presets.default?.toLowerCase() === name.toLowerCase()) s.presets.default = null;
+    settingsChanged(s);
+    return s.presets;
+  },
+
+  set_default_preset: (s, { name }) => {
+    const i = name == null ? -1 : presetIndex(s, name);
+    if (name != null && i < 0) throw `No preset named ${name}`;
+    s.presets.default = name == null ? null : s.presets.presets[i].name;
+    settingsChanged(s);
+    return s.presets;
+  },
+
+  // Settings
+  get_settings: (s) => settingsOf(s),
+
+  update_settings: (s, { changes }) => {
+    const current = settingsOf(s);
+    for (const key of Object.keys(changes)) {
+      if (key === 'schema_version' || !Object.hasOwn(current, key)) throw `Unknown setting: ${key}`;
+    }
+    return replaceSettings(s, { ...structuredClone(current), ...changes });
+  },
+
+  reset_settings: (s) => replaceSettings(s, defaultSettings()),
+
+  export_settings: (s, { path }) => {
+    s.settings_files[path] = structuredClone(settingsOf(s));
+  },
+
+  import_settings: (s, { path }) => {
+    const file = s.settings_files[path];
+    if (!file) throw `Could not read ${path}: The system cannot find the file specified. (os error 2)`;
+    if (file.schema_version > SETTINGS_SCHEMA) throw 'These settings come from a newer version of CC Version Guard';
+    return replaceSettings(s, { ...defaultSettings(), ...structuredClone(file) });
+  },
+
+  // Localization (log lines stay English in the mock)
+  set_locale: (s, { locale }) => {
+    if (!LANGUAGES.includes(locale)) throw `Unsupported language: ${locale}`;
+  },
+
+  // Downloader
+  get_download_folder: (s) => ({ path: s.download_folder || DEFAULT_DOWNLOAD_DIR, custom: Boolean(s.download_folder) }),
+
+  set_download_folder: (s, { path }) => {
+    if (path != null && !/^[a-z]:\\/i.test(path.trim())) throw `Folder not found: ${path}`;
+    s.download_folder = path == null ? null : path.trim();
+    settingsChanged(s);
+    return commands.get_download_folder(s);
+  },
+
+  download_chunk: async (s, { id, url }) => {
+    if (!url.startsWith(`${CDN}/`)) throw 'Downloads are only allowed from lf16-capcut.faceulv.com';
+    const name = installerName(url);
+    if (!catalogSha256(name)) throw `The catalog has no checksum for ${name}, so it can't be verified and won't be run`;
+    const total = Math.round(s.installer_mb * MB);
+    const file = s.downloads[name] || (s.downloads[name] = { bytes: 0, complete: false });
+    const path = `${commands.get_download_folder(s).path}\\${name}`;
+
+    // Four progress events per 4 MB chunk, like the throttled stream in downloader.rs
+    const end = Math.min(total, file.bytes + 4 * MB);
+    while (!file.complete && file.bytes < end) {
+      await new Promise(r => setTimeout(r, mock.latency));
+      file.bytes = Math.min(end, file.bytes + MB);
+      emit('download-progress', { id, done_bytes: file.bytes, total_bytes: total });
+    }
+    file.complete = file.bytes >= total;
+    return { done_bytes: file.bytes, total_bytes: total, complete: file.complete, path: file.complete ? path : null };
+  },
+
+  discard_download: (s, { url }) => {
+    delete s.downloads[installerName(url)];
+    return null;
+  },
+
+  verify_download: (s, { path }) => {
+    const name = nameFromPath(path);
+    if (!s.downloads[name]?.complete) throw `Not a downloaded installer: ${path}`;
+    const expected = catalogSha256(name);
+    if (!expected) throw `The catalog has no checksum for ${name}, so it can't be verified and won't be run`;
+    const sha256 = s.corrupt_downloads ? fakeSha256(`${name}.corrupt`) : fakeSha256(name);
+    return { path, sha256, expected, verified: expected === sha256 };
+  },
+
+  run_installer: async (s, { path }) => {
+    if (!commands.verify_download(s, { path }).verified) {
+      throw 'Checksum mismatch: the file is damaged or not the official installer';
+    }
+    await new Promise(r => setTimeout(r, mock.latency * 4));
+    // The installer adds its version folder (CapCut_2_9_0_966_... -> 2.9.0.966)
+    const match = /CapCut_(\d+)_(\d+)_(\d+)_(\d+)/.exec(path);
+    if (match) {
+      const name = match.slice(1).join('.');
+      s.installed = true;
+      if (!s.versions.some(v => v.name === name)) s.versions.push({ name, size_mb: 640 });
+    }
+    return 0;
+  },
+
+  // Autostart
+  get_autostart_enabled: (s) => s.autostart,
+
+  set_autostart_enabled: (s, { enabled }) => {
+    s.autostart = Boolean(enabled);
+    return null;
+  },
+
+  // Process
+  is_capcut_running: (s) => s.running,
+
+  perform_precheck: (s) => ({
+    capcut_found: s.installed,
+    capcut_running: s.running,
+    apps_path: APPS,
+  }),
+
+  launch_capcut: (s, { versionPath } = {}) => {
+    if (versionPath && !s.versions.some(v => v.name === nameFromPath(versionPath))) {
+      return { success: false, error: `CapCut.exe not found in ${versionPath}` };
+    }
+    if (!s.installed) return { success: false, error: 'CapCut installation not found' };
+    if (s.versions.length === 0) return { success: false, error: 'CapCut.exe not found in any version' };
+    s.running = true;
+    if (s.crash_on_launch) setTimeout(() => { s.running = false; }, 1200);
+    return { success: true, error: null };
+  },
+
+  // Cleaner
+  calculate_cache_size: (s) => (s.installed ? defaultCacheMb(s) : 0),
+
+  get_cache_breakdown: (s) => {
+    if (!s.installed) return [];
+    return CACHE_CATEGORIES.map(c => ({
+      id: c.id,
+      label: c.label,
+      size_bytes: Math.round(s.cache_mb[c.id] * MB),
+      paths: c.dirs.map(d => `${ROOT}\\${d}`),
+      default: c.default,
+    }));
+  },
+
+  clean_cache: (s, { categories } = {}) => {
+    const result = { success: false, cleaned_mb: 0, estimated_bytes: 0, freed_bytes: 0, categories: [], logs: [] };
+    if (s.running) return { ...result, logs: ['[!] CapCut is running. Close it before cleaning.'] };
+    if (!s.installed) return { ...result, logs: ['Could not find CapCut installation'] };
+
+    const selected = CACHE_CATEGORIES.filter(c => (categories ? categories.includes(c.id) : c.default));
+    for (const c of selected) {
+      const bytes = Math.round(s.cache_mb[c.id] * MB);
+      if (bytes > 0) result.logs.push(`Cleaning: ${c.dirs[0].split('\\').pop()} (${s.cache_mb[c.id].toFixed(1)} MB)`);
+      result.categories.push({ id: c.id, estimated_bytes: bytes, freed_bytes: bytes });
+      result.estimated_bytes += bytes;
+      result.freed_bytes += bytes;
+      s.cache_mb[c.id] = 0;
+    }
+
+    result.cleaned_mb = result.freed_bytes / MB;
+    result.logs.push(`[OK] Cleaned ${result.cleaned_mb.toFixed(1)} MB of cache`);
+    return { ...result, success: true };
+  },
+
+  // Protector
+  delete_versions: (s, { paths = [] }) => {
+    const logs = [];
+    for (const path of paths) {
+      logs.push(...backupVersion(s, path), ...removeVersion(s, path));
+    }
+    logs.push(...deleteSummary(paths));
+    return { success: true, error: null, logs };
+  },
+
+  apply_protection: (s) => applyLocks(s, true, true),
+
+  run_full_protection: async (s, { params: p }) => {
+    const paths = p.versions_to_delete;
+    const bytesOf = (path) => Math.round((s.versions.find(v => v.name === nameFromPath(path))?.size_mb || 0) * MB);
+    const cacheBytes = p.clean_cache && s.installed ? Math.round(defaultCacheMb(s) * MB) : 0;
+    const lockSteps = Number(p.lock_config) + Number(p.create_blockers);
+    const total = paths.reduce((sum, path) => sum + 2 * bytesOf(path), 0) + cacheBytes + lockSteps * MB;
+    const r = createReporter('protection-progress', total);
+
+    r.step('check');
+    await r.log('Checking system state...');
+    if (s.running) {
+      return { success: false, error: 'CapCut is still running. Please close it.', logs: r.logs };
+    }
+    await r.log('[OK] No running instances');
+
+    // Undo point, like transaction::ProtectionTransaction
+    const started_at = Date.now();
+    const tx = {
+      id: `lock-${started_at}`,
+      started_at,
+      deleted_versions: [],
+      files: [],
+      cache_cleaned: Boolean(p.clean_cache),
+      undone_at: null,
+      before: { protection: { ...s.protection }, active: s.active },
+    };
+    s.transactions.push(tx);
+
+    for (const path of paths) {
+      const bytes = bytesOf(path);
+      r.step('backup');
+      const backupCount = s.backups.length;
+      await r.log(...backupVersion(s, path));
+      const backup = s.backups.length > backupCount ? s.backups.at(-1) : null;
+      tx.deleted_versions.push({
+        name: nameFromPath(path),
+        original_path: path,
+        backup_id: backup ? `${backup.version_name}_${backup.created_at}` : null,
+      });
+      await r.advance(bytes);
+      r.step('delete');
+      await r.log(...removeVersion(s, path));
+      await r.advance(bytes, true);
+    }
+    await r.log(...deleteSummary(paths));
+
+    r.step('clean_cache');
+    if (p.clean_cache) {
+      await r.log('Cleaning cache directories...');
+      await r.log(...commands.clean_cache(s).logs);
+      await r.advance(cacheBytes, true);
+    } else {
+      await r.log('Skipping cache cleaning (disabled)');
+    }
+
+    if (p.lock_config || p.create_blockers) {
+      const result = applyLocks(s, p.lock_config, p.create_blockers);
+      r.step(p.lock_config ? 'lock_config' : 'create_blockers');
+      await r.log(...result.logs);
+      if (!result.success) {
+        r.logs.push(...pruneBackups(s).logs);
+        return { ...result, logs: r.logs, transaction_id: finishTransaction(s, tx) };
+      }
+      await r.advance(lockSteps * MB);
+    } else {
+      await r.log('Skipping protection (all options disabled)');
+    }
+
+    r.step('done');
+    await r.log(`[OK] Freed ${(r.freed / MB).toFixed(1)} MB`);
+    r.logs.push(...pruneBackups(s).logs);
+
+    return { success: true, error: null, logs: r.logs, transaction_id: finishTransaction(s, tx) };
+  },
+
+  undo_protection: async (s, { transactionId }) => {
+    const tx = s.transactions.find(t => t.id === transactionId);
+    if (!tx) return { success: false, error: `No undo information for ${transactionId}`, logs: [] };
+    if (tx.undone_at) return { success: false, error: 'This lock was already undone', logs: [] };
+    if (s.transactions.some(t => t.started_at > tx.started_at && !t.undone_at && hasChanges(t))) {
+      return { success: false, error: 'Undo the more recent lock first', logs: [] };
+    }
+
+    const r = createReporter('protection-progress', (tx.deleted_versions.length + 3) * MB);
+    r.step('check');
+    await r.log('Checking system state...');
+    if (s.running) {
+      return { success: false, error: 'CapCut is still running. Please close it.', logs: r.logs };
+    }
+    await r.log('[OK] No running instances');
+
+    for (const v of tx.deleted_versions) {
+      r.step('restore');
+      const restored = v.backup_id && commands.restore_version_backup(s, { backupId: v.backup_id });
+      await r.log(restored?.success ? `[OK] Restored ${v.name}` : `[!] No backup of ${v.name}`);
+      await r.advance(MB);
+    }
+
+    r.step('revert');
+    s.protection = { ...tx.before.protection };
+    s.active = tx.before.active;
+    await r.log('[OK] update.exe restored', '[OK] ProductInfo.xml restored', '[OK] configure.ini restored');
+    await r.advance(3 * MB);
+    if (tx.cache_cleaned) await r.log('Cleared cache is not restored (CapCut rebuilds it)');
+
+    r.step('verify');
+    const missing = tx.deleted_versions.filter(v => !s.versions.some(i => i.name === v.name));
+    for (const v of tx.deleted_versions) {
+      await r.log(missing.includes(v) ? `[!] ${v.name} is missing` : `[OK] ${v.name} is installed`);
+    }
+    r.step('done');
+    if (missing.length) {
+      return { success: false, error: `Undo incomplete: ${missing.map(v => v.name).join(', ')}`, logs: r.logs };
+    }
+
+    tx.undone_at = Date.now();
+    await r.log('[OK] Lock undone');
+    return { success: true, error: null, logs: r.logs };
+  },
+
+  list_transactions: (s) => s.transactions
+    .map(({ before, ...tx }) => tx)
+    .sort((a, b) => b.started_at - a.started_at),
+
+  plan_protection: (s, { params: p }) => {
+    const plan = { deletions: [], file_changes: [], cache_dirs: [], delete_bytes: 0, cache_bytes: 0, warnings: [], error: null };
+    if (!s.installed) return { ...plan, error: 'Could not find CapCut installation' };
+    if (s.running) plan.warnings.push('CapCut is running. Close it before locking.');
+
+    for (const path of p.versions_to_delete) {
+      const version = s.versions.find(v => v.name === nameFromPath(path));
+      if (!version) {
+        plan.warnings.push(`Version folder not found: ${path}`);
+        continue;
+      }
+      const size_bytes = Math.round(version.size_mb * MB);
+      plan.delete_bytes += size_bytes;
+      plan.deletions.push({ name: version.name, path, size_bytes, backup_dir: BACKUP_DIR });
+    }
+
+    if (p.clean_cache) {
+      for (const c of CACHE_CATEGORIES.filter(c => c.default && s.cache_mb[c.id] > 0)) {
+        const size_bytes = Math.round(s.cache_mb[c.id] * MB);
+        plan.cache_bytes += size_bytes;
+        plan.cache_dirs.push({ path: `${ROOT}\\${c.dirs[0]}`, size_bytes });
+      }
+    }
+
+    const change = (key, path, action) => ({ mechanism: key, path, action, already_applied: s.protection[key] === 'active' });
+    if (p.lock_config) {
+      plan.file_changes.push(change('config_lock', `${APPS}\\configure.ini`, 'Set last_version=1.0.0.0'));
+    }
+    if (p.create_blockers) {
+      plan.file_changes.push(
+        change('product_info_blocker', `${APPS}\\ProductInfo.xml`, 'Replace with empty read-only file'),
+        change('update_blocker', `${ROOT}\\User Data\\Download\\update.exe`, 'Replace with empty read-only file'),
+      );
+    }
+    return plan;
+  },
+
+  check_protection_status: (s) => {
+    if (!s.installed) {
+      const missing = { state: 'missing', detail: 'CapCut not found' };
+      return {
+        is_protected: false,
+        config_locked: false,
+        blockers_exist: false,
+        config_lock: missing,
+        product_info_blocker: missing,
+        update_blocker: missing,
+      };
+    }
+    const p = s.protection;
+    const config_locked = p.config_lock === 'active';
+    const blockers_exist = p.product_info_blocker === 'active' || p.update_blocker === 'active';
+    return {
+      is_protected: config_locked || blockers_exist,
+      config_locked,
+      blockers_exist,
+      config_lock: mechanism('config_lock', p.config_lock),
+      product_info_blocker: mechanism('product_info_blocker', p.product_info_blocker),
+      update_blocker: mechanism('update_blocker', p.update_blocker),
+    };
+  },
+
+  repair_protection: (s) => {
+    if (!s.installed) return notInstalled();
+    if (s.running) {
+      return { success: false, error: 'CapCut is still running. Please close it.', logs: [] };
+    }
+    const names = {
+      config_lock: 'Configuration lock',
+      product_info_blocker: 'ProductInfo.xml blocker',
+      update_blocker: 'update.exe blocker',
+    };
+    const logs = [];
+    for (const [key, name] of Object.entries(names)) {
+      if (s.protection[key] === 'active') {
+        logs.push(`[OK] ${name} intact`);
+      } else {
+        logs.push(`Repairing ${name} (${MECHANISM_DETAILS[key][s.protection[key]]})...`);
+        s.protection[key] = 'active';
+        logs.push(`[OK] ${name} restored`);
+      }
+    }
+    return { success: true, error: null, logs };
+  },
+
+  remove_protection: (s) => {
+    if (!s.installed) return notInstalled();
+    s.protection = unprotected();
+    return {
+      success: true,
+      error: null,
+      logs: [
+        '[OK] ProductInfo.xml lock removed',
+        '[OK] update.exe lock removed',
+        '[OK] configure.ini reset',
+        '[OK] Protection removed - CapCut allows updates',
+      ],
+    };
+  },
+
+  // Journal
+  get_history: (s) => [...s.history].reverse(),
+
+  clear_history: (s) => {
+    s.history = [];
+    return null;
+  },
+
+  export_history: (s, { path, format, ids }) => {
+    if (format !== 'json' && format !== 'csv') throw `Unsupported export format: ${format}`;
+    const entries = commands.get_history(s).filter(e => !ids || ids.includes(e.id));
+    mock.exports.push({ path, format, ids: entries.map(e => e.id) });
+    return entries.length;
+  },
+
+  // Switcher
+  // ProductInfo.xml / configure.ini name the version unless both are locked;
+  // otherwise the launcher starts the newest installed one
+  get_active_version: (s) => {
+    if (!s.installed || s.versions.length === 0) return null;
+    const locked = s.protection.product_info_blocker === 'active' && s.protection.config_lock === 'active';
+    const pinned = locked ? null : s.versions.find(v => v.name === s.active);
+    const v = pinned ?? [...s.versions].sort((a, b) => compareVersions(b.name, a.name))[0];
+    return { name: v.name, path: versionPath(v.name), source: pinned ? 'product_info' : 'newest_installed' };
+  },
+
+  switch_version: (s, { targetPath }) => {
+    const name = nameFromPath(targetPath);
+    if (!s.versions.some(v => v.name === name)) {
+      return { success: false, message: 'Target version not found', logs: ['[!] Target directory does not exist'] };
+    }
+    // switch_version rewrites both files, replacing the blocker and config lock
+    s.active = name;
+    s.protection.product_info_blocker = 'missing';
+    s.protection.config_lock = 'missing';
+    return {
+      success: true,
+      message: `Successfully switched to v${name}`,
+      logs: ['[OK] Updated ProductInfo.xml', '[OK] Updated configure.ini'],
+    };
+  },
+};
+
+// ============================================
+// Operation Journal
+// ============================================
+
+/** Commands that journal.rs records: command -> [action key, journaled params] */
+const JOURNALED = {
+  delete_versions: ['delete_versions', ({ paths = [] }) => ({ paths })],
+  apply_protection: ['apply_protection', () => ({})],
+  run_full_protection: ['lock', ({ params: p }) => p],
+  repair_protection: ['repair', () => ({})],
+  remove_protection: ['unlock', () => ({})],
+  undo_protection: ['undo_lock', ({ transactionId }) => ({ transaction_id: transactionId })],
+  switch_version: ['switch', ({ targetPath }) => ({ target_path: targetPath })],
+  restore_version_backup: ['restore_backup', ({ backupId }) => ({ backup_id: backupId })],
+  delete_backup: ['delete_backup', ({ backupId }) => ({ backup_id: backupId })],
+  clear_all_backups: ['clear_backups', () => ({})],
+  backup_version_now: ['create_backup', ({ versionPath, label = null }) => ({ version_path: versionPath, label })],
+  export_backup: ['export_backup', ({ backupId, path }) => ({ backup_id: backupId, path })],
+  import_backup: ['import_backup', ({ path }) => ({ path })],
+  reset_settings: ['reset_settings', () => ({})],
+  import_settings: ['import_settings', ({ path }) => ({ path })],
+  clean_cache: ['clean_cache', ({ categories = null }) => ({ categories })],
+  run_installer: ['run_installer', ({ path }) => ({ path })],
+};
+
+let journalSeq = 0;
+
+/**
+ * Append a journal entry for a finished command, shaped like journal::record
+ * @param {string} cmd
+ * @param {Object} args
+ * @param {{ result?: *, thrown?: * }} outcome
+ */
+function journal(cmd, args, { result, thrown }) {
+  const [action, paramsOf] = JOURNALED[cmd];
+  const entry = { action, params: paramsOf(args), success: false, error: null, logs: [] };
+
+  if (thrown !== undefined) {
+    entry.error = String(thrown);
+  } else if (result && typeof result === 'object' && !('success' in result)) {
+    // Result<T, String> commands (archives) succeed by resolving
+    entry.success = true;
+  } else if (result && typeof result === 'object') {
+    entry.success = result.success;
+    entry.error = result.error ?? (result.success ? null : result.message ?? null);
+    entry.logs = result.logs ?? (result.restored_path ? [`[OK] Restored to ${result.restored_path}`] : []);
+  } else {
+    // run_installer resolves with the exit code
+    entry.success = true;
+    entry.logs = [`Installer exited with code ${result}`];
+  }
+
+  // Runs that saved an undo point, and undos of them, name the transaction
+  const transactionId = result?.transaction_id ?? args.transactionId;
+  if (transactionId) entry.transaction_id = transactionId;
+
+  record(action, entry.params, entry);
+}
+
+/** Append one entry to the journal, like journal::record */
+function record(action, params, { success, error = null, logs = [], transaction_id }) {
+  const timestamp = Date.now();
+  const id = `${timestamp}-${String(journalSeq++ % 1000).padStart(3, '0')}`;
+  mock.state.history.push({
+    id, timestamp, action, params, success, error, logs,
+    ...(transaction_id ? { transaction_id } : {}),
+  });
+}
+
+// ============================================
+// Fake window.__TAURI__
+// ============================================
+const listeners = new Map();
+
+async function invoke(cmd, args = {}) {
+  mock.calls.push({ cmd, args });
+  if (mock.latency > 0) await new Promise(r => setTimeout(r, mock.latency));
+
+  const handler = Object.hasOwn(commands, cmd) ? commands[cmd] : null;
+  if (!handler) {
+    // Tauri rejects unknown commands with a plain string
+    throw `Command ${cmd} not found`;
+  }
+  if (!Object.hasOwn(JOURNALED, cmd)) {
+    // Hand out copies so the UI can't mutate backend state by reference
+    return structuredClone(await handler(mock.state, args));
+  }
+
+  let result;
+  try {
+    result = await handler(mock.state, args);
+  } catch (thrown) {
+    journal(cmd, args, { thrown });
+    throw thrown;
+  }
+  journal(cmd, args, { result });
+  return structuredClone(result);
+}
+
+/**
+ * Emit a backend event to frontend listeners
+ * @param {string} event
+ * @param {*} payload
+ */
+function emit(event, payload) {
+  for (const handler of listeners.get(event) || []) {
+    handler({ event, payload, id: 0 });
+  }
+}
+
+mock.emit = emit;
+
+const fakeWindow = {
+  close: () => console.info('[mock] window.close()'),
+  minimize: () => console.info('[mock] window.minimize()'),
+  toggleMaximize: () => console.info('[mock] window.toggleMaximize()'),
+};
+
+window.__TAURI__ = {
+  core: { invoke },
+  window: { getCurrentWindow: () => fakeWindow },
+  app: { getVersion: async () => '2.3.0-dev' },
+  dialog: {
+    // No native picker in the browser; ask for the folder instead
+    open: async ({ title } = {}) => {
+      mock.calls.push({ cmd: 'dialog.open', args: { title } });
+      return window.prompt(title || 'Select folder', 'D:\\CapCut');
+    },
+    save: async ({ title, defaultPath } = {}) => {
+      mock.calls.push({ cmd: 'dialog.save', args: { title, defaultPath } });
+      return window.prompt(title || 'Save as', `C:\\Users\\Dev\\Documents\\${defaultPath || ''}`);
+    },
+  },
+  opener: {
+    openUrl: async (url) => {
+      mock.calls.push({ cmd: 'opener.openUrl', args: { url } });
+      console.info('[mock] openUrl', url);
+    },
+  },
+  event: {
+    listen: async (event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => listeners.get(event).delete(handler);
+    },
+    emit: async (event, payload) => emit(event, payload),
+  },
+};
+
+window.__MOCK__ = mock;
+
+console.info(`[mock] Tauri backend mocked (scenario: ${mock.scenario})`);
@@ -0,0 +1,190 @@
+/**
+ * CC Version Guard - View Router
+ * Hash-based navigation (#/backups) so Back/Forward and deep links work
+ *
+ * Views register enter/leave hooks once; the router runs them on every
+ * transition, whether it came from a button, history navigation or a deep link.
+ */
+
+const DEFAULT_VIEW = 'welcome';
+
+/** @type {Map<string, RouteOptions>} */
+const routes = new Map();
+
+/** View id at each history depth (index 0 is the first entry of this session) */
+const trail = [];
+
+let depth = 0;
+let currentView = null;
+let pendingPop = null;
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {Function} [onEnter] - Called every time the view becomes active
+ * @property {Function} [onLeave] - Called when another view replaces it
+ * @property {Function} [guard] - Returns a view id to redirect to, or nothing to allow entry
+ * @property {boolean} [transient] - Only reachable via navigateTo (not via Back/Forward or deep link)
+ */
+
+/**
+ * Register a view with its lifecycle hooks
+ * @param {string} viewId - View id without the "view-" prefix
+ * @param {RouteOptions} options
+ */
+export function registerView(viewId, options = {}) {
+  routes.set(viewId, options);
+}
+
+/**
+ * Navigate to a view, adding a history entry
+ * @param {string} viewId
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the current history entry instead of pushing
+ */
+export function navigateTo(viewId, { replace = false } = {}) {
+  if (!replace) depth += 1;
+  writeEntry(viewId, replace);
+  render(viewId, true);
+}
+
+/**
+ * Go back one entry, or to the default view when there is nothing to go back to
+ */
+export function goBack() {
+  if (depth > 0) {
+    history.back();
+  } else {
+    navigateTo(DEFAULT_VIEW, { replace: true });
+  }
+}
+
+/**
+ * Walk back through history to the closest entry showing viewId.
+ * Falls back to navigateTo when the view is not in the trail.
+ * @param {string} viewId
+ * @returns {Promise<void>} Resolves once the view is active
+ */
+export function backTo(viewId) {
+  const idx = trail.lastIndexOf(viewId, depth);
+
+  if (idx === depth) return Promise.resolve();
+  if (idx === -1) {
+    navigateTo(viewId);
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    pendingPop = resolve;
+    history.go(idx - depth);
+  });
+}
+
+/**
+ * @returns {string|null} The active view id
+ */
+export function currentRoute() {
+  return currentView;
+}
+
+/**
+ * Render the view from the current URL and start listening for history changes.
+ * A deep link gets the default view inserted underneath it so Back still works.
+ */
+export function startRouter() {
+  window.addEventListener('popstate', handlePopState);
+
+  const initial = parseHash(location.hash);
+
+  if (history.state && typeof history.state.depth === 'number') {
+    // Reload: keep the position the browser already has
+    depth = history.state.depth;
+    render(history.state.view, false);
+    return;
+  }
+
+  writeEntry(DEFAULT_VIEW, true);
+  if (initial && initial !== DEFAULT_VIEW) {
+    depth = 1;
+    writeEntry(initial, false);
+    render(initial, false);
+  } else {
+    render(DEFAULT_VIEW, false);
+  }
+}
+
+// ============================================
+// Internals
+// ============================================
+
+function parseHash(hash) {
+  const match = /^#\/([\w-]+)/.exec(hash || '');
+  return match ? match[1] : null;
+}
+
+function writeEntry(viewId, replace) {
+  trail.length = Math.max(trail.length, depth + 1);
+  if (!replace) trail.length = depth + 1;
+  trail[depth] = viewId;
+
+  const method = replace ? 'replaceState' : 'pushState';
+  history[method]({ view: viewId, depth }, '', `#/${viewId}`);
+}
+
+function handlePopState(e) {
+  if (e.state && typeof e.state.depth === 'number') {
+    depth = e.state.depth;
+    render(e.state.view, false);
+  } else {
+    // Hash edited by hand: the browser already created a new entry
+    depth += 1;
+    const viewId = parseHash(location.hash) || DEFAULT_VIEW;
+    writeEntry(viewId, true);
+    render(viewId, false);
+  }
+
+  if (pendingPop) {
+    const resolve = pendingPop;
+    pendingPop = null;
+    resolve();
+  }
+}
+
+function render(viewId, programmatic) {
+  let route = routes.get(viewId);
+
+  if (!route || (route.transient && !programmatic)) {
+    viewId = DEFAULT_VIEW;
+    route = routes.get(viewId) || {};
+    writeEntry(viewId, true);
+  }
+
+  const redirect = route.guard?.();
+  if (redirect && redirect !== viewId) {
+    writeEntry(redirect, true);
+    render(redirect, programmatic);
+    return;
+  }
+
+  if (currentView && currentView !== viewId) {
+    runHook(routes.get(currentView)?.onLeave, currentView);
+  }
+
+  document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
+  const target = document.getElementById(`view-${viewId}`);
+  if (target) target.classList.add('active');
+
+  currentView = viewId;
+  runHook(route.onEnter, viewId);
+}
+
+function runHook(hook, viewId) {
+  if (!hook) return;
+  try {
+    const result = hook();
+    if (result && typeof result.catch === 'function') {
+      result.catch(e => console.error(`View "${viewId}" hook failed:`, e));
+    }
+  } catch (e) {
+    console.error(`View "${viewId}" hook failed:`, e);
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * CC Version Guard - Theme before first paint
+ * A classic script loaded in <head> (the CSP allows no inline scripts), so the
+ * window never flashes the wrong theme while main.js loads the settings.
+ * Reads the copy theme.js keeps in localStorage; keep the two in sync.
+ */
+(function () {
+  var appearance = {};
+  try {
+    appearance = JSON.parse(localStorage.getItem('ccvg.appearance')) || {};
+  } catch (e) {
+    // No usable copy: follow the system with the default accent
+  }
+
+  var theme = appearance.theme === 'light' || appearance.theme === 'dark' ? appearance.theme
+    : window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+  var root = document.documentElement;
+  root.setAttribute('data-theme', theme);
+  root.setAttribute('data-accent', appearance.accent || 'blue');
+  root.classList.toggle('dark', theme === 'dark');
+})();
@@ -0,0 +1,73 @@
+/**
+ * CC Version Guard - Themes
+ * Light, dark or system appearance and the accent color, applied as
+ * data-theme / data-accent on <html>. The colors themselves are design
+ * tokens in input.css (design.json themes).
+ *
+ * theme-init.js applies the last choice before the first paint from a
+ * localStorage copy; the saved settings stay the source of truth.
+ */
+
+export const THEMES = ['system', 'light', 'dark'];
+
+/** Accent choices; the first is the default */
+export const ACCENTS = ['blue', 'purple', 'pink', 'orange', 'green', 'teal'];
+
+/** localStorage copy read by theme-init.js */
+const CACHE_KEY = 'ccvg.appearance';
+
+/** Colors for inline styles, as tokens so they follow the theme and accent */
+export const COLOR = {
+  accent: 'var(--accent)',
+  success: 'var(--color-success)',
+  warning: 'var(--color-warning)',
+  caution: 'var(--color-caution)',
+  danger: 'var(--color-danger)',
+  onAccent: 'var(--label-on-accent)',
+};
+
+const systemLight = window.matchMedia?.('(prefers-color-scheme: light)');
+
+let appearance = { theme: THEMES[0], accent: ACCENTS[0] };
+
+/** "light" or "dark" for a theme setting, resolving "system" */
+export function resolveTheme(theme) {
+  if (theme !== 'system') return theme;
+  return systemLight?.matches ? 'light' : 'dark';
+}
+
+function paint() {
+  const root = document.documentElement;
+  const theme = resolveTheme(appearance.theme);
+  root.dataset.theme = theme;
+  root.dataset.accent = appearance.accent;
+  root.classList.toggle('dark', theme === 'dark');
+}
+
+/**
+ * Use a theme and accent, and remember them for the next start
+ * @param {{theme?: string, accent?: string}} settings - Unknown values fall back to the defaults
+ * @returns {{theme: string, accent: string}} The appearance now in use
+ */
+export function applyAppearance({ theme, accent } = {}) {
+  appearance = {
+    theme: THEMES.includes(theme) ? theme : THEMES[0],
+    accent: ACCENTS.includes(accent) ? accent : ACCENTS[0],
+  };
+  paint();
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(appearance));
+  } catch {
+    // Storage can be unavailable; the next start shows the default until settings load
+  }
+  return appearance;
+}
+
+export function getAppearance() {
+  return appearance;
+}
+
+// Follow the OS while the theme is "system"
+systemLight?.addEventListener('change', () => {
+  if (appearance.theme === 'system') paint();
+});
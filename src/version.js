@@ -0,0 +1,97 @@
+/**
+ * CC Version Guard - Version Parsing
+ * major.minor.patch.build plus release channel, shared by every list that
+ * orders or matches CapCut versions. Mirrors src-tauri/src/commands/version.rs.
+ */
+
+/** Channel rank: a stable build sorts after a beta or test with the same number */
+const CHANNEL_RANK = { test: 0, beta: 1, stable: 2 };
+
+/**
+ * @typedef {Object} Version
+ * @property {number} major
+ * @property {number} minor
+ * @property {number} patch
+ * @property {number} build - 0 when the text has no build number
+ * @property {'stable'|'beta'|'test'|null} channel - null when the text has no channel tag
+ */
+
+/**
+ * Parse an installed folder name ("5.4.0.1991"), a catalog label
+ * ("5.3.0 (Test1) (Beta2)") or an installer name ("CapCut_5_3_0_1947_beta2_...")
+ * @param {string} text
+ * @returns {Version|null} null when there is no "major.minor" in the text
+ */
+export function parseVersion(text) {
+  const match = /\d+(?:[._]\d+)+/.exec(String(text ?? ''));
+  if (!match) return null;
+
+  const [major, minor, patch = 0, build = 0] = match[0].split(/[._]/).slice(0, 4).map(Number);
+  return { major, minor, patch, build, channel: parseChannel(text) };
+}
+
+/**
+ * Channel of a label; Beta wins over Test ("Test1 Beta2" is a beta of a test build)
+ * @param {string} text
+ * @returns {'stable'|'beta'|'test'|null}
+ */
+export function parseChannel(text) {
+  // Whole words only: "latest" contains "test"
+  const words = String(text ?? '').toLowerCase().split(/[^a-z0-9]+/);
+  const has = (tag) => words.some(w => w.startsWith(tag));
+
+  if (has('beta')) return 'beta';
+  if (has('test')) return 'test';
+  if (has('latest')) return 'stable';
+  return null;
+}
+
+/**
+ * Order two versions, oldest first; accepts parsed versions or text.
+ * Text that doesn't parse sorts before every version and equal to other such text.
+ * @param {Version|string} a
+ * @param {Version|string} b
+ * @returns {number}
+ */
+export function compareVersions(a, b) {
+  const va = typeof a === 'object' && a !== null ? a : parseVersion(a);
+  const vb = typeof b === 'object' && b !== null ? b : parseVersion(b);
+  if (!va || !vb) return (va ? 1 : 0) - (vb ? 1 : 0);
+
+  return va.major - vb.major ||
+    va.minor - vb.minor ||
+    va.patch - vb.patch ||
+    va.build - vb.build ||
+    // Unknown channel ranks as stable
+    CHANNEL_RANK[va.channel ?? 'stable'] - CHANNEL_RANK[vb.channel ?? 'stable'];
+}
+
+/**
+ * Whether two versions are the same build, ignoring channel.
+ * A side without a build number matches any build of its base version.
+ * @param {Version} a
+ * @param {Version} b
+ */
+export function sameBuild(a, b) {
+  if (!a || !b) return false;
+  return a.major === b.major && a.minor === b.minor && a.patch === b.patch &&
+    (!a.build || !b.build || a.build === b.build);
+}
+
+/**
+ * Version of a catalog entry: base and channel from its label, build from the installer name.
+ * Untagged catalog labels are stable releases.
+ * @param {{persona?: string, version: string, download_url?: string}} entry
+ * @returns {Version|null}
+ */
+export function catalogVersion(entry) {
+  const base = parseVersion(entry.version);
+  if (!base) return null;
+
+  const installer = parseVersion(/CapCut_[\d_]+/i.exec(entry.download_url || '')?.[0]);
+  return {
+    ...base,
+    build: installer && sameBuild(base, installer) ? installer.build : base.build,
+    channel: parseChannel(entry.persona) ?? 'stable',
+  };
+}
@@ -21,24 +21,25 @@ module.exports = {
           'fill': 'rgba(255, 255, 255, 0.08)',
           'fill-secondary': 'rgba(255, 255, 255, 0.05)',
         },
-        // Labels
+        // Labels, accents and borders are theme tokens (input.css, design.json themes)
         'label': {
-          'primary': '#FFFFFF',
-          'secondary': 'rgba(255, 255, 255, 0.55)',
-          'tertiary': 'rgba(255, 255, 255, 0.25)',
+          'primary': 'var(--label-primary)',
+          'secondary': 'var(--label-secondary)',
+          'tertiary': 'var(--label-tertiary)',
         },
         // System accents
         'accent': {
-          'blue': '#007AFF',
-          'green': '#30D158',
-          'red': '#FF453A',
-          'orange': '#FF9F0A',
-          'purple': '#BF5AF2',
+          'DEFAULT': 'var(--accent)',
+          'blue': 'var(--accent-blue)',
+          'green': 'var(--accent-green)',
+          'red': 'var(--accent-red)',
+          'orange': 'var(--accent-orange)',
+          'purple': 'var(--accent-purple)',
         },
         // Borders
         'border': {
-          'glass': 'rgba(255, 255, 255, 0.18)',
-          'separator': 'rgba(255, 255, 255, 0.08)',
+          'glass': 'var(--border-glass)',
+          'separator': 'var(--border-separator)',
         }
       },
       borderRadius: {
@@ -0,0 +1,66 @@
+/**
+ * Headless page for UI tests
+ *
+ * Builds src/index.html in jsdom, exposes its window as the global scope and
+ * imports the mock backend ahead of main.js, the same order scripts/dev-browser.mjs
+ * serves them in. Modules load once per process, so each test file gets one page.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const SRC = new URL('../../src/', import.meta.url);
+
+/**
+ * Load the app against a mock scenario
+ * @param {Object} options
+ * @param {string} options.scenario - Key of the mock's SCENARIOS
+ * @returns {Promise<Window>}
+ */
+export async function loadApp({ scenario = 'default' } = {}) {
+  const html = (await readFile(new URL('index.html', SRC), 'utf8'))
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, {
+    url: `http://localhost/?scenario=${scenario}&latency=0`,
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+
+  // Modules see the page's globals (document, location, localStorage, ...)
+  for (const key of Object.getOwnPropertyNames(window)) {
+    if (!(key in globalThis)) globalThis[key] = window[key];
+  }
+  // In a browser window is the global object, so main.js can call what it put on window
+  globalThis.window = new Proxy(window, {
+    set(target, key, value) {
+      target[key] = value;
+      globalThis[key] = value;
+      return true;
+    },
+  });
+  Object.defineProperty(globalThis, 'navigator', { value: window.navigator, configurable: true });
+  window.HTMLElement.prototype.scrollTo = () => {};
+  window.console = console;
+
+  await import(new URL('mock/tauri-mock.js', SRC));
+  await import(new URL('main.js', SRC));
+  return globalThis.window;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition
+ * @param {number} timeout - Milliseconds before giving up
+ */
+export async function waitFor(condition, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${condition}`);
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+/** Id of the view on screen */
+export function activeView() {
+  return document.querySelector('.view.active')?.id;
+}
@@ -0,0 +1,24 @@
+/**
+ * Legacy catalog: only entries with a catalog checksum can be downloaded in the app
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { activeView, loadApp, waitFor } from './dom.js';
+
+test('disables downloads for catalog entries without a checksum', async () => {
+  const window = await loadApp({ scenario: 'default' });
+  await waitFor(() => activeView() === 'view-welcome');
+
+  const catalog = await window.__TAURI__.core.invoke('get_archive_versions');
+  window.navigateTo('legacy');
+  await waitFor(() => document.querySelectorAll('#legacy-list .list-row button').length === catalog.length);
+
+  const buttons = [...document.querySelectorAll('#legacy-list .list-row button')];
+  assert.deepEqual(buttons.map(b => b.disabled), catalog.map(v => !v.sha256));
+  assert.ok(buttons.some(b => b.disabled) && buttons.some(b => !b.disabled));
+
+  // A checksum-less entry can't be fetched even when asked directly
+  const unverified = catalog.find(v => !v.sha256);
+  await assert.rejects(window.__TAURI__.core.invoke('download_chunk', { id: 'x', url: unverified.download_url }));
+});
@@ -0,0 +1,46 @@
+/**
+ * Lock wizard end to end: precheck → versions → options → preview → lock → done
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { activeView, loadApp, waitFor } from './dom.js';
+
+test('locks a version through the whole wizard', async () => {
+  const window = await loadApp({ scenario: 'default' });
+  const mock = window.__MOCK__;
+  const click = (id) => document.getElementById(id).click();
+
+  await waitFor(() => activeView() === 'view-welcome');
+
+  click('btn-start');
+  await waitFor(() => activeView() === 'view-precheck' && !document.getElementById('btn-continue-precheck').disabled);
+
+  click('btn-continue-precheck');
+  await waitFor(() => activeView() === 'view-versions' && document.querySelector('#version-list .list-row'));
+  const rows = document.querySelectorAll('#version-list .list-row');
+  assert.equal(rows.length, 3);
+  rows[0].click();
+
+  click('btn-continue-version');
+  await waitFor(() => activeView() === 'view-options');
+
+  click('btn-apply');
+  await waitFor(() => activeView() === 'view-preview' && !document.getElementById('btn-confirm-lock').disabled);
+
+  click('btn-confirm-lock');
+  await waitFor(() => activeView() === 'view-complete');
+
+  const { state } = mock;
+  assert.deepEqual(state.versions.map(v => v.name), ['5.2.0.1950']);
+  assert.equal(state.backups.length, 2);
+  assert.deepEqual(state.protection, {
+    config_lock: 'active',
+    product_info_blocker: 'active',
+    update_blocker: 'active',
+  });
+  assert.ok(mock.calls.some(c => c.cmd === 'run_full_protection'));
+
+  click('btn-done');
+  await waitFor(() => activeView() === 'view-welcome');
+});
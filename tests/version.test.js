@@ -0,0 +1,36 @@
+/**
+ * Version parsing and ordering; the cases are shared with version.rs's unit tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { compareVersions, parseVersion } from '../src/version.js';
+
+const cases = JSON.parse(readFileSync(new URL('fixtures/version-cases.json', import.meta.url), 'utf8'));
+
+test('parses versions', () => {
+  for (const { text, version } of cases.parse) {
+    const parsed = parseVersion(text);
+    assert.deepEqual(
+      parsed && [parsed.major, parsed.minor, parsed.patch, parsed.build, parsed.channel],
+      version,
+      `parseVersion(${JSON.stringify(text)})`
+    );
+  }
+});
+
+test('orders versions oldest first', () => {
+  cases.ascending.forEach((a, i) => {
+    cases.ascending.forEach((b, j) => {
+      assert.equal(Math.sign(compareVersions(a, b)), Math.sign(i - j), `compareVersions(${JSON.stringify(a)}, ${JSON.stringify(b)})`);
+    });
+  });
+});
+
+test('equal versions compare equal', () => {
+  for (const [a, b] of cases.equal) {
+    assert.equal(compareVersions(a, b), 0, `compareVersions(${JSON.stringify(a)}, ${JSON.stringify(b)})`);
+    assert.equal(compareVersions(b, a), 0, `compareVersions(${JSON.stringify(b)}, ${JSON.stringify(a)})`);
+  }
+});